@@ -6,15 +6,19 @@
  */
 
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { execSync } from 'child_process';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import yaml from 'js-yaml';
+import { renderTemplates, parseGitHubUrl, setup, verify, plan, MANIFEST_PATH } from './index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 describe('Mayor West Mode CLI - End-to-End Integration Tests', () => {
+  const templates = renderTemplates();
   
   // Test workspace directory for isolated file operations
   const testWorkspace = path.join(__dirname, 'test-workspace');
@@ -34,6 +38,24 @@ describe('Mayor West Mode CLI - End-to-End Integration Tests', () => {
     }
   });
 
+  // Fake `gh` that answers from a fixture list (first `match` contained in
+  // the arguments wins) and logs every call
+  function writeFakeGh(binDir, ghLog, responses) {
+    fs.writeFileSync(path.join(testWorkspace, 'gh-responses.json'), JSON.stringify(responses), 'utf8');
+    // Shell shim + .cjs so the script runs as CommonJS inside this ESM package
+    fs.writeFileSync(path.join(binDir, 'gh'), '#!/bin/sh\nexec node "$0.cjs" "$@"\n', { mode: 0o755 });
+    fs.writeFileSync(path.join(binDir, 'gh.cjs'), `const fs = require('fs');
+const args = process.argv.slice(2).join(' ');
+fs.appendFileSync(${JSON.stringify(ghLog)}, args + '\\n');
+const responses = JSON.parse(fs.readFileSync(${JSON.stringify(path.join(testWorkspace, 'gh-responses.json'))}, 'utf8'));
+const match = responses.find(r => args.includes(r.match));
+if (!match) process.exit(1);
+if (match.stdout) process.stdout.write(match.stdout);
+if (match.stderr) process.stderr.write(match.stderr);
+process.exit(match.code || 0);
+`, 'utf8');
+  }
+
   describe('CLI Command Execution', () => {
     test('should execute help command successfully', () => {
       const result = execSync('node cli.js help', { 
@@ -109,21 +131,7 @@ describe('Mayor West Mode CLI - End-to-End Integration Tests', () => {
 
   describe('File Template Generation', () => {
     test('should generate valid VS Code settings.json', () => {
-      const settingsTemplate = JSON.stringify({
-        'chat.tools.autoApprove': true,
-        'chat.tools.terminal.autoApprove': {
-          '/^git\\s+(commit|push)\\b/': true,
-          '/^(npm|pnpm|yarn)\\s+(test|lint|build)\\b/': true,
-          '/^(npm|pnpm|yarn)\\s+run\\s+(test|lint|format)\\b/': true,
-          'rm': false,
-          'kill': false,
-          'git reset --hard': false,
-          'rm -rf': false,
-        },
-        'chat.agent.iterationLimit': 15,
-        'chat.agent.maxTokensPerIteration': 4000,
-        'chat.agent.slowMode': false,
-      }, null, 2);
+      const settingsTemplate = templates['.vscode/settings.json'];
       
       // Write to test file
       const testFile = path.join(testWorkspace, 'settings.json');
@@ -139,19 +147,7 @@ describe('Mayor West Mode CLI - End-to-End Integration Tests', () => {
     });
 
     test('should generate valid YAML workflow files', () => {
-      const workflowContent = `name: Mayor West Auto-Merge
-
-on:
-  pull_request:
-    types: [opened, synchronize, reopened]
-
-permissions:
-  contents: read
-  pull-requests: write
-
-jobs:
-  auto-merge:
-    runs-on: ubuntu-latest`;
+      const workflowContent = templates['.github/workflows/mayor-west-auto-merge.yml'];
       
       const testFile = path.join(testWorkspace, 'workflow.yml');
       fs.writeFileSync(testFile, workflowContent, 'utf8');
@@ -159,24 +155,13 @@ jobs:
       const content = fs.readFileSync(testFile, 'utf8');
       
       expect(content).toContain('name: Mayor West Auto-Merge');
-      expect(content).toContain('pull_request:');
+      expect(content).toContain('pull_request_target:');
       expect(content).toContain('permissions:');
       expect(content).toContain('jobs:');
     });
 
     test('should generate valid markdown agent instructions', () => {
-      const agentContent = `# Mayor West Mode - Copilot Agent Protocol
-
-You are operating in **Mayor West Mode**: eccentric, confident, autonomous.
-
-## Your Mission
-
-When assigned a GitHub issue with the \`mayor-task\` label, you are responsible for:
-1. **Understanding** the complete task
-2. **Implementing** all acceptance criteria
-3. **Testing** your implementation
-4. **Committing** your changes
-5. **Creating/Updating** a pull request`;
+      const agentContent = templates['.github/agents/mayor-west-mode.md'];
       
       const testFile = path.join(testWorkspace, 'agent.md');
       fs.writeFileSync(testFile, agentContent, 'utf8');
@@ -407,21 +392,6 @@ When assigned a GitHub issue with the \`mayor-task\` label, you are responsible
   });
 
   describe('URL Parsing and Validation', () => {
-    // NOTE: This duplicates the parseGitHubUrl logic from cli.js for testing purposes.
-    // We test the logic in isolation here to ensure the function works correctly
-    // without requiring the entire CLI module to be imported.
-    const parseGitHubUrl = (url) => {
-      const httpsMatch = url.match(/github\.com\/([^/]+)\/([^/]+?)(\.git)?$/);
-      const sshMatch = url.match(/git@github\.com:([^/]+)\/([^/]+?)(\.git)?$/);
-
-      if (httpsMatch) {
-        return { owner: httpsMatch[1], repo: httpsMatch[2] };
-      } else if (sshMatch) {
-        return { owner: sshMatch[1], repo: sshMatch[2] };
-      }
-      return null;
-    };
-
     test('should parse various GitHub URL formats', () => {
       const testCases = [
         {
@@ -534,18 +504,7 @@ When assigned a GitHub issue with the \`mayor-task\` label, you are responsible
         'Creating/Updating',
       ];
       
-      const agentTemplate = `# Mayor West Mode - Copilot Agent Protocol
-
-You are operating in **Mayor West Mode**: eccentric, confident, autonomous.
-
-## Your Mission
-
-When assigned a GitHub issue with the \`mayor-task\` label, you are responsible for:
-1. **Understanding** the complete task
-2. **Implementing** all acceptance criteria
-3. **Testing** your implementation
-4. **Committing** your changes
-5. **Creating/Updating** a pull request`;
+      const agentTemplate = templates['.github/agents/mayor-west-mode.md'];
       
       requiredSections.forEach(section => {
         expect(agentTemplate).toContain(section);
@@ -553,20 +512,7 @@ When assigned a GitHub issue with the \`mayor-task\` label, you are responsible
     });
 
     test('should validate workflow template structure', () => {
-      const workflowTemplate = `name: Mayor West Auto-Merge
-
-on:
-  pull_request:
-    types: [opened, synchronize, reopened]
-
-permissions:
-  contents: read
-  pull-requests: write
-
-jobs:
-  auto-merge:
-    runs-on: ubuntu-latest
-    if: github.actor == 'copilot' || github.actor == 'copilot[bot]'`;
+      const workflowTemplate = templates['.github/workflows/mayor-west-auto-merge.yml'];
       
       expect(workflowTemplate).toContain('name:');
       expect(workflowTemplate).toContain('on:');
@@ -577,21 +523,7 @@ jobs:
     });
 
     test('should validate issue template structure', () => {
-      const issueTemplate = `---
-name: Mayor Task
-about: Create a task for autonomous execution
-labels: mayor-task
----
-
-# [MAYOR] Brief Description of Task
-
-## Context
-
-## Acceptance Criteria
-
-## Technical Constraints
-
-## Testing Requirements`;
+      const issueTemplate = templates['.github/ISSUE_TEMPLATE/mayor-task.md'];
       
       expect(issueTemplate).toContain('name: Mayor Task');
       expect(issueTemplate).toContain('labels: mayor-task');
@@ -603,6 +535,1478 @@ labels: mayor-task
     });
   });
 
+  describe('Configure Command', () => {
+    const cliPath = path.join(__dirname, 'cli.js');
+    let repoDir;
+    let binDir;
+    let ghLog;
+
+    function installFakeGh(responses) {
+      writeFakeGh(binDir, ghLog, responses);
+    }
+
+    function runCli(args, env = {}) {
+      return execSync(`node ${cliPath} ${args}`, {
+        encoding: 'utf8',
+        cwd: repoDir,
+        stdio: 'pipe',
+        env: { ...process.env, ...env, PATH: `${binDir}${path.delimiter}${process.env.PATH}` },
+      });
+    }
+
+    function ghCalls() {
+      return fs.existsSync(ghLog) ? fs.readFileSync(ghLog, 'utf8').trim().split('\n') : [];
+    }
+
+    const unconfiguredRepo = [
+      { match: 'auth status' },
+      { match: '-X', code: 0 },
+      { match: 'secret set', code: 0 },
+      { match: '/protection', code: 1 },
+      { match: 'actions/permissions/workflow', stdout: JSON.stringify({ default_workflow_permissions: 'read', can_approve_pull_request_reviews: false }) },
+      { match: 'actions/secrets', stdout: '' },
+      { match: 'repos/acme/widgets', stdout: JSON.stringify({ allow_auto_merge: false, delete_branch_on_merge: true, allow_squash_merge: true, default_branch: 'trunk' }) },
+    ];
+
+    beforeEach(() => {
+      repoDir = path.join(testWorkspace, 'repo');
+      binDir = path.join(testWorkspace, 'bin');
+      ghLog = path.join(testWorkspace, 'gh.log');
+      fs.mkdirSync(repoDir, { recursive: true });
+      fs.mkdirSync(binDir, { recursive: true });
+      execSync('git init -q && git remote add origin git@github.com:acme/widgets.git', { cwd: repoDir });
+    });
+
+    test('should be listed in help output', () => {
+      const result = execSync('node cli.js help', { encoding: 'utf8', cwd: __dirname });
+      expect(result).toContain('configure');
+    });
+
+    test('should report a before/after diff without applying changes in --dry-run', () => {
+      installFakeGh(unconfiguredRepo);
+
+      const output = runCli('configure --dry-run');
+
+      expect(output).toContain('Allow auto-merge');
+      expect(output).toContain('disabled → enabled');
+      expect(output).toContain('Branch protection (trunk)');
+      expect(output).toContain('read → write');
+      expect(output).toContain('Dry run');
+      expect(ghCalls().some(call => call.includes('-X'))).toBe(false);
+    });
+
+    test('should only apply settings that differ from the desired state', () => {
+      installFakeGh(unconfiguredRepo);
+
+      runCli('configure --yes');
+
+      const mutations = ghCalls().filter(call => call.includes('-X'));
+      expect(mutations).toEqual([
+        'api repos/acme/widgets -X PATCH -F allow_auto_merge=true --silent',
+        expect.stringContaining('branches/trunk/protection -X PUT'),
+        'api repos/acme/widgets/actions/permissions/workflow -X PUT -f default_workflow_permissions=write --silent',
+        'api repos/acme/widgets/actions/permissions/workflow -X PUT -F can_approve_pull_request_reviews=true --silent',
+      ]);
+    });
+
+    test('should set the agent token secret from MAYOR_WEST_TOKEN', () => {
+      installFakeGh(unconfiguredRepo);
+
+      runCli('configure --yes', { MAYOR_WEST_TOKEN: 'ghp_test' });
+
+      expect(ghCalls()).toContain('secret set GH_AW_AGENT_TOKEN --repo acme/widgets');
+    });
+
+    test('should record the previous values in the install manifest', () => {
+      installFakeGh(unconfiguredRepo);
+      fs.mkdirSync(path.join(repoDir, '.github'), { recursive: true });
+      const manifestPath = path.join(repoDir, '.github/mayor-west.lock.json');
+      fs.writeFileSync(manifestPath, JSON.stringify({ version: '1.0.1', options: {}, files: {} }), 'utf8');
+
+      runCli('configure --yes');
+
+      expect(JSON.parse(fs.readFileSync(manifestPath, 'utf8')).github).toEqual({
+        branch: 'trunk',
+        previous: {
+          allow_auto_merge: false,
+          branch_protection: false,
+          default_workflow_permissions: 'read',
+          can_approve_pull_request_reviews: false,
+        },
+      });
+    });
+
+    test('should do nothing when the repository is already configured', () => {
+      installFakeGh([
+        { match: 'auth status' },
+        { match: '/protection', stdout: '{}' },
+        { match: 'actions/permissions/workflow', stdout: JSON.stringify({ default_workflow_permissions: 'write', can_approve_pull_request_reviews: true }) },
+        { match: 'actions/secrets', stdout: 'GH_AW_AGENT_TOKEN\n' },
+        { match: 'repos/acme/widgets', stdout: JSON.stringify({ allow_auto_merge: true, delete_branch_on_merge: true, allow_squash_merge: true, default_branch: 'main' }) },
+      ]);
+
+      const output = runCli('configure --yes');
+
+      expect(output).toContain('Nothing to do');
+      expect(ghCalls().some(call => call.includes('-X'))).toBe(false);
+    });
+  });
+
+  describe('Non-Interactive Setup', () => {
+    const cliPath = path.join(__dirname, 'cli.js');
+    let repoDir;
+    let binDir;
+
+    function runSetup(args, env = {}) {
+      return execSync(`node ${cliPath} setup ${args}`, {
+        encoding: 'utf8',
+        cwd: repoDir,
+        stdio: 'pipe',
+        env: { ...process.env, ...env, PATH: `${binDir}${path.delimiter}${process.env.PATH}` },
+      });
+    }
+
+    function lastJsonLine(output) {
+      return JSON.parse(output.trim().split('\n').pop());
+    }
+
+    beforeEach(() => {
+      repoDir = path.join(testWorkspace, 'repo');
+      binDir = path.join(testWorkspace, 'bin');
+      fs.mkdirSync(repoDir, { recursive: true });
+      fs.mkdirSync(binDir, { recursive: true });
+      // Unauthenticated gh so no GitHub settings are touched
+      fs.writeFileSync(path.join(binDir, 'gh'), '#!/bin/sh\nexit 1\n', { mode: 0o755 });
+      execSync('git init -q && git remote add origin git@github.com:acme/widgets.git', { cwd: repoDir });
+    });
+
+    test('should create files from flags without prompting', () => {
+      const output = runSetup('--yes --setup-type=minimal --merge=rebase --iteration-limit=20 --no-commit');
+      const summary = lastJsonLine(output);
+
+      expect(summary.status).toBe('success');
+      expect(summary.repository).toBe('acme/widgets');
+      expect(summary.setupType).toBe('minimal');
+      expect(summary.files.created).toContain('.github/mayor-west.yml');
+      expect(summary.steps).toContainEqual({ step: 'commit', status: 'skipped', message: 'Commit declined' });
+      expect(summary.steps).toContainEqual(expect.objectContaining({ step: 'agent-token', status: 'skipped' }));
+
+      const config = fs.readFileSync(path.join(repoDir, '.github/mayor-west.yml'), 'utf8');
+      expect(config).toContain('method: rebase');
+      const settings = fs.readFileSync(path.join(repoDir, '.vscode/settings.json'), 'utf8');
+      expect(JSON.parse(settings)['chat.agent.iterationLimit']).toBe(20);
+    });
+
+    test('should read answers from a YAML file', () => {
+      fs.writeFileSync(path.join(testWorkspace, 'answers.yml'), [
+        'setupType: full',
+        'enableAutoMerge: false',
+        'mergeStrategy: merge',
+        'autoCommit: false',
+      ].join('\n'), 'utf8');
+
+      const summary = lastJsonLine(runSetup(`--answers ${path.join(testWorkspace, 'answers.yml')}`));
+
+      expect(summary.status).toBe('success');
+      expect(summary.setupType).toBe('full');
+      expect(summary.files.created).not.toContain('.github/workflows/mayor-west-auto-merge.yml');
+      expect(fs.existsSync(path.join(repoDir, '.github/workflows/mayor-west-auto-merge.yml'))).toBe(false);
+    });
+
+    test('should let flags override the answers file', () => {
+      fs.writeFileSync(path.join(testWorkspace, 'answers.yml'), 'setupType: full\nautoCommit: false\n', 'utf8');
+
+      const summary = lastJsonLine(runSetup(`--answers ${path.join(testWorkspace, 'answers.yml')} --setup-type minimal`));
+
+      expect(summary.setupType).toBe('minimal');
+    });
+
+    test('should fail with a summary on invalid answers', () => {
+      let error;
+      try {
+        runSetup('--yes --merge=fast-forward --no-commit');
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.status).toBe(1);
+      const summary = lastJsonLine(error.stdout);
+      expect(summary.status).toBe('failed');
+      expect(summary.steps[0].message).toContain('mergeStrategy');
+      expect(fs.existsSync(path.join(repoDir, '.github'))).toBe(false);
+    });
+
+    test('should fail with a summary on an invalid policy file', () => {
+      fs.mkdirSync(path.join(repoDir, '.github'));
+      fs.writeFileSync(path.join(repoDir, '.github/mayor-west-policies.yml'), 'version: 9\nenabled: true\npolicies: {}\n', 'utf8');
+      let error;
+      try {
+        runSetup('--yes --json --no-commit');
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.status).toBe(1);
+      const summary = lastJsonLine(error.stdout);
+      expect(summary.status).toBe('failed');
+      expect(summary.steps[0]).toEqual(expect.objectContaining({ step: 'preflight', status: 'failed' }));
+      expect(summary.steps[0].message).toContain('Invalid .github/mayor-west-policies.yml: Unsupported policy version');
+      expect(fs.existsSync(path.join(repoDir, '.vscode'))).toBe(false);
+    });
+
+    test('should only show the plan with --dry-run', () => {
+      fs.mkdirSync(path.join(repoDir, '.github'), { recursive: true });
+      fs.writeFileSync(path.join(repoDir, '.github/mayor-west.yml'), 'version: 0\n', 'utf8');
+
+      const output = runSetup('--yes --dry-run --force --no-commit', { MAYOR_WEST_TOKEN: 'ghp_test' });
+      const summary = lastJsonLine(output);
+
+      expect(output).toContain('--- a/.github/mayor-west.yml');
+      expect(output).toContain('-version: 0');
+      expect(output).toContain('branches/main/protection -X PUT');
+      expect(output).toContain('gh secret set GH_AW_AGENT_TOKEN --repo acme/widgets');
+      expect(output).not.toContain('ghp_test');
+      expect(summary.dryRun).toBe(true);
+      expect(summary.plan.files).toContainEqual({ path: '.github/mayor-west.yml', action: 'overwrite' });
+      expect(summary.plan.files).toContainEqual({ path: '.vscode/settings.json', action: 'create' });
+      expect(summary.plan.commands).toContain('gh api repos/acme/widgets -X PATCH -F allow_auto_merge=true --silent');
+
+      expect(fs.readFileSync(path.join(repoDir, '.github/mayor-west.yml'), 'utf8')).toBe('version: 0\n');
+      expect(fs.existsSync(path.join(repoDir, '.vscode'))).toBe(false);
+    });
+
+    test('should merge template changes into edited files on re-run', () => {
+      runSetup('--yes --no-commit');
+      const configPath = path.join(repoDir, '.github/mayor-west.yml');
+      const codeownersPath = path.join(repoDir, '.github/CODEOWNERS');
+      fs.writeFileSync(configPath, fs.readFileSync(configPath, 'utf8')
+        .replace('  - "**/credentials/**"', '  - "**/credentials/**"\n  - "infra/**"')
+        .replace('enabled: true', 'enabled: false'), 'utf8');
+      fs.appendFileSync(codeownersPath, '/infra/ @acme/platform\n', 'utf8');
+
+      const summary = lastJsonLine(runSetup('--yes --merge=rebase --no-commit'));
+
+      const config = fs.readFileSync(configPath, 'utf8');
+      expect(config).toContain('  - "infra/**"');
+      expect(config).toContain('enabled: false');
+      expect(config).toContain('method: rebase');
+      expect(fs.readFileSync(codeownersPath, 'utf8')).toContain('/infra/ @acme/platform');
+      expect(summary.files.updated).toContain('.github/mayor-west.yml');
+      expect(summary.files.unchanged).toContain('AGENTS.md');
+    });
+
+    test('should keep edited files that conflict with the template', () => {
+      runSetup('--yes --no-commit');
+      const configPath = path.join(repoDir, '.github/mayor-west.yml');
+      fs.writeFileSync(configPath, fs.readFileSync(configPath, 'utf8').replace('method: squash', 'method: merge # team choice'), 'utf8');
+      const edited = fs.readFileSync(configPath, 'utf8');
+
+      const summary = lastJsonLine(runSetup('--yes --merge=rebase --no-commit'));
+
+      expect(fs.readFileSync(configPath, 'utf8')).toBe(edited);
+      expect(summary.files.kept).toContain('.github/mayor-west.yml');
+    });
+
+    test('should overwrite edited files with --force', () => {
+      runSetup('--yes --no-commit');
+      const configPath = path.join(repoDir, '.github/mayor-west.yml');
+      const generated = fs.readFileSync(configPath, 'utf8');
+      fs.writeFileSync(configPath, generated.replace('enabled: true', 'enabled: false'), 'utf8');
+
+      const summary = lastJsonLine(runSetup('--yes --force --no-commit'));
+
+      expect(fs.readFileSync(configPath, 'utf8')).toBe(generated);
+      expect(summary.files.updated).toContain('.github/mayor-west.yml');
+    });
+
+    test('should record generated files in the install manifest', () => {
+      runSetup('--yes --merge=rebase --no-commit');
+
+      const manifest = JSON.parse(fs.readFileSync(path.join(repoDir, '.github/mayor-west.lock.json'), 'utf8'));
+      const version = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8')).version;
+      expect(manifest.version).toBe(version);
+      expect(manifest.options).toEqual({ mergeStrategy: 'REBASE', enableAutoMerge: true, iterationLimit: 15 });
+      const hash = execSync('git hash-object .github/mayor-west.yml', { cwd: repoDir, encoding: 'utf8' }).trim();
+      expect(manifest.files['.github/mayor-west.yml']).toEqual({ hash, version });
+    });
+
+    test('should report per-file status from the manifest', () => {
+      runSetup('--yes --no-commit');
+      const manifestPath = path.join(repoDir, '.github/mayor-west.lock.json');
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      // Pretend AGENTS.md came from an older release whose template differed
+      fs.writeFileSync(path.join(repoDir, 'AGENTS.md'), 'old agents file\n', 'utf8');
+      manifest.files['AGENTS.md'] = {
+        hash: execSync('git hash-object AGENTS.md', { cwd: repoDir, encoding: 'utf8' }).trim(),
+        version: '0.0.1',
+      };
+      fs.writeFileSync(manifestPath, JSON.stringify(manifest), 'utf8');
+      fs.appendFileSync(path.join(repoDir, '.github/CODEOWNERS'), '/docs/ @acme/writers\n', 'utf8');
+      fs.rmSync(path.join(repoDir, 'CHANGELOG.md'));
+
+      const output = execSync(`node ${cliPath} status`, { cwd: repoDir, encoding: 'utf8' });
+      const lines = output.split('\n');
+      const statusOf = name => lines.find(line => line.includes(name));
+
+      expect(statusOf('Root Agent File')).toContain('generated by an older version');
+      expect(statusOf('CODEOWNERS')).toContain('locally modified');
+      expect(statusOf('Changelog')).toContain('missing');
+      expect(statusOf('Security Config')).toContain('unmodified');
+    });
+
+    test('should mark files the project already had as pre-existing', () => {
+      fs.writeFileSync(path.join(repoDir, 'CHANGELOG.md'), '# Our changelog\n', 'utf8');
+
+      runSetup('--yes --no-commit');
+
+      const manifest = JSON.parse(fs.readFileSync(path.join(repoDir, '.github/mayor-west.lock.json'), 'utf8'));
+      expect(manifest.files['CHANGELOG.md'].preexisting).toBe(true);
+      expect(manifest.files['AGENTS.md'].preexisting).toBeUndefined();
+
+      // A second run keeps the flag even though the file is now in the manifest
+      runSetup('--yes --no-commit');
+      const rerun = JSON.parse(fs.readFileSync(path.join(repoDir, '.github/mayor-west.lock.json'), 'utf8'));
+      expect(rerun.files['CHANGELOG.md'].preexisting).toBe(true);
+    });
+
+    test('should restore files from an uninstall backup', () => {
+      const backup = path.join(repoDir, '.mayor-west-backups', '2026-01-02T03-04-05-000Z');
+      fs.mkdirSync(path.join(backup, '.github'), { recursive: true });
+      fs.writeFileSync(path.join(backup, 'AGENTS.md'), 'agents\n', 'utf8');
+      fs.writeFileSync(path.join(backup, '.github/CODEOWNERS'), '* @acme\n', 'utf8');
+      fs.mkdirSync(path.join(repoDir, '.github'), { recursive: true });
+      fs.writeFileSync(path.join(repoDir, '.github/CODEOWNERS'), '* @someone-else\n', 'utf8');
+
+      const output = execSync(`node ${cliPath} uninstall --restore`, { cwd: repoDir, encoding: 'utf8' });
+
+      expect(fs.readFileSync(path.join(repoDir, 'AGENTS.md'), 'utf8')).toBe('agents\n');
+      expect(fs.readFileSync(path.join(repoDir, '.github/CODEOWNERS'), 'utf8')).toBe('* @someone-else\n');
+      expect(output).toContain('Skipped .github/CODEOWNERS');
+    });
+
+    test('should reject an unknown backup name', () => {
+      fs.mkdirSync(path.join(repoDir, '.mayor-west-backups', '2026-01-02T03-04-05-000Z'), { recursive: true });
+
+      expect(() => execSync(`node ${cliPath} uninstall --restore nope`, { cwd: repoDir, stdio: 'pipe' })).toThrow();
+    });
+
+    test('should reject unknown keys in the answers file', () => {
+      fs.writeFileSync(path.join(testWorkspace, 'answers.yml'), 'mergeStrategy: squash\nautoMergeEnabled: true\n', 'utf8');
+
+      expect(() => runSetup(`--answers ${path.join(testWorkspace, 'answers.yml')}`)).toThrow();
+    });
+  });
+
+  describe('Upgrade Command', () => {
+    const cliPath = path.join(__dirname, 'cli.js');
+    const version = JSON.parse(fs.readFileSync(path.join(__dirname, 'package.json'), 'utf8')).version;
+    let repoDir;
+    let manifestPath;
+
+    function run(command) {
+      return execSync(command, { cwd: repoDir, encoding: 'utf8', stdio: 'pipe' });
+    }
+
+    function read(file) {
+      return fs.readFileSync(path.join(repoDir, file), 'utf8');
+    }
+
+    // Replace a generated file with what an older release wrote, and commit it
+    function installOldVersion(file, content) {
+      fs.writeFileSync(path.join(repoDir, file), content, 'utf8');
+      run(`git add -A && git commit -qm "old ${file}"`);
+      const manifest = JSON.parse(read('.github/mayor-west.lock.json'));
+      manifest.version = '1.0.0';
+      manifest.files[file] = { hash: run(`git hash-object ${file}`).trim(), version: '1.0.0' };
+      fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), 'utf8');
+      run('git add -A && git commit -qm "old manifest"');
+    }
+
+    beforeEach(() => {
+      repoDir = path.join(testWorkspace, 'repo');
+      manifestPath = path.join(repoDir, '.github/mayor-west.lock.json');
+      fs.mkdirSync(repoDir, { recursive: true });
+      run('git init -q && git config user.email test@example.com && git config user.name Test');
+      run('git remote add origin git@github.com:acme/widgets.git');
+      run(`PATH=/nonexistent:$PATH node ${cliPath} setup --yes --no-commit`);
+      run('git add -A && git commit -qm setup');
+    });
+
+    test('should fail without an install manifest', () => {
+      fs.rmSync(manifestPath);
+      expect(() => run(`node ${cliPath} upgrade --yes`)).toThrow();
+    });
+
+    test('should report an up-to-date install', () => {
+      expect(run(`node ${cliPath} upgrade --yes`)).toContain('Already up to date');
+    });
+
+    test('should update unmodified files and commit the upgrade', () => {
+      const current = read('AGENTS.md');
+      installOldVersion('AGENTS.md', current.replace('## ', '## Old ') + 'Removed in a later version\n');
+
+      run(`node ${cliPath} upgrade --yes`);
+
+      expect(read('AGENTS.md')).toBe(current);
+      expect(run('git log -1 --format=%s').trim()).toBe(`[MAYOR] Upgrade Mayor West Mode to v${version}`);
+      expect(run('git status --porcelain')).toBe('');
+      const manifest = JSON.parse(read('.github/mayor-west.lock.json'));
+      expect(manifest.version).toBe(version);
+      expect(manifest.files['AGENTS.md'].version).toBe(version);
+    });
+
+    test('should keep local edits when merging template changes', () => {
+      const file = '.github/copilot-instructions.md';
+      const current = read(file);
+      installOldVersion(file, current.replace('Confirm the issue exists', 'Check the issue exists'));
+      fs.appendFileSync(path.join(repoDir, file), '\n## Team Notes\nUse pnpm.\n', 'utf8');
+
+      const output = run(`node ${cliPath} upgrade --yes --dry-run`);
+      expect(output).toContain('merge with local changes');
+      expect(read(file)).toContain('Check the issue exists');
+
+      run(`node ${cliPath} upgrade --yes`);
+
+      expect(read(file)).toContain('Confirm the issue exists');
+      expect(read(file)).toContain('Use pnpm.');
+    });
+
+    test('should merge again on the next upgrade of a merged file', () => {
+      const file = '.github/copilot/instructions.md';
+      const current = read(file);
+      const setIterationLimit = limit => {
+        const manifest = JSON.parse(read('.github/mayor-west.lock.json'));
+        manifest.options.iterationLimit = limit;
+        fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), 'utf8');
+        run(`git add -A && git commit -qm "${limit} iterations"`);
+      };
+      installOldVersion(file, current.replace('- No exceptions', '- No exceptions, ever'));
+      // Template changes never committed as generated, here from the recorded answers
+      setIterationLimit(20);
+      fs.appendFileSync(path.join(repoDir, file), '\n## Team Notes\nUse pnpm.\n', 'utf8');
+      run(`node ${cliPath} upgrade --yes`);
+      expect(read(file)).toContain('up to 20 iterations');
+      expect(read(file)).toContain('Use pnpm.');
+
+      setIterationLimit(25);
+      expect(run(`node ${cliPath} upgrade --yes --dry-run`)).toContain('merge with local changes');
+      run(`node ${cliPath} upgrade --yes`);
+
+      expect(read(file)).toContain('up to 25 iterations');
+      expect(read(file)).toContain('Use pnpm.');
+    });
+
+    test('should run the migrations released since the installed version', () => {
+      const file = '.github/mayor-west.yml';
+      const current = read(file);
+      installOldVersion(file, current.replace(/\n# Merge settings\nmerge:\n(  .*\n)+/, ''));
+      fs.writeFileSync(path.join(repoDir, file), read(file).replace('enabled: true', 'enabled: false'), 'utf8');
+
+      const output = run(`node ${cliPath} upgrade --yes`);
+
+      expect(output).toContain('v1.1.0: Add the merge section');
+      expect(yaml.load(read(file))).toEqual(expect.objectContaining({
+        enabled: false,
+        merge: { method: 'squash', delete_branch_after_merge: true },
+      }));
+    });
+
+    test('should move the verify action pin to the new release', () => {
+      const file = '.github/workflows/mayor-west-verify.yml';
+      installOldVersion(file, read(file).replace(`MayorWest@v${version}`, 'MayorWest@v1.0.0'));
+      fs.writeFileSync(path.join(repoDir, file), read(file).replace('fail-on: error', 'fail-on: warning'), 'utf8');
+
+      run(`node ${cliPath} upgrade --yes`);
+
+      expect(read(file)).toContain(`uses: shyamsridhar123/MayorWest@v${version}`);
+      expect(read(file)).toContain('fail-on: warning');
+    });
+
+    test('should report conflicts and leave the file untouched', () => {
+      const file = '.github/copilot-instructions.md';
+      const current = read(file);
+      installOldVersion(file, current.replace('Confirm the issue exists', 'Check the issue exists'));
+      const edited = read(file).replace('Check the issue exists', 'Make sure the issue exists');
+      fs.writeFileSync(path.join(repoDir, file), edited, 'utf8');
+
+      let error;
+      try {
+        run(`node ${cliPath} upgrade --yes`);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.status).toBe(1);
+      expect(error.stdout).toContain('conflict');
+      expect(read(file)).toBe(edited);
+      expect(JSON.parse(read('.github/mayor-west.lock.json')).files[file].version).toBe('1.0.0');
+    });
+  });
+
+  describe('Uninstall Command', () => {
+    const cliPath = path.join(__dirname, 'cli.js');
+    let repoDir;
+
+    function uninstall(args) {
+      return execSync(`node ${cliPath} uninstall ${args}`, {
+        cwd: repoDir,
+        encoding: 'utf8',
+        stdio: 'pipe',
+        env: { ...process.env, PATH: `/nonexistent${path.delimiter}${process.env.PATH}` },
+      });
+    }
+
+    beforeEach(() => {
+      repoDir = path.join(testWorkspace, 'repo');
+      fs.mkdirSync(repoDir, { recursive: true });
+      execSync('git init -q && git remote add origin git@github.com:acme/widgets.git', { cwd: repoDir });
+      fs.writeFileSync(path.join(repoDir, 'CHANGELOG.md'), '# Our changelog\n', 'utf8');
+      execSync(`node ${cliPath} setup --yes --no-commit`, {
+        cwd: repoDir,
+        stdio: 'pipe',
+        env: { ...process.env, PATH: `/nonexistent${path.delimiter}${process.env.PATH}` },
+      });
+    });
+
+    test('should remove generated files and back them up with --yes', () => {
+      fs.appendFileSync(path.join(repoDir, 'AGENTS.md'), '\nOur own notes\n', 'utf8');
+
+      // --json prints the result and nothing else
+      const result = JSON.parse(uninstall('--yes --json'));
+
+      expect(result.status).toBe('success');
+      expect(result.removed).toContain('.github/mayor-west.yml');
+      expect(result.removed).toContain('.github/mayor-west.lock.json');
+      expect(result.kept.sort()).toEqual(['AGENTS.md', 'CHANGELOG.md']);
+      expect(result.failed).toEqual([]);
+
+      expect(fs.existsSync(path.join(repoDir, '.github/mayor-west.yml'))).toBe(false);
+      expect(fs.existsSync(path.join(repoDir, '.github/workflows'))).toBe(false);
+      expect(fs.readFileSync(path.join(repoDir, 'CHANGELOG.md'), 'utf8')).toBe('# Our changelog\n');
+      expect(fs.readFileSync(path.join(repoDir, 'AGENTS.md'), 'utf8')).toContain('Our own notes');
+
+      const backup = path.join(repoDir, result.backup);
+      expect(fs.existsSync(path.join(backup, '.github/mayor-west.yml'))).toBe(true);
+      expect(execSync('git status --porcelain --untracked-files=all', { cwd: repoDir, encoding: 'utf8' })).not.toContain('.mayor-west-backups');
+    });
+
+    test('should remove edited and pre-existing files with --force', () => {
+      fs.appendFileSync(path.join(repoDir, 'AGENTS.md'), '\nOur own notes\n', 'utf8');
+
+      const result = JSON.parse(uninstall('--yes --force --json'));
+
+      expect(result.kept).toEqual([]);
+      expect(fs.existsSync(path.join(repoDir, 'AGENTS.md'))).toBe(false);
+      expect(fs.existsSync(path.join(repoDir, 'CHANGELOG.md'))).toBe(false);
+    });
+
+    test('should round-trip through --restore', () => {
+      const generated = fs.readFileSync(path.join(repoDir, '.github/mayor-west.yml'), 'utf8');
+      uninstall('--yes');
+
+      uninstall('--restore');
+
+      expect(fs.readFileSync(path.join(repoDir, '.github/mayor-west.yml'), 'utf8')).toBe(generated);
+      expect(fs.existsSync(path.join(repoDir, '.github/mayor-west.lock.json'))).toBe(true);
+    });
+
+    test('should report when there is nothing to uninstall', () => {
+      uninstall('--yes --force');
+
+      const result = JSON.parse(uninstall('--yes --json'));
+
+      expect(result.status).toBe('nothing-to-do');
+    });
+  });
+
+  describe('Verify Command', () => {
+    const cliPath = path.join(__dirname, 'cli.js');
+    let repoDir;
+
+    function runVerify(args) {
+      try {
+        const stdout = execSync(`node ${cliPath} verify ${args}`, {
+          encoding: 'utf8',
+          cwd: repoDir,
+          stdio: 'pipe',
+          // No gh on PATH, so the GitHub checks fail the same way everywhere
+          env: { ...process.env, PATH: `/nonexistent${path.delimiter}${path.dirname(process.execPath)}` },
+        });
+        return { code: 0, stdout };
+      } catch (error) {
+        return { code: error.status, stdout: error.stdout };
+      }
+    }
+
+    beforeEach(() => {
+      repoDir = path.join(testWorkspace, 'repo');
+      fs.mkdirSync(repoDir, { recursive: true });
+      execSync('git init -q && git remote add origin git@github.com:acme/widgets.git', { cwd: repoDir });
+    });
+
+    test('should print every check as JSON and exit 1 on failed errors', () => {
+      const { code, stdout } = runVerify('--format json');
+      const report = JSON.parse(stdout);
+      const settings = report.checks.find(check => check.id === 'files/.vscode/settings.json');
+
+      expect(code).toBe(1);
+      expect(report.repository).toBe('acme/widgets');
+      expect(report.total).toBe(report.checks.length);
+      expect(settings).toEqual(expect.objectContaining({ category: 'files', pass: false, severity: 'error' }));
+      expect(settings.remediation).toContain('setup');
+    });
+
+    test('should only fail on checks at or above --fail-on', async () => {
+      await setup({ cwd: repoDir });
+
+      // Only the gh authentication check fails, and it is an error
+      expect(runVerify('--format json --fail-on none').code).toBe(0);
+      expect(runVerify('--format json --fail-on error').code).toBe(1);
+
+      fs.rmSync(path.join(repoDir, 'CHANGELOG.md'));
+      const { stdout } = runVerify('--format json --fail-on none');
+      const failed = JSON.parse(stdout).checks.filter(check => !check.pass).map(check => check.severity);
+      expect(failed.sort()).toEqual(['error', 'warning']);
+    });
+
+    test('should only check the files a minimal setup generated', async () => {
+      await setup({ cwd: repoDir, setupType: 'minimal' });
+
+      const { checks } = JSON.parse(runVerify('--format json --fail-on none').stdout);
+      expect(checks.filter(check => !check.pass).map(check => check.id)).toEqual(['github/cli-authentication']);
+      expect(checks.map(check => check.id)).not.toContain('files/CHANGELOG.md');
+      expect(checks.map(check => check.id)).not.toContain('workflows/.github/workflows/release.yml');
+    });
+
+    test('should write a JUnit report with one failure per failed check', () => {
+      const { stdout } = runVerify('--format junit --fail-on none');
+
+      expect(stdout).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+      expect(stdout).toContain('<testsuite name="security"');
+      expect(stdout).toContain('<failure type="error" message="GitHub CLI Authentication">');
+      expect(stdout).toContain('gh auth login');
+    });
+
+    test('should write SARIF results for failed checks only', () => {
+      const { stdout } = runVerify('--format sarif --fail-on none');
+      const sarif = JSON.parse(stdout);
+      const [run] = sarif.runs;
+
+      expect(sarif.version).toBe('2.1.0');
+      expect(run.tool.driver.name).toBe('mayor-west-mode');
+      run.results.forEach(result => expect(run.tool.driver.rules[result.ruleIndex].id).toBe(result.ruleId));
+      const changelog = run.results.find(result => result.ruleId === 'files/CHANGELOG.md');
+      expect(changelog.level).toBe('warning');
+      expect(changelog.locations[0].physicalLocation.artifactLocation.uri).toBe('CHANGELOG.md');
+      run.results.forEach(result => expect(result.locations).toHaveLength(1));
+    });
+
+    test('should only fail on checks that pass in the --baseline report', async () => {
+      await setup({ cwd: repoDir });
+      const baselinePath = path.join(testWorkspace, 'base.json');
+      fs.writeFileSync(baselinePath, runVerify('--format json --fail-on none').stdout);
+
+      // gh authentication fails in the baseline too
+      expect(runVerify(`--format json --baseline ${baselinePath}`).code).toBe(0);
+
+      fs.rmSync(path.join(repoDir, 'AGENTS.md'));
+      const { code, stdout } = runVerify(`--format markdown --baseline ${baselinePath}`);
+
+      expect(code).toBe(1);
+      expect(stdout).toMatch(/^## Mayor West Verify\n\n\*\*\d+\/\d+ checks passed\*\* in acme\/widgets · 1 new failure\(s\), 0 fixed since the base branch/);
+      expect(stdout).toContain('| ❌ | AGENTS.md (missing) | error | **New failure.** File missing: AGENTS.md.');
+      expect(stdout).toContain('| ❌ | GitHub CLI Authentication | error | Install the GitHub CLI');
+      expect(runVerify('--baseline nope.json').stdout).toContain('Could not read the --baseline report');
+    });
+
+    test('should reject unknown formats and thresholds', () => {
+      expect(runVerify('--format xml')).toEqual(expect.objectContaining({ code: 1 }));
+      expect(runVerify('--fail-on sometimes').stdout).toContain('Invalid --fail-on value: sometimes');
+    });
+
+    test('should recreate missing files with --fix and verify again', async () => {
+      await setup({ cwd: repoDir });
+      fs.rmSync(path.join(repoDir, 'CHANGELOG.md'));
+      fs.rmSync(path.join(repoDir, '.github/CODEOWNERS'));
+
+      const { stdout } = runVerify('--fix --yes --fail-on warning');
+      const manifest = JSON.parse(fs.readFileSync(path.join(repoDir, MANIFEST_PATH), 'utf8'));
+
+      expect(stdout).toContain('Create CHANGELOG.md from the template');
+      expect(stdout).toContain('Create .github/CODEOWNERS from the template');
+      expect(stdout).toContain('Verifying again');
+      expect(fs.readFileSync(path.join(repoDir, 'CHANGELOG.md'), 'utf8')).toBe(templates['CHANGELOG.md']);
+      expect(manifest.files['.github/CODEOWNERS']).toBeDefined();
+
+      const report = JSON.parse(runVerify('--format json --fail-on none').stdout);
+      const failed = report.checks.filter(check => !check.pass).map(check => check.id);
+      expect(failed).toEqual(['github/cli-authentication']);
+    });
+
+    test('should not recreate the auto-merge workflow with --fix when auto-merge was disabled', async () => {
+      await setup({ cwd: repoDir, enableAutoMerge: false, mergeStrategy: 'REBASE' });
+      fs.rmSync(path.join(repoDir, 'CHANGELOG.md'));
+
+      const { stdout } = runVerify('--fix --yes --skip github');
+
+      expect(stdout).toContain('Create CHANGELOG.md from the template');
+      expect(stdout).not.toContain('Create .github/workflows/mayor-west-auto-merge.yml');
+      expect(fs.existsSync(path.join(repoDir, 'CHANGELOG.md'))).toBe(true);
+      expect(fs.existsSync(path.join(repoDir, '.github/workflows/mayor-west-auto-merge.yml'))).toBe(false);
+
+      // The install is complete without the auto-merge workflow
+      const { code, stdout: json } = runVerify('--format json --skip github');
+      const report = JSON.parse(json);
+      expect(code).toBe(0);
+      expect(report.checks.some(check => check.id.includes('auto-merge'))).toBe(false);
+      expect(report.passed).toBe(report.total);
+    });
+
+    test('should select checks with --only and --skip', () => {
+      const only = JSON.parse(runVerify('--format json --only security').stdout);
+      expect(only.checks.map(check => check.id)).toEqual([
+        'files/.vscode/settings.json',
+        'files/.github/mayor-west.yml',
+        'security/codeowners',
+        'security/protected-paths',
+        'security/kill-switch',
+      ]);
+      expect(only.skipped.map(check => check.id)).toEqual([
+        'security/config-schema',
+        'security/protected-workflows',
+        'security/codeowners-protected-paths',
+        'security/command-policy',
+      ]);
+
+      const skip = JSON.parse(runVerify('--format json --skip github,files').stdout);
+      expect(skip.checks.some(check => check.category === 'github' || check.category === 'files')).toBe(false);
+      expect(skip.skipped.map(check => check.id)).toEqual([
+        'workflows/.github/workflows/mayor-west-auto-merge.yml',
+        'workflows/.github/workflows/mayor-west-orchestrator.yml',
+        'workflows/.github/workflows/mayor-west-verify.yml',
+        'workflows/.github/workflows/release.yml',
+        'security/config-schema',
+        'security/protected-workflows',
+        'security/codeowners-protected-paths',
+        'security/command-policy',
+        'copilot/coding-agent',
+      ]);
+
+      // Requirements run too; the check itself is skipped when they fail
+      const single = JSON.parse(runVerify('--format json --only github/auto-merge').stdout);
+      expect(single.checks.map(check => check.id)).toEqual(['core/github-remote', 'github/cli-authentication']);
+      expect(single.skipped).toEqual([
+        { id: 'github/auto-merge', name: 'Auto-Merge Enabled', requires: ['github/cli-authentication'] },
+      ]);
+
+      expect(runVerify('--only nothing').stdout).toContain('Unknown check or category: nothing');
+    });
+
+    test('should inspect branch protection and rulesets on the default branch', async () => {
+      await setup({ cwd: repoDir });
+      const binDir = path.join(testWorkspace, 'bin');
+      fs.mkdirSync(binDir, { recursive: true });
+      writeFakeGh(binDir, path.join(testWorkspace, 'gh.log'), [
+        { match: 'auth status' },
+        {
+          match: 'branches/trunk/protection',
+          stdout: JSON.stringify({
+            required_status_checks: { contexts: ['test (20.x)'] },
+            required_pull_request_reviews: { required_approving_review_count: 0 },
+            enforce_admins: { enabled: false },
+            allow_force_pushes: { enabled: true },
+            allow_deletions: { enabled: false },
+          }),
+        },
+        {
+          match: 'rules/branches/trunk',
+          stdout: JSON.stringify([
+            { type: 'required_status_checks', ruleset_id: 7, ruleset_source_type: 'Repository', parameters: { required_status_checks: [{ context: 'Policy Validation' }] } },
+            { type: 'pull_request', ruleset_id: 7, ruleset_source_type: 'Repository', parameters: { required_approving_review_count: 2 } },
+          ]),
+        },
+        { match: 'rulesets/7', stdout: JSON.stringify({ id: 7, name: 'main-guard', bypass_actors: [{ actor_type: 'RepositoryRole', actor_id: 5 }] }) },
+        { match: 'repos/acme/widgets', stdout: JSON.stringify({ default_branch: 'trunk' }) },
+      ]);
+      const env = { ...process.env, PATH: `${binDir}${path.delimiter}${process.env.PATH}` };
+      const stdout = execSync(`node ${cliPath} verify --format json --fail-on none --only github/required-status-checks,github/required-reviews,github/enforce-admins,github/force-push-blocked,github/deletion-blocked`, { cwd: repoDir, env, encoding: 'utf8' });
+      const byId = id => JSON.parse(stdout).checks.find(check => check.id === id);
+
+      expect(byId('github/branch-protection').name).toBe('Branch Protection on trunk (branch protection, ruleset "main-guard")');
+      expect(byId('github/required-status-checks')).toEqual(expect.objectContaining({ pass: true, statusChecks: ['test (20.x)', 'Policy Validation'] }));
+      expect(byId('github/required-reviews')).toEqual(expect.objectContaining({ pass: true, name: 'Required Reviews: 2' }));
+      expect(byId('github/enforce-admins').pass).toBe(false);
+      expect(byId('github/force-push-blocked').pass).toBe(false);
+      expect(byId('github/deletion-blocked').pass).toBe(true);
+    });
+
+    test('should check the agent token with read-only requests', () => {
+      const binDir = path.join(testWorkspace, 'bin');
+      const ghLog = path.join(testWorkspace, 'gh.log');
+      fs.mkdirSync(binDir, { recursive: true });
+      const http = (status, headers = {}, body = []) => [
+        `HTTP/2.0 ${status}`,
+        ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+        '',
+        JSON.stringify(body),
+      ].join('\r\n');
+      // Expires in three days
+      const expiration = new Date(Date.now() + 3.5 * 24 * 60 * 60 * 1000).toISOString().replace('T', ' ').slice(0, 19) + ' UTC';
+      writeFakeGh(binDir, ghLog, [
+        { match: 'widgets/pulls', stdout: http(403, {}, { message: 'Resource not accessible by personal access token' }), code: 1 },
+        { match: 'widgets/actions/runs', stdout: http(200) },
+        { match: 'widgets/commits', stdout: http(200) },
+        { match: 'widgets/issues', stdout: http(200) },
+        {
+          match: 'api --include repos/acme/widgets',
+          stdout: http(200, { 'GitHub-Authentication-Token-Expiration': expiration }, { private: true, permissions: { push: true } }),
+        },
+      ]);
+      const env = { ...process.env, PATH: `${binDir}${path.delimiter}${process.env.PATH}`, MAYOR_WEST_TOKEN: 'github_pat_secret123' };
+      const run = args => {
+        try {
+          return { code: 0, stdout: execSync(`node ${cliPath} ${args}`, { cwd: repoDir, env, encoding: 'utf8', stdio: 'pipe' }) };
+        } catch (error) {
+          return { code: error.status, stdout: error.stdout };
+        }
+      };
+
+      const { code, stdout } = run('token check --json');
+      const result = JSON.parse(stdout);
+      expect(code).toBe(1);
+      expect(result).toEqual(expect.objectContaining({ type: 'fine-grained', daysLeft: 3, expiring: true }));
+      expect(result.capabilities.map(capability => [capability.id, capability.status])).toEqual([
+        ['approve-runs', 'ok'],
+        ['assign-copilot', 'unverified'],
+        ['merge-prs', 'fail'],
+      ]);
+      expect(fs.readFileSync(ghLog, 'utf8')).not.toContain('github_pat_secret123');
+      expect(run('token check --warn-days 1').stdout).toContain('needs Pull requests (write)');
+      expect(run('token check --warn-days 5').stdout).toContain('The token expires in 3 day(s)');
+
+      const report = JSON.parse(run('verify --format json --fail-on none --only github/agent-token-capabilities').stdout);
+      const check = report.checks.find(c => c.id === 'github/agent-token-capabilities');
+      expect(check.pass).toBe(false);
+      expect(check.name).toContain('fine-grained personal access token, expires ');
+      expect(check.remediation).toBe('These will fail: Merge ready Copilot PRs (needs Pull requests (write))');
+      expect(report.warnings.some(warning => warning.startsWith('The agent token expires in 3 day(s)'))).toBe(true);
+
+      expect(run('token').stdout).toContain('Expected: token check');
+    });
+
+    test('should report config schema errors and unprotected workflows', async () => {
+      await setup({ cwd: repoDir });
+      fs.writeFileSync(path.join(repoDir, '.github/mayor-west.yml'), [
+        '# enabled: false',
+        'protected_paths:',
+        '  - "package.json"',
+        'merge:',
+        '  method: fast-forward',
+      ].join('\n'));
+
+      const report = JSON.parse(runVerify('--format json --only security').stdout);
+      const byId = id => report.checks.find(check => check.id === id);
+
+      expect(byId('security/kill-switch').pass).toBe(true);
+      expect(byId('security/config-schema')).toEqual(expect.objectContaining({ pass: false, file: '.github/mayor-west.yml' }));
+      expect(byId('security/config-schema').remediation).toContain('line 5: merge.method must be one of squash, merge, rebase');
+      expect(byId('security/protected-workflows').pass).toBe(false);
+      expect(byId('security/protected-workflows').unprotected).toContain('.github/workflows/mayor-west-auto-merge.yml');
+    });
+
+    test('should check CODEOWNERS and who owns the protected paths', async () => {
+      await setup({ cwd: repoDir, owner: 'acme', repo: 'widgets' });
+      const byId = () => {
+        const report = JSON.parse(runVerify('--format json --only security').stdout);
+        return Object.assign(id => report.checks.find(check => check.id === id), { warnings: report.warnings });
+      };
+
+      expect(byId()('security/codeowners').pass).toBe(true);
+      expect(byId()('security/codeowners-protected-paths').pass).toBe(true);
+
+      // The protected paths fall back to a default rule that includes Copilot
+      fs.writeFileSync(path.join(repoDir, '.github/CODEOWNERS'), [
+        '* @acme',
+        '* @acme @Copilot',
+        '/.github/ @acme/admins',
+        '/package.json',
+      ].join('\n'));
+      const check = byId();
+      const ownership = check('security/codeowners-protected-paths');
+      expect(ownership.pass).toBe(false);
+      expect(ownership.unowned.map(entry => [entry.pattern, entry.problem])).toEqual([
+        ['package.json', 'no owner'],
+        ['package-lock.json', 'owned by @Copilot'],
+        ['.env*', 'owned by @Copilot'],
+        ['**/secrets/**', 'owned by @Copilot'],
+        ['**/credentials/**', 'owned by @Copilot'],
+      ]);
+      expect(ownership.remediation).toContain('package-lock.json (owned by @Copilot, line 2)');
+      expect(check.warnings).toContain('.github/CODEOWNERS: Line 1 "* @acme" has no effect: line 2 "* @acme @Copilot" matches every path it does, and the last matching rule wins');
+
+      fs.appendFileSync(path.join(repoDir, '.github/CODEOWNERS'), '\n/docs/ acme\n');
+      const codeowners = byId()('security/codeowners');
+      expect(codeowners.pass).toBe(false);
+      expect(codeowners.remediation).toBe('Fix .github/CODEOWNERS: line 5: Invalid owner "acme": expected @user, @org/team or an email address');
+      expect(codeowners.fix).toBeUndefined();
+    });
+
+    test('should run checks from .github/mayor-west-checks.js and plugins', () => {
+      fs.mkdirSync(path.join(repoDir, '.github'), { recursive: true });
+      fs.writeFileSync(path.join(repoDir, '.github/mayor-west-checks.js'), `import fs from 'fs';
+import path from 'path';
+
+export default [
+  {
+    id: 'acme/license',
+    name: 'License File',
+    category: 'acme',
+    severity: 'error',
+    remediation: 'Add a LICENSE file',
+    requires: ['core/git-repository'],
+    run: context => context.readFile('LICENSE') !== null,
+    fix: () => ({
+      description: 'Add the MIT license',
+      apply: ({ cwd }) => fs.writeFileSync(path.join(cwd, 'LICENSE'), 'MIT'),
+    }),
+  },
+];
+`);
+      fs.appendFileSync(path.join(repoDir, '.github/mayor-west.yml'), 'verify:\n  plugins:\n    - acme-checks\n');
+      const pluginDir = path.join(repoDir, 'node_modules/acme-checks');
+      fs.mkdirSync(pluginDir, { recursive: true });
+      fs.writeFileSync(path.join(pluginDir, 'package.json'), '{ "name": "acme-checks", "main": "index.js" }');
+      fs.writeFileSync(path.join(pluginDir, 'index.js'), `module.exports = [{
+  id: 'acme/readme',
+  name: 'Readme',
+  category: 'acme',
+  severity: 'warning',
+  remediation: 'Add a README',
+  run: () => true,
+}];
+`);
+
+      const report = JSON.parse(runVerify('--format json --only acme').stdout);
+      expect(report.checks.filter(check => check.category === 'acme')).toEqual([
+        expect.objectContaining({ id: 'acme/license', pass: false, source: '.github/mayor-west-checks.js' }),
+        expect.objectContaining({ id: 'acme/readme', pass: true, source: 'acme-checks' }),
+      ]);
+
+      const { code, stdout } = runVerify('--only acme --fix --yes');
+      expect(stdout).toContain('Add the MIT license');
+      expect(fs.readFileSync(path.join(repoDir, 'LICENSE'), 'utf8')).toBe('MIT');
+      expect(code).toBe(0);
+    });
+
+    test('should reject invalid custom checks', () => {
+      fs.mkdirSync(path.join(repoDir, '.github'), { recursive: true });
+      fs.writeFileSync(path.join(repoDir, '.github/mayor-west-checks.js'),
+        "export default [{ id: 'acme/bad', name: 'Bad', category: 'acme', severity: 'fatal', remediation: 'x', run: () => true }];\n");
+
+      const { code, stdout } = runVerify('--format json');
+      expect(code).toBe(1);
+      expect(stdout).toContain('Invalid check acme/bad (.github/mayor-west-checks.js): severity must be one of warning, error');
+    });
+
+    test('should report workflow drift and remember accepted differences', async () => {
+      await setup({ cwd: repoDir });
+      const orchestratorPath = path.join(repoDir, '.github/workflows/mayor-west-orchestrator.yml');
+      const original = fs.readFileSync(orchestratorPath, 'utf8');
+      fs.writeFileSync(orchestratorPath, original.replace("cron: '*/5 * * * *'", "cron: '0 * * * *'"));
+
+      const drift = () => JSON.parse(runVerify('--format json --only drift --drift').stdout).checks
+        .find(check => check.id === 'drift/.github/workflows/mayor-west-orchestrator.yml');
+
+      expect(drift().pass).toBe(false);
+      expect(drift().differences.map(diff => diff.message)).toEqual(['Schedule changed: */5 * * * * → 0 * * * *']);
+      expect(runVerify('--only drift --drift').stdout).toContain('· Schedule changed');
+
+      runVerify('--format json --only drift --drift --accept --yes');
+      const manifest = JSON.parse(fs.readFileSync(path.join(repoDir, MANIFEST_PATH), 'utf8'));
+      expect(manifest.drift.accepted).toEqual([
+        expect.objectContaining({ file: '.github/workflows/mayor-west-orchestrator.yml', key: 'schedule-changed:on.schedule' }),
+      ]);
+      expect(drift()).toEqual(expect.objectContaining({ pass: true, differences: [] }));
+
+      // A further change to the same place is reported again
+      fs.writeFileSync(orchestratorPath, original.replace("cron: '*/5 * * * *'", "cron: '30 * * * *'"));
+      expect(drift().pass).toBe(false);
+      expect(runVerify('--accept').stdout).toContain('Add --drift');
+    });
+
+    test('should lint the installed workflows', async () => {
+      await setup({ cwd: repoDir });
+      const lint = () => JSON.parse(runVerify('--format json --only workflows').stdout).checks
+        .filter(check => check.category === 'workflows');
+
+      expect(lint().map(check => [check.id, check.pass])).toEqual([
+        ['workflows/.github/workflows/mayor-west-auto-merge.yml', true],
+        ['workflows/.github/workflows/mayor-west-orchestrator.yml', true],
+        ['workflows/.github/workflows/mayor-west-verify.yml', true],
+        ['workflows/.github/workflows/release.yml', true],
+      ]);
+
+      const autoMergePath = path.join(repoDir, '.github/workflows/mayor-west-auto-merge.yml');
+      fs.writeFileSync(autoMergePath, fs.readFileSync(autoMergePath, 'utf8').replace('} catch (error) {', '} catch (error {'));
+      const [autoMerge] = lint();
+      expect(autoMerge.pass).toBe(false);
+      expect(autoMerge.severity).toBe('error');
+      expect(autoMerge.issues).toEqual([
+        expect.objectContaining({ path: 'jobs.auto-merge.steps[Enable Auto-Merge].with.script' }),
+      ]);
+      expect(runVerify('--only workflows').stdout).toContain('· jobs.auto-merge.steps[Enable Auto-Merge].with.script: Script does not parse');
+    });
+
+    test('should require --yes for --fix with a machine-readable format', () => {
+      const { code, stdout } = runVerify('--format json --fix');
+
+      expect(code).toBe(1);
+      expect(stdout).toContain('Add --yes to apply fixes');
+      expect(fs.existsSync(path.join(repoDir, '.vscode/settings.json'))).toBe(false);
+    });
+  });
+
+  describe('Policy Command', () => {
+    const cliPath = path.join(__dirname, 'cli.js');
+    const policyPath = '.github/mayor-west-policies.yml';
+    let repoDir;
+
+    function policy(args, env = process.env) {
+      try {
+        const stdout = execSync(`node ${cliPath} policy ${args}`, { cwd: repoDir, env, encoding: 'utf8', stdio: 'pipe' });
+        return { code: 0, stdout };
+      } catch (error) {
+        return { code: error.status, stdout: error.stdout };
+      }
+    }
+
+    beforeEach(() => {
+      repoDir = path.join(testWorkspace, 'repo');
+      fs.mkdirSync(repoDir, { recursive: true });
+      execSync('git init -q && git remote add origin git@github.com:acme/widgets.git', { cwd: repoDir });
+    });
+
+    test('should create, validate, list and show the policy file', () => {
+      expect(policy('validate')).toEqual({ code: 1, stdout: expect.stringContaining('Policy file not found') });
+
+      expect(policy('init --strict').code).toBe(0);
+      expect(policy('init').stdout).toContain('already exists. Use --force to replace it.');
+      expect(JSON.parse(policy('validate --json').stdout)).toEqual({
+        valid: true,
+        path: policyPath,
+        version: '1.0',
+        enabled: true,
+        categories: ['files', 'commands', 'commits'],
+      });
+      expect(policy('list').stdout).toMatch(/✓ files +allowed_patterns, blocked_patterns, max_files_per_pr, max_lines_per_file/);
+      expect(JSON.parse(policy('show files --json').stdout).max_files_per_pr).toBe(10);
+      expect(policy('show nope')).toEqual({ code: 1, stdout: expect.stringContaining('Unknown policy category: nope') });
+
+      fs.writeFileSync(path.join(repoDir, policyPath), 'version: 2.0\nenabled: true\npolicies: {}\n', 'utf8');
+      expect(JSON.parse(policy('validate --json').stdout)).toEqual(expect.objectContaining({
+        valid: false,
+        error: 'Unsupported policy version: 2.0. Expected: 1.0',
+      }));
+    });
+
+    test('should test hypothetical changes and honour bypass labels', () => {
+      policy('init --strict');
+
+      const { code, stdout } = policy('test --files "src/index.ts,package.json" --message "fix stuff"');
+      expect(code).toBe(1);
+      expect(stdout).toContain('src/index.ts - ALLOWED (matches **/*)');
+      expect(stdout).toContain('package.json - BLOCKED (matches package.json)');
+      expect(stdout).toContain('Result: FAILED - 2 violation(s)');
+
+      expect(policy('test --files "src/index.ts" --message "[MAYOR] Add the login form"').code).toBe(0);
+      expect(policy('test --files package.json --labels hotfix').code).toBe(0);
+      expect(policy('test').stdout).toContain('Usage: policy test --files');
+    });
+
+    test('should generate the terminal auto-approve rules from the commands policy', async () => {
+      policy('init');
+      const policyFile = path.join(repoDir, policyPath);
+      const custom = yaml.load(fs.readFileSync(policyFile, 'utf8'));
+      custom.policies.commands.allowed.push({ pattern: '^make test\\b', description: 'Run the test suite' });
+      custom.policies.commands.blocked.push({ pattern: '^curl\\b', reason: 'Downloads code' });
+      fs.writeFileSync(policyFile, yaml.dump(custom), 'utf8');
+
+      await setup({ cwd: repoDir });
+      const settingsFile = path.join(repoDir, '.vscode/settings.json');
+      const settings = JSON.parse(fs.readFileSync(settingsFile, 'utf8'));
+      expect(settings['chat.tools.terminal.autoApprove']).toEqual(expect.objectContaining({ 'make test': true, curl: false, rm: false }));
+      expect(fs.readFileSync(path.join(repoDir, '.github/copilot/instructions.md'), 'utf8')).toContain('`curl` - Downloads code');
+      expect(JSON.parse(fs.readFileSync(path.join(repoDir, MANIFEST_PATH), 'utf8')).options.commands).toEqual(custom.policies.commands);
+
+      const commandCheck = () => {
+        const stdout = execSync(`node ${cliPath} verify --format json --fail-on none --only security/command-policy`, { cwd: repoDir, encoding: 'utf8' });
+        return JSON.parse(stdout).checks.find(check => check.id === 'security/command-policy');
+      };
+      expect(commandCheck().pass).toBe(true);
+
+      // Approving a blocked command by hand, or anything the policy doesn't allow
+      settings['chat.tools.terminal.autoApprove'].curl = true;
+      settings['chat.tools.terminal.autoApprove']['docker run'] = true;
+      fs.writeFileSync(settingsFile, JSON.stringify(settings, null, 2), 'utf8');
+      expect(commandCheck()).toEqual(expect.objectContaining({
+        pass: false,
+        differences: [
+          'curl is true, the policy says false',
+          'docker run is auto-approved but not allowed by the policy',
+        ],
+      }));
+
+      expect(policy('test --command "curl https://example.com"')).toEqual({
+        code: 1,
+        stdout: expect.stringContaining('curl https://example.com - BLOCKED (matches ^curl\\b: Downloads code)'),
+      });
+      expect(policy('test --command "make test"').stdout).toContain('make test - AUTO-APPROVED');
+      expect(JSON.parse(policy('test --command "docker ps" --json').stdout)).toEqual({
+        command: 'docker ps',
+        status: 'unlisted',
+        rule: null,
+        reason: 'No rule matches; the command needs approval',
+      });
+    });
+
+    test('should run the quality gate: required checks, coverage and complexity', () => {
+      fs.mkdirSync(path.join(repoDir, '.github'), { recursive: true });
+      fs.writeFileSync(path.join(repoDir, policyPath), yaml.dump({
+        version: '1.0',
+        enabled: true,
+        policies: {
+          quality: {
+            required_checks: [
+              { name: 'tests', command: 'echo all tests passed', min_coverage: 80 },
+              { name: 'lint', command: 'echo 2 problems && exit 3' },
+              { name: 'slow', command: 'sleep 5', timeout: 1, must_pass: false },
+            ],
+            complexity: { max_cyclomatic_complexity: 3 },
+          },
+        },
+        overrides: { partial_bypass: [{ label: 'prototype', bypasses: ['quality.coverage', 'quality.required_checks.lint'] }] },
+      }), 'utf8');
+      fs.mkdirSync(path.join(repoDir, 'coverage'));
+      fs.writeFileSync(path.join(repoDir, 'coverage/lcov.info'), 'SF:src/a.js\nLF:8\nLH:6\nend_of_record\nSF:src/b.js\nLF:2\nLH:1\nend_of_record\n', 'utf8');
+      fs.mkdirSync(path.join(repoDir, 'src'));
+      fs.writeFileSync(path.join(repoDir, 'src/check.js'), 'export function check(a, b) {\n  if (a) return 1;\n  if (b) return 2;\n  return a || b;\n}\n', 'utf8');
+      execSync('git config user.email test@example.com && git config user.name Test && git commit -q --allow-empty -m init', { cwd: repoDir });
+
+      const { code, stdout } = policy('quality --files src/check.js,README.md');
+      expect(code).toBe(1);
+      expect(stdout).toMatch(/✗ tests: echo all tests passed \(\d+\.\ds, 70% coverage\)/);
+      expect(stdout).toContain('    2 problems');
+      expect(stdout).toContain('· Coverage 70% is below the minimum of 80% (coverage/lcov.info)');
+      expect(stdout).toContain('· Required check "lint" failed (exit code 3): echo 2 problems && exit 3');
+      expect(stdout).toContain('· src/check.js:1 check is too complex: cyclomatic complexity 4 > 3');
+      expect(stdout).toContain('⚠ Required check "slow" timed out after 1s: sleep 5');
+      expect(stdout).toContain('Result: FAILED - 3 violation(s)');
+
+      // The changed files default to those since the default branch
+      const bypassed = policy('quality --labels prototype --json');
+      const [result] = JSON.parse(bypassed.stdout).results;
+      expect(result.violations).toEqual(['src/check.js:1 check is too complex: cyclomatic complexity 4 > 3']);
+      expect(result.checks.map(check => [check.name, check.passed])).toEqual([['tests', true], ['slow', false]]);
+      expect(result.checks[1]).toEqual(expect.objectContaining({ timedOut: true, mustPass: false }));
+
+      // The base ref reaches git as an argument, never through a shell
+      const marker = path.join(testWorkspace, 'pwned');
+      expect(policy(`quality --base 'main$(touch ${marker})'`).stdout).toContain('Could not list the files changed since');
+      expect(fs.existsSync(marker)).toBe(false);
+    });
+
+    test('should dry-run the policies against a pull request through gh', () => {
+      policy('init');
+      const binDir = path.join(testWorkspace, 'bin');
+      const ghLog = path.join(testWorkspace, 'gh.log');
+      fs.mkdirSync(binDir, { recursive: true });
+      writeFakeGh(binDir, ghLog, [
+        { match: 'auth status' },
+        { match: 'pulls/42/files', stdout: JSON.stringify([{ filename: 'src/app.js', additions: 1500, deletions: 2 }]) },
+        { match: 'pulls/42/commits', stdout: JSON.stringify([{ commit: { message: '[MAYOR] Add the login form\n\nFixes #7' } }]) },
+        { match: 'pulls/42', stdout: JSON.stringify({ number: 42, title: '[MAYOR] Add the login form', labels: [] }) },
+      ]);
+      const env = { ...process.env, PATH: `${binDir}${path.delimiter}${process.env.PATH}` };
+
+      const { code, stdout } = policy('dry-run --pr-number 42', env);
+      expect(code).toBe(1);
+      expect(stdout).toContain('PR #42: [MAYOR] Add the login form');
+      expect(stdout).toContain('File src/app.js has too many changes: 1502 > 1000');
+      expect(stdout).toContain('✓ commits: passed');
+      expect(stdout).toContain('Action: Would block auto-merge');
+      expect(fs.readFileSync(ghLog, 'utf8')).toContain('api repos/acme/widgets/pulls/42/files?per_page=100');
+      expect(policy('dry-run').stdout).toContain('Usage: policy dry-run --pr-number <n>');
+    });
+
+    const dependencyPolicy = {
+      version: '1.0',
+      enabled: true,
+      policies: {
+        dependencies: {
+          mode: 'approval_required',
+          blacklist: { npm: ['*crypto*'] },
+          approval_required: [{ condition: 'new_dependency', label: 'dependencies', notify: '@tech-lead' }],
+        },
+      },
+    };
+
+    test('should check the dependencies changed since the base branch', () => {
+      execSync('git config user.email test@example.com && git config user.name Test', { cwd: repoDir });
+      fs.mkdirSync(path.join(repoDir, '.github'));
+      fs.writeFileSync(path.join(repoDir, policyPath), yaml.dump(dependencyPolicy), 'utf8');
+      fs.writeFileSync(path.join(repoDir, 'package.json'), JSON.stringify({ dependencies: { express: '^4.18.0' } }), 'utf8');
+      execSync('git add -A && git commit -qm base && git branch -M main', { cwd: repoDir });
+      fs.writeFileSync(path.join(repoDir, 'package.json'), JSON.stringify({ dependencies: { express: '^5.0.0', 'crypto-js': '^4.2.0' } }), 'utf8');
+
+      const { code, stdout } = policy('dependencies');
+      expect(code).toBe(1);
+      expect(stdout).toMatch(/upgraded +npm express 4\.18\.0 → 5\.0\.0 \(major\)/);
+      expect(stdout).toContain('· npm crypto-js 4.2.0 is blacklisted (matches *crypto*)');
+      expect(stdout).toContain('· Needs the "dependencies" label (new_dependency): npm crypto-js 4.2.0');
+      expect(stdout).toContain('Request a review from: @tech-lead');
+
+      const labelled = JSON.parse(policy('dependencies --labels dependencies --json').stdout);
+      expect(labelled.base).toBe('main');
+      expect(labelled.results[0].violations).toEqual(['npm crypto-js 4.2.0 is blacklisted (matches *crypto*)']);
+
+      // The base ref reaches git as an argument, never through a shell
+      const marker = path.join(testWorkspace, 'pwned');
+      expect(policy(`dependencies --base 'main$(touch ${marker})'`).code).toBe(1);
+      expect(fs.existsSync(marker)).toBe(false);
+    });
+
+    test('should dry-run the dependency policy with the manifests at both ends of a pull request', () => {
+      fs.mkdirSync(path.join(repoDir, '.github'));
+      fs.writeFileSync(path.join(repoDir, policyPath), yaml.dump(dependencyPolicy), 'utf8');
+      const binDir = path.join(testWorkspace, 'bin');
+      const ghLog = path.join(testWorkspace, 'gh.log');
+      fs.mkdirSync(binDir, { recursive: true });
+      writeFakeGh(binDir, ghLog, [
+        { match: 'auth status' },
+        { match: 'pulls/7/files', stdout: JSON.stringify([{ filename: 'package.json', additions: 1, deletions: 0 }]) },
+        { match: 'pulls/7/commits', stdout: JSON.stringify([]) },
+        { match: 'pulls/7', stdout: JSON.stringify({ number: 7, title: 'Add lodash', labels: [], base: { sha: 'b4se' }, head: { sha: 'he4d' } }) },
+        { match: 'contents/package.json?ref=b4se', stdout: JSON.stringify({ dependencies: {} }) },
+        { match: 'contents/package.json?ref=he4d', stdout: JSON.stringify({ dependencies: { lodash: '^4.17.21' } }) },
+        { match: 'contents/', code: 1, stderr: 'gh: Not Found (HTTP 404)' },
+      ]);
+      const env = { ...process.env, PATH: `${binDir}${path.delimiter}${process.env.PATH}` };
+
+      const { code, stdout } = policy('dry-run --pr-number 7', env);
+      expect(code).toBe(1);
+      expect(stdout).toContain('Dependency changes: 1');
+      expect(stdout).toContain('· Needs the "dependencies" label (new_dependency): npm lodash 4.17.21');
+      expect(fs.readFileSync(ghLog, 'utf8')).toContain('-H Accept: application/vnd.github.raw+json repos/acme/widgets/contents/package-lock.json?ref=b4se');
+    });
+
+    test('should dry-run the pull request policy: title, sections, labels and reviewers', () => {
+      fs.mkdirSync(path.join(repoDir, '.github'));
+      fs.writeFileSync(path.join(repoDir, policyPath), yaml.dump({
+        version: '1.0',
+        enabled: true,
+        policies: {
+          pull_requests: {
+            title: { pattern: '^\\[MAYOR\\]\\s+.+', example: '[MAYOR] Add feature X' },
+            description: { required_sections: ['## Changes', '## Testing'] },
+            required_labels: ['mayor-task'],
+            auto_add_labels: [{ condition: 'touches_test_files', label: 'tests' }],
+            required_reviewers: [{ condition: 'touches_security_files', reviewers: ['@acme/security'] }],
+          },
+        },
+      }), 'utf8');
+      const binDir = path.join(testWorkspace, 'bin');
+      const ghLog = path.join(testWorkspace, 'gh.log');
+      fs.mkdirSync(binDir, { recursive: true });
+      writeFakeGh(binDir, ghLog, [
+        { match: 'auth status' },
+        { match: 'pulls/9/files', stdout: JSON.stringify([{ filename: 'src/auth/login.test.js', additions: 20, deletions: 0 }]) },
+        { match: 'pulls/9/commits', stdout: JSON.stringify([]) },
+        { match: 'pulls/9', stdout: JSON.stringify({ number: 9, title: 'Fix login', body: '## Changes\nChecks the password', labels: [{ name: 'mayor-task' }] }) },
+      ]);
+      const env = { ...process.env, PATH: `${binDir}${path.delimiter}${process.env.PATH}` };
+
+      const { code, stdout } = policy('dry-run --pr-number 9', env);
+      expect(code).toBe(1);
+      expect(stdout).toContain('✗ pull_requests: 2 violation(s)');
+      expect(stdout).toContain("· Title doesn't match required format: [MAYOR] Add feature X");
+      expect(stdout).toContain('· Description is missing the "## Testing" section');
+      expect(stdout).toContain('Add the label(s): tests');
+      expect(stdout).toContain('Request a review from: @acme/security');
+
+      const result = JSON.parse(policy('dry-run --pr-number 9 --json', env).stdout).results[0];
+      expect(result.actions).toEqual([
+        { condition: 'touches_test_files', label: 'tests' },
+        { condition: 'touches_security_files', reviewers: ['@acme/security'] },
+      ]);
+    });
+  });
+
+  describe('Node API', () => {
+    let repoDir;
+
+    beforeEach(() => {
+      repoDir = path.join(testWorkspace, 'repo');
+      fs.mkdirSync(repoDir, { recursive: true });
+      execSync('git init -q && git remote add origin git@github.com:acme/widgets.git', { cwd: repoDir });
+    });
+
+    test('setup should write files into cwd and report them', async () => {
+      const result = await setup({ cwd: repoDir, setupType: 'minimal', mergeStrategy: 'REBASE' });
+
+      expect(result.repository).toBe('acme/widgets');
+      expect(result.files.created).toContain('.github/mayor-west.yml');
+      expect(result.files.created).not.toContain('CHANGELOG.md');
+      expect(fs.readFileSync(path.join(repoDir, '.github/mayor-west.yml'), 'utf8')).toContain('method: rebase');
+      expect(fs.existsSync(path.join(repoDir, MANIFEST_PATH))).toBe(true);
+
+      const again = await setup({ cwd: repoDir, setupType: 'minimal', mergeStrategy: 'REBASE' });
+      expect(again.files.created).toEqual([]);
+      expect(again.files.unchanged).toContain('.github/mayor-west.yml');
+    });
+
+    test('setup should plan without writing on a dry run', async () => {
+      const result = await setup({ cwd: repoDir, dryRun: true });
+
+      expect(result.plan.files.every(file => file.action === 'create')).toBe(true);
+      expect(fs.existsSync(path.join(repoDir, '.github'))).toBe(false);
+    });
+
+    test('setup should ask the open questions through prompt and report its progress', async () => {
+      const asked = [];
+      const events = [];
+      const prompt = async (questions) => {
+        asked.push(...questions.map(question => question.name));
+        if (questions[0].name === 'setupType') {
+          return { setupType: 'custom', enableAutoMerge: true, iterationLimit: '20' };
+        }
+        return Object.fromEntries(questions.map(question => [question.name, question.name === '.github/mayor-west.yml']));
+      };
+
+      const result = await setup({ cwd: repoDir, mergeStrategy: 'MERGE', prompt, report: event => events.push(event) });
+
+      expect(asked.slice(0, 3)).toEqual(['setupType', 'enableAutoMerge', 'iterationLimit']);
+      expect(asked).toContain('AGENTS.md');
+      expect(result.files.created).toEqual(['.github/mayor-west.yml']);
+      expect(result.options).toEqual({ mergeStrategy: 'MERGE', enableAutoMerge: true, iterationLimit: 20 });
+      expect(events.map(event => `${event.type}:${event.step}`)).toEqual(['step:files', 'file:files', 'done:files']);
+      expect(events[1].file.path).toBe('.github/mayor-west.yml');
+    });
+
+    test('setup should reject invalid options', async () => {
+      await expect(setup({ cwd: repoDir, mergeStrategy: 'FAST' })).rejects.toThrow('mergeStrategy');
+      await expect(setup({ cwd: repoDir, files: ['nope.md'] })).rejects.toThrow('Unknown file(s) in files: nope.md');
+
+      const outsideGit = fs.mkdtempSync(path.join(os.tmpdir(), 'mayor-west-'));
+      try {
+        await expect(setup({ cwd: outsideGit })).rejects.toThrow('Not a git repository');
+      } finally {
+        fs.rmSync(outsideGit, { recursive: true, force: true });
+      }
+    });
+
+    test('verify should return structured check results', async () => {
+      await setup({ cwd: repoDir });
+      const result = await verify({ cwd: repoDir, github: false });
+
+      expect(result.repository).toBe('acme/widgets');
+      expect(result.total).toBe(result.checks.length);
+      expect(result.checks.every(check => check.pass)).toBe(true);
+      expect(result.checks.find(check => check.name === 'Layer 3: Kill Switch Active')).toEqual(
+        expect.objectContaining({ category: 'security', pass: true })
+      );
+    });
+
+    test('verify should report missing files with a message', async () => {
+      const result = await verify({ cwd: repoDir, github: false });
+      const codeowners = result.checks.find(check => check.name.startsWith('.github/CODEOWNERS'));
+
+      expect(codeowners.pass).toBe(false);
+      expect(codeowners.severity).toBe('error');
+      expect(codeowners.remediation).toContain('File missing: .github/CODEOWNERS');
+      expect(result.passed).toBeLessThan(result.total);
+    });
+
+    test('verify should run extra checks passed in and validate them', async () => {
+      const ticket = {
+        id: 'acme/ticket-template',
+        name: 'Ticket Template',
+        category: 'acme',
+        severity: 'warning',
+        remediation: 'Add .github/ISSUE_TEMPLATE/ticket.md',
+        requires: ['core/git-repository'],
+        run: context => context.readFile('.github/ISSUE_TEMPLATE/ticket.md') !== null,
+      };
+
+      const result = await verify({ cwd: repoDir, github: false, only: ['acme'], checks: [ticket] });
+      expect(result.checks.map(check => check.id)).toEqual(['core/git-repository', 'acme/ticket-template']);
+      expect(result.checks[1]).toEqual(expect.objectContaining({ pass: false, source: 'verify()' }));
+
+      await expect(verify({ cwd: repoDir, checks: [{ ...ticket, id: 'core/git-repository' }] }))
+        .rejects.toThrow('Duplicate check id: core/git-repository');
+      await expect(verify({ cwd: repoDir, checks: [{ ...ticket, requires: ['acme/missing'] }] }))
+        .rejects.toThrow('Check acme/ticket-template requires unknown check acme/missing');
+    });
+
+    test('verify should fail a check that throws', async () => {
+      const broken = {
+        id: 'acme/broken',
+        name: 'Broken Check',
+        category: 'acme',
+        severity: 'error',
+        remediation: 'Fix the check',
+        run: () => { throw new Error('Cannot read the ticket template'); },
+      };
+
+      const result = await verify({ cwd: repoDir, github: false, only: ['acme'], checks: [broken] });
+      expect(result.checks).toEqual([expect.objectContaining({
+        id: 'acme/broken',
+        pass: false,
+        severity: 'error',
+        remediation: 'Cannot read the ticket template',
+      })]);
+      expect(result.passed).toBe(0);
+    });
+
+    test('plan should build issues without creating them on a dry run', async () => {
+      const issues = await plan(
+        ['Add login form', { title: 'Add session API', criteria: ['Returns 401 when logged out'] }],
+        { goal: 'User accounts', cwd: repoDir, dryRun: true }
+      );
+
+      expect(issues.map(issue => issue.title)).toEqual(['Add login form', 'Add session API']);
+      expect(issues[1].body).toContain('**Goal:** User accounts');
+      expect(issues[1].body).toContain('- [ ] Returns 401 when logged out');
+      expect(issues[0].url).toBeUndefined();
+    });
+
+    test('plan should pass titles and bodies to gh without a shell', async () => {
+      const binDir = path.join(testWorkspace, 'bin');
+      const ghLog = path.join(testWorkspace, 'gh.log');
+      fs.mkdirSync(binDir, { recursive: true });
+      writeFakeGh(binDir, ghLog, [{ match: 'issue create', stdout: 'https://github.com/acme/widgets/issues/7\n' }]);
+      const marker = path.join(testWorkspace, 'pwned');
+      const tasks = [{ title: `Escape $(touch ${marker}) and \`touch ${marker}\``, context: 'Run "$(id)"' }];
+      // plan() runs in a child process so the fake gh is first on its PATH
+      const script = path.join(testWorkspace, 'run-plan.mjs');
+      fs.writeFileSync(script, [
+        `import { plan } from ${JSON.stringify(path.join(__dirname, 'index.js'))};`,
+        `const issues = await plan(${JSON.stringify(tasks)}, { cwd: ${JSON.stringify(repoDir)} });`,
+        'console.log(JSON.stringify(issues));',
+      ].join('\n'));
+
+      const issues = JSON.parse(execSync(`node ${JSON.stringify(script)}`, {
+        encoding: 'utf8',
+        env: { ...process.env, PATH: `${binDir}${path.delimiter}${process.env.PATH}` },
+      }));
+
+      expect(issues[0]).toEqual(expect.objectContaining({ number: '7', url: 'https://github.com/acme/widgets/issues/7' }));
+      expect(fs.existsSync(marker)).toBe(false);
+      const call = fs.readFileSync(ghLog, 'utf8');
+      expect(call).toContain(`--title [MAYOR] Escape $(touch ${marker}) and \`touch ${marker}\``);
+      expect(call).toContain('Run "$(id)"');
+    });
+  });
+
   describe('Complete Workflow Simulation', () => {
     test('should simulate complete file setup workflow', () => {
       // Step 1: Create all directories
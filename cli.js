@@ -15,10 +15,62 @@
 import fs from 'fs';
 import path from 'path';
 import { execSync } from 'child_process';
+import { fileURLToPath } from 'url';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import ora from 'ora';
+import yaml from 'js-yaml';
 import pkg from './package.json' with { type: 'json' };
+import { FILES_TO_CREATE, resolveTemplateOptions } from './lib/templates.js';
+import { splitLines, unifiedDiff } from './lib/diff.js';
+import {
+  isGitRepository,
+  getGitRemoteUrl,
+  getGitBranch,
+  parseGitHubUrl,
+  getGitHubInfo,
+  ensureDirectory,
+} from './lib/repo.js';
+import {
+  AGENT_TOKEN_SECRET,
+  GITHUB_SETTINGS,
+  isGhCliAuthenticated,
+  readGitHubSettings,
+  planGitHubSettings,
+  applyGitHubSetting,
+  formatSettingValue,
+} from './lib/github.js';
+import {
+  MANIFEST_PATH,
+  FILE_STATUS_LABELS,
+  readManifest,
+  writeManifest,
+  recordGitHubChanges,
+  recordAcceptedDrift,
+  getInstallStatus,
+  detectInstalledOptions,
+} from './lib/install.js';
+import { planUpgrade } from './lib/upgrade.js';
+import { setup } from './lib/setup.js';
+import { verify, failingChecks, compareWithBaseline, FAIL_ON_LEVELS, CUSTOM_CHECKS_PATH } from './lib/verify.js';
+import { formatVerifyReport, REPORT_FORMATS } from './lib/report.js';
+import { planFixes, applyFixes } from './lib/fix.js';
+import { createTaskIssue } from './lib/plan.js';
+import { checkToken, tokenFromEnv, DEFAULT_EXPIRY_WARNING_DAYS } from './lib/token.js';
+import {
+  POLICY_FILE_PATH,
+  POLICY_CATEGORIES,
+  loadPolicy,
+  policyTemplateOptions,
+  generateDefaultPolicy,
+  checkFilePatterns,
+  validateCommand,
+  evaluatePolicy,
+  runQualityGate,
+  fetchPullRequestChange,
+} from './lib/policy-system.js';
+import { changedFiles, defaultBaseRef } from './lib/quality.js';
+import { dependencyChangesSince, describeDependencyChange } from './lib/dependencies.js';
 
 // ============================================================================
 // CONFIGURATION & CONSTANTS
@@ -30,77 +82,8 @@ const MAYOR_WEST_CONFIG = {
   description: 'Autonomous GitHub Copilot development workflow',
 };
 
-const FILES_TO_CREATE = {
-  // Core Configuration
-  '.vscode/settings.json': {
-    displayName: 'VS Code YOLO Settings',
-    category: 'configuration',
-    critical: true,
-  },
-  '.github/agents/mayor-west-mode.md': {
-    displayName: 'Copilot Agent Instructions',
-    category: 'agent',
-    critical: true,
-  },
-  '.github/workflows/mayor-west-auto-merge.yml': {
-    displayName: 'Auto-Merge Workflow',
-    category: 'workflow',
-    critical: true,
-  },
-  '.github/workflows/mayor-west-orchestrator.yml': {
-    displayName: 'Orchestrator Workflow',
-    category: 'workflow',
-    critical: true,
-  },
-  '.github/ISSUE_TEMPLATE/mayor-task.md': {
-    displayName: 'Task Template',
-    category: 'template',
-    critical: false,
-  },
-  // Security Layer Files
-  '.github/CODEOWNERS': {
-    displayName: 'CODEOWNERS (Actor Allowlist)',
-    category: 'security',
-    critical: true,
-  },
-  '.github/mayor-west.yml': {
-    displayName: 'Security Config (Protected Paths)',
-    category: 'security',
-    critical: true,
-  },
-  // Copilot Integration
-  '.github/copilot/instructions.md': {
-    displayName: 'Copilot SWE Agent Instructions',
-    category: 'copilot',
-    critical: true,
-  },
-  '.github/copilot-instructions.md': {
-    displayName: 'Project Copilot Instructions',
-    category: 'copilot',
-    critical: true,
-  },
-  'AGENTS.md': {
-    displayName: 'Root Agent File',
-    category: 'copilot',
-    critical: true,
-  },
-  // Versioning
-  '.versionrc.json': {
-    displayName: 'Semantic Version Config',
-    category: 'versioning',
-    critical: false,
-  },
-  'CHANGELOG.md': {
-    displayName: 'Changelog',
-    category: 'versioning',
-    critical: false,
-  },
-  '.github/workflows/release.yml': {
-    displayName: 'Release Workflow',
-    category: 'versioning',
-    critical: false,
-  },
-};
+// uninstall archives removed files here, one timestamped directory per run
+const BACKUP_DIR = '.mayor-west-backups';
 
 // ============================================================================
 // UTILITY FUNCTIONS
@@ -115,51 +98,6 @@ const log = {
   divider: () => console.log(chalk.gray('─'.repeat(60))),
 };
 
-function isGitRepository() {
-  try {
-    execSync('git rev-parse --git-dir', { stdio: 'ignore' });
-    return true;
-  } catch (e) {
-    return false;
-  }
-}
-
-function getGitRemoteUrl() {
-  try {
-    return execSync('git config --get remote.origin.url', { encoding: 'utf-8' }).trim();
-  } catch (e) {
-    return null;
-  }
-}
-
-function getGitBranch() {
-  try {
-    return execSync('git rev-parse --abbrev-ref HEAD', { encoding: 'utf-8' }).trim();
-  } catch (e) {
-    return 'main';
-  }
-}
-
-function parseGitHubUrl(url) {
-  // Supports both https and SSH URLs
-  const httpsMatch = url.match(/github\.com\/([^/]+)\/([^/]+?)(\.git)?$/);
-  const sshMatch = url.match(/git@github\.com:([^/]+)\/([^/]+?)(\.git)?$/);
-
-  if (httpsMatch) {
-    return { owner: httpsMatch[1], repo: httpsMatch[2] };
-  } else if (sshMatch) {
-    return { owner: sshMatch[1], repo: sshMatch[2] };
-  }
-  return null;
-}
-
-function ensureDirectory(dir) {
-  const dirname = path.dirname(dir);
-  if (!fs.existsSync(dirname)) {
-    fs.mkdirSync(dirname, { recursive: true });
-  }
-}
-
 function openUrl(url) {
   // Open URL in system default browser
   const platform = process.platform;
@@ -177,1026 +115,752 @@ function openUrl(url) {
   }
 }
 
+// Flags that never take a value, so `--dry-run foo` keeps `foo` positional
+const BOOLEAN_FLAGS = new Set([
+  'dry-run',
+  'yes',
+  'force',
+  'json',
+  'version',
+  'help',
+  'auto-merge',
+  'commit',
+  'configure-github',
+  'revert-settings',
+  'fix',
+  'drift',
+  'accept',
+  'strict',
+]);
+
+function parseArgs(argv) {
+  // Supports --flag, --flag=value, --flag value, --no-flag and -y
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-y') {
+      flags.yes = true;
+    } else if (arg.startsWith('--')) {
+      const eqIndex = arg.indexOf('=');
+      const rawKey = eqIndex === -1 ? arg.slice(2) : arg.slice(2, eqIndex);
+      const key = rawKey.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+      if (eqIndex !== -1) {
+        flags[key] = arg.slice(eqIndex + 1);
+      } else if (rawKey.startsWith('no-')) {
+        flags[key.charAt(2).toLowerCase() + key.slice(3)] = false;
+      } else if (!BOOLEAN_FLAGS.has(rawKey) && argv[i + 1] !== undefined && !argv[i + 1].startsWith('-')) {
+        flags[key] = argv[++i];
+      } else {
+        flags[key] = true;
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { command: positional[0], positional: positional.slice(1), flags };
+}
+
 // ============================================================================
-// FILE TEMPLATES
+// DIFF OUTPUT
 // ============================================================================
 
-const fileTemplates = {
-  '.vscode/settings.json': (options = {}) => JSON.stringify({
-    'chat.tools.autoApprove': true,
-    'chat.tools.terminal.autoApprove': {
-      '/^git\\s+(commit|push)\\b/': true,
-      '/^(npm|pnpm|yarn)\\s+(test|lint|build)\\b/': true,
-      '/^(npm|pnpm|yarn)\\s+run\\s+(test|lint|format)\\b/': true,
-      'rm': false,
-      'kill': false,
-      'git reset --hard': false,
-      'rm -rf': false,
-    },
-    'chat.agent.iterationLimit': 15,
-    'chat.agent.maxTokensPerIteration': 4000,
-    'chat.agent.slowMode': false,
-  }, null, 2),
+function printUnifiedDiff(diff, indent = '    ') {
+  splitLines(diff).forEach(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) {
+      console.log(indent + chalk.bold(line));
+    } else if (line.startsWith('@@')) {
+      console.log(indent + chalk.cyan(line));
+    } else if (line.startsWith('+')) {
+      console.log(indent + chalk.green(line));
+    } else if (line.startsWith('-')) {
+      console.log(indent + chalk.red(line));
+    } else {
+      console.log(indent + chalk.gray(line));
+    }
+  });
+}
 
-  '.github/agents/mayor-west-mode.md': (options = {}) => `# Mayor West Mode - Copilot Agent Protocol
+// ============================================================================
+// GITHUB REPOSITORY SETTINGS
+// ============================================================================
 
-You are operating in **Mayor West Mode**: eccentric, confident, autonomous.
+/**
+ * Apply every changed entry from planGitHubSettings(), reporting each one.
+ *
+ * @returns {{applied: Array<Object>, failed: Array<Object>}}
+ */
+function applyGitHubSettings(target, changes, options = {}) {
+  const applied = [];
+  const failed = [];
+
+  for (const change of changes) {
+    if (!change.changed) {
+      printSettingResult(change, target.branch);
+      continue;
+    }
 
-## ⚠️ CRITICAL: Issue-Only Workflow
+    try {
+      applyGitHubSetting(target, change, options);
+      applied.push(change);
+      printSettingResult(change, target.branch);
+    } catch (e) {
+      failed.push(change);
+      printSettingResult(change, target.branch, e);
+    }
+  }
 
-**YOU MUST ONLY WORK ON TASKS THAT COME FROM GITHUB ISSUES.**
+  return { applied, failed };
+}
 
-### Mandatory Rules
+function printSettingResult(change, branch, error) {
+  const label = change.key === 'branch_protection' ? `${change.label} (${branch})` : change.label;
 
-1. **REFUSE** any direct code change requests that don't reference an issue
-2. **REFUSE** to implement features without an associated issue number
-3. **ALWAYS** verify the issue exists and is assigned to you before starting
-4. If asked to do work without an issue:
-   - Respond: "I can only work on tasks from GitHub issues. Please create an issue with the \`mayor-task\` label and I'll be automatically assigned."
-   - Do NOT proceed with the work
+  if (error) {
+    ora().fail(`Could not update ${label} (may require admin access)`);
+  } else if (change.changed) {
+    ora().succeed(`${label}: ${formatSettingValue(change.after, change)}`);
+  } else {
+    ora().succeed(`${label} already configured`);
+  }
+}
 
-### Why Issues?
-
-- Issues provide a clear audit trail
-- Issues define acceptance criteria
-- Issues enable the auto-assignment workflow
-- Issues allow proper PR linking with \`Fixes #<number>\`
+function printSettingsDiff(changes, branch) {
+  changes.forEach(change => {
+    const label = change.key === 'branch_protection' ? `${change.label} (${branch})` : change.label;
+    const before = formatSettingValue(change.before, change);
 
-## Your Mission
+    if (change.changed) {
+      const after = formatSettingValue(change.after, change);
+      console.log(`  ${chalk.yellow('~')} ${label.padEnd(40)} ${chalk.red(before)} → ${chalk.green(after)}`);
+    } else if (change.skipped) {
+      console.log(`  ${chalk.yellow('!')} ${label.padEnd(40)} ${chalk.yellow(before)} ${chalk.gray(`(${change.skipped})`)}`);
+    } else {
+      console.log(`  ${chalk.green('=')} ${label.padEnd(40)} ${chalk.gray(`${before} (unchanged)`)}`);
+    }
+  });
+}
 
-When assigned a GitHub issue with the \`mayor-task\` label, you are responsible for:
-1. **Verifying** you have a valid issue number assigned to you
-2. **Understanding** the complete task by reading the issue details
-3. **Implementing** all acceptance criteria from the issue
-4. **Testing** your implementation with the project's test suite
-5. **Committing** with format: \`[MAYOR] <description>\` and \`Fixes #<issue>\`
-6. **Creating/Updating** a pull request for review and merge
+// ============================================================================
+// NON-INTERACTIVE SETUP
+// ============================================================================
+
+// Every answer setup can take from an answers file (see `setup --answers`)
+const SETUP_ANSWER_KEYS = [
+  'setupType',
+  'enableAutoMerge',
+  'mergeStrategy',
+  'iterationLimit',
+  'files',
+  'autoConfigureSettings',
+  'autoCommit',
+];
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const normalized = String(value).toLowerCase();
+  if (['true', 'yes', 'on', '1'].includes(normalized)) return true;
+  if (['false', 'no', 'off', '0'].includes(normalized)) return false;
+  throw new Error(`Expected true or false, got: ${value}`);
+}
 
-## Operating Principles
+/**
+ * Load setup answers from a YAML (or JSON) file.
+ *
+ * @param {string} filePath - Path to the answers file
+ * @returns {Object} Answers keyed like the setup prompts
+ * @throws {Error} If the file is missing, unparsable or has unknown keys
+ */
+function loadAnswersFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Answers file not found: ${filePath}`);
+  }
 
-### 1. Validate the Issue First
-- Confirm issue number exists
-- Confirm you are assigned to the issue
-- If no issue: STOP and ask user to create one
-- If not assigned: STOP and wait for assignment
-
-### 2. Read the Issue Completely
-- Parse the issue title and description thoroughly
-- Extract all acceptance criteria (numbered list or checklist)
-- Identify testing requirements
-- Note any technical constraints or architectural guidelines
-
-### 3. Implement with Autonomy
-- Make architectural decisions based on code style in the repository
-- Use existing patterns and conventions
-- Don't ask for clarification—infer intent from context
-- Iterate on your own output when initial attempts fail
-
-### 4. Test Before Committing
-- Run the project's test suite: \`npm test\`, \`pytest\`, or equivalent
-- Ensure all tests pass before committing
-- If tests fail, analyze the error and fix your implementation
-- Don't commit broken code under any circumstances
-
-### 5. Commit with Issue Reference
-- Use format: \`[MAYOR] <issue-title>: <specific-change>\`
-- **MUST** include: \`Fixes #<issue-number>\` or \`Closes #<issue-number>\`
-- Example: \`[MAYOR] Add authentication flow: Implement JWT verification\\n\\nFixes #42\`
-
-### 6. Create or Update Pull Request
-- Push your branch (YOLO auto-approval will handle this)
-- GitHub will automatically create/update the PR
-- The PR title should match the issue title
-- PR body **MUST** include: \`Fixes #<issue-number>\`
-
-## Refusing Work Without Issues
-
-When asked to make changes without an issue reference:
-
-\`\`\`
-User: "Add a dark mode toggle to the settings page"
-
-Your response:
-"I operate in Mayor West Mode and can only work on tasks from GitHub issues.
-
-To proceed:
-1. Create a new issue at: [repo]/issues/new
-2. Use the 'mayor-task' template
-3. Describe the feature: 'Add dark mode toggle to settings page'
-4. I'll be automatically assigned and will implement it
-
-This ensures proper tracking, clear acceptance criteria, and a clean audit trail."
-\`\`\`
-
-## Failure Recovery
-
-If something fails:
-1. **Test Failure**: Analyze the error, fix your code, re-run tests, commit again
-2. **Type Errors**: Review type definitions, fix implementation, re-run tests
-3. **Linting Errors**: Run formatter (\`prettier\`, \`black\`), commit, re-run tests
-4. **Import Errors**: Check imports are correct, verify file paths, fix, re-run tests
-5. **Merge Conflict**: Rebase onto latest main, resolve conflicts, force-push
+  let answers;
+  try {
+    answers = yaml.load(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid answers file ${filePath}: ${err.message}`);
+  }
 
-**You have 15 iterations maximum**—use them wisely.
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    throw new Error(`Answers file must be a mapping of answers: ${filePath}`);
+  }
 
-## Safety Constraints
-
-- **Never** use \`rm -rf\` or destructive commands without confirmation
-- **Never** force-push to \`main\` or \`master\`
-- **Always** run tests before committing
-- **Always** respect branch protection rules
-- **Always** create PRs—don't push directly to main
-- **Always** work from issues—never from direct requests
-
-## Success Metrics
-
-You have successfully completed a task when:
-- ✅ Task originated from a GitHub issue
-- ✅ All acceptance criteria implemented
-- ✅ All tests pass
-- ✅ Code linting passes
-- ✅ PR created with \`Fixes #<issue-number>\`
-- ✅ PR is ready for auto-merge
-
-**Remember**: Mayor West works autonomously, but ONLY on properly issued tasks.
-`,
-
-  '.github/workflows/mayor-west-auto-merge.yml': (options = {}) => `name: Mayor West Auto-Merge
-# IMPORTANT: Uses pull_request_target to run in base repo context
-# This avoids "first-time contributor" approval requirements for Copilot PRs
-
-on:
-  pull_request_target:
-    types: [opened, synchronize, reopened]
-
-permissions:
-  contents: read
-  pull-requests: write
-
-jobs:
-  auto-merge:
-    runs-on: ubuntu-latest
-    if: github.actor == 'copilot-swe-agent' || github.actor == 'copilot' || github.actor == 'copilot[bot]'
-    
-    steps:
-      - name: Enable Auto-Merge
-        uses: actions/github-script@v7
-        with:
-          github-token: \${{ secrets.GITHUB_TOKEN }}
-          script: |
-            try {
-              await github.graphql(\`
-                mutation {
-                  enablePullRequestAutoMerge(input: {
-                    pullRequestId: "\${context.payload.pull_request.node_id}"
-                    mergeMethod: SQUASH
-                  }) {
-                    pullRequest {
-                      id
-                      title
-                      autoMergeRequest {
-                        enabledAt
-                        mergeMethod
-                      }
-                    }
-                  }
-                }
-              \`);
-              console.log('✅ Auto-merge enabled for PR #' + context.payload.pull_request.number);
-              console.log('Note: PR will merge automatically once all required status checks pass.');
-            } catch (error) {
-              console.log('⚠️  Auto-merge could not be enabled:', error.message);
-              console.log('This is expected if:');
-              console.log('  - Repository does not have "Allow auto-merge" enabled in settings');
-              console.log('  - Branch protection rules are not configured');
-              console.log('  - Required status checks are not defined');
-            }
-`,
-
-  '.github/workflows/mayor-west-orchestrator.yml': (options = {}) => `name: Mayor West Orchestrator
-# Autonomous task assignment and PR merge workflow
-# IMPORTANT: Uses pull_request_target to run in base repo context
-# This avoids "first-time contributor" approval requirements for Copilot PRs
-
-on:
-  workflow_dispatch:
-  issues:
-    types: [opened, labeled]
-  pull_request_target:
-    types: [opened, synchronize, closed]
-  # Run periodically to catch pending approvals
-  schedule:
-    - cron: '*/5 * * * *'
-
-permissions:
-  contents: write
-  issues: write
-  pull-requests: write
-  actions: write
-
-jobs:
-  # Job 0: Auto-approve pending workflow runs from Copilot
-  approve-copilot-runs:
-    runs-on: ubuntu-latest
-    steps:
-      - name: Approve Pending Copilot Workflow Runs
-        uses: actions/github-script@v7
-        with:
-          github-token: \${{ secrets.GH_AW_AGENT_TOKEN || secrets.GITHUB_TOKEN }}
-          script: |
-            const owner = context.repo.owner;
-            const repo = context.repo.repo;
-            
-            // Find runs that need approval (action_required status)
-            const { data: runs } = await github.rest.actions.listWorkflowRunsForRepo({
-              owner,
-              repo,
-              status: 'action_required',
-              per_page: 20
-            });
-            
-            if (runs.workflow_runs.length === 0) {
-              console.log('No workflow runs awaiting approval');
-              return;
-            }
-            
-            console.log(\`Found \${runs.workflow_runs.length} runs awaiting approval\`);
-            
-            for (const run of runs.workflow_runs) {
-              const actor = run.actor?.login?.toLowerCase() || '';
-              const triggeringActor = run.triggering_actor?.login?.toLowerCase() || '';
-              
-              const isCopilot = actor.includes('copilot') || triggeringActor.includes('copilot');
-              
-              if (!isCopilot) {
-                console.log(\`Skipping run \${run.id} - not from Copilot (actor: \${actor})\`);
-                continue;
-              }
-              
-              console.log(\`Approving run \${run.id} (\${run.name}) from \${actor}\`);
-              
-              try {
-                // Approve the pending deployment
-                const { data: pendingDeployments } = await github.rest.actions.getPendingDeploymentsForRun({
-                  owner,
-                  repo,
-                  run_id: run.id
-                });
-                
-                if (pendingDeployments.length > 0) {
-                  const envIds = pendingDeployments.map(d => d.environment.id);
-                  await github.rest.actions.reviewPendingDeploymentsForRun({
-                    owner,
-                    repo,
-                    run_id: run.id,
-                    environment_ids: envIds,
-                    state: 'approved',
-                    comment: 'Auto-approved by Mayor West Orchestrator'
-                  });
-                  console.log(\`  Approved deployments for run \${run.id}\`);
-                } else {
-                  // No pending deployments, try re-running the workflow
-                  console.log(\`  No pending deployments, attempting rerun...\`);
-                  try {
-                    await github.rest.actions.reRunWorkflow({
-                      owner,
-                      repo,
-                      run_id: run.id
-                    });
-                    console.log(\`  Re-triggered run \${run.id}\`);
-                  } catch (e) {
-                    console.log(\`  Could not rerun: \${e.message}\`);
-                  }
-                }
-              } catch (error) {
-                console.log(\`  Error approving run \${run.id}: \${error.message}\`);
-              }
-            }
-
-  orchestrate:
-    runs-on: ubuntu-latest
-    needs: [approve-copilot-runs]
-    if: always()
-    
-    steps:
-      - name: Find Next Unassigned mayor-task
-        id: find_task
-        uses: actions/github-script@v7
-        with:
-          github-token: \${{ secrets.GITHUB_TOKEN }}
-          script: |
-            const owner = context.repo.owner;
-            const repo = context.repo.repo;
-            
-            // RULE: Only 1 PR at a time - check if Copilot already has an open PR
-            const { data: prs } = await github.rest.pulls.list({
-              owner,
-              repo,
-              state: 'open',
-              per_page: 50
-            });
-            
-            const openCopilotPR = prs.find(pr => {
-              const login = pr.user.login.toLowerCase();
-              return login === 'copilot-swe-agent' || login.includes('copilot');
-            });
-            
-            if (openCopilotPR) {
-              console.log(\`Copilot already has open PR #\${openCopilotPR.number}: \${openCopilotPR.title}\`);
-              console.log('Waiting for it to be merged before assigning next task.');
-              return { found: false };
-            }
-            
-            // Find oldest unassigned mayor-task
-            const { data: issues } = await github.rest.issues.listForRepo({
-              owner,
-              repo,
-              labels: 'mayor-task',
-              state: 'open',
-              assignee: 'none',
-              sort: 'created',
-              direction: 'asc',
-              per_page: 1
-            });
-            
-            if (issues.length === 0) {
-              console.log('No unassigned mayor-tasks found');
-              return { found: false };
-            }
-            
-            const task = issues[0];
-            console.log(\`Found task: #\${task.number} - \${task.title}\`);
-            
-            core.setOutput('task_number', task.number);
-            core.setOutput('found', 'true');
-
-      - name: Assign Copilot to Issue
-        if: steps.find_task.outputs.found == 'true'
-        uses: actions/github-script@v7
-        with:
-          github-token: \${{ secrets.GH_AW_AGENT_TOKEN || secrets.GITHUB_TOKEN }}
-          script: |
-            const taskNumber = \${{ steps.find_task.outputs.task_number }};
-            const owner = context.repo.owner;
-            const repo = context.repo.repo;
-            
-            // Step 1: Find Copilot agent ID using suggestedActors query
-            console.log('Looking for copilot coding agent...');
-            const findAgentQuery = \`
-              query($owner: String!, $repo: String!) {
-                repository(owner: $owner, name: $repo) {
-                  suggestedActors(first: 100, capabilities: CAN_BE_ASSIGNED) {
-                    nodes {
-                      ... on Bot {
-                        id
-                        login
-                        __typename
-                      }
-                    }
-                  }
-                }
-              }
-            \`;
-            
-            const agentResponse = await github.graphql(findAgentQuery, { owner, repo });
-            const actors = agentResponse.repository.suggestedActors.nodes;
-            const copilotAgent = actors.find(actor => actor.login === 'copilot-swe-agent');
-            
-            if (!copilotAgent) {
-              console.log('Available actors:', actors.map(a => a.login).join(', '));
-              throw new Error('Copilot coding agent (copilot-swe-agent) not available');
-            }
-            
-            console.log(\`Found copilot agent with ID: \${copilotAgent.id}\`);
-            
-            // Step 2: Get issue ID and current assignees
-            const issueQuery = \`
-              query($owner: String!, $repo: String!, $issueNumber: Int!) {
-                repository(owner: $owner, name: $repo) {
-                  issue(number: $issueNumber) {
-                    id
-                    assignees(first: 100) {
-                      nodes { id }
-                    }
-                  }
-                }
-              }
-            \`;
-            
-            const issueResponse = await github.graphql(issueQuery, { owner, repo, issueNumber: taskNumber });
-            const issueId = issueResponse.repository.issue.id;
-            const currentAssignees = issueResponse.repository.issue.assignees.nodes.map(a => a.id);
-            
-            // Step 3: Assign Copilot using replaceActorsForAssignable mutation
-            const actorIds = [copilotAgent.id, ...currentAssignees.filter(id => id !== copilotAgent.id)];
-            
-            const assignMutation = \`
-              mutation($assignableId: ID!, $actorIds: [ID!]!) {
-                replaceActorsForAssignable(input: {
-                  assignableId: $assignableId,
-                  actorIds: $actorIds
-                }) {
-                  __typename
-                }
-              }
-            \`;
-            
-            await github.graphql(assignMutation, { assignableId: issueId, actorIds });
-            console.log(\`Successfully assigned Copilot to issue #\${taskNumber}\`);
-            
-            // Step 4: Add comment with instructions
-            const commentBody = [
-              '**@copilot-swe-agent** assigned to this task.',
-              '',
-              '**Before starting, read:**',
-              '- \`.github/copilot/instructions.md\` - Your operating protocol',
-              '- \`.github/copilot-instructions.md\` - Project rules',
-              '',
-              '**Key requirements:**',
-              '1. Run \`npm test\` before committing',
-              '2. Use commit format: \`[MAYOR] <description>\`',
-              \`3. Include \\\`Fixes #\${taskNumber}\\\` in PR body\`,
-              '4. Never use destructive commands'
-            ].join('\\n');
-            
-            await github.rest.issues.createComment({
-              owner,
-              repo,
-              issue_number: taskNumber,
-              body: commentBody
-            });
-            console.log(\`Added instructions comment to issue #\${taskNumber}\`);
-
-  # Job 2: Merge ready Copilot PRs (runs after orchestrate to avoid race conditions)
-  merge-copilot-prs:
-    runs-on: ubuntu-latest
-    needs: [orchestrate]
-    if: always()
-    
-    steps:
-      - name: Find and Merge Copilot PRs
-        uses: actions/github-script@v7
-        with:
-          github-token: \${{ secrets.GH_AW_AGENT_TOKEN || secrets.GITHUB_TOKEN }}
-          script: |
-            const owner = context.repo.owner;
-            const repo = context.repo.repo;
-            
-            const { data: prs } = await github.rest.pulls.list({
-              owner,
-              repo,
-              state: 'open',
-              sort: 'created',
-              direction: 'asc'
-            });
-            
-            const copilotPRs = prs.filter(pr => {
-              const login = pr.user.login.toLowerCase();
-              return login === 'copilot' || login === 'copilot-swe-agent' || login.includes('copilot');
-            });
-            
-            if (copilotPRs.length === 0) {
-              console.log('No open Copilot PRs found');
-              return;
-            }
-            
-            // Check if Copilot is still actively working (has in_progress workflow)
-            const { data: workflowRuns } = await github.rest.actions.listWorkflowRunsForRepo({
-              owner,
-              repo,
-              status: 'in_progress',
-              per_page: 10
-            });
-            
-            const copilotActiveRun = workflowRuns.workflow_runs.find(run => {
-              const name = (run.name || '').toLowerCase();
-              const actor = (run.actor?.login || '').toLowerCase();
-              return name.includes('copilot') || actor.includes('copilot');
-            });
-            
-            if (copilotActiveRun) {
-              console.log(\`Copilot is still working (run \${copilotActiveRun.id}). Skipping merge.\`);
-              return;
-            }
-            
-            for (const pr of copilotPRs) {
-              console.log(\`Processing PR #\${pr.number}: \${pr.title}\`);
-              
-              // Skip WIP PRs - Copilot is still working on them
-              if (pr.title.includes('[WIP]') || pr.title.toLowerCase().startsWith('wip')) {
-                console.log('  Skipping: PR is marked as Work In Progress');
-                continue;
-              }
-              
-              // Check if there's an active Copilot session on this PR's branch
-              const prBranchActiveRun = workflowRuns.workflow_runs.find(run => 
-                run.head_branch === pr.head.ref
-              );
-              
-              if (prBranchActiveRun) {
-                console.log(\`  Skipping: Active Copilot session on branch \${pr.head.ref}\`);
-                continue;
-              }
-              
-              // Get full PR details
-              const { data: prDetails } = await github.rest.pulls.get({
-                owner,
-                repo,
-                pull_number: pr.number
-              });
-              
-              // If PR is draft but no [WIP] and no active session, mark it ready
-              if (prDetails.draft) {
-                console.log('  PR is draft but Copilot seems done. Marking ready for review...');
-                try {
-                  await github.graphql(\`
-                    mutation(\$prId: ID!) {
-                      markPullRequestReadyForReview(input: { pullRequestId: \$prId }) {
-                        pullRequest { id }
-                      }
-                    }
-                  \`, { prId: pr.node_id });
-                  console.log(\`  ✅ Marked PR #\${pr.number} as ready for review\`);
-                } catch (error) {
-                  console.log(\`  ⚠️ Could not mark ready: \${error.message}\`);
-                  continue;
-                }
-              }
-              
-              if (prDetails.mergeable_state === 'dirty' || prDetails.mergeable_state === 'blocked') {
-                console.log(\`  Skipping: PR is \${prDetails.mergeable_state}\`);
-                continue;
-              }
-              
-              try {
-                await github.rest.pulls.createReview({
-                  owner,
-                  repo,
-                  pull_number: pr.number,
-                  event: 'APPROVE',
-                  body: 'Auto-approved by Mayor West Orchestrator'
-                });
-                console.log(\`  ✅ Approved PR #\${pr.number}\`);
-              } catch (error) {
-                console.log(\`  Could not approve: \${error.message}\`);
-              }
-              
-              try {
-                await github.rest.pulls.merge({
-                  owner,
-                  repo,
-                  pull_number: pr.number,
-                  merge_method: 'squash'
-                });
-                console.log(\`  ✅ Merged PR #\${pr.number}\`);
-                
-                // STOP after merging one PR - next run will pick up the next one
-                console.log('Stopping after merging one PR. Next task will be assigned on next run.');
-                return;
-              } catch (error) {
-                console.log(\`  ❌ Could not merge: \${error.message}\`);
-                // Continue to try next PR if this one failed
-              }
-            }
-`,
-
-  '.github/ISSUE_TEMPLATE/mayor-task.md': (options = {}) => `---
-name: Mayor Task
-about: Create a task for autonomous execution
-labels: mayor-task
----
-
-# [MAYOR] Brief Description of Task
-
-**Summary**: One-sentence executive summary of what needs to be done.
-
-Example:
-- [MAYOR] Add user authentication endpoint
-- [MAYOR] Implement dark mode toggle
-- [MAYOR] Create database migration for posts table
-
----
-
-## Context
-
-Explain the business context. Why is this task needed? What problem does it solve?
-
-**Example**:
-Users need a way to register accounts in the system. Currently, there's no authentication flow.
-
----
-
-## Acceptance Criteria
-
-List specific, testable requirements. Copilot will implement all of these.
-
-- [ ] Create \`/api/auth/register\` endpoint
-- [ ] Accept POST requests with email and password
-- [ ] Validate email format (use existing EmailValidator)
-- [ ] Hash passwords using bcrypt (cost factor: 10)
-- [ ] Store user in database
-- [ ] Return 201 with user data on success
-- [ ] Return 400 with error message on validation failure
-- [ ] Unit tests: 100% coverage of endpoint logic
-- [ ] Integration tests: Full registration flow
-- [ ] API documentation updated in README.md
-
----
-
-## Technical Constraints
-
-Any architectural guidance or decisions that constrain the implementation.
-
-**Example**:
-- Use existing \`User\` model in \`src/models/User.ts\`
-- Follow REST conventions already established in the codebase
-- Don't add new npm dependencies without approval
-- Use the existing test framework (Jest)
-
----
-
-## Testing Requirements
-
-Specify what tests Copilot should write and verify.
-
-**Example**:
-- Unit tests for validation logic
-- Integration tests for endpoint
-- Tests must pass with \`npm test\`
-- Code coverage >= 80%
-
----
-
-## Files Likely to Change
-
-Help Copilot understand the scope. Which files will need modifications?
-
-**Example**:
-- \`src/routes/auth.ts\` - Add new endpoint
-- \`src/models/User.ts\` - May need to update schema
-- \`src/tests/auth.test.ts\` - Create test file
-- \`README.md\` - Update API documentation
+  const unknown = Object.keys(answers).filter(key => !SETUP_ANSWER_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown answer(s) in ${filePath}: ${unknown.join(', ')}. Expected: ${SETUP_ANSWER_KEYS.join(', ')}`);
+  }
 
----
+  return answers;
+}
 
-## Definition of Done
+/**
+ * Collect preset answers from `--answers <file>` and individual flags.
+ * Flags win over the answers file.
+ */
+function setupPresetsFromFlags(flags = {}) {
+  const presets = flags.answers ? loadAnswersFile(flags.answers) : {};
+
+  const flagAnswers = {
+    setupType: flags.setupType,
+    mergeStrategy: flags.merge,
+    iterationLimit: flags.iterationLimit,
+    enableAutoMerge: flags.autoMerge,
+    autoConfigureSettings: flags.configureGithub,
+    autoCommit: flags.commit,
+    files: flags.files,
+  };
+  Object.entries(flagAnswers)
+    .filter(([, value]) => value !== undefined)
+    .forEach(([key, value]) => { presets[key] = value; });
+
+  // Normalize values coming from flags or YAML into what the prompts return
+  if (presets.setupType !== undefined) presets.setupType = String(presets.setupType).toLowerCase();
+  if (presets.mergeStrategy !== undefined) presets.mergeStrategy = String(presets.mergeStrategy).toUpperCase();
+  if (presets.iterationLimit !== undefined) presets.iterationLimit = Number(presets.iterationLimit);
+  ['enableAutoMerge', 'autoConfigureSettings', 'autoCommit']
+    .filter(key => presets[key] !== undefined)
+    .forEach(key => { presets[key] = parseBoolean(presets[key]); });
+  if (typeof presets.files === 'string') {
+    presets.files = presets.files.split(',').map(file => file.trim()).filter(Boolean);
+  }
+  if (presets.files && presets.setupType === undefined) {
+    presets.setupType = 'custom';
+  }
 
-Task is complete when:
-- [ ] All acceptance criteria implemented
-- [ ] All tests pass (\`npm test\` returns exit code 0)
-- [ ] Code linting passes (\`npm run lint\` returns exit code 0)
-- [ ] PR created with description
-- [ ] PR ready for merge
-`,
+  return presets;
+}
 
-  // Security Layer Files
-  '.github/CODEOWNERS': (options = {}) => {
-    const owner = options.owner || 'your-username';
-    return `# Mayor West Mode - Actor Allowlist
-# Only these actors can have their PRs auto-merged
+function createSetupSession(flags = {}) {
+  return {
+    interactive: !(flags.yes || flags.answers),
+    presets: setupPresetsFromFlags(flags),
+    summary: {
+      status: 'success',
+      repository: null,
+      setupType: null,
+      files: { created: [], updated: [], kept: [], unchanged: [], failed: [] },
+      steps: [],
+    },
+  };
+}
 
-# Copilot agents
-* @Copilot
-* @copilot-swe-agent
+/**
+ * Ask inquirer questions, taking answers from the session presets first.
+ * Non-interactive sessions use each question's default instead of prompting.
+ */
+async function askQuestions(questions, session) {
+  const answers = {};
+  const remaining = [];
+
+  for (const question of questions) {
+    const preset = session.presets[question.name];
+
+    if (preset !== undefined) {
+      const valid = question.validate ? question.validate(preset) : true;
+      const inChoices = !question.choices || question.choices.some(choice => choice.value === preset);
+      if (valid !== true || !inChoices) {
+        throw new Error(`Invalid value for ${question.name}: ${preset}`);
+      }
+      answers[question.name] = preset;
+    } else if (!session.interactive) {
+      answers[question.name] = question.default !== undefined ? question.default : question.choices?.[0]?.value;
+    } else {
+      remaining.push(question);
+    }
+  }
 
-# Repository owner
-* @${owner}
-`;
-  },
+  if (remaining.length > 0) {
+    Object.assign(answers, await inquirer.prompt(remaining));
+  }
+  return answers;
+}
 
-  '.github/mayor-west.yml': (options = {}) => `# Mayor West Mode - Security Configuration
-# This file controls security layers for autonomous operations
+// "Press Enter to continue" pauses only make sense with someone at the keyboard
+async function pauseForUser(message, session) {
+  if (!session.interactive) return;
+  await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'continue',
+      message,
+      default: true,
+    },
+  ]);
+}
 
-# Layer 3: Kill Switch
-# Set to false to pause all auto-merge operations
-enabled: true
+function openUrlForUser(url, session) {
+  if (!session.interactive || !openUrl(url)) {
+    console.log(chalk.gray(`\n   Open: ${url}`));
+  }
+}
 
-# Layer 2: Protected Paths
-# PRs modifying these paths will NOT be auto-merged
-protected_paths:
-  - ".github/workflows/**"
-  - ".github/mayor-west.yml"
-  - ".github/CODEOWNERS"
-  - "package.json"
-  - "package-lock.json"
-  - ".env*"
-  - "**/secrets/**"
-  - "**/credentials/**"
+function recordSetupStep(session, step, status, message) {
+  session.summary.steps.push({ step, status, ...(message ? { message } : {}) });
+  if (status === 'failed') {
+    session.summary.status = 'failed';
+  }
+}
 
-# Merge settings
-merge:
-  method: squash  # squash, merge, or rebase
-  delete_branch_after_merge: true
+// Non-interactive runs end with the summary as a single JSON line on stdout
+function finishSetup(session) {
+  if (session.interactive) return;
+  console.log(JSON.stringify(session.summary));
+  if (session.summary.status === 'failed') {
+    process.exit(1);
+  }
+}
 
-# Audit settings
-audit:
-  comment_on_pr: true
-  log_to_file: false
-`,
-
-  // Copilot Integration Files
-  '.github/copilot/instructions.md': (options = {}) => `# Copilot SWE Agent Instructions
+function abortSetup(session, message) {
+  log.error(message);
+  recordSetupStep(session, 'preflight', 'failed', message);
+  finishSetup(session);
+  process.exit(1);
+}
 
-> **MANDATORY**: Read and follow these instructions for ALL tasks in this repository.
+// ============================================================================
+// INSTALL MANIFEST
+// ============================================================================
 
-## Identity
+function loadManifest() {
+  try {
+    return readManifest();
+  } catch (e) {
+    log.warning(`Ignoring ${e.message}`);
+    return null;
+  }
+}
 
-You are operating as **Mayor West Mode** - an autonomous, confident AI agent.
+function formatFileStatus(status) {
+  const label = FILE_STATUS_LABELS[status];
+  if (status === 'missing') return chalk.red(label);
+  if (status === 'unmodified') return chalk.green(label);
+  return chalk.yellow(label);
+}
 
-## ⚠️ CRITICAL: Issue-Only Enforcement
+// ============================================================================
+// SETUP DRY RUN
+// ============================================================================
 
-**YOU MUST ONLY WORK ON TASKS FROM GITHUB ISSUES.**
+function printSetupPlan(plan, { autoCommit }) {
+  log.header('📁 Files');
+
+  plan.files.forEach(file => {
+    if (file.action === 'create') {
+      console.log(`  ${chalk.green('+')} ${file.path} ${chalk.gray(`(new, ${splitLines(file.content).length} lines)`)}`);
+    } else if (file.action === 'overwrite' || file.action === 'merge') {
+      console.log(`  ${chalk.yellow('~')} ${file.path} ${chalk.gray(`(${file.action})`)}`);
+      printUnifiedDiff(unifiedDiff(file.current, file.content, { fromFile: `a/${file.path}`, toFile: `b/${file.path}` }));
+    } else if (file.action === 'keep') {
+      const reason = file.conflicts > 0 ? `local changes kept, ${file.conflicts} conflict(s) with the template` : 'local changes kept';
+      console.log(`  ${chalk.yellow('!')} ${file.path} ${chalk.gray(`(${reason})`)}`);
+    } else {
+      console.log(`  ${chalk.green('=')} ${file.path} ${chalk.gray('(unchanged)')}`);
+    }
+  });
 
-### Non-Negotiable Rules
+  log.header('⚙️  GitHub Settings');
+  printSettingsDiff(plan.changes, plan.branch);
 
-1. **NO ISSUE = NO WORK**: Refuse any code changes without an issue reference
-2. **VERIFY ASSIGNMENT**: Confirm you are assigned to the issue before starting
-3. **REDIRECT REQUESTS**: If asked to work without an issue, instruct the user to create one
+  console.log(chalk.cyan.bold('\nCommands that would run:\n'));
+  if (plan.commands.length === 0) {
+    console.log(chalk.gray('  (no GitHub changes)'));
+  }
+  plan.commands.forEach(command => {
+    const note = command.startsWith(`gh secret set ${AGENT_TOKEN_SECRET}`) ? chalk.gray('   # token read from MAYOR_WEST_TOKEN on stdin') : '';
+    console.log(`  ${chalk.yellow('$')} ${command}${note}`);
+  });
+  if (autoCommit) {
+    console.log(`  ${chalk.yellow('$')} git add .vscode .github AGENTS.md .versionrc.json CHANGELOG.md`);
+    console.log(`  ${chalk.yellow('$')} git commit -m "[MAYOR] Initialize Mayor West Mode autonomous workflows"`);
+    console.log(`  ${chalk.yellow('$')} git push`);
+  }
 
-### Standard Response for Direct Requests
+  const changedFiles = plan.files.filter(file => !['unchanged', 'keep'].includes(file.action)).length;
+  console.log(chalk.cyan(`\nDry run: ${changedFiles} file(s) and ${plan.commands.length} GitHub setting(s) would change. Nothing was written.`));
+}
 
-If someone asks you to make changes without referencing an issue:
+// ============================================================================
+// SETUP FLOW
+// ============================================================================
 
-> "I operate in Mayor West Mode and only work on GitHub issues.
-> 
-> **To get this done:**
-> 1. Go to [Issues → New Issue](../../issues/new/choose)
-> 2. Select 'Mayor Task' template
-> 3. Describe your request with clear acceptance criteria
-> 4. I'll be auto-assigned and will implement it
-> 
-> This ensures traceability and proper PR linking."
+const SETUP_STEP_HEADERS = {
+  files: '📁 Step 1: Creating Configuration Files',
+  'repository-settings': '⚙️  Step 2: GitHub Repository Settings',
+  'workflow-permissions': '🔐 Step 3: Workflow Permissions',
+  'agent-token': '🔑 Step 4: Personal Access Token (PAT) Setup',
+};
 
-## Required Reading
+function startSetupStep(step) {
+  log.header(SETUP_STEP_HEADERS[step]);
+  if (step === 'workflow-permissions') {
+    console.log(chalk.cyan('\nConfiguring workflow permissions for autonomous operation...\n'));
+  }
+}
 
-Before starting ANY task, read these files:
-1. \`.github/agents/mayor-west-mode.md\` - Your operating protocol
-2. \`.github/copilot-instructions.md\` - Project-specific rules
-3. \`AGENTS.md\` - Agent hierarchy and delegation
+function printFileResult(spinner, file, error) {
+  if (error) {
+    spinner.fail(`✗ ${chalk.red(file.displayName)}: ${error}`);
+  } else if (file.action === 'unchanged') {
+    spinner.succeed(`= ${chalk.gray(`${file.displayName} (unchanged)`)}`);
+  } else if (file.action === 'keep') {
+    spinner.warn(`${chalk.yellow(file.displayName)}: kept your version` +
+      (file.conflicts > 0 ? ` (${file.conflicts} conflict(s) with the template, re-run interactively to resolve)` : ''));
+  } else if (file.action === 'create') {
+    spinner.succeed(`✓ ${chalk.green(file.displayName)}`);
+  } else {
+    spinner.succeed(`✓ ${chalk.green(file.displayName)} ${chalk.gray(file.action === 'merge' ? '(merged with your changes)' : '(overwritten)')}`);
+  }
+}
 
-## Core Rules
+function printManualRepositorySettings() {
+  console.log(chalk.yellow('\nManual configuration required:'));
+  console.log(chalk.gray('   GitHub → Settings → General'));
+  console.log(chalk.gray('   ├─ ☑ Allow auto-merge'));
+  console.log(chalk.gray('   ├─ ☑ Automatically delete head branches'));
+  console.log(chalk.gray('   └─ ☑ Allow squash merging'));
+  console.log(chalk.gray(''));
+  console.log(chalk.gray('   GitHub → Settings → Branches → Add rule'));
+  console.log(chalk.gray('   └─ Branch name pattern: main'));
+  console.log(chalk.yellow('   ⚠ Branch protection is REQUIRED for auto-merge!'));
+}
 
-### Commit Format
-\`\`\`
-[MAYOR] <brief description>
-
-- Detailed change 1
-- Detailed change 2
-
-Fixes #<issue-number>
-\`\`\`
-
-### Issue Reference is MANDATORY
-- Every commit MUST include \`Fixes #<issue-number>\`
-- Every PR MUST link to the originating issue
-- No exceptions
+function printManualWorkflowPermissions() {
+  console.log(chalk.gray('   GitHub → Settings → Actions → General'));
+  console.log(chalk.gray('   └─ Workflow permissions:'));
+  console.log(chalk.green('      ◉ Read and write permissions'));
+  console.log(chalk.green('      ☑ Allow GitHub Actions to create and approve pull requests'));
+}
 
-### Testing Requirements
-- **ALWAYS** run \`npm test\` before committing
-- **NEVER** commit code with failing tests
-- If tests fail, fix and retry (up to 15 iterations)
+function recordSettingsStep(session, step, failed) {
+  recordSetupStep(
+    session,
+    step,
+    failed.length > 0 ? 'failed' : 'ok',
+    failed.length > 0 ? `Could not update: ${failed.map(change => change.key).join(', ')}` : undefined
+  );
+}
 
-### Forbidden Commands
-- \`rm -rf\` - destructive deletion
-- \`git reset --hard\` - destroys history
-- \`git push --force\` to main - dangerous
-- \`kill -9\` - process termination
+async function finishWorkflowPermissions(event, session, gitHubInfo) {
+  recordSettingsStep(session, 'workflow-permissions', event.failed);
 
-### Safe Commands (Auto-approved)
-- \`npm test\`, \`npm run lint\`, \`npm run build\`
-- \`git commit\`, \`git push\`
-- \`git checkout -b <branch>\`
+  const actionsUrl = `https://github.com/${gitHubInfo.owner}/${gitHubInfo.repo}/settings/actions`;
+  if (event.failed.length > 0) {
+    // Fallback to manual if API fails
+    console.log(chalk.yellow('\n⚠ Could not auto-configure workflow permissions (may require admin access)'));
+    console.log(chalk.white('\nManual configuration required:'));
+    printManualWorkflowPermissions();
+    openUrlForUser(actionsUrl, session);
 
-## Workflow
+    await pauseForUser('Press Enter when ready to continue...', session);
+  }
 
-1. **VERIFY** you have an issue number assigned to you
-2. **READ** the issue completely - extract all acceptance criteria
-3. **PLAN** your implementation - identify files to change
-4. **IMPLEMENT** following existing code patterns
-5. **TEST** with \`npm test\` - fix any failures
-6. **COMMIT** with \`[MAYOR]\` prefix and \`Fixes #<issue>\`
-7. **PUSH** to create/update PR
+  // CRITICAL: Configure fork PR workflow approval for Copilot
+  console.log(chalk.cyan('\nConfiguring Copilot workflow approval bypass...\n'));
+  console.log(chalk.yellow('⚠ IMPORTANT: Copilot PRs require a one-time manual setting:'));
+  console.log(chalk.white('\n   GitHub → Settings → Actions → General'));
+  console.log(chalk.white('   Under "Fork pull request workflows from outside collaborators":'));
+  console.log(chalk.green('   ◉ Require approval for first-time contributors who are new to GitHub'));
+  console.log(chalk.gray('\n   (This allows Copilot PRs to run workflows without manual approval)'));
 
-## Success Criteria
+  if (!session.interactive) {
+    console.log(chalk.gray(`\n   Open: ${actionsUrl}`));
+    return;
+  }
 
-Your task is complete when:
-- ✅ Task originated from a GitHub issue
-- ✅ All acceptance criteria implemented
-- ✅ \`npm test\` passes
-- ✅ \`npm run lint\` passes (if configured)
-- ✅ PR created with proper description
-- ✅ PR body contains \`Fixes #<issue-number>\`
-`,
+  const forkApproval = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'openSettings',
+      message: 'Open Actions settings to configure this?',
+      default: true,
+    },
+  ]);
 
-  '.github/copilot-instructions.md': (options = {}) => {
-    const projectName = options.projectName || 'this project';
-    return `---
-applyTo: '**'
----
-# ${projectName} - Copilot Instructions
+  if (forkApproval.openSettings) {
+    openUrlForUser(actionsUrl, session);
+    await pauseForUser('Press Enter after configuring the setting...', session);
+  }
+}
 
-> **MEMORY ENFORCEMENT**: These instructions MUST be loaded and followed for ALL interactions with this codebase.
+/**
+ * Present the progress setup() reports the way the wizard shows it, and
+ * record each step in the session summary. The agent token secret is left
+ * in `progress` for the PAT step, which continues after setup() returns.
+ */
+function setupReporter(session, gitHubInfo, progress) {
+  let spinner;
+
+  return async (event) => {
+    if (event.type === 'step') {
+      startSetupStep(event.step);
+      if (event.step === 'files') {
+        spinner = ora('Creating files...').start();
+      }
+    } else if (event.type === 'file') {
+      printFileResult(spinner, event.file, event.error);
+    } else if (event.type === 'setting' && event.step === 'agent-token') {
+      progress.secret = { ...event.change, error: event.error };
+    } else if (event.type === 'setting') {
+      printSettingResult(event.change, event.branch, event.error);
+    } else if (event.step === 'files') {
+      const { files, manifestError } = event;
+      spinner.stop();
+      session.summary.files = files;
+      log.success(`Created ${files.created.length} configuration files`);
+      if (files.updated.length + files.kept.length > 0) {
+        log.info(`Updated ${files.updated.length}, kept ${files.kept.length} existing file(s)`);
+      }
+      if (manifestError) {
+        log.error(`Could not write ${MANIFEST_PATH}: ${manifestError}`);
+      } else {
+        log.success(`Recorded generated files in ${MANIFEST_PATH}`);
+      }
+      recordSetupStep(
+        session,
+        'files',
+        files.failed.length > 0 ? 'failed' : 'ok',
+        files.failed.length > 0 ? `Could not write: ${files.failed.join(', ')}` : undefined
+      );
+      log.divider();
+    } else if (event.step === 'repository-settings') {
+      if (event.skipped) {
+        recordSetupStep(session, 'repository-settings', 'skipped', 'Automatic configuration declined');
+        printManualRepositorySettings();
+      } else {
+        if (event.failed.some(change => change.key === 'branch_protection')) {
+          console.log(chalk.yellow(`   → Go to Settings → Branches → Add rule for "${event.branch}"`));
+          console.log(chalk.yellow('   → Enable "Require pull request reviews" with 1 approval'));
+        }
+        recordSettingsStep(session, 'repository-settings', event.failed);
+      }
+      log.divider();
+    } else if (event.step === 'workflow-permissions') {
+      await finishWorkflowPermissions(event, session, gitHubInfo);
+      log.divider();
+    }
+  };
+}
 
-## ⚠️ CRITICAL: Issue-Only Workflow
+// Pasted tokens go to gh on stdin, like the one from MAYOR_WEST_TOKEN
+function storeAgentToken(gitHubInfo, token) {
+  const secret = GITHUB_SETTINGS.find(setting => setting.key === 'agent_token_secret');
+  applyGitHubSetting(gitHubInfo, { ...secret, after: true }, { token });
+  recordGitHubChanges([{ key: 'agent_token_secret', before: false }]);
+}
 
-**ALL WORK MUST ORIGINATE FROM GITHUB ISSUES.**
+async function pasteAgentToken(gitHubInfo, message) {
+  const tokenInput = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'token',
+      message,
+      mask: '*',
+    },
+  ]);
 
-### Enforcement Rules
+  if (tokenInput.token) {
+    try {
+      storeAgentToken(gitHubInfo, tokenInput.token);
+      log.success('Secret GH_AW_AGENT_TOKEN added successfully!');
+    } catch (e) {
+      log.error('Failed to add secret. Please add it manually.');
+      console.log(chalk.gray(`   https://github.com/${gitHubInfo.owner}/${gitHubInfo.repo}/settings/secrets/actions/new`));
+    }
+  }
+}
 
-1. **NO ISSUE = NO CODE CHANGES**: Do not implement any feature or fix without an issue
-2. **VERIFY BEFORE STARTING**: Confirm the issue exists and you are assigned
-3. **REDIRECT DIRECT REQUESTS**: When asked to work without an issue, respond:
+async function walkThroughAgentToken(gitHubInfo, ghCliAvailable) {
+  console.log(chalk.red.bold('\n⚠️  REQUIRED for Copilot auto-assignment!\n'));
+  console.log(chalk.white('The orchestrator workflow needs a PAT to assign Copilot to issues.'));
+  console.log(chalk.white('Without this, issues won\'t be automatically picked up by Copilot.\n'));
 
-> "This project uses Mayor West Mode. All work must come from GitHub issues.
-> 
-> **Create an issue:**
-> 1. Go to [Issues → New Issue](../../issues/new/choose)
-> 2. Use the 'Mayor Task' template
-> 3. Add clear acceptance criteria
-> 4. I'll be auto-assigned and implement it"
+  console.log(chalk.yellow('💡 Pro tip: Set MAYOR_WEST_TOKEN environment variable to skip this step!\n'));
+  console.log(chalk.gray('   PowerShell: $env:MAYOR_WEST_TOKEN = "ghp_xxxxx"'));
+  console.log(chalk.gray('   Bash:       export MAYOR_WEST_TOKEN="ghp_xxxxx"'));
+  console.log(chalk.gray('   Or add to your shell profile for permanent use.\n'));
 
-## Project Overview
+  // Ask if they have an existing token
+  const existingTokenPrompt = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'hasExistingToken',
+      message: 'Do you have an existing Mayor West PAT token?',
+      choices: [
+        { name: 'Yes, I have a token I can reuse', value: 'reuse' },
+        { name: 'No, I need to create a new token', value: 'create' },
+        { name: 'Skip for now (auto-assignment won\'t work)', value: 'skip' },
+      ],
+    },
+  ]);
 
-This project uses **Mayor West Mode** for autonomous GitHub Copilot development workflows.
-
-## Key Rules
-
-1. **Issue Required**: All work must reference a GitHub issue
-2. **Commit Format**: \`[MAYOR] <description>\\n\\nFixes #<issue-number>\`
-3. **Test Before Commit**: Always run \`npm test\` before committing
-4. **No Destructive Commands**: Never use \`rm -rf\`, \`git reset --hard\`, etc.
-5. **PR Format**: Include \`Fixes #<issue-number>\` in PR body
+  const secretsUrl = `https://github.com/${gitHubInfo.owner}/${gitHubInfo.repo}/settings/secrets/actions/new`;
 
-## Agent Hierarchy
-
-Consult the appropriate agent file for specialized tasks:
-- \`.github/agents/mayor-west-mode.md\` - Primary agent protocol
-- \`AGENTS.md\` - Agent overview and delegation
-
-## Quick Reference
-
-\`\`\`bash
-# Development
-npm install
-npm test
-npm run lint
-
-# Create a task (REQUIRED before any work)
-# GitHub → Issues → New → Mayor Task template
-\`\`\`
-`;
-  },
-
-  'AGENTS.md': (options = {}) => {
-    const projectName = options.projectName || 'Project';
-    return `# ${projectName} - Agent Instructions
-
-> **MANDATORY ENFORCEMENT**: This file is automatically loaded for ALL AI interactions in this workspace.
-
-## ⚠️ CRITICAL: Issue-Only Workflow
-
-**ALL WORK MUST COME FROM GITHUB ISSUES. NO EXCEPTIONS.**
-
-### Enforcement
-
-When asked to make code changes WITHOUT an issue reference:
-1. **STOP** - Do not proceed with any code changes
-2. **INFORM** - Tell the user: "Mayor West Mode requires all work to originate from GitHub issues"
-3. **REDIRECT** - Provide link: \`[Create Issue](../../issues/new/choose)\` with Mayor Task template
-4. **WAIT** - Only proceed after issue is created and assigned
-
-### Why This Matters
+  if (existingTokenPrompt.hasExistingToken === 'reuse') {
+    console.log(chalk.cyan('\n📝 Reusing existing token\n'));
+    console.log(chalk.gray('If your token has "All repositories" access, it will work for this repo.'));
+    console.log(chalk.gray('If it\'s scoped to specific repos, you may need to edit the token to add this repo.'));
+    console.log(chalk.gray(''));
+    console.log(chalk.gray('To edit an existing token:'));
+    console.log(chalk.gray('   1. Go to: https://github.com/settings/tokens?type=beta'));
+    console.log(chalk.gray('   2. Click on your token name'));
+    console.log(chalk.gray('   3. Under "Repository access", add ' + chalk.cyan(`${gitHubInfo.owner}/${gitHubInfo.repo}`)));
+    console.log(chalk.gray(''));
 
-- **Traceability**: Every change is linked to a tracked issue
-- **Automation**: Issues trigger auto-assignment to Copilot
-- **PR Linking**: \`Fixes #<number>\` auto-closes issues on merge
-- **Audit Trail**: Clear history of what was requested and delivered
-
-## Project Identity
+    const reusePrompt = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'addMethod',
+        message: 'How would you like to add the secret to this repo?',
+        choices: [
+          { name: 'Use gh CLI to add it now (paste token)', value: 'cli' },
+          { name: 'I\'ll add it manually in GitHub', value: 'manual' },
+        ],
+      },
+    ]);
 
-This project uses **Mayor West Mode** - autonomous GitHub Copilot development workflows.
+    if (reusePrompt.addMethod === 'cli' && ghCliAvailable) {
+      await pasteAgentToken(gitHubInfo, 'Paste your existing PAT token:');
+    } else {
+      if (!openUrl(secretsUrl)) {
+        console.log(chalk.gray(`\n   Open: ${secretsUrl}`));
+      }
+      console.log(chalk.cyan('\nAdd a new repository secret:'));
+      console.log(chalk.green('   Name: GH_AW_AGENT_TOKEN'));
+      console.log(chalk.green('   Value: <paste your existing token>'));
 
-## Agent Hierarchy
+      await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'continue',
+          message: 'Press Enter when you\'ve added the secret...',
+          default: true,
+        },
+      ]);
+    }
+  } else if (existingTokenPrompt.hasExistingToken === 'create') {
+    console.log(chalk.cyan('\n📝 Create a Fine-Grained Personal Access Token:\n'));
+    console.log(chalk.yellow('💡 Tip: Create one token with "All repositories" access to reuse across all Mayor West repos!\n'));
+    console.log(chalk.gray('1. Go to: https://github.com/settings/tokens?type=beta'));
+    console.log(chalk.gray('2. Click "Generate new token"'));
+    console.log(chalk.gray('3. Configure token settings:'));
+    console.log(chalk.gray('   ├─ Token name: ' + chalk.white('Mayor West Agent Token')));
+    console.log(chalk.gray('   ├─ Expiration: ' + chalk.white('90 days') + chalk.gray(' (or longer for less maintenance)')));
+    console.log(chalk.gray('   ├─ Description: ' + chalk.white('Enables Copilot auto-assignment for Mayor West Mode')));
+    console.log(chalk.gray('   └─ Resource owner: ' + chalk.cyan(`${gitHubInfo.owner}`)));
+    console.log(chalk.gray(''));
+    console.log(chalk.gray('4. Repository access ' + chalk.yellow('(choose one)') + ':'));
+    console.log(chalk.green('   ◉ All repositories') + chalk.gray(' ← Recommended! Reuse for all repos'));
+    console.log(chalk.gray('   ○ Only select repositories → Select: ' + chalk.cyan(`${gitHubInfo.owner}/${gitHubInfo.repo}`)));
+    console.log(chalk.gray(''));
+    console.log(chalk.gray('5. Repository permissions ' + chalk.yellow('(expand this section)') + ':'));
+    console.log(chalk.green('   ├─ Actions: ') + chalk.white('Read-only') + chalk.gray(' (view workflow runs)'));
+    console.log(chalk.green('   ├─ Contents: ') + chalk.white('Read and write') + chalk.gray(' (for PR merging)'));
+    console.log(chalk.green('   ├─ Issues: ') + chalk.white('Read and write') + chalk.gray(' (assign Copilot, add comments)'));
+    console.log(chalk.green('   ├─ Metadata: ') + chalk.white('Read-only') + chalk.gray(' (auto-selected, required)'));
+    console.log(chalk.green('   └─ Pull requests: ') + chalk.white('Read and write') + chalk.gray(' (for auto-merge)'));
+    console.log(chalk.gray(''));
+    console.log(chalk.gray('6. Account permissions: ' + chalk.white('No access needed') + chalk.gray(' (leave all as default)')));
+    console.log(chalk.gray(''));
+    console.log(chalk.gray('7. Click ' + chalk.white('"Generate token"') + ' and ' + chalk.red('copy it immediately!')));
+    console.log(chalk.yellow('   ⚠ You won\'t be able to see it again after leaving the page.'));
+
+    const patPrompt = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'openTokenPage',
+        message: 'Open GitHub token creation page in browser?',
+        default: true,
+      },
+    ]);
 
-| Pattern | Agent | Location |
-|---------|-------|----------|
-| \`**\` | Mayor West Mode | \`.github/agents/mayor-west-mode.md\` |
+    if (patPrompt.openTokenPage) {
+      const tokenUrl = 'https://github.com/settings/tokens?type=beta';
+      if (!openUrl(tokenUrl)) {
+        console.log(chalk.gray(`\n   Open: ${tokenUrl}`));
+      }
+    }
 
-## Mandatory Rules
+    console.log(chalk.cyan('\n8. Add the token as a repository secret:\n'));
+    console.log(chalk.gray(`   GitHub → ${gitHubInfo.owner}/${gitHubInfo.repo} → Settings → Secrets → Actions`));
+    console.log(chalk.gray('   └─ New repository secret:'));
+    console.log(chalk.green('      Name: GH_AW_AGENT_TOKEN'));
+    console.log(chalk.green('      Value: <paste your token>'));
 
-1. **Issue Required**: All work must originate from a GitHub issue
-2. **Never auto-approve destructive commands**: \`rm\`, \`kill\`, \`reset --hard\`
-3. **Always run tests before committing**
-4. **Use commit format**: \`[MAYOR] <description>\\n\\nFixes #<issue-number>\`
-5. **Include \`Fixes #<issue>\` in PR body**
+    const secretPrompt = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'secretMethod',
+        message: 'How would you like to add the secret?',
+        choices: [
+          { name: 'Use gh CLI to add it now (paste token)', value: 'cli' },
+          { name: 'I\'ll add it manually in GitHub', value: 'manual' },
+        ],
+      },
+    ]);
 
-## Development Commands
+    if (secretPrompt.secretMethod === 'cli' && ghCliAvailable) {
+      await pasteAgentToken(gitHubInfo, 'Paste your PAT token:');
+    } else {
+      if (!openUrl(secretsUrl)) {
+        console.log(chalk.gray(`\n   Open: ${secretsUrl}`));
+      }
 
-\`\`\`bash
-npm install           # Install dependencies
-npm test              # Run tests
-npm run lint          # Lint code
-\`\`\`
+      await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'continue',
+          message: 'Press Enter when you\'ve added the secret...',
+          default: true,
+        },
+      ]);
+    }
+  } else {
+    log.warning('Skipped PAT setup - Copilot auto-assignment will not work');
+  }
+}
 
-## Creating Tasks
+/**
+ * The PAT step: setup() has already stored a token from MAYOR_WEST_TOKEN
+ * when it had one and gh, so this reports that or walks the user through
+ * creating the secret.
+ */
+async function finishAgentTokenStep(session, gitHubInfo, { secret, envToken, ghCliAvailable }) {
+  if (secret?.before === true) {
+    log.success('GH_AW_AGENT_TOKEN secret already configured!');
+    console.log(chalk.gray('   └─ Copilot auto-assignment is ready to work.'));
+    recordSetupStep(session, 'agent-token', 'ok', 'Secret already configured');
+    return;
+  }
 
-All work flows through issues:
-1. Go to **Issues → New Issue**
-2. Select **Mayor Task** template
-3. Fill in acceptance criteria
-4. Copilot is auto-assigned
-5. PR is auto-merged when tests pass
-`;
-  },
-
-  // Versioning Files
-  '.versionrc.json': (options = {}) => JSON.stringify({
-    "types": [
-      {"type": "feat", "section": "Features"},
-      {"type": "fix", "section": "Bug Fixes"},
-      {"type": "perf", "section": "Performance"},
-      {"type": "refactor", "section": "Refactoring"},
-      {"type": "docs", "section": "Documentation"},
-      {"type": "test", "section": "Tests"},
-      {"type": "ci", "section": "CI/CD"},
-      {"type": "chore", "hidden": true}
-    ],
-    "releaseCommitMessageFormat": "chore(release): {{currentTag}}",
-    "scripts": {
-      "postchangelog": "prettier --write CHANGELOG.md || true"
+  if (secret?.changed) {
+    console.log(chalk.cyan('Found token in environment variable!'));
+    if (!secret.error) {
+      log.success('Secret GH_AW_AGENT_TOKEN added from environment variable!');
+      recordSetupStep(session, 'agent-token', 'ok', 'Secret set from MAYOR_WEST_TOKEN');
+      return;
     }
-  }, null, 2),
-
-  'CHANGELOG.md': (options = {}) => `# Changelog
-
-All notable changes to this project will be documented in this file.
-
-The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.0.0/),
-and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0.html).
-
-## [Unreleased]
-
-### Added
-- Initial Mayor West Mode setup
-- Autonomous GitHub Copilot workflows
-- Auto-merge workflow
-- Orchestrator workflow
-- Security layers (CODEOWNERS, protected paths, kill switch)
-`,
-
-  '.github/workflows/release.yml': (options = {}) => `name: Release
-
-on:
-  push:
-    tags:
-      - 'v*'
-
-permissions:
-  contents: write
-
-jobs:
-  release:
-    runs-on: ubuntu-latest
-    steps:
-      - uses: actions/checkout@v4
-        with:
-          fetch-depth: 0
-
-      - name: Setup Node.js
-        uses: actions/setup-node@v4
-        with:
-          node-version: '18'
-
-      - name: Install dependencies
-        run: npm ci
-
-      - name: Run tests
-        run: npm test
-
-      - name: Extract changelog for this version
-        id: changelog
-        run: |
-          VERSION=\${GITHUB_REF#refs/tags/v}
-          echo "version=\$VERSION" >> \$GITHUB_OUTPUT
-          sed -n "/## \\[\$VERSION\\]/,/## \\[/p" CHANGELOG.md | sed '\$d' > release-notes.md || true
-
-      - name: Create GitHub Release
-        uses: softprops/action-gh-release@v1
-        with:
-          name: v\${{ steps.changelog.outputs.version }}
-          body_path: release-notes.md
-          draft: false
-          prerelease: \${{ contains(github.ref, '-') }}
-        env:
-          GITHUB_TOKEN: \${{ secrets.GITHUB_TOKEN }}
-`,
-};
+    log.error('Failed to add secret from environment variable.');
+    recordSetupStep(session, 'agent-token', 'failed', 'Could not set secret from MAYOR_WEST_TOKEN');
+  }
 
-// ============================================================================
-// SETUP FLOW
-// ============================================================================
+  if (session.interactive) {
+    await walkThroughAgentToken(gitHubInfo, ghCliAvailable);
+  } else if (!envToken) {
+    log.warning('MAYOR_WEST_TOKEN not set - skipped PAT setup, Copilot auto-assignment will not work');
+    recordSetupStep(session, 'agent-token', 'skipped', 'MAYOR_WEST_TOKEN not set');
+  } else if (!ghCliAvailable) {
+    log.warning('GitHub CLI not authenticated - add the GH_AW_AGENT_TOKEN secret manually');
+    recordSetupStep(session, 'agent-token', 'manual', 'GitHub CLI not authenticated');
+  }
+}
 
-async function runSetupFlow() {
+async function runSetupFlow(flags = {}) {
   log.header('🤖 Mayor West Mode Setup');
 
   console.log(chalk.cyan(
@@ -1204,35 +868,43 @@ async function runSetupFlow() {
     'This will set up autonomous GitHub Copilot development workflows.\n'
   ));
 
+  let session;
+  try {
+    session = createSetupSession(flags);
+  } catch (error) {
+    session = createSetupSession({ yes: true });
+    abortSetup(session, error.message);
+  }
+
+  if (!session.interactive) {
+    log.info('Running non-interactively (answers from flags, answers file and defaults)');
+  }
+
   // Step 1: Verify git repository
   if (!isGitRepository()) {
-    log.error('Not a git repository. Please run this from a git repository root.');
-    process.exit(1);
+    abortSetup(session, 'Not a git repository. Please run this from a git repository root.');
   }
   log.success('Git repository detected');
 
   // Step 2: Get GitHub details
   const remoteUrl = getGitRemoteUrl();
   if (!remoteUrl) {
-    log.error('No git remote found. Please add a GitHub remote.');
-    process.exit(1);
+    abortSetup(session, 'No git remote found. Please add a GitHub remote.');
   }
 
   const gitHubInfo = parseGitHubUrl(remoteUrl);
   if (!gitHubInfo) {
-    log.error('Could not parse GitHub URL. Ensure remote points to GitHub.');
-    process.exit(1);
+    abortSetup(session, 'Could not parse GitHub URL. Ensure remote points to GitHub.');
   }
 
   log.success(`GitHub repository: ${gitHubInfo.owner}/${gitHubInfo.repo}`);
+  session.summary.repository = `${gitHubInfo.owner}/${gitHubInfo.repo}`;
 
   // Check for gh CLI
-  let ghCliAvailable = false;
-  try {
-    execSync('gh auth status', { stdio: 'pipe' });
-    ghCliAvailable = true;
+  const ghCliAvailable = isGhCliAuthenticated();
+  if (ghCliAvailable) {
     log.success('GitHub CLI authenticated');
-  } catch (e) {
+  } else {
     log.warning('GitHub CLI not authenticated (some features require manual setup)');
   }
 
@@ -1256,475 +928,76 @@ async function runSetupFlow() {
 
   log.divider();
 
-  // Step 3: Prompt for configuration
-  const answers = await inquirer.prompt([
-    {
-      type: 'list',
-      name: 'setupType',
-      message: 'Which setup mode would you like?',
-      choices: [
-        { name: 'Full Setup (all files + configuration)', value: 'full' },
-        { name: 'Minimal Setup (core files only)', value: 'minimal' },
-        { name: 'Custom Setup (choose files individually)', value: 'custom' },
-      ],
-    },
-    {
-      type: 'confirm',
-      name: 'enableAutoMerge',
-      message: 'Enable auto-merge on PRs?',
-      default: true,
-    },
-    {
-      type: 'list',
-      name: 'mergeStrategy',
-      message: 'How should PRs be merged?',
-      choices: [
-        { name: 'Squash (recommended)', value: 'SQUASH' },
-        { name: 'Merge (preserve commits)', value: 'MERGE' },
-        { name: 'Rebase (linear history)', value: 'REBASE' },
-      ],
-      default: 'SQUASH',
-    },
-    {
-      type: 'input',
-      name: 'iterationLimit',
-      message: 'Max Copilot iterations before stopping:',
-      default: 15,
-      validate: (input) => !isNaN(input) && input > 0 && input <= 50,
-    },
-  ]);
-
-  // Determine which files to create
-  let filesToCreate = { ...FILES_TO_CREATE };
-  if (answers.setupType === 'minimal') {
-    // Remove optional files for minimal setup
-    const toRemove = Object.keys(filesToCreate).filter(
-      key => !filesToCreate[key].critical
-    );
-    toRemove.forEach(key => delete filesToCreate[key]);
-  } else if (answers.setupType === 'custom') {
-    // Prompt for each file
-    const customAnswers = await inquirer.prompt(
-      Object.entries(filesToCreate).map(([filePath, config]) => ({
-        type: 'confirm',
-        name: filePath,
-        message: `Create ${config.displayName}?`,
-        default: config.critical,
-      }))
-    );
-
-    filesToCreate = Object.fromEntries(
-      Object.entries(filesToCreate).filter(([key]) => customAnswers[key])
-    );
-  }
-
-  // Step 4: Create files
-  log.header('📁 Step 1: Creating Configuration Files');
-
-  // Prepare template options with owner info
-  const templateOptions = {
+  const envToken = process.env.MAYOR_WEST_TOKEN || process.env.GH_AW_AGENT_TOKEN;
+  const setupOptions = {
     owner: gitHubInfo.owner,
     repo: gitHubInfo.repo,
+    files: session.presets.files,
+    force: flags.force,
+    token: envToken,
+    prompt: (questions) => askQuestions(questions, session),
   };
 
-  const spinner = ora('Creating files...').start();
-  let created = 0;
-
-  for (const [filePath, config] of Object.entries(filesToCreate)) {
+  if (flags.dryRun) {
+    // Every managed setting is planned, and the commit question asked up front, so the plan matches a real run
+    let plan;
     try {
-      ensureDirectory(filePath);
-      const content = fileTemplates[filePath](templateOptions);
-      fs.writeFileSync(filePath, content, 'utf-8');
-      created++;
-      spinner.succeed(`✓ ${chalk.green(config.displayName)}`);
+      ({ plan } = await setup({ ...setupOptions, dryRun: true, configureGitHub: true }));
     } catch (error) {
-      spinner.fail(`✗ ${chalk.red(config.displayName)}: ${error.message}`);
+      abortSetup(session, error.message);
     }
-  }
-
-  spinner.stop();
-  log.success(`Created ${created} configuration files`);
-  log.divider();
-
-  // Step 5: GitHub Repository Settings
-  log.header('⚙️  Step 2: GitHub Repository Settings');
-
-  if (ghCliAvailable) {
-    const configureGitHub = await inquirer.prompt([
+    const later = await askQuestions([
       {
         type: 'confirm',
-        name: 'autoConfigureSettings',
-        message: 'Automatically configure GitHub repository settings?',
+        name: 'autoCommit',
+        message: 'Commit and push the configuration files now?',
         default: true,
       },
-    ]);
-
-    if (configureGitHub.autoConfigureSettings) {
-      const ghSpinner = ora('Configuring GitHub settings...').start();
-      
-      try {
-        // Enable auto-merge (use -F for boolean fields, not -f)
-        execSync(`gh api repos/${gitHubInfo.owner}/${gitHubInfo.repo} -X PATCH -F allow_auto_merge=true --silent`, { stdio: 'pipe' });
-        ghSpinner.succeed('Auto-merge enabled');
-      } catch (e) {
-        ghSpinner.fail('Could not enable auto-merge (may require admin access)');
-      }
-
-      try {
-        // Enable delete branch on merge
-        execSync(`gh api repos/${gitHubInfo.owner}/${gitHubInfo.repo} -X PATCH -F delete_branch_on_merge=true --silent`, { stdio: 'pipe' });
-        ora().succeed('Delete branch on merge enabled');
-      } catch (e) {
-        ora().fail('Could not enable delete branch on merge');
-      }
+    ], session);
 
-      try {
-        // Enable squash merge
-        execSync(`gh api repos/${gitHubInfo.owner}/${gitHubInfo.repo} -X PATCH -F allow_squash_merge=true --silent`, { stdio: 'pipe' });
-        ora().succeed('Squash merge enabled');
-      } catch (e) {
-        ora().fail('Could not enable squash merge');
-      }
-
-      // Check if branch protection exists, if not create minimal rule
-      try {
-        execSync(`gh api repos/${gitHubInfo.owner}/${gitHubInfo.repo}/branches/main/protection`, { stdio: 'pipe' });
-        ora().succeed('Branch protection already configured on main');
-      } catch (e) {
-        // No branch protection - create rule with 1 required review (needed for auto-merge)
-        try {
-          const json = '{"enforce_admins":false,"required_pull_request_reviews":{"dismiss_stale_reviews":false,"require_code_owner_reviews":false,"required_approving_review_count":1},"required_status_checks":null,"restrictions":null}';
-          execSync(`echo '${json}' | gh api repos/${gitHubInfo.owner}/${gitHubInfo.repo}/branches/main/protection -X PUT -H "Accept: application/vnd.github+json" --input -`, { stdio: 'pipe', shell: true });
-          ora().succeed('Branch protection enabled on main (1 review required for auto-merge)');
-        } catch (e2) {
-          ora().warn('Could not enable branch protection - auto-merge may fail');
-          console.log(chalk.yellow('   → Go to Settings → Branches → Add rule for "main"'));
-          console.log(chalk.yellow('   → Enable "Require pull request reviews" with 1 approval'));
-        }
-      }
-    } else {
-      console.log(chalk.yellow('\nManual configuration required:'));
-      console.log(chalk.gray('   GitHub → Settings → General'));
-      console.log(chalk.gray('   ├─ ☑ Allow auto-merge'));
-      console.log(chalk.gray('   ├─ ☑ Automatically delete head branches'));
-      console.log(chalk.gray('   └─ ☑ Allow squash merging'));
-      console.log(chalk.gray(''));
-      console.log(chalk.gray('   GitHub → Settings → Branches → Add rule'));
-      console.log(chalk.gray('   └─ Branch name pattern: main'));
-      console.log(chalk.yellow('   ⚠ Branch protection is REQUIRED for auto-merge!'));
+    if (!ghCliAvailable) {
+      log.warning('GitHub CLI not authenticated - current settings unknown, listing every managed setting');
     }
+    printSetupPlan(plan, later);
+
+    session.summary.dryRun = true;
+    session.summary.plan = {
+      files: plan.files.map(file => ({ path: file.path, action: file.action })),
+      commands: plan.commands,
+    };
+    finishSetup(session);
+    return;
   }
 
-  log.divider();
-
-  // Step 6: Workflow Permissions (Auto-configure via API)
-  log.header('🔐 Step 3: Workflow Permissions');
-
-  console.log(chalk.cyan('\nConfiguring workflow permissions for autonomous operation...\n'));
-
-  if (ghCliAvailable) {
-    // Configure workflow permissions via API
-    try {
-      // Set default workflow permissions to "write" and enable PR approvals
-      execSync(`gh api repos/${gitHubInfo.owner}/${gitHubInfo.repo}/actions/permissions/workflow -X PUT -f default_workflow_permissions=write -F can_approve_pull_request_reviews=true --silent`, { stdio: 'pipe' });
-      ora().succeed('Workflow permissions set to "Read and write"');
-      ora().succeed('GitHub Actions can now approve pull requests');
-    } catch (e) {
-      // Fallback to manual if API fails
-      console.log(chalk.yellow('\n⚠ Could not auto-configure workflow permissions (may require admin access)'));
-      console.log(chalk.white('\nManual configuration required:'));
-      console.log(chalk.gray('   GitHub → Settings → Actions → General'));
-      console.log(chalk.gray('   └─ Workflow permissions:'));
-      console.log(chalk.green('      ◉ Read and write permissions'));
-      console.log(chalk.green('      ☑ Allow GitHub Actions to create and approve pull requests'));
-      
-      const actionsUrl = `https://github.com/${gitHubInfo.owner}/${gitHubInfo.repo}/settings/actions`;
-      if (!openUrl(actionsUrl)) {
-        console.log(chalk.gray(`\n   Open: ${actionsUrl}`));
-      }
-      
-      await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'continue',
-          message: 'Press Enter when ready to continue...',
-          default: true,
-        },
-      ]);
-    }
-
-    // CRITICAL: Configure fork PR workflow approval for Copilot
-    console.log(chalk.cyan('\nConfiguring Copilot workflow approval bypass...\n'));
-    console.log(chalk.yellow('⚠ IMPORTANT: Copilot PRs require a one-time manual setting:'));
-    console.log(chalk.white('\n   GitHub → Settings → Actions → General'));
-    console.log(chalk.white('   Under "Fork pull request workflows from outside collaborators":'));
-    console.log(chalk.green('   ◉ Require approval for first-time contributors who are new to GitHub'));
-    console.log(chalk.gray('\n   (This allows Copilot PRs to run workflows without manual approval)'));
-    
-    const actionsSettingsUrl = `https://github.com/${gitHubInfo.owner}/${gitHubInfo.repo}/settings/actions`;
-    
-    const forkApproval = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'openSettings',
-        message: 'Open Actions settings to configure this?',
-        default: true,
-      },
-    ]);
-
-    if (forkApproval.openSettings) {
-      if (!openUrl(actionsSettingsUrl)) {
-        console.log(chalk.gray(`\n   Open: ${actionsSettingsUrl}`));
-      }
-      
-      await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'continue',
-          message: 'Press Enter after configuring the setting...',
-          default: true,
-        },
-      ]);
-    }
-  } else {
-    console.log(chalk.yellow('\nManual configuration required (gh CLI not available):'));
-    console.log(chalk.gray('   GitHub → Settings → Actions → General'));
-    console.log(chalk.gray('   └─ Workflow permissions:'));
-    console.log(chalk.green('      ◉ Read and write permissions'));
-    console.log(chalk.green('      ☑ Allow GitHub Actions to create and approve pull requests'));
+  // Steps 1-4: files, then the GitHub settings gh can reach
+  const progress = {};
+  let installed;
+  try {
+    installed = await setup({
+      ...setupOptions,
+      configureGitHub: ghCliAvailable,
+      report: setupReporter(session, gitHubInfo, progress),
+    });
+  } catch (error) {
+    abortSetup(session, error.message);
   }
+  session.summary.setupType = installed.setupType;
 
-  log.divider();
+  if (!ghCliAvailable) {
+    startSetupStep('repository-settings');
+    recordSetupStep(session, 'repository-settings', 'manual', 'GitHub CLI not authenticated');
+    log.divider();
 
-  // Step 7: PAT Token Setup (CRITICAL for Copilot assignment)
-  log.header('🔑 Step 4: Personal Access Token (PAT) Setup');
+    startSetupStep('workflow-permissions');
+    recordSetupStep(session, 'workflow-permissions', 'manual', 'GitHub CLI not authenticated');
+    console.log(chalk.yellow('\nManual configuration required (gh CLI not available):'));
+    printManualWorkflowPermissions();
+    log.divider();
 
-  // Check if secret already exists
-  let secretExists = false;
-  if (ghCliAvailable) {
-    try {
-      const secrets = execSync(`gh api repos/${gitHubInfo.owner}/${gitHubInfo.repo}/actions/secrets --jq ".secrets[].name"`, { 
-        encoding: 'utf8', 
-        stdio: ['pipe', 'pipe', 'pipe'] 
-      });
-      secretExists = secrets.includes('GH_AW_AGENT_TOKEN');
-    } catch (e) {}
+    startSetupStep('agent-token');
   }
 
-  if (secretExists) {
-    log.success('GH_AW_AGENT_TOKEN secret already configured!');
-    console.log(chalk.gray('   └─ Copilot auto-assignment is ready to work.'));
-  } else {
-    // Check for token in environment variable
-    const envToken = process.env.MAYOR_WEST_TOKEN || process.env.GH_AW_AGENT_TOKEN;
-    
-    if (envToken && ghCliAvailable) {
-      console.log(chalk.cyan('Found token in environment variable!'));
-      const useEnvToken = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'useIt',
-          message: 'Use MAYOR_WEST_TOKEN from environment to configure this repo?',
-          default: true,
-        },
-      ]);
-
-      if (useEnvToken.useIt) {
-        try {
-          execSync(`gh secret set GH_AW_AGENT_TOKEN --body "${envToken}" --repo ${gitHubInfo.owner}/${gitHubInfo.repo}`, { stdio: 'pipe' });
-          log.success('Secret GH_AW_AGENT_TOKEN added from environment variable!');
-          secretExists = true;
-        } catch (e) {
-          log.error('Failed to add secret from environment variable.');
-        }
-      }
-    }
-
-    if (!secretExists) {
-      console.log(chalk.red.bold('\n⚠️  REQUIRED for Copilot auto-assignment!\n'));
-      console.log(chalk.white('The orchestrator workflow needs a PAT to assign Copilot to issues.'));
-      console.log(chalk.white('Without this, issues won\'t be automatically picked up by Copilot.\n'));
-      
-      console.log(chalk.yellow('💡 Pro tip: Set MAYOR_WEST_TOKEN environment variable to skip this step!\n'));
-      console.log(chalk.gray('   PowerShell: $env:MAYOR_WEST_TOKEN = "ghp_xxxxx"'));
-      console.log(chalk.gray('   Bash:       export MAYOR_WEST_TOKEN="ghp_xxxxx"'));
-      console.log(chalk.gray('   Or add to your shell profile for permanent use.\n'));
-
-    // Ask if they have an existing token
-    const existingTokenPrompt = await inquirer.prompt([
-      {
-        type: 'list',
-        name: 'hasExistingToken',
-        message: 'Do you have an existing Mayor West PAT token?',
-        choices: [
-          { name: 'Yes, I have a token I can reuse', value: 'reuse' },
-          { name: 'No, I need to create a new token', value: 'create' },
-          { name: 'Skip for now (auto-assignment won\'t work)', value: 'skip' },
-        ],
-      },
-    ]);
-
-    if (existingTokenPrompt.hasExistingToken === 'reuse') {
-      console.log(chalk.cyan('\n📝 Reusing existing token\n'));
-      console.log(chalk.gray('If your token has "All repositories" access, it will work for this repo.'));
-      console.log(chalk.gray('If it\'s scoped to specific repos, you may need to edit the token to add this repo.'));
-      console.log(chalk.gray(''));
-      console.log(chalk.gray('To edit an existing token:'));
-      console.log(chalk.gray('   1. Go to: https://github.com/settings/tokens?type=beta'));
-      console.log(chalk.gray('   2. Click on your token name'));
-      console.log(chalk.gray('   3. Under "Repository access", add ' + chalk.cyan(`${gitHubInfo.owner}/${gitHubInfo.repo}`)));
-      console.log(chalk.gray(''));
-
-      const reusePrompt = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'addMethod',
-          message: 'How would you like to add the secret to this repo?',
-          choices: [
-            { name: 'Use gh CLI to add it now (paste token)', value: 'cli' },
-            { name: 'I\'ll add it manually in GitHub', value: 'manual' },
-          ],
-        },
-      ]);
-
-      if (reusePrompt.addMethod === 'cli' && ghCliAvailable) {
-        const tokenInput = await inquirer.prompt([
-          {
-            type: 'password',
-            name: 'token',
-            message: 'Paste your existing PAT token:',
-            mask: '*',
-          },
-        ]);
-
-        if (tokenInput.token) {
-          try {
-            execSync(`gh secret set GH_AW_AGENT_TOKEN --body "${tokenInput.token}" --repo ${gitHubInfo.owner}/${gitHubInfo.repo}`, { stdio: 'pipe' });
-            log.success('Secret GH_AW_AGENT_TOKEN added successfully!');
-          } catch (e) {
-            log.error('Failed to add secret. Please add it manually.');
-            const secretsUrl = `https://github.com/${gitHubInfo.owner}/${gitHubInfo.repo}/settings/secrets/actions/new`;
-            console.log(chalk.gray(`   ${secretsUrl}`));
-          }
-        }
-      } else {
-        const secretsUrl = `https://github.com/${gitHubInfo.owner}/${gitHubInfo.repo}/settings/secrets/actions/new`;
-        if (!openUrl(secretsUrl)) {
-          console.log(chalk.gray(`\n   Open: ${secretsUrl}`));
-        }
-        console.log(chalk.cyan('\nAdd a new repository secret:'));
-        console.log(chalk.green('   Name: GH_AW_AGENT_TOKEN'));
-        console.log(chalk.green('   Value: <paste your existing token>'));
-        
-        await inquirer.prompt([
-          {
-            type: 'confirm',
-            name: 'continue',
-            message: 'Press Enter when you\'ve added the secret...',
-            default: true,
-          },
-        ]);
-      }
-    } else if (existingTokenPrompt.hasExistingToken === 'create') {
-      console.log(chalk.cyan('\n📝 Create a Fine-Grained Personal Access Token:\n'));
-      console.log(chalk.yellow('💡 Tip: Create one token with "All repositories" access to reuse across all Mayor West repos!\n'));
-      console.log(chalk.gray('1. Go to: https://github.com/settings/tokens?type=beta'));
-      console.log(chalk.gray('2. Click "Generate new token"'));
-      console.log(chalk.gray('3. Configure token settings:'));
-      console.log(chalk.gray('   ├─ Token name: ' + chalk.white('Mayor West Agent Token')));
-      console.log(chalk.gray('   ├─ Expiration: ' + chalk.white('90 days') + chalk.gray(' (or longer for less maintenance)')));
-      console.log(chalk.gray('   ├─ Description: ' + chalk.white('Enables Copilot auto-assignment for Mayor West Mode')));
-      console.log(chalk.gray('   └─ Resource owner: ' + chalk.cyan(`${gitHubInfo.owner}`)));
-      console.log(chalk.gray(''));
-      console.log(chalk.gray('4. Repository access ' + chalk.yellow('(choose one)') + ':'));
-      console.log(chalk.green('   ◉ All repositories') + chalk.gray(' ← Recommended! Reuse for all repos'));
-      console.log(chalk.gray('   ○ Only select repositories → Select: ' + chalk.cyan(`${gitHubInfo.owner}/${gitHubInfo.repo}`)));
-      console.log(chalk.gray(''));
-      console.log(chalk.gray('5. Repository permissions ' + chalk.yellow('(expand this section)') + ':'));
-      console.log(chalk.green('   ├─ Actions: ') + chalk.white('Read-only') + chalk.gray(' (view workflow runs)'));
-      console.log(chalk.green('   ├─ Contents: ') + chalk.white('Read and write') + chalk.gray(' (for PR merging)'));
-      console.log(chalk.green('   ├─ Issues: ') + chalk.white('Read and write') + chalk.gray(' (assign Copilot, add comments)'));
-      console.log(chalk.green('   ├─ Metadata: ') + chalk.white('Read-only') + chalk.gray(' (auto-selected, required)'));
-      console.log(chalk.green('   └─ Pull requests: ') + chalk.white('Read and write') + chalk.gray(' (for auto-merge)'));
-      console.log(chalk.gray(''));
-      console.log(chalk.gray('6. Account permissions: ' + chalk.white('No access needed') + chalk.gray(' (leave all as default)')));
-      console.log(chalk.gray(''));
-      console.log(chalk.gray('7. Click ' + chalk.white('"Generate token"') + ' and ' + chalk.red('copy it immediately!')));
-      console.log(chalk.yellow('   ⚠ You won\'t be able to see it again after leaving the page.'));
-
-      const patPrompt = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'openTokenPage',
-          message: 'Open GitHub token creation page in browser?',
-          default: true,
-        },
-      ]);
-
-      if (patPrompt.openTokenPage) {
-        const tokenUrl = 'https://github.com/settings/tokens?type=beta';
-        if (!openUrl(tokenUrl)) {
-          console.log(chalk.gray(`\n   Open: ${tokenUrl}`));
-        }
-      }
-
-      console.log(chalk.cyan('\n8. Add the token as a repository secret:\n'));
-      console.log(chalk.gray(`   GitHub → ${gitHubInfo.owner}/${gitHubInfo.repo} → Settings → Secrets → Actions`));
-      console.log(chalk.gray('   └─ New repository secret:'));
-      console.log(chalk.green('      Name: GH_AW_AGENT_TOKEN'));
-      console.log(chalk.green('      Value: <paste your token>'));
-
-      const secretPrompt = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'secretMethod',
-          message: 'How would you like to add the secret?',
-          choices: [
-            { name: 'Use gh CLI to add it now (paste token)', value: 'cli' },
-            { name: 'I\'ll add it manually in GitHub', value: 'manual' },
-          ],
-        },
-      ]);
-
-      if (secretPrompt.secretMethod === 'cli' && ghCliAvailable) {
-        const tokenInput = await inquirer.prompt([
-          {
-            type: 'password',
-            name: 'token',
-            message: 'Paste your PAT token:',
-            mask: '*',
-          },
-        ]);
-
-        if (tokenInput.token) {
-          try {
-            execSync(`gh secret set GH_AW_AGENT_TOKEN --body "${tokenInput.token}" --repo ${gitHubInfo.owner}/${gitHubInfo.repo}`, { stdio: 'pipe' });
-            log.success('Secret GH_AW_AGENT_TOKEN added successfully!');
-          } catch (e) {
-            log.error('Failed to add secret. Please add it manually.');
-            console.log(chalk.gray(`   https://github.com/${gitHubInfo.owner}/${gitHubInfo.repo}/settings/secrets/actions/new`));
-          }
-        }
-      } else {
-        const secretsUrl = `https://github.com/${gitHubInfo.owner}/${gitHubInfo.repo}/settings/secrets/actions/new`;
-        if (!openUrl(secretsUrl)) {
-          console.log(chalk.gray(`\n   Open: ${secretsUrl}`));
-        }
-        
-        await inquirer.prompt([
-          {
-            type: 'confirm',
-            name: 'continue',
-            message: 'Press Enter when you\'ve added the secret...',
-            default: true,
-          },
-        ]);
-      }
-    } else {
-      log.warning('Skipped PAT setup - Copilot auto-assignment will not work');
-    }
-    }
-  }
+  await finishAgentTokenStep(session, gitHubInfo, { secret: progress.secret, envToken, ghCliAvailable });
 
   log.divider();
 
@@ -1745,12 +1018,17 @@ async function runSetupFlow() {
       const result = execSync(`gh api graphql -f query='{ repository(owner:"${gitHubInfo.owner}", name:"${gitHubInfo.repo}") { suggestedActors(first:100, capabilities:CAN_BE_ASSIGNED) { nodes { ... on Bot { login } } } } }' --jq '.data.repository.suggestedActors.nodes[].login' 2>/dev/null || echo ""`, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] });
       if (result.includes('copilot-swe-agent')) {
         log.success('Copilot coding agent is available for this repository!');
+        recordSetupStep(session, 'copilot-access', 'ok');
       } else {
         log.warning('Copilot coding agent not detected. Ensure Copilot is enabled for this repo.');
+        recordSetupStep(session, 'copilot-access', 'manual', 'Copilot coding agent not detected');
       }
     } catch (e) {
       log.info('Could not verify Copilot access (this is normal for new repos)');
+      recordSetupStep(session, 'copilot-access', 'skipped', 'Could not verify Copilot access');
     }
+  } else {
+    recordSetupStep(session, 'copilot-access', 'skipped', 'GitHub CLI not authenticated');
   }
 
   log.divider();
@@ -1758,14 +1036,14 @@ async function runSetupFlow() {
   // Step 9: Commit and push
   log.header('📤 Step 6: Commit and Push');
 
-  const commitPrompt = await inquirer.prompt([
+  const commitPrompt = await askQuestions([
     {
       type: 'confirm',
       name: 'autoCommit',
       message: 'Commit and push the configuration files now?',
       default: true,
     },
-  ]);
+  ], session);
 
   if (commitPrompt.autoCommit) {
     try {
@@ -1776,20 +1054,25 @@ async function runSetupFlow() {
       try {
         execSync('git push', { stdio: 'pipe' });
         log.success('Changes pushed to remote');
+        recordSetupStep(session, 'commit', 'ok', 'Committed and pushed');
       } catch (e) {
         log.warning('Could not push (try: git push origin main)');
+        recordSetupStep(session, 'commit', 'manual', 'Committed but could not push');
       }
     } catch (e) {
       if (e.message.includes('nothing to commit')) {
         log.info('No changes to commit');
+        recordSetupStep(session, 'commit', 'ok', 'No changes to commit');
       } else {
         log.warning('Could not commit automatically');
+        recordSetupStep(session, 'commit', 'failed', 'Could not commit automatically');
         console.log(chalk.gray('   git add .vscode .github AGENTS.md'));
         console.log(chalk.gray('   git commit -m "[MAYOR] Initialize Mayor West Mode"'));
         console.log(chalk.gray('   git push'));
       }
     }
   } else {
+    recordSetupStep(session, 'commit', 'skipped', 'Commit declined');
     console.log(chalk.gray('\nCommit manually:'));
     console.log(chalk.gray('   git add .vscode .github AGENTS.md .versionrc.json CHANGELOG.md'));
     console.log(chalk.gray('   git commit -m "[MAYOR] Initialize Mayor West Mode"'));
@@ -1798,29 +1081,237 @@ async function runSetupFlow() {
 
   log.divider();
 
-  // Step 10: Final Summary
-  log.header('🎉 Setup Complete!');
+  // Step 10: Final Summary
+  log.header('🎉 Setup Complete!');
+
+  console.log(chalk.green.bold('\n✓ Mayor West Mode is ready for autonomous operation!\n'));
+
+  console.log(chalk.cyan('Summary:'));
+  console.log(chalk.gray(`   ├─ Repository: ${gitHubInfo.owner}/${gitHubInfo.repo}`));
+  console.log(chalk.gray(`   ├─ Files created: ${installed.files.created.length}`));
+  console.log(chalk.gray(`   ├─ Auto-merge: ${installed.options.enableAutoMerge ? 'Enabled' : 'Disabled'}`));
+  console.log(chalk.gray(`   └─ Merge strategy: ${installed.options.mergeStrategy}`));
+
+  console.log(chalk.cyan('\nTest the setup:'));
+  console.log(chalk.gray('   1. Create an issue using the Mayor Task template'));
+  console.log(chalk.gray('   2. Add the "mayor-task" label'));
+  console.log(chalk.gray('   3. Watch Copilot get assigned and create a PR'));
+  console.log(chalk.gray('   4. PR should auto-merge after passing checks'));
+
+  console.log(chalk.cyan('\nUseful commands:'));
+  console.log(chalk.yellow('   mayorwest verify') + chalk.gray(' - Check configuration status'));
+  console.log(chalk.yellow('   mayorwest status') + chalk.gray(' - View active tasks'));
+  console.log(chalk.yellow('   mayorwest examples') + chalk.gray(' - See example task templates'));
+
+  console.log(chalk.cyan.bold('\n🚀 Ready to go! Create your first mayor-task issue.\n'));
+
+  finishSetup(session);
+}
+
+// ============================================================================
+// CONFIGURE - APPLY GITHUB REPOSITORY SETTINGS ONLY
+// ============================================================================
+
+async function runConfigureFlow(flags = {}) {
+  log.header('⚙️  Configure GitHub Repository Settings');
+
+  console.log(chalk.gray('Applies the repository settings from setup without touching any files.\n'));
+
+  if (!isGitRepository()) {
+    log.error('Not a git repository. Please run this from a git repository root.');
+    process.exit(1);
+  }
+
+  const remoteUrl = getGitRemoteUrl();
+  const gitHubInfo = remoteUrl ? parseGitHubUrl(remoteUrl) : null;
+  if (!gitHubInfo) {
+    log.error('Could not detect GitHub repository. Ensure remote "origin" points to GitHub.');
+    process.exit(1);
+  }
+
+  if (!isGhCliAuthenticated()) {
+    log.error('GitHub CLI (gh) must be installed and authenticated for this command.');
+    console.log(chalk.gray('Run: gh auth login'));
+    process.exit(1);
+  }
+
+  log.success(`GitHub repository: ${gitHubInfo.owner}/${gitHubInfo.repo}`);
+
+  const spinner = ora('Reading current repository settings...').start();
+  const { branch, settings } = readGitHubSettings(gitHubInfo);
+  spinner.stop();
+
+  const token = process.env.MAYOR_WEST_TOKEN || process.env.GH_AW_AGENT_TOKEN;
+  const changes = planGitHubSettings(settings, { ...detectInstalledOptions(), token });
+  const pending = changes.filter(change => change.changed);
+
+  console.log(chalk.cyan.bold('\nSettings (current → desired):\n'));
+  printSettingsDiff(changes, branch);
+  console.log('');
+
+  if (pending.length === 0) {
+    log.success('Repository settings already configured. Nothing to do.\n');
+    return;
+  }
+
+  if (flags.dryRun) {
+    log.info(`Dry run: ${pending.length} setting(s) would change. No changes applied.\n`);
+    return;
+  }
+
+  if (!flags.yes) {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: `Apply ${pending.length} change(s) to ${gitHubInfo.owner}/${gitHubInfo.repo}?`,
+        default: true,
+      },
+    ]);
+
+    if (!confirm) {
+      console.log(chalk.gray('\nConfigure cancelled.\n'));
+      return;
+    }
+  }
+
+  console.log('');
+  const { applied, failed } = applyGitHubSettings({ ...gitHubInfo, branch }, pending, { token });
+  recordGitHubChanges(applied, branch);
+
+  log.divider();
+  console.log(`\n${chalk.bold('Applied:')} ${chalk.green(applied.length)}/${pending.length} setting(s)\n`);
+
+  if (failed.length > 0) {
+    log.warning('Some settings could not be updated. An admin may need to change them in Settings.');
+    process.exit(1);
+  }
+
+  log.success('Repository settings configured. Run `mayorwest verify` to confirm.\n');
+}
+
+// ============================================================================
+// UPGRADE - MIGRATE AN INSTALLED SETUP TO THE CURRENT TEMPLATES
+// ============================================================================
+
+const UPGRADE_ACTION_LABELS = {
+  update: chalk.green('update'),
+  merge: chalk.green('merge with local changes'),
+  conflict: chalk.red('conflict'),
+  kept: chalk.yellow('locally modified, original not in git history - kept'),
+  current: chalk.gray('up to date'),
+  missing: chalk.yellow('missing - run setup to restore'),
+};
+
+async function runUpgradeFlow(flags = {}) {
+  log.header('⬆️  Upgrade Mayor West Mode');
+
+  if (!isGitRepository()) {
+    log.error('Not a git repository. Run this from a repo with Mayor West Mode installed.');
+    process.exit(1);
+  }
+
+  const manifest = loadManifest();
+  if (!manifest) {
+    log.error(`No ${MANIFEST_PATH} found. Re-run setup to upgrade an install made before the manifest existed.`);
+    process.exit(1);
+  }
+
+  let policyOptions;
+  try {
+    policyOptions = policyTemplateOptions();
+  } catch (error) {
+    log.error(`Invalid ${POLICY_FILE_PATH}: ${error.message}. Fix it, or check it with: policy validate`);
+    process.exit(1);
+  }
+
+  const remoteUrl = getGitRemoteUrl();
+  const templateOptions = resolveTemplateOptions({
+    ...(remoteUrl ? parseGitHubUrl(remoteUrl) : {}),
+    ...manifest.options,
+    ...policyOptions,
+  });
+
+  console.log(chalk.gray(`Installed: v${manifest.version}   Current: v${pkg.version}\n`));
+
+  const plan = planUpgrade(manifest, templateOptions);
+  plan.forEach(file => {
+    console.log(`  ${file.path.padEnd(50)} ${UPGRADE_ACTION_LABELS[file.action]}`);
+    file.migrations.forEach(migration => console.log(chalk.gray(`    ↳ v${migration.version}: ${migration.description}`)));
+  });
+
+  const available = Object.keys(FILES_TO_CREATE).filter(filePath => !manifest.files?.[filePath] && !fs.existsSync(filePath));
+  if (available.length > 0) {
+    console.log(chalk.gray(`\n  Not installed (run setup to add): ${available.join(', ')}`));
+  }
+
+  const writes = plan.filter(file => file.action === 'update' || file.action === 'merge');
+  const conflicts = plan.filter(file => file.action === 'conflict');
+  const outdatedManifest = manifest.version !== pkg.version;
+
+  if (flags.dryRun) {
+    writes.forEach(file => {
+      console.log(chalk.cyan(`\n${file.path}`));
+      printUnifiedDiff(unifiedDiff(file.current, file.content, { fromFile: `a/${file.path}`, toFile: `b/${file.path}` }));
+    });
+    log.info(`\nDry run: ${writes.length} file(s) would change, ${conflicts.length} conflict(s). Nothing was written.\n`);
+    return;
+  }
+
+  if (writes.length === 0 && conflicts.length === 0 && !outdatedManifest) {
+    log.success(`\nAlready up to date (v${pkg.version}).\n`);
+    return;
+  }
+
+  if (!flags.yes) {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: `Upgrade ${writes.length} file(s) to v${pkg.version}?`,
+        default: true,
+      },
+    ]);
+
+    if (!confirm) {
+      console.log(chalk.gray('\nUpgrade cancelled.\n'));
+      return;
+    }
+  }
 
-  console.log(chalk.green.bold('\n✓ Mayor West Mode is ready for autonomous operation!\n'));
+  console.log('');
+  writes.forEach(file => {
+    fs.writeFileSync(file.path, file.content, 'utf-8');
+    ora().succeed(`${file.path} ${chalk.gray(file.action === 'merge' ? '(merged with your changes)' : '')}`);
+  });
 
-  console.log(chalk.cyan('Summary:'));
-  console.log(chalk.gray(`   ├─ Repository: ${gitHubInfo.owner}/${gitHubInfo.repo}`));
-  console.log(chalk.gray(`   ├─ Files created: ${created}`));
-  console.log(chalk.gray(`   ├─ Auto-merge: ${answers.enableAutoMerge ? 'Enabled' : 'Disabled'}`));
-  console.log(chalk.gray(`   └─ Merge strategy: ${answers.mergeStrategy}`));
+  // Conflicted and kept files keep their old entry, so the next upgrade retries them
+  const upgraded = plan.filter(file => ['update', 'merge', 'current'].includes(file.action));
+  writeManifest(templateOptions, upgraded);
 
-  console.log(chalk.cyan('\nTest the setup:'));
-  console.log(chalk.gray('   1. Create an issue using the Mayor Task template'));
-  console.log(chalk.gray('   2. Add the "mayor-task" label'));
-  console.log(chalk.gray('   3. Watch Copilot get assigned and create a PR'));
-  console.log(chalk.gray('   4. PR should auto-merge after passing checks'));
+  if (flags.commit !== false) {
+    const paths = [...writes.map(file => file.path), MANIFEST_PATH];
+    try {
+      execSync(`git add -- ${paths.map(p => `"${p}"`).join(' ')}`, { stdio: 'pipe' });
+      execSync(`git commit -m "[MAYOR] Upgrade Mayor West Mode to v${pkg.version}" -- ${paths.map(p => `"${p}"`).join(' ')}`, { stdio: 'pipe' });
+      log.success(`Committed: [MAYOR] Upgrade Mayor West Mode to v${pkg.version}`);
+    } catch (e) {
+      log.warning('Could not commit automatically. Review and commit the changes manually.');
+    }
+  }
 
-  console.log(chalk.cyan('\nUseful commands:'));
-  console.log(chalk.yellow('   mayorwest verify') + chalk.gray(' - Check configuration status'));
-  console.log(chalk.yellow('   mayorwest status') + chalk.gray(' - View active tasks'));
-  console.log(chalk.yellow('   mayorwest examples') + chalk.gray(' - See example task templates'));
+  if (conflicts.length > 0) {
+    log.divider();
+    log.warning(`${conflicts.length} file(s) have local changes that conflict with the new templates and were left untouched:`);
+    conflicts.forEach(file => {
+      console.log(chalk.yellow(`\n  ${file.path} (${file.conflicts} conflict(s))`));
+      printUnifiedDiff(unifiedDiff(file.current, file.content, { fromFile: `a/${file.path}`, toFile: `b/${file.path}` }));
+    });
+    console.log(chalk.gray('\nResolve by editing the files (or `setup --force` to take the templates), then run upgrade again.\n'));
+    process.exit(1);
+  }
 
-  console.log(chalk.cyan.bold('\n🚀 Ready to go! Create your first mayor-task issue.\n'));
+  log.success(`Mayor West Mode upgraded to v${pkg.version}.\n`);
 }
 
 // ============================================================================
@@ -1842,21 +1333,15 @@ async function runPlanFlow() {
   }
 
   // Check for authenticated gh
-  try {
-    execSync('gh auth status', { stdio: 'pipe' });
-  } catch {
+  if (!isGhCliAuthenticated()) {
     log.error('You must be logged in to GitHub CLI.');
     console.log(chalk.gray('Run: gh auth login'));
     process.exit(1);
   }
 
   // Get repo info
-  let repoInfo;
-  try {
-    const remoteUrl = execSync('git config --get remote.origin.url', { encoding: 'utf-8' }).trim();
-    repoInfo = parseGitHubUrl(remoteUrl);
-    if (!repoInfo) throw new Error('Not a GitHub repo');
-  } catch {
+  const repoInfo = getGitHubInfo();
+  if (!repoInfo) {
     log.error('Could not detect GitHub repository.');
     process.exit(1);
   }
@@ -1965,38 +1450,9 @@ async function runPlanFlow() {
   for (const task of detailedTasks) {
     const spinner = ora(`Creating: ${task.title}`).start();
 
-    // Build issue body
-    let body = `# [MAYOR] ${task.title}\n\n`;
-    body += `**Goal:** ${goal}\n\n`;
-    
-    if (task.context) {
-      body += `## Context\n\n${task.context}\n\n`;
-    }
-    
-    body += `## Acceptance Criteria\n\n`;
-    if (task.criteria.length > 0) {
-      task.criteria.forEach(c => {
-        body += `- [ ] ${c}\n`;
-      });
-    } else {
-      body += `- [ ] Implementation complete\n`;
-      body += `- [ ] Tests pass\n`;
-    }
-    
-    body += `\n## Technical Notes\n\n`;
-    body += `*Add any technical details here.*\n\n`;
-    body += `---\n`;
-    body += `*Created by Mayor West Task Planner*`;
-
     try {
-      const result = execSync(
-        `gh issue create --repo ${repoInfo.owner}/${repoInfo.repo} --title "[MAYOR] ${task.title}" --body "${body.replace(/"/g, '\\"')}" --label mayor-task`,
-        { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] }
-      );
-      
-      const issueUrl = result.trim();
-      const issueNum = issueUrl.split('/').pop();
-      createdIssues.push({ num: issueNum, title: task.title, url: issueUrl });
+      const { number: issueNum, url } = createTaskIssue(repoInfo, task, goal);
+      createdIssues.push({ num: issueNum, title: task.title, url });
       spinner.succeed(`Created #${issueNum}: ${task.title}`);
     } catch (error) {
       spinner.fail(`Failed: ${task.title}`);
@@ -2022,469 +1478,1075 @@ async function runPlanFlow() {
 // UNINSTALL - REMOVE ALL MAYOR WEST FILES
 // ============================================================================
 
-async function runUninstallFlow() {
-  log.header('🗑️  Uninstall Mayor West Mode');
+function listFilesRecursive(dir, prefix = '') {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const relative = path.join(prefix, entry.name);
+    return entry.isDirectory() ? listFilesRecursive(path.join(dir, entry.name), relative) : [relative];
+  });
+}
+
+function listBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  return fs.readdirSync(BACKUP_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+}
+
+/**
+ * Copy files into a new timestamped directory under BACKUP_DIR.
+ *
+ * @param {string[]} files - Repository-relative paths
+ * @returns {string} The backup directory
+ */
+function createBackup(files) {
+  const backupDir = path.join(BACKUP_DIR, new Date().toISOString().replace(/[:.]/g, '-'));
+  fs.mkdirSync(backupDir, { recursive: true });
+  files.forEach(file => {
+    const target = path.join(backupDir, file);
+    ensureDirectory(target);
+    fs.copyFileSync(file, target);
+  });
+  // Keep backups out of git without touching the project's .gitignore
+  fs.writeFileSync(path.join(BACKUP_DIR, '.gitignore'), '*\n', 'utf-8');
+  return backupDir;
+}
+
+function removeFileAndEmptyDirectory(file, print = console.log) {
+  fs.unlinkSync(file);
+  print(chalk.green(`  ✓ Removed ${file}`));
+
+  // Clean up empty directories
+  const dir = path.dirname(file);
+  if (dir !== '.' && fs.existsSync(dir)) {
+    try {
+      const contents = fs.readdirSync(dir);
+      if (contents.length === 0) {
+        fs.rmdirSync(dir);
+        print(chalk.gray(`    (removed empty directory: ${dir})`));
+      }
+    } catch {
+      // Directory not empty or can't remove, that's fine
+    }
+  }
+}
+
+/**
+ * Put the GitHub settings recorded in the manifest back to their values
+ * from before setup. Settings whose earlier value is unknown are skipped.
+ *
+ * @returns {{applied: Array<Object>, failed: Array<Object>}}
+ */
+function revertGitHubSettings(gitHubInfo, recorded) {
+  const changes = GITHUB_SETTINGS
+    .filter(setting => setting.key in recorded.previous)
+    .map(setting => ({ ...setting, after: recorded.previous[setting.key], changed: true }));
+
+  return applyGitHubSettings({ ...gitHubInfo, branch: recorded.branch }, changes);
+}
+
+function restoreBackup(name) {
+  const backups = listBackups();
+  if (backups.length === 0) {
+    log.error(`No backups found in ${BACKUP_DIR}/`);
+    process.exit(1);
+  }
+
+  const backup = name ? path.basename(name) : backups[backups.length - 1];
+  if (!backups.includes(backup)) {
+    log.error(`Backup not found: ${name}`);
+    console.log(chalk.gray(`Available: ${backups.join(', ')}`));
+    process.exit(1);
+  }
+
+  const backupDir = path.join(BACKUP_DIR, backup);
+  console.log(chalk.cyan(`Restoring from ${backupDir}\n`));
+
+  let restored = 0;
+  listFilesRecursive(backupDir).forEach(file => {
+    const source = path.join(backupDir, file);
+    if (fs.existsSync(file) && fs.readFileSync(file, 'utf-8') !== fs.readFileSync(source, 'utf-8')) {
+      console.log(chalk.yellow(`  ! Skipped ${file} (exists with different content)`));
+      return;
+    }
+    ensureDirectory(file);
+    fs.copyFileSync(source, file);
+    console.log(chalk.green(`  ✓ Restored ${file}`));
+    restored++;
+  });
+
+  log.success(`\nRestored ${restored} file(s). GitHub settings are not restored; run configure if needed.\n`);
+}
+
+// --json prints the result, and nothing else, as one line
+function finishUninstall(result, flags) {
+  if (flags.json) {
+    console.log(JSON.stringify(result));
+  }
+  if (result.status === 'failed') {
+    process.exit(1);
+  }
+}
+
+async function runUninstallFlow(flags = {}) {
+  // --json prints the result and nothing else
+  const print = flags.json ? () => {} : console.log;
+  const report = flags.json ? Object.fromEntries(Object.keys(log).map(key => [key, () => {}])) : log;
+
+  report.header('🗑️  Uninstall Mayor West Mode');
 
-  console.log(chalk.yellow('This will remove all Mayor West Mode files from this repository.\n'));
+  const result = {
+    status: 'success',
+    backup: null,
+    removed: [],
+    kept: [],
+    failed: [],
+    settings: { reverted: [], failed: [] },
+  };
 
   // Check if we're in a git repo
   if (!isGitRepository()) {
-    log.error('Not a git repository. Run this from a repo with Mayor West Mode installed.');
+    report.error('Not a git repository. Run this from a repo with Mayor West Mode installed.');
+    finishUninstall({ ...result, status: 'failed', error: 'Not a git repository' }, flags);
+  }
+
+  if (flags.restore) {
+    restoreBackup(flags.restore === true ? null : flags.restore);
+    return;
+  }
+
+  print(chalk.yellow('This will remove Mayor West Mode files from this repository.\n'));
+
+  // ── Stage 1: Preview ──
+  const { manifest, files } = getInstallStatus();
+  const installedFiles = files.filter(file => file.status !== 'missing');
+
+  if (installedFiles.length === 0 && !manifest) {
+    print(chalk.green('No Mayor West Mode files found. Nothing to uninstall.\n'));
+    finishUninstall({ ...result, status: 'nothing-to-do' }, flags);
+    return;
+  }
+
+  print(chalk.cyan('Installed files:\n'));
+  installedFiles.forEach(file => {
+    const note = manifest?.files?.[file.path]?.preexisting ? chalk.gray(', existed before install') : '';
+    print(chalk.gray(`  • ${file.path} (${file.displayName}, `) + formatFileStatus(file.status) + note + chalk.gray(')'));
+  });
+  print('');
+
+  // Files the user changed or already had are only removed on request
+  // (--yes keeps them, --force removes them)
+  const filesToRemove = [];
+  for (const file of installedFiles) {
+    const reason = manifest?.files?.[file.path]?.preexisting
+      ? 'existed before Mayor West Mode was installed'
+      : file.status === 'modified' ? 'has local changes' : null;
+
+    if (!reason || flags.force) {
+      filesToRemove.push(file.path);
+      continue;
+    }
+
+    let remove = false;
+    if (!flags.yes) {
+      ({ remove } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'remove',
+          message: `${file.path} ${reason}. Remove it anyway?`,
+          default: false,
+        },
+      ]));
+    }
+    (remove ? filesToRemove : result.kept).push(file.path);
+  }
+  if (manifest) {
+    filesToRemove.push(MANIFEST_PATH);
+  }
+
+  // GitHub settings setup changed, with their earlier values
+  const remoteUrl = getGitRemoteUrl();
+  const gitHubInfo = remoteUrl ? parseGitHubUrl(remoteUrl) : null;
+  const recorded = manifest?.github;
+  let revertSettings = false;
+  if (recorded && Object.keys(recorded.previous).length > 0 && gitHubInfo && isGhCliAuthenticated()) {
+    print(chalk.cyan('\nGitHub settings changed by Mayor West Mode:\n'));
+    GITHUB_SETTINGS.filter(setting => setting.key in recorded.previous).forEach(setting => {
+      const label = setting.key === 'branch_protection' ? `${setting.label} (${recorded.branch})` : setting.label;
+      print(chalk.gray(`  ${label.padEnd(40)} → ${formatSettingValue(recorded.previous[setting.key], setting)}`));
+    });
+    print('');
+
+    if (flags.revertSettings !== undefined || flags.yes) {
+      revertSettings = flags.revertSettings === true;
+    } else {
+      ({ revertSettings } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'revertSettings',
+          message: 'Revert these GitHub settings too?',
+          default: false,
+        },
+      ]));
+    }
+  }
+
+  if (filesToRemove.length === 0 && !revertSettings) {
+    print(chalk.green('\nAll installed files are kept. Nothing to uninstall.\n'));
+    finishUninstall({ ...result, status: 'nothing-to-do' }, flags);
+    return;
+  }
+
+  print(chalk.cyan('\nFiles to remove:\n'));
+  filesToRemove.forEach(file => print(chalk.red(`  ✗ ${file}`)));
+  if (result.kept.length > 0) {
+    print(chalk.cyan('\nFiles to keep:\n'));
+    result.kept.forEach(file => print(chalk.green(`  ✓ ${file}`)));
+  }
+  print('');
+
+  // ── Stage 2: Confirmation ──
+  if (!flags.yes) {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: `Remove ${filesToRemove.length} file(s)${revertSettings ? ' and revert GitHub settings' : ''}?`,
+        default: false,
+      },
+    ]);
+
+    if (!confirm) {
+      print(chalk.gray('\nUninstall cancelled.\n'));
+      finishUninstall({ ...result, status: 'cancelled' }, flags);
+      return;
+    }
+
+    // Additional confirmation for safety
+    const { doubleConfirm } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'doubleConfirm',
+        message: 'Type "uninstall" to confirm:',
+      },
+    ]);
+
+    if (doubleConfirm.toLowerCase() !== 'uninstall') {
+      print(chalk.gray('\nUninstall cancelled.\n'));
+      finishUninstall({ ...result, status: 'cancelled' }, flags);
+      return;
+    }
+  }
+
+  // ── Stage 3: Backup and removal ──
+  if (filesToRemove.length > 0) {
+    try {
+      result.backup = createBackup(filesToRemove);
+      print(chalk.cyan(`\n📦 Backed up ${filesToRemove.length} file(s) to ${result.backup}`));
+    } catch (error) {
+      // Without a backup nothing is removed
+      report.error(`Could not create backup: ${error.message}`);
+      finishUninstall({ ...result, status: 'failed', error: `Backup failed: ${error.message}` }, flags);
+      return;
+    }
+
+    print(chalk.cyan('\n🗑️  Removing files...\n'));
+  }
+
+  for (const file of filesToRemove) {
+    try {
+      removeFileAndEmptyDirectory(file, print);
+      result.removed.push(file);
+    } catch (error) {
+      print(chalk.red(`  ✗ Failed to remove ${file}: ${error.message}`));
+      result.failed.push({ path: file, error: error.message });
+    }
+  }
+
+  if (revertSettings) {
+    print(chalk.cyan('\n⚙️  Reverting GitHub settings...\n'));
+    const { applied, failed } = revertGitHubSettings(gitHubInfo, recorded);
+    result.settings.reverted = applied.map(change => change.key);
+    result.settings.failed = failed.map(change => change.key);
+  }
+
+  // ── Stage 4: Summary ──
+  if (result.failed.length > 0 || result.settings.failed.length > 0) {
+    result.status = 'failed';
+  }
+
+  report.divider();
+  print(chalk.cyan.bold('\n📊 Summary\n'));
+  print(`  ${chalk.bold('Removed:')} ${chalk.green(result.removed.length)}/${filesToRemove.length} file(s)`);
+  if (result.kept.length > 0) {
+    print(`  ${chalk.bold('Kept:')}    ${result.kept.length} file(s)`);
+  }
+  if (result.failed.length > 0) {
+    print(`  ${chalk.bold('Failed:')}  ${chalk.red(result.failed.length)} file(s): ${result.failed.map(f => f.path).join(', ')}`);
+  }
+  if (revertSettings) {
+    print(`  ${chalk.bold('GitHub settings reverted:')} ${result.settings.reverted.length}` +
+      (result.settings.failed.length > 0 ? `, ${chalk.red(`${result.settings.failed.length} failed`)}` : ''));
+  }
+  if (result.backup) {
+    print(chalk.gray(`\n  Undo with: npx github:shyamsridhar123/MayorWest uninstall --restore ${path.basename(result.backup)}`));
+  }
+
+  if (result.status === 'failed') {
+    report.warning('\nUninstall finished with errors.\n');
+  } else {
+    print(chalk.gray('  Commit the removal: git add -A && git commit -m "Remove Mayor West Mode"\n'));
+  }
+
+  finishUninstall(result, flags);
+}
+
+// ============================================================================
+// VERIFICATION
+// ============================================================================
+
+const CHECK_CATEGORY_HEADINGS = {
+  files: '📄 Generated Files',
+  workflows: '🧪 Workflow Lint',
+  core: '📁 Core Infrastructure',
+  security: '🛡️  Security Layers',
+  copilot: '🤖 Copilot Integration',
+  github: '⚙️  GitHub Settings',
+  drift: '🔀 Workflow Drift',
+};
+
+function printVerifyResult(result) {
+  // verify() orders checks by category, custom categories last
+  const categories = [...new Set(result.checks.map(check => check.category))];
+  categories.forEach(category => {
+    const categoryChecks = result.checks.filter(check => check.category === category);
+
+    console.log(chalk.cyan.bold(`\n${CHECK_CATEGORY_HEADINGS[category] || `🔎 ${category}`}\n`));
+    categoryChecks.forEach(check => {
+      if (check.pass) {
+        log.success(check.name);
+      } else if (check.severity === 'error') {
+        log.error(check.name);
+        console.log(chalk.gray(`  → ${check.remediation}`));
+      } else {
+        log.warning(check.name);
+        console.log(chalk.gray(`  → ${check.remediation}`));
+      }
+      (check.pass ? [] : check.differences || []).forEach(diff => console.log(chalk.gray(`    · ${diff.message}`)));
+      (check.pass ? [] : check.issues || []).forEach(issue => {
+        console.log(chalk.gray(`    · ${issue.path ? `${issue.path}: ` : ''}${issue.message}`));
+      });
+    });
+  });
+  console.log('');
+
+  if (result.skipped.length > 0) {
+    console.log(chalk.gray('Skipped:'));
+    result.skipped.forEach(s => console.log(chalk.gray(`  - ${s.name} (needs ${s.requires.join(', ')})`)));
+    console.log('');
+  }
+
+  if (result.warnings.length > 0) {
+    console.log(chalk.yellow('Warnings:'));
+    result.warnings.forEach(w => console.log(chalk.gray(`  ⚠ ${w}`)));
+    console.log('');
+  }
+
+  log.divider();
+
+  // Show repo info
+  if (result.repository) {
+    console.log(chalk.cyan(`\n📍 Repository: ${result.repository}`));
+    if (result.private) {
+      console.log(chalk.gray('   └─ Private repo (GitHub Actions minutes apply: 2,000 free/month)'));
+    }
+  }
+
+  console.log(
+    `\n${chalk.bold('Score:')} ${chalk.green(result.passed)}/${chalk.bold(result.total)} checks passed\n`
+  );
+}
+
+// Show the fixes for failed checks, confirm and apply them. Returns true
+// when anything changed, so the caller knows to verify again.
+async function runVerifyFixes(result, flags) {
+  const token = process.env.MAYOR_WEST_TOKEN || process.env.GH_AW_AGENT_TOKEN;
+  const fixes = planFixes(result, { token });
+  const pending = fixes.filter(fix => !fix.skipped);
+
+  console.log(chalk.cyan.bold('\n🔧 Fixes\n'));
+  if (fixes.length === 0) {
+    log.info('No failed check can be fixed automatically.\n');
+    return false;
+  }
+
+  fixes.forEach(fix => {
+    if (fix.skipped) {
+      console.log(chalk.gray(`  - ${fix.description} (skipped: ${fix.skipped})`));
+    } else {
+      console.log(`  ${chalk.green('+')} ${fix.description}`);
+    }
+  });
+  console.log('');
+
+  if (pending.length === 0) {
+    return false;
+  }
+
+  if (!flags.yes) {
+    const { confirm } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: `Apply ${pending.length} fix(es)?`,
+        default: true,
+      },
+    ]);
+
+    if (!confirm) {
+      console.log(chalk.gray('\nFix cancelled.\n'));
+      return false;
+    }
+  }
+
+  const { applied, failed } = applyFixes(pending, {
+    token,
+    onFix: (fix, error) => {
+      if (error) {
+        ora().fail(`Could not apply: ${fix.description}`);
+      } else {
+        ora().succeed(fix.description);
+      }
+    },
+  });
+
+  console.log(`\n${chalk.bold('Applied:')} ${chalk.green(applied.length)}/${pending.length} fix(es)\n`);
+  if (failed.length > 0) {
+    log.warning('Some fixes could not be applied. An admin may need to change those settings in Settings.');
+  }
+  return applied.length > 0;
+}
+
+// Differences the drift checks reported, with their file
+function unacceptedDrift(result) {
+  return result.checks
+    .filter(check => check.category === 'drift' && !check.pass)
+    .flatMap(check => check.differences.map(diff => ({ ...diff, file: check.file })));
+}
+
+// Record drift the user chooses as intentional. Returns true when anything
+// was recorded, so the caller knows to verify again.
+async function runDriftAccept(result, flags) {
+  const differences = unacceptedDrift(result);
+
+  console.log(chalk.cyan.bold('\n🔀 Accept Differences\n'));
+  if (differences.length === 0) {
+    log.info('No workflow differences to accept.\n');
+    return false;
+  }
+
+  const chosen = flags.yes
+    ? differences
+    : (await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'accepted',
+        message: 'Which differences are intentional?',
+        choices: differences.map(diff => ({ name: `${diff.file}: ${diff.message}`, value: diff })),
+      },
+    ])).accepted;
+
+  if (chosen.length === 0) {
+    console.log(chalk.gray('Nothing accepted.\n'));
+    return false;
+  }
+
+  recordAcceptedDrift(chosen);
+  log.success(`Recorded ${chosen.length} difference(s) as intentional in ${MANIFEST_PATH}\n`);
+  return true;
+}
+
+async function runVerifyFlow(flags = {}) {
+  const format = flags.format || 'text';
+  const failOn = flags.failOn || 'error';
+  if (!REPORT_FORMATS.includes(format)) {
+    log.error(`Unknown format: ${format}. Expected: ${REPORT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+  if (!FAIL_ON_LEVELS.includes(failOn)) {
+    log.error(`Invalid --fail-on value: ${failOn}. Expected: ${FAIL_ON_LEVELS.join(', ')}`);
     process.exit(1);
   }
 
-  // List all Mayor West files
-  const allFiles = Object.keys(FILES_TO_CREATE);
-  const existingFiles = allFiles.filter(file => fs.existsSync(file));
+  // --only security,github/auto-merge --skip copilot
+  const selectors = value => (typeof value === 'string' ? value.split(',').map(s => s.trim()).filter(Boolean) : []);
+  const verifyOptions = {
+    only: selectors(flags.only),
+    skip: selectors(flags.skip),
+    drift: flags.drift === true,
+    token: tokenFromEnv(),
+    tokenWarnDays: parseWarnDays(flags.warnDays),
+  };
+
+  if (flags.accept && !flags.drift) {
+    log.error('--accept records workflow differences found by --drift. Add --drift.');
+    process.exit(1);
+  }
+
+  // --baseline base.json: only checks that fail here but not there count
+  let baseline;
+  if (flags.baseline !== undefined) {
+    try {
+      baseline = JSON.parse(fs.readFileSync(path.resolve(String(flags.baseline)), 'utf-8'));
+    } catch (e) {
+      log.error(`Could not read the --baseline report: ${e.message}`);
+      process.exit(1);
+    }
+  }
+  const failingSinceBaseline = result => {
+    const failing = failingChecks(result, failOn);
+    if (!baseline) return failing;
+    const { regressions } = compareWithBaseline(result, baseline);
+    return failing.filter(check => regressions.includes(check));
+  };
+
+  // Machine-readable formats print the report and nothing else
+  if (format !== 'text') {
+    if (flags.fix && !flags.yes) {
+      log.error(`--fix with --format ${format} cannot prompt. Add --yes to apply fixes.`);
+      process.exit(1);
+    }
+    if (flags.accept && !flags.yes) {
+      log.error(`--accept with --format ${format} cannot prompt. Add --yes to accept every difference.`);
+      process.exit(1);
+    }
 
-  if (existingFiles.length === 0) {
-    console.log(chalk.green('No Mayor West Mode files found. Nothing to uninstall.\n'));
+    let result = await verify(verifyOptions);
+    if (flags.fix) {
+      const token = process.env.MAYOR_WEST_TOKEN || process.env.GH_AW_AGENT_TOKEN;
+      const { applied } = applyFixes(planFixes(result, { token }).filter(fix => !fix.skipped), { token });
+      if (applied.length > 0) {
+        result = await verify(verifyOptions);
+      }
+    }
+    if (flags.accept && unacceptedDrift(result).length > 0) {
+      recordAcceptedDrift(unacceptedDrift(result));
+      result = await verify(verifyOptions);
+    }
+    console.log(formatVerifyReport(result, format, { baseline }));
+    if (failingSinceBaseline(result).length > 0) {
+      process.exit(1);
+    }
     return;
   }
 
-  console.log(chalk.cyan('Files to remove:\n'));
-  existingFiles.forEach(file => {
-    const config = FILES_TO_CREATE[file];
-    console.log(chalk.red(`  ✗ ${file}`) + chalk.gray(` (${config.displayName})`));
-  });
-
-  console.log('\n2. Configure GitHub repository settings:');
-  console.log(chalk.cyan('   Run the configure command:'));
-  console.log(chalk.yellow('   npx github:shyamsridhar123/MayorWest configure'));
-  console.log(chalk.gray('   This will set up auto-merge, workflow permissions, and branch protection.'));
+  log.header('🔍 Verifying Mayor West Mode Setup');
 
-  // Additional confirmation for safety
-  const { doubleConfirm } = await inquirer.prompt([
-    {
-      type: 'input',
-      name: 'doubleConfirm',
-      message: 'Type "uninstall" to confirm:',
-    },
-  ]);
+  const spinner = ora('Running checks...').start();
+  let result = await verify(verifyOptions).finally(() => spinner.stop());
+  printVerifyResult(result);
 
-  if (doubleConfirm.toLowerCase() !== 'uninstall') {
-    console.log(chalk.gray('\nUninstall cancelled.\n'));
-    return;
+  let changed = false;
+  if (flags.fix && result.passed < result.total) {
+    changed = await runVerifyFixes(result, flags);
+  }
+  if (flags.accept) {
+    changed = (await runDriftAccept(result, flags)) || changed;
   }
 
-  console.log(chalk.cyan('\n🗑️  Removing files...\n'));
-
-  let removed = 0;
-  let failed = 0;
+  if (changed) {
+    log.header('🔍 Verifying again');
+    const rerun = ora('Running checks...').start();
+    result = await verify(verifyOptions).finally(() => rerun.stop());
+    printVerifyResult(result);
+  }
 
-  for (const file of existingFiles) {
-    try {
-      fs.unlinkSync(file);
-      console.log(chalk.green(`  ✓ Removed ${file}`));
-      removed++;
-
-      // Clean up empty directories
-      const dir = path.dirname(file);
-      if (dir !== '.' && fs.existsSync(dir)) {
-        try {
-          const contents = fs.readdirSync(dir);
-          if (contents.length === 0) {
-            fs.rmdirSync(dir);
-            console.log(chalk.gray(`    (removed empty directory: ${dir})`));
-          }
-        } catch {
-          // Directory not empty or can't remove, that's fine
-        }
-      }
-    } catch (error) {
-      console.log(chalk.red(`  ✗ Failed to remove ${file}: ${error.message}`));
-      failed++;
-    }
+  if (result.passed === result.total) {
+    log.success(chalk.bold('All systems go! 🚀'));
+    console.log('\nMayor West Mode is fully configured and ready.\n');
+  } else if (result.passed >= result.total * 0.7) {
+    log.info('Mostly configured - some optional features missing.\n');
+  } else if (flags.fix) {
+    log.warning('Setup incomplete. Run `mayorwest setup` to configure the rest.\n');
+  } else {
+    log.warning('Setup incomplete. Run `mayorwest setup` or `mayorwest verify --fix` to configure.\n');
   }
 
-  console.log(chalk.cyan.bold('\n\nReady? Run: ') + chalk.yellow('npx github:shyamsridhar123/MayorWest configure'));
+  const failing = failingSinceBaseline(result);
+  if (failing.length > 0) {
+    log.error(`${failing.length} check(s) at or above --fail-on ${failOn} failed${baseline ? ' that pass in the baseline' : ''}`);
+    process.exit(1);
+  }
 }
 
 // ============================================================================
-// VERIFICATION
+// TOKEN - CHECK WHAT THE AGENT TOKEN CAN DO
 // ============================================================================
 
-async function runVerifyFlow() {
-  log.header('🔍 Verifying Mayor West Mode Setup');
-
-  const checks = [];
-  const warnings = [];
-
-  // ── Core Infrastructure ──
-  console.log(chalk.cyan.bold('\n📁 Core Infrastructure\n'));
+// --warn-days <n>, validated; undefined means the default
+function parseWarnDays(value) {
+  if (value === undefined) return undefined;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    log.error(`Invalid --warn-days value: ${value}. Expected a number of days`);
+    process.exit(1);
+  }
+  return days;
+}
 
-  checks.push({
-    name: 'Git Repository',
-    pass: isGitRepository(),
-    category: 'core',
-  });
+const TOKEN_STATUS_MARKS = {
+  granted: chalk.green('✓'),
+  ok: chalk.green('✓'),
+  unverified: chalk.yellow('?'),
+  missing: chalk.red('✗'),
+  fail: chalk.red('✗'),
+};
 
-  // Check files
-  const fileChecks = Object.entries(FILES_TO_CREATE).map(([filePath, config]) => ({
-    name: config.displayName,
-    pass: fs.existsSync(filePath),
-    errorMsg: `File missing: ${filePath}. Run: npx github:shyamsridhar123/MayorWest setup`,
-  }));
-  checks.push(...fileChecks);
+function printTokenResult(result) {
+  console.log(`  ${chalk.bold('Type:')}    ${result.label}`);
+  if (result.scopes) {
+    console.log(`  ${chalk.bold('Scopes:')}  ${result.scopes.join(', ') || 'none'}`);
+  }
+  if (!result.expiresAt) {
+    console.log(`  ${chalk.bold('Expires:')} never`);
+  } else {
+    const when = `${result.expiresAt.slice(0, 10)} (${result.expired ? 'expired' : `in ${result.daysLeft} day(s)`})`;
+    const color = result.expired ? chalk.red : result.expiring ? chalk.yellow : chalk.white;
+    console.log(`  ${chalk.bold('Expires:')} ${color(when)}`);
+  }
 
-  // Check GitHub connection
-  const remoteUrl = getGitRemoteUrl();
-  checks.push({
-    name: 'GitHub Remote',
-    pass: remoteUrl !== null && remoteUrl.includes('github.com'),
-    category: 'core',
+  console.log(chalk.cyan.bold('\nPermissions\n'));
+  result.permissions.forEach(permission => {
+    const detail = permission.detail ? chalk.gray(` - ${permission.detail}`) : '';
+    console.log(`  ${TOKEN_STATUS_MARKS[permission.status]} ${permission.label} (${permission.level})${detail}`);
   });
 
-  // Check repo visibility for context
-  const gitHubInfo = remoteUrl ? parseGitHubUrl(remoteUrl) : null;
-  let isPrivateRepo = false;
-
-  // Check core files
-  const coreFiles = [
-    { path: '.vscode/settings.json', name: 'VS Code YOLO Settings' },
-    { path: '.github/agents/mayor-west-mode.md', name: 'Agent Instructions' },
-    { path: '.github/workflows/mayor-west-auto-merge.yml', name: 'Auto-Merge Workflow' },
-    { path: '.github/workflows/mayor-west-orchestrator.yml', name: 'Orchestrator Workflow' },
-    { path: '.github/ISSUE_TEMPLATE/mayor-task.md', name: 'Task Template' },
-  ];
-
-  coreFiles.forEach(file => {
-    checks.push({
-      name: file.name,
-      pass: fs.existsSync(file.path),
-      category: 'core',
-    });
+  console.log(chalk.cyan.bold('\nCapabilities\n'));
+  result.capabilities.forEach(capability => {
+    const detail = capability.missing.length > 0 ? chalk.gray(` - needs ${capability.missing.join(', ')}`) : '';
+    console.log(`  ${TOKEN_STATUS_MARKS[capability.status]} ${capability.label}${detail}`);
   });
+  console.log('');
+
+  if (!result.valid) {
+    log.error('The token is invalid or revoked.');
+  } else if (result.expired) {
+    log.error('The token has expired. Create a new one and update the GH_AW_AGENT_TOKEN secret.');
+  } else if (result.expiring) {
+    log.warning(`The token expires in ${result.daysLeft} day(s). Create a new one and update the GH_AW_AGENT_TOKEN secret.`);
+  }
+  if (result.capabilities.some(capability => capability.status === 'unverified')) {
+    console.log(chalk.gray('  ? Write access of fine-grained tokens cannot be seen with read-only requests; check the token\'s settings.'));
+  }
+  console.log('');
+}
 
-  // ── Security Layers ──
-  console.log(chalk.cyan.bold('🛡️  Security Layers\n'));
+async function runTokenFlow(positional = [], flags = {}) {
+  const [subcommand] = positional;
+  if (subcommand !== 'check') {
+    log.error(`Unknown token command: ${subcommand || '(none)'}. Expected: token check`);
+    process.exit(1);
+  }
+  const warnDays = parseWarnDays(flags.warnDays) ?? DEFAULT_EXPIRY_WARNING_DAYS;
 
-  // Layer 1: CODEOWNERS
-  const codeownersExists = fs.existsSync('.github/CODEOWNERS');
-  checks.push({
-    name: 'Layer 1: CODEOWNERS (Actor Allowlist)',
-    pass: codeownersExists,
-    category: 'security',
-  });
+  const token = tokenFromEnv();
+  if (!token) {
+    log.error('Set MAYOR_WEST_TOKEN to the token you use for GH_AW_AGENT_TOKEN.');
+    console.log(chalk.gray('The secret cannot be read back from GitHub, so the token is checked from the environment.'));
+    process.exit(1);
+  }
 
-  // Layer 2: Protected Paths (in mayor-west.yml)
-  const mayorWestYml = fs.existsSync('.github/mayor-west.yml');
-  let protectedPathsConfigured = false;
-  if (mayorWestYml) {
-    try {
-      const content = fs.readFileSync('.github/mayor-west.yml', 'utf8');
-      protectedPathsConfigured = content.includes('protected_paths');
-    } catch (e) {}
-  }
-  checks.push({
-    name: 'Layer 2: Protected Paths Config',
-    pass: protectedPathsConfigured,
-    category: 'security',
-  });
+  const remoteUrl = getGitRemoteUrl();
+  const gitHubInfo = remoteUrl ? parseGitHubUrl(remoteUrl) : null;
+  if (!gitHubInfo) {
+    log.error('Could not detect GitHub repository. Ensure remote "origin" points to GitHub.');
+    process.exit(1);
+  }
 
-  // Layer 3: Kill Switch
-  let killSwitchEnabled = true; // Default to enabled (safe)
-  if (mayorWestYml) {
-    try {
-      const content = fs.readFileSync('.github/mayor-west.yml', 'utf8');
-      killSwitchEnabled = !content.includes('enabled: false');
-    } catch (e) {}
-  }
-  checks.push({
-    name: 'Layer 3: Kill Switch Active',
-    pass: killSwitchEnabled,
-    category: 'security',
-  });
+  if (!flags.json) {
+    log.header('🔑 Agent Token Check');
+    console.log(chalk.gray(`Checking MAYOR_WEST_TOKEN against ${gitHubInfo.owner}/${gitHubInfo.repo} with read-only requests.\n`));
+  }
 
-  // ── Copilot Integration ──
-  console.log(chalk.cyan.bold('🤖 Copilot Integration\n'));
+  const spinner = flags.json ? null : ora('Probing token permissions...').start();
+  let result;
+  try {
+    result = checkToken(token, gitHubInfo, { warnDays });
+  } finally {
+    spinner?.stop();
+  }
 
-  checks.push({
-    name: 'Copilot Instructions (.github/copilot/instructions.md)',
-    pass: fs.existsSync('.github/copilot/instructions.md'),
-    category: 'copilot',
-  });
+  if (flags.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    printTokenResult(result);
+  }
+  if (!result.pass) {
+    process.exit(1);
+  }
+}
 
-  checks.push({
-    name: 'Project Instructions (.github/copilot-instructions.md)',
-    pass: fs.existsSync('.github/copilot-instructions.md'),
-    category: 'copilot',
-  });
+// ============================================================================
+// POLICY - CUSTOM POLICIES IN .github/mayor-west-policies.yml
+// ============================================================================
 
-  checks.push({
-    name: 'Root Agent File (AGENTS.md)',
-    pass: fs.existsSync('AGENTS.md'),
-    category: 'copilot',
-  });
+const POLICY_COMMANDS = ['init', 'validate', 'test', 'list', 'show', 'dry-run', 'quality', 'dependencies'];
 
-  // ── Versioning ──
-  console.log(chalk.cyan.bold('📦 Versioning\n'));
+// The policy file, or exit with the parse or schema error
+function loadPolicyOrExit(flags) {
+  try {
+    return loadPolicy();
+  } catch (error) {
+    if (flags.json) {
+      console.log(JSON.stringify({ valid: false, path: POLICY_FILE_PATH, error: error.message }, null, 2));
+    } else {
+      log.error(`Policy validation failed: ${error.message}`);
+      if (!fs.existsSync(POLICY_FILE_PATH)) {
+        console.log(chalk.gray('Create one with: npx github:shyamsridhar123/MayorWest policy init'));
+      }
+    }
+    process.exit(1);
+  }
+}
 
-  checks.push({
-    name: 'Semantic Version Config (.versionrc.json)',
-    pass: fs.existsSync('.versionrc.json'),
-    category: 'versioning',
-  });
+// --files "a.ts,b.ts" and other comma-separated flags
+function listFlag(value) {
+  return typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
 
-  checks.push({
-    name: 'Changelog (CHANGELOG.md)',
-    pass: fs.existsSync('CHANGELOG.md'),
-    category: 'versioning',
-  });
+function printPolicyEvaluation(evaluation) {
+  if (!evaluation.enabled) {
+    log.info('Policies are disabled (enabled: false); nothing is blocked.');
+    return;
+  }
+  if (evaluation.bypass.bypassType === 'full') {
+    log.info('A bypass label skips every policy.');
+    return;
+  }
+  if (evaluation.bypass.bypassType === 'partial') {
+    log.info(`Bypassed by label: ${evaluation.bypass.bypasses.join(', ')}`);
+  }
 
-  checks.push({
-    name: 'Release Workflow (.github/workflows/release.yml)',
-    pass: fs.existsSync('.github/workflows/release.yml'),
-    category: 'versioning',
+  evaluation.results.forEach(result => {
+    if (result.passed) {
+      log.success(`${result.category}: passed`);
+    } else {
+      log.error(`${result.category}: ${result.violations.length} violation(s)`);
+      result.violations.forEach(violation => console.log(chalk.gray(`    · ${violation}`)));
+    }
+    (result.warnings || []).forEach(warning => log.warning(warning));
+    const labelsToAdd = result.requiredLabels ?? result.labelsToAdd ?? [];
+    if (labelsToAdd.length > 0) {
+      log.info(`Add the label(s): ${labelsToAdd.join(', ')}`);
+    }
+    if (result.reviewers?.length > 0) {
+      log.info(`Request a review from: ${result.reviewers.join(', ')}`);
+    }
   });
+  if (evaluation.results.length === 0) {
+    log.info('No configured policy applies to this change.');
+  }
 
-  // ── GitHub Settings (require gh CLI) ──
-  console.log(chalk.cyan.bold('⚙️  GitHub Settings\n'));
+  const violations = evaluation.results.reduce((count, result) => count + result.violations.length, 0);
+  console.log('');
+  if (evaluation.passed) {
+    console.log(chalk.green.bold('Result: PASSED'));
+  } else {
+    console.log(chalk.red.bold(`Result: FAILED - ${violations} violation(s)`));
+  }
+  console.log('');
+}
 
-  let ghCliAvailable = false;
-  try {
-    execSync('gh auth status', { stdio: 'pipe' });
-    ghCliAvailable = true;
-  } catch (e) {}
+function runPolicyInit(flags) {
+  const content = generateDefaultPolicy({ strict: flags.strict === true });
+  if (flags.dryRun) {
+    console.log(content);
+    return;
+  }
+  if (fs.existsSync(POLICY_FILE_PATH) && !flags.force) {
+    log.error(`${POLICY_FILE_PATH} already exists. Use --force to replace it.`);
+    process.exit(1);
+  }
+  ensureDirectory(POLICY_FILE_PATH);
+  fs.writeFileSync(POLICY_FILE_PATH, content, 'utf8');
+  log.success(`Created ${POLICY_FILE_PATH}${flags.strict ? ' (strict)' : ''}`);
+  console.log(chalk.gray('Edit it, then check it with: npx github:shyamsridhar123/MayorWest policy validate\n'));
+}
 
-  if (ghCliAvailable && remoteUrl && gitHubInfo) {
-    // Check repo visibility
-    try {
-      const visibility = execSync(`gh api repos/${gitHubInfo.owner}/${gitHubInfo.repo} --jq ".private"`, { 
-        encoding: 'utf8', 
-        stdio: ['pipe', 'pipe', 'pipe'] 
-      }).trim();
-      isPrivateRepo = visibility === 'true';
-    } catch (e) {}
+function runPolicyValidate(flags) {
+  const policy = loadPolicyOrExit(flags);
+  const categories = POLICY_CATEGORIES.filter(category => policy.policies[category]);
+  if (flags.json) {
+    console.log(JSON.stringify({ valid: true, path: POLICY_FILE_PATH, version: String(policy.version), enabled: policy.enabled, categories }, null, 2));
+    return;
+  }
+  log.success(`${POLICY_FILE_PATH} is valid`);
+  console.log(`  ${chalk.bold('Version:')}    ${policy.version}`);
+  console.log(`  ${chalk.bold('Enabled:')}    ${policy.enabled}`);
+  console.log(`  ${chalk.bold('Categories:')} ${categories.join(', ') || 'none'}\n`);
+}
 
-    try {
-      // Check auto-merge setting
-      const repoInfo = execSync(`gh api repos/${gitHubInfo.owner}/${gitHubInfo.repo} --jq ".allow_auto_merge"`, { 
-        encoding: 'utf8', 
-        stdio: ['pipe', 'pipe', 'pipe'] 
-      }).trim();
-      checks.push({
-        name: 'Auto-Merge Enabled',
-        pass: repoInfo === 'true',
-        category: 'github',
-      });
-    } catch (e) {
-      warnings.push('Could not check GitHub auto-merge setting');
-    }
+function runPolicyList(flags) {
+  const policy = loadPolicyOrExit(flags);
+  if (flags.json) {
+    console.log(JSON.stringify({ enabled: policy.enabled, policies: policy.policies, overrides: policy.overrides || {} }, null, 2));
+    return;
+  }
 
-    try {
-      // Check delete branch on merge
-      const deleteBranch = execSync(`gh api repos/${gitHubInfo.owner}/${gitHubInfo.repo} --jq ".delete_branch_on_merge"`, { 
-        encoding: 'utf8', 
-        stdio: ['pipe', 'pipe', 'pipe'] 
-      }).trim();
-      checks.push({
-        name: 'Delete Branch on Merge',
-        pass: deleteBranch === 'true',
-        category: 'github',
-      });
-    } catch (e) {
-      warnings.push('Could not check delete branch setting');
+  log.header('📜 Policies');
+  console.log(`${chalk.bold('Enabled:')} ${policy.enabled ? chalk.green('yes') : chalk.yellow('no (nothing is enforced)')}\n`);
+  POLICY_CATEGORIES.forEach(category => {
+    const rules = policy.policies[category];
+    if (rules) {
+      console.log(`  ${chalk.green('✓')} ${category.padEnd(14)} ${chalk.gray(Object.keys(rules).join(', '))}`);
+    } else {
+      console.log(`  ${chalk.gray('-')} ${category.padEnd(14)} ${chalk.gray('not configured')}`);
     }
+  });
 
-    // Check branch protection (REQUIRED for auto-merge to work)
-    try {
-      execSync(`gh api repos/${gitHubInfo.owner}/${gitHubInfo.repo}/branches/main/protection`, { 
-        encoding: 'utf8', 
-        stdio: ['pipe', 'pipe', 'pipe'] 
-      });
-      checks.push({
-        name: 'Branch Protection on main',
-        pass: true,
-        category: 'github',
-      });
-    } catch (e) {
-      checks.push({
-        name: 'Branch Protection on main',
-        pass: false,
-        category: 'github',
-      });
-      warnings.push('Branch protection NOT configured - auto-merge will FAIL without it!');
-    }
+  const overrides = policy.overrides || {};
+  const labels = [
+    ...(overrides.bypass_labels || []).map(label => `${label} (all)`),
+    ...(overrides.partial_bypass || []).map(bypass => `${bypass.label} (${(bypass.bypasses || []).join(', ')})`),
+  ];
+  console.log(`\n${chalk.bold('Bypass labels:')} ${labels.join(', ') || 'none'}`);
+  console.log(chalk.gray(`\nShow one category with: npx github:shyamsridhar123/MayorWest policy show <category>\n`));
+}
 
-    try {
-      // Check squash merge enabled
-      const gitHubInfo = parseGitHubUrl(remoteUrl);
-      const squashMerge = execSync(`gh api repos/${gitHubInfo.owner}/${gitHubInfo.repo} --jq ".allow_squash_merge"`, { 
-        encoding: 'utf8', 
-        stdio: ['pipe', 'pipe', 'pipe'] 
-      }).trim();
-      checks.push({
-        name: 'Squash Merge Enabled',
-        pass: squashMerge === 'true',
-        category: 'github',
-      });
-    } catch (e) {
-      warnings.push('Could not check squash merge setting');
-    }
+function runPolicyShow(category, flags) {
+  if (!POLICY_CATEGORIES.includes(category) && category !== 'overrides') {
+    log.error(`Unknown policy category: ${category || '(none)'}. Expected: ${[...POLICY_CATEGORIES, 'overrides'].join(', ')}`);
+    process.exit(1);
+  }
+  const policy = loadPolicyOrExit(flags);
+  const rules = category === 'overrides' ? policy.overrides : policy.policies[category];
+  if (flags.json) {
+    console.log(JSON.stringify(rules ?? null, null, 2));
+    return;
+  }
+  if (!rules) {
+    log.info(`No ${category} policy in ${POLICY_FILE_PATH}`);
+    return;
+  }
+  log.header(`📜 ${category}`);
+  console.log(yaml.dump(rules, { indent: 2, lineWidth: 100, noRefs: true }));
+}
 
-    // Check for GH_AW_AGENT_TOKEN secret
-    try {
-      const gitHubInfo = parseGitHubUrl(remoteUrl);
-      const secrets = execSync(`gh api repos/${gitHubInfo.owner}/${gitHubInfo.repo}/actions/secrets --jq ".secrets[].name"`, { 
-        encoding: 'utf8', 
-        stdio: ['pipe', 'pipe', 'pipe'] 
-      });
-      const hasAgentToken = secrets.includes('GH_AW_AGENT_TOKEN');
-      checks.push({
-        name: 'PAT Secret (GH_AW_AGENT_TOKEN)',
-        pass: hasAgentToken,
-        category: 'github',
-      });
-      if (!hasAgentToken) {
-        warnings.push('GH_AW_AGENT_TOKEN secret not found - Copilot auto-assignment won\'t work');
-      }
-    } catch (e) {
-      warnings.push('Could not check repository secrets');
+// What the commands policy (and so the terminal auto-approve rules) says
+// about one command
+function runPolicyCommandTest(policy, command, flags) {
+  const decision = validateCommand(command, policy);
+  if (flags.json) {
+    console.log(JSON.stringify({ command, ...decision }, null, 2));
+  } else {
+    log.header('🧪 Policy Test');
+    const rule = decision.rule ? chalk.gray(` (matches ${decision.rule.pattern}: ${decision.reason})`) : chalk.gray(` (${decision.reason})`);
+    if (decision.status === 'allowed') {
+      log.success(`${command} - AUTO-APPROVED${rule}`);
+    } else if (decision.status === 'blocked') {
+      log.error(`${command} - BLOCKED${rule}`);
+    } else {
+      log.warning(`${command} - NEEDS APPROVAL${rule}`);
     }
+    console.log('');
+  }
+  if (decision.status === 'blocked') {
+    process.exit(1);
+  }
+}
 
-    // Check workflow permissions
-    try {
-      const gitHubInfo = parseGitHubUrl(remoteUrl);
-      const permissions = execSync(`gh api repos/${gitHubInfo.owner}/${gitHubInfo.repo}/actions/permissions --jq ".allowed_actions"`, { 
-        encoding: 'utf8', 
-        stdio: ['pipe', 'pipe', 'pipe'] 
-      }).trim();
-      // If we can query permissions at all, actions are enabled
-      checks.push({
-        name: 'GitHub Actions Enabled',
-        pass: true,
-        category: 'github',
-      });
-    } catch (e) {
-      checks.push({
-        name: 'GitHub Actions Enabled',
-        pass: false,
-        category: 'github',
-      });
-    }
+function runPolicyTest(flags) {
+  const files = listFlag(flags.files).map(filename => ({ filename }));
+  const commits = typeof flags.message === 'string' ? [flags.message] : [];
+  const command = typeof flags.command === 'string' ? flags.command : null;
+  if (files.length === 0 && commits.length === 0 && !command) {
+    log.error('Usage: policy test --files "src/index.ts,package.json" [--message "<commit message>"] [--labels <labels>]');
+    log.error('       policy test --command "<command>"');
+    process.exit(1);
+  }
 
-    // Check workflow default permissions (read-write needed for auto-merge)
-    try {
-      const gitHubInfo = parseGitHubUrl(remoteUrl);
-      const workflowPerms = execSync(`gh api repos/${gitHubInfo.owner}/${gitHubInfo.repo}/actions/permissions/workflow --jq ".default_workflow_permissions"`, { 
-        encoding: 'utf8', 
-        stdio: ['pipe', 'pipe', 'pipe'] 
-      }).trim();
-      checks.push({
-        name: 'Branch protection (main)',
-        pass: branchProtected,
-        errorMsg: `Branch protection not configured. Fix: Settings → Branches → Add rule for 'main'\nOr run: npx github:shyamsridhar123/MayorWest configure`,
-        name: 'Workflow Permissions: Read & Write',
-        pass: workflowPerms === 'write',
-        category: 'github',
-      });
-      if (workflowPerms !== 'write') {
-        warnings.push('Workflow permissions should be "Read and write" for auto-merge to work');
+  const policy = loadPolicyOrExit(flags);
+  if (command) {
+    runPolicyCommandTest(policy, command, flags);
+    return;
+  }
+  const evaluation = evaluatePolicy(policy, { files, commits, labels: listFlag(flags.labels) });
+  if (flags.json) {
+    console.log(JSON.stringify(evaluation, null, 2));
+  } else {
+    log.header('🧪 Policy Test');
+    files.forEach(({ filename }) => {
+      const decision = checkFilePatterns(filename, policy.policies.files);
+      if (decision.allowed) {
+        log.success(`${filename} - ALLOWED${decision.pattern ? chalk.gray(` (matches ${decision.pattern})`) : ''}`);
+      } else if (decision.reason === 'blocked') {
+        log.error(`${filename} - BLOCKED ${chalk.gray(`(matches ${decision.pattern})`)}`);
+      } else {
+        log.error(`${filename} - BLOCKED ${chalk.gray('(not in allowed patterns)')}`);
       }
-    } catch (e) {
-      warnings.push('Could not check workflow default permissions');
-    }
+    });
+    console.log('');
+    printPolicyEvaluation(evaluation);
+  }
+  if (!evaluation.passed) {
+    process.exit(1);
+  }
+}
 
-    // Check if workflows can create PRs
-    try {
-      const gitHubInfo = parseGitHubUrl(remoteUrl);
-      const canApprovePRs = execSync(`gh api repos/${gitHubInfo.owner}/${gitHubInfo.repo}/actions/permissions/workflow --jq ".can_approve_pull_request_reviews"`, { 
-        encoding: 'utf8', 
-        stdio: ['pipe', 'pipe', 'pipe'] 
-      }).trim();
-      checks.push({
-        name: 'Workflows Can Approve PRs',
-        pass: canApprovePRs === 'true',
-        category: 'github',
-      });
-      if (canApprovePRs !== 'true') {
-        warnings.push('Enable "Allow GitHub Actions to create and approve pull requests" in Settings → Actions');
-      }
-    } catch (e) {
-      warnings.push('Could not check workflow PR approval permissions');
-    }
+function runPolicyDryRun(flags) {
+  const number = Number(flags.prNumber);
+  if (!Number.isInteger(number) || number < 1) {
+    log.error('Usage: policy dry-run --pr-number <n>');
+    process.exit(1);
+  }
+  const policy = loadPolicyOrExit(flags);
 
-    // Check if Copilot agent is available
-    try {
-      const gitHubInfo = parseGitHubUrl(remoteUrl);
-      const result = execSync(`gh api graphql -f query="{ repository(owner:\\"${gitHubInfo.owner}\\", name:\\"${gitHubInfo.repo}\\") { suggestedActors(first:100, capabilities:CAN_BE_ASSIGNED) { nodes { ... on Bot { login } } } } }" --jq ".data.repository.suggestedActors.nodes[].login"`, { 
-        encoding: 'utf8', 
-        stdio: ['pipe', 'pipe', 'pipe'] 
-      });
-      const hasCopilot = result.includes('copilot-swe-agent');
-      checks.push({
-        name: 'Copilot Coding Agent Available',
-        pass: hasCopilot,
-        category: 'copilot',
-      });
-      if (!hasCopilot) {
-        warnings.push('Copilot coding agent not available - ensure Copilot is enabled for this repo');
-      }
-    } catch (e) {
-      // Don't add a failing check, just a warning
-      warnings.push('Could not verify Copilot agent availability');
-    }
-  } else {
-    checks.push({
-      name: 'GitHub CLI Authentication',
-      pass: false,
-      category: 'github',
-    });
+  const gitHubInfo = getGitHubInfo();
+  if (!gitHubInfo) {
+    log.error('Could not detect GitHub repository. Ensure remote "origin" points to GitHub.');
+    process.exit(1);
+  }
+  if (!isGhCliAuthenticated()) {
+    log.error('GitHub CLI not authenticated. Run: gh auth login');
+    process.exit(1);
   }
 
-  log.divider();
-  
-  // Show repo info
-  if (gitHubInfo) {
-    console.log(chalk.cyan(`\n📍 Repository: ${gitHubInfo.owner}/${gitHubInfo.repo}`));
-    if (isPrivateRepo) {
-      console.log(chalk.gray('   └─ Private repo (GitHub Actions minutes apply: 2,000 free/month)'));
-    }
+  const spinner = flags.json ? null : ora(`Reading PR #${number}...`).start();
+  let change;
+  try {
+    change = fetchPullRequestChange(gitHubInfo, number);
+  } catch (error) {
+    spinner?.stop();
+    log.error(`Could not read PR #${number} in ${gitHubInfo.owner}/${gitHubInfo.repo}: ${error.message.split('\n')[0]}`);
+    process.exit(1);
   }
+  spinner?.stop();
 
-  console.log(chalk.cyan.bold('\n📊 Results\n'));
+  const evaluation = evaluatePolicy(policy, { ...change, pullRequest: change });
+  if (flags.json) {
+    console.log(JSON.stringify({ number: change.number, title: change.title, ...evaluation }, null, 2));
+  } else {
+    log.header('🔎 Policy Dry Run');
+    console.log(`${chalk.bold(`PR #${change.number}:`)} ${change.title}`);
+    console.log(chalk.gray(`Files changed: ${change.files.length} · Commits: ${change.commits.length} · Dependency changes: ${change.dependencies.length}\n`));
+    printPolicyEvaluation(evaluation);
+    console.log(evaluation.passed ? 'Action: Would not block auto-merge\n' : 'Action: Would block auto-merge\n');
+  }
+  if (!evaluation.passed) {
+    process.exit(1);
+  }
+}
 
-  const categories = ['core', 'security', 'copilot', 'versioning', 'github'];
-  let totalPassed = 0;
-  let totalChecks = 0;
+function runPolicyQuality(flags) {
+  const policy = loadPolicyOrExit(flags);
+  const timeout = flags.timeout === undefined ? undefined : Number(flags.timeout);
+  if (timeout !== undefined && !(timeout > 0)) {
+    log.error(`Invalid --timeout value: ${flags.timeout}. Expected a number of seconds.`);
+    process.exit(1);
+  }
 
-  categories.forEach(cat => {
-    const catChecks = checks.filter(c => c.category === cat);
-    if (catChecks.length === 0) return;
+  // Only the complexity limits look at the changed files
+  let files = listFlag(flags.files);
+  if (files.length === 0 && policy.policies.quality?.complexity) {
+    const base = typeof flags.base === 'string' ? flags.base : defaultBaseRef();
+    try {
+      files = changedFiles(base);
+    } catch (error) {
+      log.error(`Could not list the files changed since ${base}: ${error.message.split('\n')[0]}`);
+      console.log(chalk.gray('Pass --base <ref> or --files <paths>.'));
+      process.exit(1);
+    }
+  }
 
-    const catPassed = catChecks.filter(c => c.pass).length;
-    totalPassed += catPassed;
-    totalChecks += catChecks.length;
+  if (!flags.json) {
+    log.header('🧪 Quality Gate');
+  }
+  let spinner = null;
+  const evaluation = runQualityGate(policy, {
+    files: files.map(filename => ({ filename })),
+    labels: listFlag(flags.labels),
+    timeout,
+    onCheck: check => {
+      spinner?.stop();
+      spinner = flags.json ? null : ora(`${check.name}: ${check.command}`).start();
+    },
+  });
+  spinner?.stop();
 
-    catChecks.forEach(check => {
-      if (check.pass) {
-        log.success(check.name);
-      } else {
-        log.warning(check.name);
+  if (flags.json) {
+    console.log(JSON.stringify(evaluation, null, 2));
+  } else {
+    (evaluation.results[0]?.checks || []).forEach(check => {
+      const line = `${check.name}: ${check.command} ${chalk.gray(`(${(check.durationMs / 1000).toFixed(1)}s${check.coverage ? `, ${check.coverage.pct}% coverage` : ''})`)}`;
+      if (check.passed) {
+        log.success(line);
+        return;
+      }
+      (check.mustPass ? log.error : log.warning)(line);
+      if (check.output) {
+        check.output.split('\n').slice(-10).forEach(output => console.log(chalk.gray(`    ${output}`)));
       }
     });
     console.log('');
-  });
-
-  if (warnings.length > 0) {
-    console.log(chalk.yellow('Warnings:'));
-    warnings.forEach(w => console.log(chalk.gray(`  ⚠ ${w}`)));
-    console.log('');
+    printPolicyEvaluation(evaluation);
+  }
+  if (!evaluation.passed) {
+    process.exit(1);
   }
+}
 
-  log.divider();
-  console.log(
-    `\n${chalk.bold('Score:')} ${chalk.green(totalPassed)}/${chalk.bold(totalChecks)} checks passed\n`
-  );
+function runPolicyDependencies(flags) {
+  const policy = loadPolicyOrExit(flags);
+  const base = typeof flags.base === 'string' ? flags.base : defaultBaseRef();
+  let dependencies;
+  try {
+    dependencies = dependencyChangesSince(base);
+  } catch (error) {
+    log.error(`Could not compare the dependencies with ${base}: ${error.message.split('\n')[0]}`);
+    process.exit(1);
+  }
 
-  if (totalPassed === totalChecks) {
-    log.success(chalk.bold('All systems go! 🚀'));
-    console.log('\nMayor West Mode is fully configured and ready.\n');
-  } else if (totalPassed >= totalChecks * 0.7) {
-    log.info('Mostly configured - some optional features missing.\n');
+  const evaluation = evaluatePolicy(policy, { dependencies, labels: listFlag(flags.labels) });
+  if (flags.json) {
+    console.log(JSON.stringify({ base, dependencies, ...evaluation }, null, 2));
   } else {
-    log.warning('Setup incomplete. Run `mayorwest setup` to configure.\n');
+    log.header('📦 Dependency Changes');
+    console.log(chalk.gray(`Since ${base}\n`));
+    dependencies.forEach(change => console.log(`  ${change.type.padEnd(11)} ${describeDependencyChange(change)}${change.major ? chalk.yellow(' (major)') : ''}`));
+    if (dependencies.length === 0) {
+      log.info('No dependency changes.');
+      return;
+    }
+    console.log('');
+    printPolicyEvaluation(evaluation);
+  }
+  if (!evaluation.passed) {
+    process.exit(1);
+  }
+}
+
+async function runPolicyFlow(positional = [], flags = {}) {
+  const [subcommand, category] = positional;
+  switch (subcommand) {
+    case 'init':
+      return runPolicyInit(flags);
+    case 'validate':
+      return runPolicyValidate(flags);
+    case 'test':
+      return runPolicyTest(flags);
+    case 'list':
+      return runPolicyList(flags);
+    case 'show':
+      return runPolicyShow(category, flags);
+    case 'dry-run':
+      return runPolicyDryRun(flags);
+    case 'quality':
+      return runPolicyQuality(flags);
+    case 'dependencies':
+      return runPolicyDependencies(flags);
+    default:
+      log.error(`Unknown policy command: ${subcommand || '(none)'}. Expected: ${POLICY_COMMANDS.join(', ')}`);
+      process.exit(1);
   }
 }
 
@@ -2499,17 +2561,50 @@ function showHelp() {
   console.log(chalk.yellow('  npx github:shyamsridhar123/MayorWest <command>\n'));
 
   console.log(chalk.cyan.bold('Commands:\n'));
-  console.log(chalk.yellow('  setup'));
-  console.log(chalk.gray('    Guided setup wizard for Mayor West Mode configuration\n'));
+  console.log(chalk.yellow('  setup [--yes] [--answers <file>] [--dry-run] [--force]'));
+  console.log(chalk.gray('    Guided setup wizard for Mayor West Mode configuration'));
+  console.log(chalk.gray('    Existing files you changed are merged with the template; --force overwrites them'));
+  console.log(chalk.gray('    --dry-run shows file diffs and gh commands without changing anything'));
+  console.log(chalk.gray('    --yes runs without prompts; answers come from flags, the answers file or defaults'));
+  console.log(chalk.gray('    --setup-type <full|minimal|custom> --merge <squash|merge|rebase> --iteration-limit <n>'));
+  console.log(chalk.gray('    --[no-]auto-merge --[no-]configure-github --[no-]commit --files <path,...>\n'));
+
+  console.log(chalk.yellow('  configure [--dry-run] [--yes]'));
+  console.log(chalk.gray('    Apply GitHub repository settings only (no files are written)\n'));
+
+  console.log(chalk.yellow('  upgrade [--dry-run] [--yes] [--no-commit]'));
+  console.log(chalk.gray('    Migrate generated files to this version\'s templates, keeping local edits\n'));
 
   console.log(chalk.yellow('  plan'));
   console.log(chalk.gray('    Break down a goal into multiple GitHub issues\n'));
 
-  console.log(chalk.yellow('  verify'));
-  console.log(chalk.gray('    Verify that all Mayor West Mode files are in place\n'));
-
-  console.log(chalk.yellow('  uninstall'));
-  console.log(chalk.gray('    Remove all Mayor West Mode files from the repository\n'));
+  console.log(chalk.yellow('  verify [--format <text|json|junit|sarif|markdown>] [--fail-on <error|warning|none>] [--baseline <report.json>] [--fix [--yes]] [--only <checks>] [--skip <checks>] [--drift [--accept]]'));
+  console.log(chalk.gray('    Verify that all Mayor West Mode files and settings are in place'));
+  console.log(chalk.gray('    Exits 1 when a check at or above --fail-on (default: error) fails'));
+  console.log(chalk.gray('    --baseline <report.json> only fails on checks that pass in an earlier --format json report'));
+  console.log(chalk.gray('    --fix recreates missing files and corrects settings, then verifies again'));
+  console.log(chalk.gray('    --only / --skip <ids or categories> select checks, e.g. --only security,github/auto-merge'));
+  console.log(chalk.gray('    --drift compares the installed workflows with the templates; --accept records differences as intentional'));
+  console.log(chalk.gray('    With MAYOR_WEST_TOKEN set, also checks the agent token (see token check)'));
+  console.log(chalk.gray(`    Custom checks are loaded from ${CUSTOM_CHECKS_PATH} and verify.plugins in .github/mayor-west.yml\n`));
+
+  console.log(chalk.yellow('  token check [--warn-days <n>] [--json]'));
+  console.log(chalk.gray('    Check what the agent token in MAYOR_WEST_TOKEN can do: type, expiry and permissions'));
+  console.log(chalk.gray(`    Warns when it expires within --warn-days (default: ${DEFAULT_EXPIRY_WARNING_DAYS}); exits 1 when a capability will fail\n`));
+
+  console.log(chalk.yellow('  policy <init|validate|test|list|show <category>|dry-run|quality|dependencies> [--json]'));
+  console.log(chalk.gray(`    Manage custom policies in ${POLICY_FILE_PATH}`));
+  console.log(chalk.gray('    init [--strict] [--force] [--dry-run] writes the default policy file'));
+  console.log(chalk.gray('    test --files <paths> [--message <msg>] [--labels <labels>] checks a hypothetical change'));
+  console.log(chalk.gray('    test --command <cmd> shows whether the agent may run a command without approval'));
+  console.log(chalk.gray('    dry-run --pr-number <n> checks an open pull request'));
+  console.log(chalk.gray('    quality [--files <paths> | --base <ref>] [--labels <labels>] [--timeout <s>] runs the required checks,'));
+  console.log(chalk.gray('      coverage and complexity limits here'));
+  console.log(chalk.gray('    dependencies [--base <ref>] [--labels <labels>] checks the packages added, removed and upgraded since <ref>'));
+  console.log(chalk.gray('    test, dry-run, quality and dependencies exit 1 on violations\n'));
+
+  console.log(chalk.yellow('  uninstall [--yes] [--json] [--force] [--revert-settings] [--restore [<backup>]]'));
+  console.log(chalk.gray('    Back up and remove Mayor West Mode files (asks before removing edited or pre-existing files)\n'));
 
   console.log(chalk.yellow('  help'));
   console.log(chalk.gray('    Show this help message\n'));
@@ -2525,8 +2620,14 @@ function showHelp() {
 
   console.log(chalk.cyan.bold('Examples:\n'));
   console.log(chalk.gray('  npx github:shyamsridhar123/MayorWest setup'));
+  console.log(chalk.gray('  npx github:shyamsridhar123/MayorWest setup --yes --merge=rebase --no-commit'));
+  console.log(chalk.gray('  npx github:shyamsridhar123/MayorWest configure --dry-run'));
   console.log(chalk.gray('  npx github:shyamsridhar123/MayorWest plan'));
   console.log(chalk.gray('  npx github:shyamsridhar123/MayorWest verify'));
+  console.log(chalk.gray('  npx github:shyamsridhar123/MayorWest verify --format sarif > mayor-west.sarif'));
+  console.log(chalk.gray('  npx github:shyamsridhar123/MayorWest verify --fix'));
+  console.log(chalk.gray('  MAYOR_WEST_TOKEN=<token> npx github:shyamsridhar123/MayorWest token check'));
+  console.log(chalk.gray('  npx github:shyamsridhar123/MayorWest policy test --files "src/index.ts,package.json"'));
   console.log(chalk.gray('  npx github:shyamsridhar123/MayorWest uninstall\n'));
 }
 
@@ -2596,11 +2697,15 @@ function showStatus() {
   console.log(chalk.gray(`  Remote URL: ${remoteUrl || 'N/A'}`));
   console.log(chalk.gray(`  Current Branch: ${branch}\n`));
 
+  const { manifest, files } = getInstallStatus();
+
   console.log(chalk.cyan('Configuration Files:\n'));
-  Object.entries(FILES_TO_CREATE).forEach(([filePath, config]) => {
-    const exists = fs.existsSync(filePath);
-    const status = exists ? chalk.green('✓') : chalk.red('✗');
-    console.log(chalk.gray(`  ${status} ${config.displayName}`));
+  console.log(chalk.gray(manifest
+    ? `  Installed by v${manifest.version} (${MANIFEST_PATH})\n`
+    : `  No ${MANIFEST_PATH} - comparing with the current templates\n`));
+  files.forEach(file => {
+    const symbol = file.status === 'missing' ? chalk.red('✗') : file.status === 'unmodified' ? chalk.green('✓') : chalk.yellow('~');
+    console.log(chalk.gray(`  ${symbol} ${file.displayName} `) + formatFileStatus(file.status));
   });
 
   console.log('\n');
@@ -2631,7 +2736,7 @@ function showVersion() {
 
 async function main() {
   const args = process.argv.slice(2);
-  const command = args[0] || 'help';
+  const { command = 'help', positional, flags } = parseArgs(args);
 
   // Handle --version and -v flags
   if (args.includes('--version') || args.includes('-v')) {
@@ -2642,16 +2747,28 @@ async function main() {
   try {
     switch (command) {
       case 'setup':
-        await runSetupFlow();
+        await runSetupFlow(flags);
+        break;
+      case 'configure':
+        await runConfigureFlow(flags);
+        break;
+      case 'upgrade':
+        await runUpgradeFlow(flags);
         break;
       case 'verify':
-        await runVerifyFlow();
+        await runVerifyFlow(flags);
         break;
       case 'plan':
         await runPlanFlow();
         break;
+      case 'token':
+        await runTokenFlow(positional, flags);
+        break;
+      case 'policy':
+        await runPolicyFlow(positional, flags);
+        break;
       case 'uninstall':
-        await runUninstallFlow();
+        await runUninstallFlow(flags);
         break;
       case 'help':
         showHelp();
@@ -2676,4 +2793,9 @@ async function main() {
   }
 }
 
-main();
+// Only run when executed directly (including via npm bin symlinks), so
+// importing the module has no side effects
+const entryPoint = process.argv[1] ? fs.realpathSync(process.argv[1]) : null;
+if (entryPoint === fileURLToPath(import.meta.url)) {
+  main();
+}
@@ -8,24 +8,29 @@
  * - CLI business logic
  */
 
+import fs from 'fs';
 import path from 'path';
+import { fileTemplates, renderTemplates, resolveTemplateOptions, parseGitHubUrl, planFixes, parseConfig, validateGlob, builtinChecks } from './index.js';
+import { unprotectedPaths } from './lib/config.js';
+import { summarizeBranchProtection } from './lib/github.js';
+import { workflowDrift } from './lib/drift.js';
+import { lintWorkflow, lintExpression } from './lib/lint.js';
+import { checkToken, tokenType, parseTokenExpiration } from './lib/token.js';
+import { parseCodeowners, ownersFor, shadowedRules, representativePaths } from './lib/codeowners.js';
+import { DEFAULT_PROTECTED_PATHS } from './lib/templates.js';
+import { DEFAULT_POLICY, generateDefaultPolicy, validatePolicySchema, matchesPattern, evaluatePolicy, validateCommand, validateDependencies, validatePullRequest } from './lib/policy-system.js';
+import { compileAutoApprove, DEFAULT_COMMAND_POLICY } from './lib/commands.js';
+import { analyzeFunctions, complexityViolations, maskSource } from './lib/quality.js';
+import { readDependencies, diffDependencies, matchesPackage } from './lib/dependencies.js';
+import yaml from 'js-yaml';
+import { unifiedDiff, diff3Merge } from './lib/diff.js';
+import { mergeGeneratedFile } from './lib/install.js';
+import { gitBlobHash } from './lib/repo.js';
+import { compareVersions, migrationsFor, MIGRATIONS } from './lib/upgrade.js';
 
 describe('Mayor West Mode CLI - End-to-End Tests', () => {
 
   describe('GitHub URL Parsing Logic', () => {
-    // Extracted from cli.js parseGitHubUrl function
-    function parseGitHubUrl(url) {
-      const httpsMatch = url.match(/github\.com\/([^/]+)\/([^/]+?)(\.git)?$/);
-      const sshMatch = url.match(/git@github\.com:([^/]+)\/([^/]+?)(\.git)?$/);
-
-      if (httpsMatch) {
-        return { owner: httpsMatch[1], repo: httpsMatch[2] };
-      } else if (sshMatch) {
-        return { owner: sshMatch[1], repo: sshMatch[2] };
-      }
-      return null;
-    }
-
     test('should parse HTTPS URL with .git', () => {
       const result = parseGitHubUrl('https://github.com/owner/repo.git');
       expect(result).toEqual({ owner: 'owner', repo: 'repo' });
@@ -77,23 +82,11 @@ describe('Mayor West Mode CLI - End-to-End Tests', () => {
   });
 
   describe('File Template Validation', () => {
+    const templates = renderTemplates();
+
     test('VS Code settings.json template should be valid JSON', () => {
-      const settingsTemplate = JSON.stringify({
-        'chat.tools.autoApprove': true,
-        'chat.tools.terminal.autoApprove': {
-          '/^git\\s+(commit|push)\\b/': true,
-          '/^(npm|pnpm|yarn)\\s+(test|lint|build)\\b/': true,
-          '/^(npm|pnpm|yarn)\\s+run\\s+(test|lint|format)\\b/': true,
-          'rm': false,
-          'kill': false,
-          'git reset --hard': false,
-          'rm -rf': false,
-        },
-        'chat.agent.iterationLimit': 15,
-        'chat.agent.maxTokensPerIteration': 4000,
-        'chat.agent.slowMode': false,
-      }, null, 2);
-      
+      const settingsTemplate = templates['.vscode/settings.json'];
+
       expect(() => JSON.parse(settingsTemplate)).not.toThrow();
       const parsed = JSON.parse(settingsTemplate);
       expect(parsed['chat.tools.autoApprove']).toBe(true);
@@ -101,15 +94,8 @@ describe('Mayor West Mode CLI - End-to-End Tests', () => {
     });
 
     test('VS Code settings should block destructive commands', () => {
-      const settings = {
-        'chat.tools.terminal.autoApprove': {
-          'rm': false,
-          'kill': false,
-          'git reset --hard': false,
-          'rm -rf': false,
-        },
-      };
-      
+      const settings = JSON.parse(templates['.vscode/settings.json']);
+
       expect(settings['chat.tools.terminal.autoApprove']['rm']).toBe(false);
       expect(settings['chat.tools.terminal.autoApprove']['kill']).toBe(false);
       expect(settings['chat.tools.terminal.autoApprove']['git reset --hard']).toBe(false);
@@ -117,29 +103,14 @@ describe('Mayor West Mode CLI - End-to-End Tests', () => {
     });
 
     test('VS Code settings should auto-approve safe git commands', () => {
-      const settings = {
-        'chat.tools.terminal.autoApprove': {
-          '/^git\\s+(commit|push)\\b/': true,
-        },
-      };
-      
+      const settings = JSON.parse(templates['.vscode/settings.json']);
+
       expect(settings['chat.tools.terminal.autoApprove']['/^git\\s+(commit|push)\\b/']).toBe(true);
     });
 
     test('Agent template should contain required sections', () => {
-      const agentTemplate = `# Mayor West Mode - Copilot Agent Protocol
-
-You are operating in **Mayor West Mode**: eccentric, confident, autonomous.
-
-## Your Mission
+      const agentTemplate = templates['.github/agents/mayor-west-mode.md'];
 
-When assigned a GitHub issue with the \`mayor-task\` label, you are responsible for:
-1. **Understanding** the complete task by reading the issue details
-2. **Implementing** all acceptance criteria from the issue
-3. **Testing** your implementation with the project's test suite
-4. **Committing** your changes with a clear, descriptive message
-5. **Creating/Updating** a pull request for review and merge`;
-      
       expect(agentTemplate).toContain('Mayor West Mode');
       expect(agentTemplate).toContain('Your Mission');
       expect(agentTemplate).toContain('Understanding');
@@ -148,77 +119,216 @@ When assigned a GitHub issue with the \`mayor-task\` label, you are responsible
     });
 
     test('Auto-merge workflow template should have required structure', () => {
-      const workflowTemplate = `name: Mayor West Auto-Merge
-
-on:
-  pull_request:
-    types: [opened, synchronize, reopened]
+      const workflowTemplate = templates['.github/workflows/mayor-west-auto-merge.yml'];
 
-permissions:
-  contents: read
-  pull-requests: write
-
-jobs:
-  auto-merge:
-    runs-on: ubuntu-latest
-    if: github.actor == 'copilot' || github.actor == 'copilot[bot]'`;
-      
       expect(workflowTemplate).toContain('name: Mayor West Auto-Merge');
-      expect(workflowTemplate).toContain('pull_request:');
+      expect(workflowTemplate).toContain('pull_request_target:');
       expect(workflowTemplate).toContain('permissions:');
       expect(workflowTemplate).toContain('github.actor == \'copilot\'');
     });
 
     test('Orchestrator workflow template should have required structure', () => {
-      const orchestratorTemplate = `name: Mayor West Orchestrator
-
-on:
-  workflow_dispatch:
-  pull_request:
-    types: [closed]
-    paths: []
-  schedule:
-    - cron: '*/15 * * * *'
-
-permissions:
-  contents: read
-  issues: write
-  pull-requests: read`;
-      
+      const orchestratorTemplate = templates['.github/workflows/mayor-west-orchestrator.yml'];
+
       expect(orchestratorTemplate).toContain('name: Mayor West Orchestrator');
       expect(orchestratorTemplate).toContain('workflow_dispatch:');
       expect(orchestratorTemplate).toContain('schedule:');
       expect(orchestratorTemplate).toContain('cron:');
     });
 
+    test('Verify workflow template should run the action on .github changes', () => {
+      const workflow = yaml.load(templates['.github/workflows/mayor-west-verify.yml']);
+      const action = yaml.load(fs.readFileSync(new URL('./action.yml', import.meta.url), 'utf-8'));
+      const version = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf-8')).version;
+      const step = workflow.jobs.verify.steps.find(s => s.uses === `shyamsridhar123/MayorWest@v${version}`);
+
+      expect(workflow.on.pull_request.paths).toEqual(['.github/**']);
+      expect(workflow.permissions['pull-requests']).toBe('write');
+      expect(step.with['github-token']).toBe('${{ secrets.GITHUB_TOKEN }}');
+      Object.keys(step.with).forEach(input => expect(Object.keys(action.inputs)).toContain(input));
+      expect(action.runs.using).toBe('composite');
+    });
+
     test('Issue template should have required structure', () => {
-      const issueTemplate = `---
-name: Mayor Task
-about: Create a task for autonomous execution
-labels: mayor-task
----
+      const issueTemplate = templates['.github/ISSUE_TEMPLATE/mayor-task.md'];
 
-# [MAYOR] Brief Description of Task
+      expect(issueTemplate).toContain('name: Mayor Task');
+      expect(issueTemplate).toContain('labels: mayor-task');
+      expect(issueTemplate).toContain('Acceptance Criteria');
+      expect(issueTemplate).toContain('Testing Requirements');
+      expect(issueTemplate).toContain('Definition of Done');
+    });
 
-**Summary**: One-sentence executive summary of what needs to be done.
+    test('renderTemplates should render only the requested files', () => {
+      const rendered = renderTemplates({ iterationLimit: 22 }, ['.vscode/settings.json']);
 
-## Context
+      expect(Object.keys(rendered)).toEqual(['.vscode/settings.json']);
+      expect(JSON.parse(rendered['.vscode/settings.json'])['chat.agent.iterationLimit']).toBe(22);
+      expect(() => renderTemplates({}, ['nope.md'])).toThrow('Unknown template: nope.md');
+    });
+  });
 
-## Acceptance Criteria
+  describe('Template Options From Setup Answers', () => {
+    const rebaseNoMerge = {
+      owner: 'acme',
+      mergeStrategy: 'REBASE',
+      enableAutoMerge: false,
+      iterationLimit: '22',
+    };
+
+    test('should default to the wizard defaults', () => {
+      expect(resolveTemplateOptions({})).toMatchObject({
+        mergeStrategy: 'SQUASH',
+        mergeMethod: 'squash',
+        enableAutoMerge: true,
+        iterationLimit: 15,
+      });
+    });
 
-## Technical Constraints
+    test('should reject unknown merge strategies', () => {
+      expect(() => resolveTemplateOptions({ mergeStrategy: 'fast-forward' })).toThrow('Unknown merge strategy');
+    });
 
-## Testing Requirements
+    test('should write the iteration limit into settings and agent instructions', () => {
+      const settings = JSON.parse(fileTemplates['.vscode/settings.json'](rebaseNoMerge));
+      expect(settings['chat.agent.iterationLimit']).toBe(22);
+      expect(fileTemplates['.github/agents/mayor-west-mode.md'](rebaseNoMerge)).toContain('You have 22 iterations maximum');
+      expect(fileTemplates['.github/copilot/instructions.md'](rebaseNoMerge)).toContain('up to 22 iterations');
+    });
 
-## Files Likely to Change
+    test('should use the chosen merge method everywhere', () => {
+      const options = { mergeStrategy: 'MERGE' };
+      expect(fileTemplates['.github/workflows/mayor-west-auto-merge.yml'](options)).toContain('mergeMethod: MERGE');
+      expect(fileTemplates['.github/workflows/mayor-west-orchestrator.yml'](options)).toContain("merge_method: 'merge'");
+      expect(fileTemplates['.github/mayor-west.yml'](options)).toContain('method: merge');
+    });
 
-## Definition of Done`;
-      
-      expect(issueTemplate).toContain('name: Mayor Task');
-      expect(issueTemplate).toContain('labels: mayor-task');
-      expect(issueTemplate).toContain('Acceptance Criteria');
-      expect(issueTemplate).toContain('Testing Requirements');
-      expect(issueTemplate).toContain('Definition of Done');
+    test('should keep squash as the default merge method', () => {
+      expect(fileTemplates['.github/workflows/mayor-west-auto-merge.yml']()).toContain('mergeMethod: SQUASH');
+      expect(fileTemplates['.github/workflows/mayor-west-orchestrator.yml']()).toContain("merge_method: 'squash'");
+    });
+
+    test('should drop the merge job when auto-merge is disabled', () => {
+      const orchestrator = fileTemplates['.github/workflows/mayor-west-orchestrator.yml'](rebaseNoMerge);
+      expect(orchestrator).toContain('orchestrate:');
+      expect(orchestrator).not.toContain('merge-copilot-prs:');
+      expect(orchestrator).not.toContain('pulls.merge');
+      expect(fileTemplates['AGENTS.md'](rebaseNoMerge)).toContain('merged by a maintainer');
+    });
+  });
+
+  describe('Unified Diff', () => {
+    const before = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'].join('\n') + '\n';
+
+    test('should return an empty string for identical content', () => {
+      expect(unifiedDiff(before, before)).toBe('');
+    });
+
+    test('should produce a hunk with context around a change', () => {
+      const after = before.replace('five', 'FIVE');
+      expect(unifiedDiff(before, after, { fromFile: 'a/x', toFile: 'b/x' })).toBe([
+        '--- a/x',
+        '+++ b/x',
+        '@@ -2,7 +2,7 @@',
+        ' two',
+        ' three',
+        ' four',
+        '-five',
+        '+FIVE',
+        ' six',
+        ' seven',
+        ' eight',
+        '',
+      ].join('\n'));
+    });
+
+    test('should split distant changes into separate hunks', () => {
+      const after = before.replace('one', 'ONE').replace('ten', 'TEN');
+      const hunks = unifiedDiff(before, after, { context: 1 }).split('\n').filter(line => line.startsWith('@@'));
+      expect(hunks).toEqual(['@@ -1,2 +1,2 @@', '@@ -9,2 +9,2 @@']);
+    });
+
+    test('should report additions to an empty file', () => {
+      expect(unifiedDiff('', 'new\n')).toContain('@@ -0,0 +1,1 @@\n+new');
+    });
+  });
+
+  describe('Install Manifest Hashes', () => {
+    test('should match git blob ids', () => {
+      expect(gitBlobHash('')).toBe('e69de29bb2d1d6434b8b29ae775ad8c2e48c5391');
+      expect(gitBlobHash('hello\n')).toBe('ce013625030ba8dba906f756967f9e9ca394464a');
+    });
+  });
+
+  describe('Upgrade Migrations', () => {
+    test('should compare semantic versions', () => {
+      expect(compareVersions('1.0.0', '1.0.1')).toBe(-1);
+      expect(compareVersions('1.10.0', '1.9.3')).toBe(1);
+      expect(compareVersions('2.0.0-beta.1', '2.0.0')).toBe(0);
+    });
+
+    test('should list migrations in version order', () => {
+      const versions = MIGRATIONS.map(m => m.version);
+      expect([...versions].sort(compareVersions)).toEqual(versions);
+      MIGRATIONS.forEach(migration => expect(fileTemplates[migration.file]).toBeDefined());
+    });
+
+    test('should add the merge section to old mayor-west.yml files', () => {
+      const migration = MIGRATIONS.find(m => m.file === '.github/mayor-west.yml');
+      const options = resolveTemplateOptions({ mergeStrategy: 'REBASE' });
+      const migrated = migration.migrate('enabled: true\nprotected_paths:\n  - "infra/**"\n', options);
+      expect(migrated).toContain('merge:\n  method: rebase');
+      expect(migration.migrate(migrated, options)).toBe(migrated);
+    });
+
+    test('should only run the migrations released since the installed version', () => {
+      const version = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'package.json'), 'utf8')).version;
+      expect(migrationsFor('.github/mayor-west.yml', '1.0.0').map(m => m.version)).toEqual(['1.1.0']);
+      expect(migrationsFor('.github/mayor-west.yml', version)).toEqual([]);
+      expect(MIGRATIONS.every(m => compareVersions(m.version, version) <= 0)).toBe(true);
+    });
+  });
+
+  describe('Merging Edited Files', () => {
+    const base = 'a\nb\nc\nd\ne\n';
+
+    test('should combine edits to different lines', () => {
+      const ours = 'a\nB\nc\nd\ne\n';
+      const theirs = 'a\nb\nc\nd\nE\n';
+      expect(diff3Merge(ours, base, theirs)).toEqual({ text: 'a\nB\nc\nd\nE\n', conflicts: 0 });
+    });
+
+    test('should keep insertions from both sides', () => {
+      const ours = 'top\na\nb\nc\nd\ne\n';
+      const theirs = 'a\nb\nc\nd\ne\nbottom\n';
+      expect(diff3Merge(ours, base, theirs).text).toBe('top\na\nb\nc\nd\ne\nbottom\n');
+    });
+
+    test('should mark conflicting edits', () => {
+      const result = diff3Merge('a\nX\nc\nd\ne\n', base, 'a\nY\nc\nd\ne\n', { oursLabel: 'yours', theirsLabel: 'template' });
+      expect(result.conflicts).toBe(1);
+      expect(result.text).toBe('a\n<<<<<<< yours\nX\n=======\nY\n>>>>>>> template\nc\nd\ne\n');
+    });
+
+    test('should keep user CODEOWNERS rules', () => {
+      const theirs = fileTemplates['.github/CODEOWNERS']({ owner: 'acme' });
+      const ours = theirs + '/docs/ @acme/writers\n';
+      const merged = mergeGeneratedFile('.github/CODEOWNERS', { base: theirs, ours, theirs });
+      expect(merged.text).toContain('* @acme');
+      expect(merged.text).toContain('/docs/ @acme/writers');
+
+      // Merging again does not duplicate anything
+      expect(mergeGeneratedFile('.github/CODEOWNERS', { base: theirs, ours: merged.text, theirs }).text).toBe(merged.text);
+    });
+
+    test('should keep user protected paths in mayor-west.yml', () => {
+      const base = fileTemplates['.github/mayor-west.yml']();
+      const ours = base.replace('protected_paths:\n', 'protected_paths:\n  - "terraform/**"\n');
+      const theirs = fileTemplates['.github/mayor-west.yml']({ mergeStrategy: 'REBASE' });
+      const merged = mergeGeneratedFile('.github/mayor-west.yml', { base, ours, theirs });
+      expect(merged.conflicts).toBe(0);
+      expect(merged.text).toContain('  - "terraform/**"');
+      expect(merged.text).toContain('method: rebase');
     });
   });
 
@@ -482,6 +592,761 @@ labels: mayor-task
     });
   });
 
+  describe('Security Config Schema', () => {
+    test('should accept the generated config', () => {
+      const { config, errors } = parseConfig(fileTemplates['.github/mayor-west.yml']());
+      expect(errors).toEqual([]);
+      expect(config.merge.method).toBe('squash');
+      expect(unprotectedPaths(config, ['.github/workflows/mayor-west-auto-merge.yml', '.github/mayor-west.yml'])).toEqual([]);
+    });
+
+    test('should not be fooled by comments or nested keys', () => {
+      const { config, errors } = parseConfig([
+        '# protected_paths: are not configured',
+        'enabled: true',
+        'audit:',
+        '  enabled: false',
+      ].join('\n'));
+
+      expect(config.enabled).toBe(true);
+      expect(config.protected_paths).toBeUndefined();
+      expect(errors).toEqual([{ path: 'audit.enabled', line: 4, message: 'Unknown key: audit.enabled' }]);
+    });
+
+    test('should report schema errors with line numbers', () => {
+      const { errors } = parseConfig([
+        'enabled: "yes"',
+        'protected_paths:',
+        '  - ".github/workflows/**"',
+        '  - "/etc/passwd"',
+        '  - "src/[abc"',
+        'merge:',
+        '  method: fast-forward',
+        'reviewers: 2',
+      ].join('\n'));
+
+      expect(errors.map(e => [e.line, e.message])).toEqual([
+        [1, 'enabled must be true or false (got "yes")'],
+        [4, 'protected_paths[1] is not a valid glob: "/etc/passwd" must be relative to the repository root'],
+        [5, 'protected_paths[2] is not a valid glob: "src/[abc" has unbalanced [ ] or { }'],
+        [7, 'merge.method must be one of squash, merge, rebase (got "fast-forward")'],
+        [8, 'Unknown key: reviewers'],
+      ]);
+    });
+
+    test('should report YAML syntax errors with their line', () => {
+      const { config, errors } = parseConfig('enabled: true\nprotected_paths: [\n');
+      expect(config).toBeNull();
+      expect(errors[0].message).toMatch(/^Invalid YAML/);
+      expect(errors[0].line).toBeGreaterThan(1);
+    });
+
+    test('should validate glob patterns', () => {
+      expect(validateGlob('**/secrets/**')).toBeNull();
+      expect(validateGlob('.env*')).toBeNull();
+      expect(validateGlob('')).toBe('must be a non-empty string');
+      expect(validateGlob('docs/../.github/**')).toBe('must not contain ..');
+      expect(validateGlob('src/***')).toBe('has more than two * in a row');
+    });
+
+    test('should list workflow files no protected path covers', () => {
+      const config = { protected_paths: ['.github/workflows/mayor-west-*.yml', 'package.json'] };
+      expect(unprotectedPaths(config, [
+        '.github/workflows/mayor-west-auto-merge.yml',
+        '.github/workflows/release.yml',
+      ])).toEqual(['.github/workflows/release.yml']);
+    });
+  });
+
+  describe('Branch Protection Summary', () => {
+    test('should report an unprotected branch as null', () => {
+      expect(summarizeBranchProtection({ classic: null, rules: [] })).toBeNull();
+    });
+
+    test('should read classic protection', () => {
+      const protection = summarizeBranchProtection({
+        classic: {
+          required_status_checks: { contexts: ['test'], checks: [{ context: 'test' }, { context: 'lint' }] },
+          required_pull_request_reviews: { required_approving_review_count: 1 },
+          enforce_admins: { enabled: true },
+          allow_force_pushes: { enabled: false },
+          allow_deletions: { enabled: true },
+        },
+      });
+
+      expect(protection).toEqual(expect.objectContaining({
+        sources: ['branch protection'],
+        statusChecks: ['test', 'lint'],
+        requiredReviews: 1,
+        enforceAdmins: true,
+        allowForcePushes: false,
+        allowDeletions: true,
+      }));
+    });
+
+    test('should treat rulesets as protection and keep the strictest rule', () => {
+      const protection = summarizeBranchProtection({
+        rules: [
+          { type: 'non_fast_forward', ruleset_id: 3 },
+          { type: 'deletion', ruleset_id: 3 },
+          { type: 'pull_request', ruleset_id: 3, parameters: { required_approving_review_count: 1 } },
+        ],
+        rulesets: { 3: { name: 'default', bypass_actors: [] } },
+      });
+
+      expect(protection.sources).toEqual(['ruleset "default"']);
+      expect(protection.statusChecks).toEqual([]);
+      expect(protection.allowForcePushes).toBe(false);
+      expect(protection.allowDeletions).toBe(false);
+      expect(protection.enforceAdmins).toBe(true);
+    });
+  });
+
+  describe('Workflow Drift', () => {
+    const orchestrator = fileTemplates['.github/workflows/mayor-west-orchestrator.yml']();
+    const kinds = differences => differences.map(diff => [diff.kind, diff.path]);
+
+    test('should ignore formatting and comments', () => {
+      expect(workflowDrift(orchestrator, orchestrator)).toEqual([]);
+      expect(workflowDrift(orchestrator, yaml.dump(yaml.load(orchestrator), { indent: 4 }))).toEqual([]);
+    });
+
+    test('should report a changed schedule and merge method', () => {
+      const edited = orchestrator
+        .replace("cron: '*/5 * * * *'", "cron: '0 * * * *'")
+        .replace("merge_method: 'squash'", "merge_method: 'rebase'");
+      const differences = workflowDrift(orchestrator, edited);
+
+      expect(kinds(differences)).toEqual([
+        ['schedule-changed', 'on.schedule'],
+        ['merge-method-changed', 'jobs.merge-copilot-prs.steps[Find and Merge Copilot PRs]'],
+      ]);
+      expect(differences[0].message).toBe('Schedule changed: */5 * * * * → 0 * * * *');
+      expect(differences[1].message).toContain('squash → rebase');
+    });
+
+    test('should report added and removed jobs and steps', () => {
+      const workflow = yaml.load(orchestrator);
+      workflow.jobs['approve-copilot-runs'].steps.push({ name: 'Notify Slack', run: 'echo done' });
+      workflow.jobs.orchestrate.steps.shift();
+      workflow.jobs.lint = { 'runs-on': 'ubuntu-latest', steps: [{ run: 'npm run lint' }] };
+      delete workflow.on.schedule;
+
+      expect(kinds(workflowDrift(orchestrator, yaml.dump(workflow)))).toEqual([
+        ['trigger-removed', 'on.schedule'],
+        ['step-added', 'jobs.approve-copilot-runs.steps[Notify Slack]'],
+        ['step-removed', 'jobs.orchestrate.steps[Find Next Unassigned mayor-task]'],
+        ['job-added', 'jobs.lint'],
+      ]);
+    });
+  });
+
+  describe('Workflow Lint', () => {
+    const orchestrator = fileTemplates['.github/workflows/mayor-west-orchestrator.yml']();
+    const messages = source => lintWorkflow(source).map(issue => issue.message);
+
+    test.each([
+      {},
+      { mergeStrategy: 'rebase', enableAutoMerge: false },
+      { mergeStrategy: 'merge', iterationLimit: 5 },
+    ])('should pass every generated workflow rendered with %o', options => {
+      const rendered = renderTemplates(options);
+      Object.keys(rendered)
+        .filter(file => file.startsWith('.github/workflows/'))
+        .forEach(file => expect({ file, issues: lintWorkflow(rendered[file]) }).toEqual({ file, issues: [] }));
+    });
+
+    test('should report a script that does not parse, with its line', () => {
+      const broken = orchestrator.replace("console.log(`Found task", 'console.log(Found task');
+      expect(lintWorkflow(broken)).toEqual([{
+        path: 'jobs.orchestrate.steps[Find Next Unassigned mayor-task].with.script',
+        message: expect.stringMatching(/^Script does not parse: .* \(line 41 of the script\)$/),
+      }]);
+    });
+
+    test('should check triggers and permissions', () => {
+      const edited = orchestrator
+        .replace("cron: '*/5 * * * *'", "cron: '*/5 * *'")
+        .replace('  issues:\n    types', '  issue:\n    types')
+        .replace('actions: write', 'actions: admin');
+
+      expect(messages(edited)).toEqual([
+        'Unknown trigger: issue',
+        'Invalid cron: "*/5 * *" (expected five fields)',
+        'permissions.actions must be read, write or none (got "admin")',
+      ]);
+    });
+
+    test('should check expressions against the available contexts', () => {
+      expect(lintExpression("steps.find_task.outputs.found == 'true'", { steps: ['find_task'] })).toEqual([]);
+      expect(lintExpression('secrets.GH_AW_AGENT_TOKEN || secrets.GITHUB_TOKEN')).toEqual([]);
+      expect(lintExpression("contains(github.ref, '-') && always()")).toEqual([]);
+      expect(lintExpression('secret.GITHUB_TOKEN')).toEqual(['Unknown context: secret.GITHUB_TOKEN']);
+      expect(lintExpression('steps.find_task.outputs.found', { steps: [] })).toEqual([
+        'steps.find_task.outputs.found refers to step "find_task", which does not run before this point in the job',
+      ]);
+      expect(lintExpression('steps.find_task.output', { steps: ['find_task'] })[0]).toContain('must be steps.<id>.outputs.<name>');
+      expect(lintExpression('needs.build.result', { needs: [] })[0]).toContain('which this job does not need');
+      expect(lintExpression('tojson(github)')).toEqual([]);
+      expect(lintExpression('sha256(github.sha)')).toEqual(['Unknown function: sha256()']);
+    });
+
+    test('should check a step output reference inside a script', () => {
+      const edited = orchestrator.replace('steps.find_task.outputs.task_number', 'steps.find-task.outputs.task_number');
+      expect(lintWorkflow(edited)).toEqual([{
+        path: 'jobs.orchestrate.steps[Assign Copilot to Issue].with.script',
+        message: 'steps.find-task.outputs.task_number refers to step "find-task", which does not run before this point in the job',
+      }]);
+    });
+  });
+
+  describe('CODEOWNERS', () => {
+    const owner = (rules, filePath) => ownersFor(rules, filePath)?.owners.join(' ') ?? null;
+
+    test('should report syntax and owner errors by line', () => {
+      const { rules, errors } = parseCodeowners([
+        '# comment',
+        '* @acme',
+        '!docs/ @acme',
+        'src/[ab]/ @acme',
+        '/api/ acme @acme/api-team dev@example.com',
+        '/lib/ @-bad-',
+      ].join('\n'));
+
+      expect(rules.map(rule => rule.line)).toEqual([2]);
+      expect(errors).toEqual([
+        { line: 3, message: 'Negated pattern "!docs/": CODEOWNERS does not support !' },
+        { line: 4, message: 'Character range in "src/[ab]/": CODEOWNERS does not support [ ]' },
+        { line: 5, message: 'Invalid owner "acme": expected @user, @org/team or an email address' },
+        { line: 6, message: 'Invalid owner "@-bad-": expected @user, @org/team or an email address' },
+      ]);
+    });
+
+    test('should give each path the owners of the last matching rule', () => {
+      const { rules } = parseCodeowners([
+        '* @everyone',
+        '*.js @js-owner',
+        '/docs/ @docs-owner',
+        'docs/* @flat-docs',
+        'package.json @deps',
+        '**/secrets/** @security',
+        '/build/logs/ ',
+      ].join('\n'));
+
+      expect(owner(rules, 'README.md')).toBe('@everyone');
+      expect(owner(rules, 'src/index.js')).toBe('@js-owner');
+      expect(owner(rules, 'docs/guide.md')).toBe('@flat-docs');
+      expect(owner(rules, 'docs/api/index.md')).toBe('@docs-owner');
+      expect(owner(rules, 'tools/package.json')).toBe('@deps');
+      expect(owner(rules, 'app/config/secrets/key.pem')).toBe('@security');
+      expect(owner(rules, 'build/logs/out.txt')).toBe('');
+      expect(ownersFor(parseCodeowners('/src/ @acme').rules, 'README.md')).toBeNull();
+    });
+
+    test('should warn about rules a later rule shadows', () => {
+      const { rules } = parseCodeowners('* @Copilot\n* @copilot-swe-agent\n/docs/guide.md @writers\n/.github/*.yml @ops\n/docs/ @docs\n/.github/ @admins\n* @acme\n');
+
+      expect(shadowedRules(rules).map(({ rule, by }) => [rule.line, by.line])).toEqual([[1, 7], [2, 7], [3, 7], [4, 7], [5, 7], [6, 7]]);
+      expect(shadowedRules(rules)[0].message).toBe('Line 1 "* @Copilot" has no effect: line 7 "* @acme" matches every path it does, and the last matching rule wins');
+
+      const nested = parseCodeowners('/docs/guide.md @writers\n/.github/*.yml @ops\n/docs/ @docs\n/.github/** @admins\n').rules;
+      expect(shadowedRules(nested).map(({ rule, by }) => [rule.line, by.line])).toEqual([[1, 3], [2, 4]]);
+    });
+
+    test('should give the generated protected paths to the owner alone', () => {
+      const { rules, errors } = parseCodeowners(fileTemplates['.github/CODEOWNERS']({ owner: 'acme' }));
+
+      expect(errors).toEqual([]);
+      expect(shadowedRules(rules)).toEqual([]);
+      expect(owner(rules, 'src/index.js')).toBe('@acme @Copilot @copilot-swe-agent');
+      DEFAULT_PROTECTED_PATHS.flatMap(representativePaths).forEach(filePath => {
+        expect({ filePath, owners: owner(rules, filePath) }).toEqual({ filePath, owners: '@acme' });
+      });
+    });
+  });
+
+  describe('Agent Token Check', () => {
+    const now = new Date('2026-10-18T12:00:00Z');
+    const widgets = { owner: 'acme', repo: 'widgets' };
+    // Fake API: endpoint suffix → status, everything else 200
+    const fakeRequest = ({ statuses = {}, headers = {}, repository = { private: true, permissions: { push: true } } } = {}) => endpoint => {
+      const suffix = endpoint.replace('repos/acme/widgets', '').replace(/\?.*$/, '') || '/';
+      const status = statuses[suffix] || 200;
+      return { status, headers: suffix === '/' ? headers : {}, body: suffix === '/' ? repository : [] };
+    };
+    const statuses = result => Object.fromEntries(result.capabilities.map(capability => [capability.id, capability.status]));
+
+    test('should tell token types apart', () => {
+      expect(tokenType('github_pat_11ABC').type).toBe('fine-grained');
+      expect(tokenType('ghp_abc').type).toBe('classic');
+      expect(tokenType('ghs_abc').type).toBe('github-app');
+      expect(tokenType('abc').type).toBe('unknown');
+    });
+
+    test('should parse the expiration header', () => {
+      expect(parseTokenExpiration('2026-11-01 12:00:00 UTC').toISOString()).toBe('2026-11-01T12:00:00.000Z');
+      expect(parseTokenExpiration('2026-11-01 12:00:00 -0700').toISOString()).toBe('2026-11-01T19:00:00.000Z');
+      expect(parseTokenExpiration(undefined)).toBeNull();
+    });
+
+    test('should grant everything to a classic token with the repo scope', () => {
+      const result = checkToken('ghp_abc', widgets, {
+        now,
+        request: fakeRequest({ headers: { 'x-oauth-scopes': 'repo, workflow' } }),
+      });
+
+      expect(result).toEqual(expect.objectContaining({ type: 'classic', scopes: ['repo', 'workflow'], expiresAt: null, pass: true }));
+      expect(statuses(result)).toEqual({ 'approve-runs': 'ok', 'assign-copilot': 'ok', 'merge-prs': 'ok' });
+
+      const publicOnly = checkToken('ghp_abc', widgets, { now, request: fakeRequest({ headers: { 'x-oauth-scopes': 'public_repo' } }) });
+      expect(statuses(publicOnly)['merge-prs']).toBe('fail');
+    });
+
+    test('should report failing capabilities and an expiry within the warning window', () => {
+      const result = checkToken('github_pat_abc', widgets, {
+        now,
+        warnDays: 7,
+        request: fakeRequest({
+          statuses: { '/pulls': 403 },
+          headers: { 'github-authentication-token-expiration': '2026-10-23 12:00:00 UTC' },
+        }),
+      });
+
+      expect(result).toEqual(expect.objectContaining({ type: 'fine-grained', daysLeft: 5, expiring: true, expired: false, pass: false }));
+      expect(statuses(result)).toEqual({ 'approve-runs': 'ok', 'assign-copilot': 'unverified', 'merge-prs': 'fail' });
+      expect(result.capabilities.find(capability => capability.id === 'merge-prs').missing).toEqual(['Pull requests (write)']);
+      expect(checkToken('github_pat_abc', widgets, { now, warnDays: 3, request: fakeRequest({
+        headers: { 'github-authentication-token-expiration': '2026-10-23 12:00:00 UTC' },
+      }) }).expiring).toBe(false);
+    });
+
+    test('should fail an invalid or expired token', () => {
+      const invalid = checkToken('ghp_revoked', widgets, { now, request: () => ({ status: 401, headers: {}, body: {} }) });
+      expect(invalid).toEqual(expect.objectContaining({ valid: false, pass: false }));
+
+      const expired = checkToken('github_pat_abc', widgets, { now, request: fakeRequest({
+        headers: { 'github-authentication-token-expiration': '2026-10-01 00:00:00 UTC' },
+      }) });
+      expect(expired).toEqual(expect.objectContaining({ expired: true, expiring: false, pass: false }));
+    });
+  });
+
+  describe('Policy System', () => {
+    const policy = yaml.load(generateDefaultPolicy({ strict: true }));
+
+    test('should match globs at the root and in directories', () => {
+      expect(matchesPattern('package.json', '**/*')).toBe(true);
+      expect(matchesPattern('schema.sql', '**/*.sql')).toBe(true);
+      expect(matchesPattern('db/migrations/001.sql', '**/*.sql')).toBe(true);
+      expect(matchesPattern('src/app.ts', 'src/**/*.ts')).toBe(true);
+      expect(matchesPattern('srcx/app.ts', 'src/**/*.ts')).toBe(false);
+    });
+
+    test('should generate a strict policy without changing the defaults', () => {
+      expect(policy.policies.files.max_files_per_pr).toBe(10);
+      expect(DEFAULT_POLICY.policies.files.max_files_per_pr).toBe(100);
+      expect(DEFAULT_POLICY.policies.files.blocked_patterns).toEqual([]);
+    });
+
+    test('should read an unquoted version 1.0', () => {
+      expect(() => validatePolicySchema(yaml.load('version: 1.0\nenabled: true\npolicies: {}'))).not.toThrow();
+      expect(() => validatePolicySchema(yaml.load('version: 1.1\nenabled: true\npolicies: {}'))).toThrow('Unsupported policy version: 1.1');
+    });
+
+    test('should evaluate a change, dropping bypassed rules', () => {
+      const partial = {
+        ...policy,
+        overrides: { partial_bypass: [{ label: 'refactor', bypasses: ['files.max_files_per_pr', 'commits'] }] },
+      };
+      const files = Array.from({ length: 11 }, (_, i) => ({ filename: `src/file${i}.js` }));
+
+      expect(evaluatePolicy(policy, { files, commits: ['wip'] }).results).toEqual([
+        { category: 'files', passed: false, violations: ['Too many files changed: 11 > 10'] },
+        { category: 'commits', passed: false, violations: ['"wip": Commit message doesn\'t match required format: [MAYOR] Add feature description'] },
+      ]);
+      expect(evaluatePolicy(partial, { files, commits: ['wip'], labels: ['refactor'] })).toEqual(expect.objectContaining({
+        passed: true,
+        results: [{ category: 'files', passed: true, violations: [] }],
+      }));
+      expect(evaluatePolicy({ ...policy, enabled: false }, { files })).toEqual(expect.objectContaining({ passed: true, results: [] }));
+    });
+
+    test('should compile the commands policy into auto-approve rules', () => {
+      expect(compileAutoApprove({
+        allowed: [{ pattern: '^make test\\b' }, { pattern: '^npm\\s+ci$' }],
+        blocked: [{ pattern: '^curl\\b' }, { pattern: '^make test\\b' }],
+      })).toEqual({ 'make test': false, '/^npm\\s+ci$/': true, curl: false });
+
+      // The defaults reproduce the hand-written map, in the same order
+      const settings = JSON.parse(renderTemplates({ commands: DEFAULT_COMMAND_POLICY })['.vscode/settings.json']);
+      expect(JSON.stringify(settings['chat.tools.terminal.autoApprove'])).toBe(JSON.stringify({
+        '/^git\\s+(commit|push)\\b/': true,
+        '/^(npm|pnpm|yarn)\\s+(test|lint|build)\\b/': true,
+        '/^(npm|pnpm|yarn)\\s+run\\s+(test|lint|format)\\b/': true,
+        'rm': false,
+        'kill': false,
+        'git reset --hard': false,
+        'rm -rf': false,
+      }));
+    });
+
+    test('should render the editor settings and agent instructions from one commands policy', () => {
+      const commands = {
+        allowed: [{ pattern: '^make test\\b', description: 'Run the test suite' }],
+        blocked: [{ pattern: '^curl\\b', reason: 'Downloads code' }],
+      };
+      const rendered = renderTemplates({ commands });
+
+      expect(JSON.parse(rendered['.vscode/settings.json'])['chat.tools.terminal.autoApprove']).toEqual({ 'make test': true, curl: false });
+      expect(rendered['.github/copilot/instructions.md']).toContain('`curl` - Downloads code');
+      expect(rendered['.github/copilot/instructions.md']).toContain('`make test` - Run the test suite');
+      expect(rendered['.github/copilot/instructions.md']).not.toContain('git reset --hard');
+    });
+
+    test('should validate commands against the policy, blocked rules first', () => {
+      expect(validateCommand('git reset --hard HEAD~1', DEFAULT_POLICY)).toEqual({
+        status: 'blocked',
+        rule: expect.objectContaining({ pattern: '^git reset --hard\\b' }),
+        reason: 'Discards commits and local changes',
+      });
+      expect(validateCommand('npm run lint', DEFAULT_POLICY)).toEqual(expect.objectContaining({ status: 'allowed', reason: 'Run the test, lint and format scripts' }));
+      expect(validateCommand('curl example.com', DEFAULT_POLICY)).toEqual({
+        status: 'unlisted',
+        rule: null,
+        reason: 'No rule matches; the command needs approval',
+      });
+    });
+
+    test('should reject command patterns that are not regexes', () => {
+      const withCommands = commands => ({ version: '1.0', enabled: true, policies: { commands } });
+
+      expect(() => validatePolicySchema(withCommands(DEFAULT_COMMAND_POLICY))).not.toThrow();
+      expect(() => validatePolicySchema(withCommands({ blocked: [{ pattern: '^rm (' }] }))).toThrow('Invalid regex in commands.blocked[0].pattern');
+      expect(() => validatePolicySchema(withCommands({ allowed: 'npm test' }))).toThrow('commands.allowed must be an array');
+    });
+
+    test('should measure the complexity and length of each function', () => {
+      const source = [
+        '// { a brace in a comment',
+        'function plain(a, b) {',
+        '  if (a && b) { return /[{}]/.test(a); }',
+        '  return `${a ? \'}\' : b}` ?? b;',
+        '}',
+        'const arrow = async (items) => {',
+        '  for (const item of items) { if (item) continue; }',
+        '  return items.map(item => item?.value || 0);',
+        '};',
+        'class Store {',
+        '  load(id: string): Promise<void> {',
+        '    switch (id) { case "a": break; case "b": break; }',
+        '    try { return run(); } catch (e) { return null; }',
+        '  }',
+        '}',
+      ].join('\n');
+
+      expect(maskSource('const s = "{";')).toBe('const s = " ";');
+      expect(analyzeFunctions(source)).toEqual([
+        { name: 'plain', line: 2, length: 4, complexity: 5 },
+        { name: 'arrow', line: 6, length: 4, complexity: 4 },
+        { name: 'load', line: 11, length: 4, complexity: 4 },
+      ]);
+    });
+
+    test('should report functions and files over the complexity limits', () => {
+      const source = 'function check(a, b) {\n  if (a) return 1;\n  if (b) return 2;\n  return a || b;\n}\n';
+
+      expect(complexityViolations('src/check.js', source, {
+        max_cyclomatic_complexity: 3,
+        max_function_length: 4,
+        max_file_length: 4,
+      })).toEqual([
+        'src/check.js is too long: 5 lines > 4',
+        'src/check.js:1 check is too complex: cyclomatic complexity 4 > 3',
+        'src/check.js:1 check is too long: 5 lines > 4',
+      ]);
+      expect(complexityViolations('src/check.js', source, { max_cyclomatic_complexity: 4 })).toEqual([]);
+    });
+
+    test('should validate the quality policy', () => {
+      const withQuality = quality => ({ version: '1.0', enabled: true, policies: { quality } });
+
+      expect(() => validatePolicySchema(withQuality({
+        required_checks: [{ name: 'tests', command: 'npm test', must_pass: true, min_coverage: 80, timeout: 300 }],
+        complexity: { max_cyclomatic_complexity: 10, max_function_length: 50 },
+      }))).not.toThrow();
+      expect(() => validatePolicySchema(withQuality({ required_checks: [{ name: 'tests' }] }))).toThrow('quality.required_checks[0].command is required');
+      expect(() => validatePolicySchema(withQuality({
+        required_checks: [{ name: 'tests', command: 'npm test' }, { name: 'tests', command: 'npm run test' }],
+      }))).toThrow('Duplicate check name in quality.required_checks: tests');
+      expect(() => validatePolicySchema(withQuality({ required_checks: [{ name: 'c', command: 'x', min_coverage: 120 }] }))).toThrow('min_coverage must be a percentage from 0 to 100');
+      expect(() => validatePolicySchema(withQuality({ complexity: { max_function_length: 0 } }))).toThrow('quality.complexity.max_function_length must be a positive whole number');
+    });
+  });
+
+  describe('Dependency Policy', () => {
+    const tree = files => readDependencies(file => files[file] ?? null);
+    const base = tree({
+      'package.json': JSON.stringify({ dependencies: { express: '^4.18.0', lodash: '^4.17.20' }, devDependencies: { jest: '^29.0.0' } }),
+      'package-lock.json': JSON.stringify({
+        lockfileVersion: 3,
+        packages: {
+          '': {},
+          'node_modules/express': { version: '4.18.2' },
+          'node_modules/lodash': { version: '4.17.20' },
+          'node_modules/jest': { version: '29.7.0', dev: true },
+          'node_modules/express/node_modules/debug': { version: '2.6.9' },
+        },
+      }),
+      'requirements.txt': 'requests==2.31.0  # http\n-r dev.txt\nDjango>=4.2\n',
+    });
+    const head = tree({
+      'package.json': JSON.stringify({ dependencies: { express: '^5.0.0', lodash: '^4.17.21', 'node-forge': '^1.3.1' } }),
+      'package-lock.json': JSON.stringify({
+        lockfileVersion: 3,
+        packages: {
+          '': {},
+          'node_modules/express': { version: '5.0.1' },
+          'node_modules/lodash': { version: '4.17.21' },
+          'node_modules/node-forge': { version: '1.3.1' },
+          'node_modules/debug': { version: '4.3.4' },
+          'node_modules/crypto-js': { version: '4.2.0' },
+        },
+      }),
+      'requirements.txt': 'requests==2.32.0\nDjango>=4.2\n',
+      'pyproject.toml': '[project]\ndependencies = [\n  "uvicorn[standard]>=0.20",\n]\n\n[tool.poetry.group.dev.dependencies]\npytest = "^7.4"\npython = "^3.11"\n',
+    });
+    const changes = diffDependencies(base, head);
+
+    test('should diff manifests and lockfiles into direct and transitive changes', () => {
+      expect(changes.map(change => [change.ecosystem, change.name, change.type, change.direct, change.from, change.to])).toEqual([
+        ['npm', 'express', 'upgraded', true, '4.18.2', '5.0.1'],
+        ['npm', 'jest', 'removed', true, '29.7.0', null],
+        ['npm', 'lodash', 'upgraded', true, '4.17.20', '4.17.21'],
+        ['npm', 'node-forge', 'added', true, null, '1.3.1'],
+        ['pip', 'pytest', 'added', true, null, '7.4'],
+        ['pip', 'requests', 'upgraded', true, '2.31.0', '2.32.0'],
+        ['pip', 'uvicorn', 'added', true, null, '0.20'],
+        ['npm', 'crypto-js', 'added', false, null, '4.2.0'],
+        ['npm', 'debug', 'upgraded', false, '2.6.9', '4.3.4'],
+      ]);
+      expect(changes.find(change => change.name === 'express').major).toBe(true);
+      expect(changes.find(change => change.name === 'pytest').dev).toBe(true);
+    });
+
+    test('should match package names against globs', () => {
+      expect(matchesPackage('@types/node', '@types/*')).toBe(true);
+      expect(matchesPackage('@peculiar/webcrypto', '*crypto*')).toBe(true);
+      expect(matchesPackage('lodash-es', 'lodash')).toBe(false);
+      expect(matchesPackage('Flask_Login', 'flask-login', 'pip')).toBe(true);
+    });
+
+    test('should report blacklisted, unlisted and unapproved dependencies', () => {
+      const withDependencies = dependencies => ({ ...DEFAULT_POLICY, policies: { dependencies } });
+      const approvalRules = [
+        { condition: 'new_dependency', label: 'dependencies', notify: '@tech-lead' },
+        { condition: 'major_version_bump', label: 'breaking-change', notify: ['@acme/team'] },
+      ];
+
+      expect(validateDependencies(changes, withDependencies({
+        mode: 'whitelist',
+        whitelist: { npm: ['lodash', 'express'], pip: ['py*', 'uvicorn'] },
+        blacklist: { npm: ['*crypto*', 'node-forge'] },
+      })).violations).toEqual([
+        'npm node-forge 1.3.1 is blacklisted (matches node-forge)',
+        'npm crypto-js 4.2.0 (transitive) is blacklisted (matches *crypto*)',
+      ]);
+
+      const approval = validateDependencies(changes, withDependencies({ mode: 'approval_required', approval_required: approvalRules }), ['breaking-change']);
+      expect(approval.violations).toEqual([
+        'Needs the "dependencies" label (new_dependency): npm node-forge 1.3.1, pip pytest 7.4, pip uvicorn 0.20',
+      ]);
+      expect(approval.requiredLabels).toEqual(['dependencies']);
+      expect(approval.reviewers).toEqual(['@tech-lead']);
+      expect(approval.approvals[1]).toEqual(expect.objectContaining({ condition: 'major_version_bump', approved: true }));
+
+      // Outside approval_required mode the approvals are only reported
+      expect(validateDependencies(changes, withDependencies({ mode: 'blacklist', approval_required: approvalRules })).passed).toBe(true);
+    });
+
+    test('should validate the dependency policy', () => {
+      const withDependencies = dependencies => ({ version: '1.0', enabled: true, policies: { dependencies } });
+
+      expect(() => validatePolicySchema(withDependencies({ mode: 'strict' }))).toThrow('dependencies.mode must be one of whitelist, blacklist, approval_required');
+      expect(() => validatePolicySchema(withDependencies({ mode: 'whitelist' }))).toThrow('dependencies.whitelist is required in whitelist mode');
+      expect(() => validatePolicySchema(withDependencies({ blacklist: { cargo: ['openssl'] } }))).toThrow('Unknown ecosystem in dependencies.blacklist: cargo');
+      expect(() => validatePolicySchema(withDependencies({ approval_required: [{ condition: 'new_dependency' }] }))).toThrow('needs a label or notify');
+      expect(() => validatePolicySchema(withDependencies({ approval_required: [{ condition: 'sometimes', label: 'x' }] }))).toThrow('condition must be one of new_dependency');
+    });
+  });
+
+  describe('Pull Request Policy', () => {
+    const pullRequests = {
+      title: { pattern: '^\\[MAYOR\\]\\s+.+', example: '[MAYOR] Add feature X' },
+      description: { required_sections: ['## Changes', '## Testing', '## Fixes #'] },
+      required_labels: ['mayor-task'],
+      auto_add_labels: [
+        { condition: 'files_changed > 2', label: 'large-change' },
+        { condition: 'has_dependency_change', label: 'dependencies' },
+        { condition: 'touches_test_files', label: 'tests' },
+      ],
+      required_reviewers: [
+        { condition: 'touches_security_files', reviewers: ['@acme/security'] },
+        { condition: 'dependency_added', reviewers: '@tech-lead' },
+        { condition: 'touches src/billing/**', reviewers: ['@acme/security', '@billing-lead'] },
+      ],
+    };
+    const policy = { version: '1.0', enabled: true, policies: { pull_requests: pullRequests } };
+    const files = [
+      { filename: 'src/auth/session.js', additions: 40, deletions: 2 },
+      { filename: 'src/auth/session.test.js', additions: 80, deletions: 0 },
+      { filename: 'package.json', additions: 1, deletions: 0 },
+    ];
+
+    test('should check the title, description sections and required labels', () => {
+      const body = '## Changes\n\n- Sessions expire\n\n## Fixes #12\n';
+      expect(validatePullRequest({ title: 'Add sessions', body, labels: [] }, files, policy).violations).toEqual([
+        "Title doesn't match required format: [MAYOR] Add feature X",
+        'Description is missing the "## Testing" section',
+        'Missing required label: mayor-task',
+      ]);
+
+      const complete = validatePullRequest({
+        title: '[MAYOR] Add sessions',
+        body: `${body}\n  ## Testing\n\nUnit tests`,
+        labels: [{ name: 'mayor-task' }],
+      }, files, policy);
+      expect(complete.passed).toBe(true);
+    });
+
+    test('should turn the conditions the change meets into labels and reviewers', () => {
+      const added = [{ ecosystem: 'npm', name: 'jsonwebtoken', type: 'added', direct: true, major: false }];
+      const result = validatePullRequest({ title: '[MAYOR] Add sessions', labels: ['tests'], dependencies: added }, files, policy);
+      expect(result.actions).toEqual([
+        { condition: 'files_changed > 2', label: 'large-change' },
+        { condition: 'has_dependency_change', label: 'dependencies' },
+        { condition: 'touches_test_files', label: 'tests' },
+        { condition: 'touches_security_files', reviewers: ['@acme/security'] },
+        { condition: 'dependency_added', reviewers: ['@tech-lead'] },
+      ]);
+      expect(result.labelsToAdd).toEqual(['large-change', 'dependencies']);
+      expect(result.reviewers).toEqual(['@acme/security', '@tech-lead']);
+
+      // Only package.json scripts changed: no dependency change, nothing added
+      const scripts = validatePullRequest({ labels: [], dependencies: [] }, [files[2], { filename: 'src/billing/invoice.js' }], policy);
+      expect(scripts.labelsToAdd).toEqual([]);
+      expect(scripts.reviewers).toEqual(['@acme/security', '@billing-lead']);
+    });
+
+    test('should report unknown conditions in a policy that was not validated', () => {
+      const unvalidated = { enabled: true, policies: { pull_requests: {
+        auto_add_labels: [{ condition: 'files_changed >> 10', label: 'big' }, { condition: 'touches_test_files', label: 'tests' }],
+        required_reviewers: [{ reviewers: ['@tech-lead'] }],
+      } } };
+
+      const result = validatePullRequest({ labels: [] }, files, unvalidated);
+      expect(result.passed).toBe(false);
+      expect(result.violations).toEqual([
+        'Unknown condition in pull_requests.auto_add_labels: files_changed >> 10',
+        'Unknown condition in pull_requests.required_reviewers: (none)',
+      ]);
+      expect(result.labelsToAdd).toEqual(['tests']);
+    });
+
+    test('should report an invalid title pattern and rules without reviewers', () => {
+      const unvalidated = { enabled: true, policies: { pull_requests: {
+        title: { pattern: '^[MAYOR' },
+        required_reviewers: [{ condition: 'touches_test_files' }],
+      } } };
+
+      const result = validatePullRequest({ title: '[MAYOR] Add sessions', labels: [] }, files, unvalidated);
+      expect(result.violations).toEqual([expect.stringMatching(/^Invalid regex in pull_requests\.title\.pattern: /)]);
+      expect(result.actions).toEqual([{ condition: 'touches_test_files', reviewers: [] }]);
+      expect(result.reviewers).toEqual([]);
+    });
+
+    test('should evaluate the pull request policy with the rest of a change', () => {
+      const evaluation = evaluatePolicy(policy, {
+        files,
+        labels: ['mayor-task'],
+        pullRequest: { title: 'Add sessions', body: '## Changes\n## Testing\n## Fixes #12' },
+      });
+      expect(evaluation.results).toEqual([expect.objectContaining({
+        category: 'pull_requests',
+        violations: ["Title doesn't match required format: [MAYOR] Add feature X"],
+        // The change's dependencies (none here) decide has_dependency_change
+        labelsToAdd: ['large-change', 'tests'],
+      })]);
+
+      // Without a pull request, or with the category bypassed, there is nothing to check
+      expect(evaluatePolicy(policy, { files }).results).toEqual([]);
+      const bypassable = { ...policy, overrides: { partial_bypass: [{ label: 'wip', bypasses: ['pull_requests.title'] }] } };
+      expect(evaluatePolicy(bypassable, { files, labels: ['mayor-task', 'wip'], pullRequest: { body: '## Changes\n## Testing\n## Fixes #1' } }).passed).toBe(true);
+    });
+
+    test('should validate the pull request policy', () => {
+      const withPullRequests = pullRequestPolicy => ({ version: '1.0', enabled: true, policies: { pull_requests: pullRequestPolicy } });
+
+      expect(() => validatePolicySchema(withPullRequests(pullRequests))).not.toThrow();
+      expect(() => validatePolicySchema(withPullRequests({ title: { pattern: '^[MAYOR' } }))).toThrow('Invalid regex in pull_requests.title.pattern');
+      expect(() => validatePolicySchema(withPullRequests({ description: { required_sections: '## Changes' } }))).toThrow('pull_requests.description.required_sections must be a list of headings');
+      expect(() => validatePolicySchema(withPullRequests({ required_labels: [''] }))).toThrow('pull_requests.required_labels must be a list of labels');
+      expect(() => validatePolicySchema(withPullRequests({ auto_add_labels: [{ condition: 'files_changed >> 10', label: 'big' }] }))).toThrow('pull_requests.auto_add_labels[0].condition must be one of has_dependency_change');
+      expect(() => validatePolicySchema(withPullRequests({ auto_add_labels: [{ condition: 'lines_changed >= 500' }] }))).toThrow('pull_requests.auto_add_labels[0].label is required');
+      expect(() => validatePolicySchema(withPullRequests({ required_reviewers: [{ condition: 'touches_security_files', reviewers: [] }] }))).toThrow('pull_requests.required_reviewers[0].reviewers must be');
+    });
+  });
+
+  describe('Verify Fixes', () => {
+    const result = {
+      checks: [
+        { id: 'files/.github/CODEOWNERS', pass: false, fix: { file: '.github/CODEOWNERS' } },
+        { id: 'security/codeowners', pass: false, fix: { file: '.github/CODEOWNERS' } },
+        { id: 'github/auto-merge', pass: false, fix: { setting: 'allow_auto_merge', value: true, before: false } },
+        { id: 'github/agent-token', pass: false, fix: { setting: 'agent_token_secret', value: true, before: false } },
+        { id: 'github/actions-enabled', pass: false },
+        { id: 'files/CHANGELOG.md', pass: true },
+      ],
+    };
+
+    test('should plan one fix per file or setting', () => {
+      const fixes = planFixes(result, { token: 'ghp_test' });
+
+      expect(fixes.map(fix => fix.key)).toEqual([
+        'file:.github/CODEOWNERS',
+        'setting:allow_auto_merge',
+        'setting:agent_token_secret',
+      ]);
+      expect(fixes[0].checks).toEqual(['files/.github/CODEOWNERS', 'security/codeowners']);
+      expect(fixes[1].description).toBe('Allow auto-merge: disabled → enabled');
+    });
+
+    test('should skip the agent token secret without a token', () => {
+      const secret = planFixes(result).find(fix => fix.setting === 'agent_token_secret');
+      expect(secret.skipped).toContain('MAYOR_WEST_TOKEN');
+    });
+
+    test('should build the checks and fixes from the installed options', () => {
+      const ids = options => builtinChecks(resolveTemplateOptions(options)).map(check => check.id);
+      expect(ids({})).toEqual(expect.arrayContaining([
+        'files/.github/workflows/mayor-west-auto-merge.yml',
+        'workflows/.github/workflows/mayor-west-auto-merge.yml',
+        'github/auto-merge',
+      ]));
+      expect(ids({ enableAutoMerge: false }).filter(id => id.includes('auto-merge'))).toEqual([]);
+      // Each file is checked once, and only when the manifest lists it
+      expect(ids({})).not.toContain('copilot/agents-md');
+      expect(ids({ files: ['AGENTS.md', 'CHANGELOG.md'] }).filter(id => id.startsWith('files/'))).toEqual(['files/AGENTS.md', 'files/CHANGELOG.md']);
+
+      // Only the merge method chosen at setup is checked, and fixed
+      const checks = builtinChecks(resolveTemplateOptions({ mergeStrategy: 'REBASE', enableAutoMerge: false }));
+      const mergeMethod = checks.find(check => check.id === 'github/merge-method');
+      const context = { ghApi: () => ({ allow_squash_merge: true, allow_rebase_merge: false }), gitHubInfo: { owner: 'acme', repo: 'widgets' } };
+      expect(mergeMethod.name).toBe('Merge Method Allowed (rebase)');
+      expect(mergeMethod.run(context)).toBe(false);
+      expect(mergeMethod.fix(context)).toEqual({ setting: 'allow_rebase_merge', value: true, before: false });
+    });
+  });
+
   describe('GitHub Settings Verification', () => {
     test('should detect gh CLI availability', () => {
       // Mock function that simulates checking for gh CLI
@@ -0,0 +1,59 @@
+/**
+ * Mayor West Mode - Node API
+ *
+ * The supported programmatic interface. The CLI (cli.js) is built on the
+ * same functions.
+ *
+ *   import { setup, verify, renderTemplates, plan } from 'mayor-west-mode';
+ *
+ * @module mayor-west-mode
+ */
+
+export { setup, selectFiles, SETUP_TYPES } from './lib/setup.js';
+export {
+  verify,
+  failingChecks,
+  compareWithBaseline,
+  loadCustomChecks,
+  selectChecks,
+  CHECK_CATEGORIES,
+  CHECK_SEVERITIES,
+  CUSTOM_CHECKS_PATH,
+} from './lib/verify.js';
+export { BUILTIN_CHECKS, builtinChecks } from './lib/checks.js';
+export { formatVerifyReport, REPORT_FORMATS } from './lib/report.js';
+export { planFixes, applyFixes } from './lib/fix.js';
+export { detectDrift, workflowDrift, DRIFT_FILES } from './lib/drift.js';
+export { lintWorkflow, lintExpression, EXPRESSION_CONTEXTS } from './lib/lint.js';
+export { checkToken, tokenType, TOKEN_PERMISSIONS, TOKEN_CAPABILITIES } from './lib/token.js';
+export { parseCodeowners, ownersFor, shadowedRules, CODEOWNERS_PATH } from './lib/codeowners.js';
+export { plan, buildIssueBody } from './lib/plan.js';
+export { FILES_TO_CREATE, MERGE_METHODS, fileTemplates, renderTemplates, resolveTemplateOptions } from './lib/templates.js';
+export { getInstallStatus, readManifest, recordAcceptedDrift, MANIFEST_PATH } from './lib/install.js';
+export { loadConfig, parseConfig, validateGlob, CONFIG_PATH, CONFIG_SCHEMA } from './lib/config.js';
+export { parseGitHubUrl } from './lib/repo.js';
+export {
+  parsePolicyFile,
+  loadPolicy,
+  validatePolicySchema,
+  validateFiles,
+  checkFilePatterns,
+  validateCommitMessage,
+  validateCommand,
+  validateDependencies,
+  validatePullRequest,
+  policyTemplateOptions,
+  checkBypass,
+  evaluatePolicy,
+  runQualityGate,
+  fetchPullRequestChange,
+  generateDefaultPolicy,
+  matchesPattern,
+  POLICY_FILE_PATH,
+  POLICY_SCHEMA_VERSION,
+  POLICY_CATEGORIES,
+  DEFAULT_POLICY,
+} from './lib/policy-system.js';
+export { compileAutoApprove, DEFAULT_COMMAND_POLICY } from './lib/commands.js';
+export { analyzeFunctions, readCoverage } from './lib/quality.js';
+export { readDependencies, diffDependencies, dependencyChangesSince, matchesPackage } from './lib/dependencies.js';
@@ -0,0 +1,668 @@
+/**
+ * Mayor West Mode - Built-in Verification Checks
+ *
+ * Every check verify() runs, as definitions for the check registry in
+ * lib/verify.js. Repositories add their own with the same shape.
+ *
+ * @module checks
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { FILES_TO_CREATE, MERGE_METHODS, resolveTemplateOptions } from './templates.js';
+import { DRIFT_FILES } from './drift.js';
+import { lintWorkflow } from './lint.js';
+import { CONFIG_PATH, DEFAULT_REQUIRED_STATUS_CHECKS, formatConfigError, unprotectedPaths, validateGlob } from './config.js';
+import { CODEOWNERS_PATH, parseCodeowners, ownersFor, shadowedRules, isAgentOwner, representativePaths } from './codeowners.js';
+import { FILE_STATUS_LABELS } from './install.js';
+import { AGENT_TOKEN_SECRET, isGhCliAuthenticated, summarizeBranchProtection } from './github.js';
+import { isGitRepository, getDefaultBranch } from './repo.js';
+import { POLICY_FILE_PATH, policyTemplateOptions } from './policy-system.js';
+import { isInstalledFile } from './setup.js';
+import { DEFAULT_COMMAND_POLICY, compileAutoApprove } from './commands.js';
+
+const SETUP_HINT = 'Run: npx github:shyamsridhar123/MayorWest setup';
+const CONFIGURE_HINT = 'Run: npx github:shyamsridhar123/MayorWest configure';
+
+export const GH_AUTH_CHECK = 'github/cli-authentication';
+
+// Checks that call the GitHub API require both of these to pass
+const GITHUB_REQUIREMENTS = ['core/github-remote', GH_AUTH_CHECK];
+
+/**
+ * @typedef {Object} CheckDefinition
+ * @property {string} id - Stable identifier, `<category>/<name>`
+ * @property {string} name - Display name
+ * @property {string} category - CHECK_CATEGORIES entry, or a category of its own
+ * @property {'error'|'warning'} severity - How bad a failure is
+ * @property {string} remediation - How to fix a failure
+ * @property {string[]} [requires] - Ids of checks that must pass first; when
+ *   one fails this check is skipped
+ * @property {Function} run - (context) => boolean, or { pass, name?, remediation?, ...extra }
+ *   to override the definition or add fields to the result. Throwing skips
+ *   the check with a warning
+ * @property {Function} [fix] - (context) => fix descriptor for a failed
+ *   check: { file }, { setting, value, before, branch? } or
+ *   { description, apply(context) } (see lib/fix.js)
+ */
+
+function fileFix(filePath) {
+  if (!FILES_TO_CREATE[filePath]) return undefined;
+  return context => (isInstalledFile(filePath, context.installedOptions()) ? { file: filePath } : null);
+}
+
+function repository(context) {
+  const { owner, repo } = context.gitHubInfo;
+  return context.ghApi(`repos/${owner}/${repo}`);
+}
+
+function defaultBranch(context) {
+  try {
+    return repository(context).default_branch || getDefaultBranch(context.cwd);
+  } catch (e) {
+    return getDefaultBranch(context.cwd);
+  }
+}
+
+function workflowPermissions(context) {
+  const { owner, repo } = context.gitHubInfo;
+  return context.ghApi(`repos/${owner}/${repo}/actions/permissions/workflow`);
+}
+
+function hasAgentToken(context) {
+  const { owner, repo } = context.gitHubInfo;
+  const secrets = context.gh(`api repos/${owner}/${repo}/actions/secrets --jq ".secrets[].name"`);
+  return secrets.split('\n').includes(AGENT_TOKEN_SECRET);
+}
+
+// Classic protection and the rulesets on the default branch, or null
+function branchProtection(context) {
+  const { owner, repo } = context.gitHubInfo;
+  const branch = defaultBranch(context);
+  const optional = (endpoint, fallback) => {
+    try {
+      return context.ghApi(endpoint);
+    } catch (e) {
+      return fallback;
+    }
+  };
+
+  const classic = optional(`repos/${owner}/${repo}/branches/${branch}/protection`, null);
+  const rules = optional(`repos/${owner}/${repo}/rules/branches/${branch}`, []);
+  const rulesets = {};
+  rules.forEach(rule => {
+    if (rulesets[rule.ruleset_id] !== undefined) return;
+    const endpoint = rule.ruleset_source_type === 'Organization'
+      ? `orgs/${rule.ruleset_source}/rulesets/${rule.ruleset_id}`
+      : `repos/${owner}/${repo}/rulesets/${rule.ruleset_id}`;
+    rulesets[rule.ruleset_id] = optional(endpoint, null);
+  });
+
+  return summarizeBranchProtection({ classic, rules, rulesets });
+}
+
+function expectedStatusChecks(context) {
+  const configured = context.config().config?.verify?.required_status_checks;
+  return Array.isArray(configured) ? configured : DEFAULT_REQUIRED_STATUS_CHECKS;
+}
+
+// Generated files, compared with the install manifest; only those setup
+// writes with the installed options
+const fileChecks = installed => Object.entries(FILES_TO_CREATE)
+  .filter(([filePath]) => isInstalledFile(filePath, installed))
+  .map(([filePath, config]) => ({
+    id: `files/${filePath}`,
+    name: filePath,
+    category: 'files',
+    severity: config.critical ? 'error' : 'warning',
+    remediation: `File missing: ${filePath}. ${SETUP_HINT}`,
+    run: context => {
+      const file = context.installStatus().files.find(f => f.path === filePath);
+      if (file.status === 'outdated') {
+        context.warn(`${filePath} was generated by an older version. Re-run setup to update it.`);
+      }
+      return {
+        pass: file.status !== 'missing',
+        name: `${filePath} (${FILE_STATUS_LABELS[file.status]})`,
+        file: filePath,
+        status: file.status,
+      };
+    },
+    fix: fileFix(filePath),
+  }));
+
+// Generated workflows parse, and their scripts and expressions are valid
+const workflowChecks = installed => DRIFT_FILES.filter(file => isInstalledFile(file, installed)).map(file => ({
+  id: `workflows/${file}`,
+  name: `${file} is a valid workflow`,
+  category: 'workflows',
+  severity: 'error',
+  remediation: `Fix ${file}, or re-run setup to restore it`,
+  requires: [`files/${file}`],
+  run: context => {
+    const issues = lintWorkflow(context.readFile(file));
+    return {
+      pass: issues.length === 0,
+      file,
+      ...(issues.length > 0 ? { issues } : {}),
+    };
+  },
+}));
+
+const coreChecks = [
+  {
+    id: 'core/git-repository',
+    name: 'Git Repository',
+    category: 'core',
+    severity: 'error',
+    remediation: 'Run Mayor West Mode from the root of a git repository (git init).',
+    run: context => isGitRepository(context.cwd),
+  },
+  {
+    id: 'core/github-remote',
+    name: 'GitHub Remote',
+    category: 'core',
+    severity: 'error',
+    remediation: 'Add a GitHub remote: git remote add origin git@github.com:<owner>/<repo>.git',
+    run: context => context.gitHubInfo !== null,
+  },
+];
+
+// Workflow files must be protected paths, or an agent PR could change the
+// workflow that decides whether it gets merged
+function workflowFiles(context) {
+  const generated = Object.keys(FILES_TO_CREATE)
+    .filter(file => file.startsWith('.github/workflows/') && isInstalledFile(file, context.installedOptions()));
+  let existing = [];
+  try {
+    existing = fs.readdirSync(path.join(context.cwd, '.github/workflows'))
+      .filter(name => /\.ya?ml$/.test(name))
+      .map(name => `.github/workflows/${name}`);
+  } catch (e) {
+    // No workflows directory
+  }
+  return [...new Set([...generated, ...existing])];
+}
+
+// Who owns each protected path, per CODEOWNERS: problems only
+function protectedPathOwnership(context) {
+  const { rules } = parseCodeowners(context.readFile(CODEOWNERS_PATH));
+  const patterns = context.config().config.protected_paths.filter(pattern => !validateGlob(pattern));
+
+  return patterns.flatMap(pattern => {
+    // One problem per pattern is enough
+    for (const filePath of representativePaths(pattern)) {
+      const rule = ownersFor(rules, filePath);
+      const owners = rule?.owners || [];
+      const agents = owners.filter(isAgentOwner);
+      if (owners.length === 0 || agents.length > 0) {
+        const problem = owners.length === 0 ? 'no owner' : `owned by ${agents.join(', ')}`;
+        return [{ pattern, path: filePath, owners, line: rule?.line ?? null, problem }];
+      }
+    }
+    return [];
+  });
+}
+
+const securityChecks = [
+  {
+    id: 'security/codeowners',
+    name: 'Layer 1: CODEOWNERS (Actor Allowlist)',
+    category: 'security',
+    severity: 'error',
+    remediation: `File missing: ${CODEOWNERS_PATH}. ${SETUP_HINT}`,
+    run: context => {
+      const source = context.readFile(CODEOWNERS_PATH);
+      if (source === null) {
+        return { pass: false, file: CODEOWNERS_PATH };
+      }
+      const { errors, rules } = parseCodeowners(source);
+      shadowedRules(rules).forEach(({ message }) => context.warn(`${CODEOWNERS_PATH}: ${message}`));
+      return {
+        pass: errors.length === 0,
+        file: CODEOWNERS_PATH,
+        ...(errors.length > 0 ? {
+          remediation: `Fix ${CODEOWNERS_PATH}: ${errors.map(formatConfigError).join('; ')}`,
+          errors,
+        } : {}),
+      };
+    },
+    // Only a missing file is recreated; a broken one is yours to fix
+    fix: context => (context.readFile(CODEOWNERS_PATH) === null ? { file: CODEOWNERS_PATH } : null),
+  },
+  {
+    id: 'security/config-schema',
+    name: 'Config Schema (.github/mayor-west.yml)',
+    category: 'security',
+    severity: 'error',
+    remediation: `Fix the errors in ${CONFIG_PATH}`,
+    requires: [`files/${CONFIG_PATH}`],
+    run: context => {
+      const { errors } = context.config();
+      return {
+        pass: errors.length === 0,
+        file: CONFIG_PATH,
+        ...(errors.length > 0 ? {
+          remediation: `Fix ${CONFIG_PATH}: ${errors.map(formatConfigError).join('; ')}`,
+          errors,
+        } : {}),
+      };
+    },
+  },
+  {
+    id: 'security/protected-paths',
+    name: 'Layer 2: Protected Paths Config',
+    category: 'security',
+    severity: 'error',
+    remediation: `Add a protected_paths list to ${CONFIG_PATH}. ${SETUP_HINT}`,
+    run: context => {
+      const { config } = context.config();
+      const paths = config?.protected_paths;
+      return { pass: Array.isArray(paths) && paths.length > 0, file: CONFIG_PATH };
+    },
+  },
+  {
+    id: 'security/protected-workflows',
+    name: 'Protected Paths Cover Workflows',
+    category: 'security',
+    severity: 'error',
+    remediation: 'Add ".github/workflows/**" to protected_paths',
+    requires: ['security/protected-paths'],
+    run: context => {
+      const unprotected = unprotectedPaths(context.config().config, [...workflowFiles(context), CONFIG_PATH]);
+      return {
+        pass: unprotected.length === 0,
+        file: CONFIG_PATH,
+        ...(unprotected.length > 0 ? {
+          remediation: `Add ".github/workflows/**" and "${CONFIG_PATH}" to protected_paths. Not protected: ${unprotected.join(', ')}`,
+          unprotected,
+        } : {}),
+      };
+    },
+  },
+  {
+    id: 'security/codeowners-protected-paths',
+    name: 'Protected Paths Owned by People (CODEOWNERS)',
+    category: 'security',
+    severity: 'error',
+    remediation: `Give every protected path a CODEOWNERS rule with people or teams only, after the default rule. ${SETUP_HINT}`,
+    requires: ['security/codeowners', 'security/protected-paths'],
+    run: context => {
+      const unowned = protectedPathOwnership(context);
+      return {
+        pass: unowned.length === 0,
+        file: CODEOWNERS_PATH,
+        ...(unowned.length > 0 ? {
+          remediation: `Add rules owned by people or teams only, after the default rule in ${CODEOWNERS_PATH}: ${unowned
+            .map(entry => `${entry.pattern} (${entry.problem}${entry.line ? `, line ${entry.line}` : ''})`).join('; ')}`,
+          unowned,
+        } : {}),
+      };
+    },
+  },
+  {
+    id: 'security/kill-switch',
+    name: 'Layer 3: Kill Switch Active',
+    category: 'security',
+    severity: 'warning',
+    remediation: `Mayor West Mode is switched off. Set enabled: true in ${CONFIG_PATH} to resume.`,
+    // No config: the kill switch defaults to enabled
+    run: context => ({ pass: context.config().config?.enabled !== false, file: CONFIG_PATH }),
+  },
+  {
+    id: 'security/command-policy',
+    name: 'Terminal Auto-Approve Matches Command Policy',
+    category: 'security',
+    severity: 'error',
+    remediation: 'Regenerate .vscode/settings.json from the commands policy. Run: npx github:shyamsridhar123/MayorWest upgrade',
+    requires: ['files/.vscode/settings.json'],
+    run: context => {
+      let commandPolicy;
+      try {
+        commandPolicy = policyTemplateOptions(context.cwd).commands || DEFAULT_COMMAND_POLICY;
+      } catch (error) {
+        return { pass: false, file: POLICY_FILE_PATH, remediation: `Fix ${POLICY_FILE_PATH}: ${error.message}` };
+      }
+
+      let settings;
+      try {
+        settings = JSON.parse(context.readFile('.vscode/settings.json'));
+      } catch (error) {
+        return { pass: false, file: '.vscode/settings.json', remediation: `Fix .vscode/settings.json: ${error.message}` };
+      }
+      const actual = settings?.['chat.tools.terminal.autoApprove'] || {};
+      const expected = compileAutoApprove(commandPolicy);
+
+      const differences = Object.entries(expected)
+        .filter(([key, value]) => actual[key] !== value)
+        .map(([key, value]) => (key in actual
+          ? `${key} is ${actual[key]}, the policy says ${value}`
+          : `${key} is missing (${value ? 'allowed' : 'blocked'} by the policy)`));
+      // Extra blocks only make the editor stricter; extra approvals bypass the policy
+      Object.entries(actual)
+        .filter(([key, value]) => value === true && !(key in expected))
+        .forEach(([key]) => differences.push(`${key} is auto-approved but not allowed by the policy`));
+
+      return {
+        pass: differences.length === 0,
+        file: '.vscode/settings.json',
+        ...(differences.length > 0 ? { differences } : {}),
+      };
+    },
+  },
+];
+
+const copilotChecks = [
+  {
+    id: 'copilot/coding-agent',
+    name: 'Copilot Coding Agent Available',
+    category: 'copilot',
+    severity: 'error',
+    remediation: 'Enable the Copilot coding agent for this repository (requires Copilot Pro+, Business or Enterprise).',
+    requires: GITHUB_REQUIREMENTS,
+    run: context => {
+      const { owner, repo } = context.gitHubInfo;
+      const actors = context.gh(`api graphql -f query="{ repository(owner:\\"${owner}\\", name:\\"${repo}\\") { suggestedActors(first:100, capabilities:CAN_BE_ASSIGNED) { nodes { ... on Bot { login } } } } }" --jq ".data.repository.suggestedActors.nodes[].login"`);
+      const hasCopilot = actors.includes('copilot-swe-agent');
+      if (!hasCopilot) {
+        context.warn('Copilot coding agent not available - ensure Copilot is enabled for this repo');
+      }
+      return hasCopilot;
+    },
+  },
+];
+
+// The merge method chosen at setup, and auto-merge unless it was disabled
+const githubChecks = installed => [
+  {
+    id: GH_AUTH_CHECK,
+    name: 'GitHub CLI Authentication',
+    category: 'github',
+    severity: 'error',
+    remediation: 'Install the GitHub CLI (https://cli.github.com/) and run: gh auth login',
+    run: () => isGhCliAuthenticated(),
+  },
+  ...(installed.enableAutoMerge ? [{
+    id: 'github/auto-merge',
+    name: 'Auto-Merge Enabled',
+    category: 'github',
+    severity: 'error',
+    remediation: `Enable Settings → General → Allow auto-merge. ${CONFIGURE_HINT}`,
+    requires: GITHUB_REQUIREMENTS,
+    run: context => repository(context).allow_auto_merge === true,
+    fix: context => ({ setting: 'allow_auto_merge', value: true, before: repository(context).allow_auto_merge === true }),
+  }] : []),
+  {
+    id: 'github/delete-branch-on-merge',
+    name: 'Delete Branch on Merge',
+    category: 'github',
+    severity: 'warning',
+    remediation: `Enable Settings → General → Automatically delete head branches. ${CONFIGURE_HINT}`,
+    requires: GITHUB_REQUIREMENTS,
+    run: context => repository(context).delete_branch_on_merge === true,
+    fix: context => ({ setting: 'delete_branch_on_merge', value: true, before: repository(context).delete_branch_on_merge === true }),
+  },
+  {
+    id: 'github/merge-method',
+    name: `Merge Method Allowed (${installed.mergeMethod})`,
+    category: 'github',
+    severity: 'warning',
+    remediation: `Allow ${installed.mergeMethod} merging in Settings → General → Pull Requests, the merge method chosen at setup. ${CONFIGURE_HINT}`,
+    requires: GITHUB_REQUIREMENTS,
+    run: context => repository(context)[MERGE_METHODS[installed.mergeStrategy].setting] === true,
+    fix: context => {
+      const { setting } = MERGE_METHODS[installed.mergeStrategy];
+      return { setting, value: true, before: repository(context)[setting] === true };
+    },
+  },
+  {
+    // Required for auto-merge to work
+    id: 'github/branch-protection',
+    name: 'Branch Protection',
+    category: 'github',
+    severity: 'error',
+    remediation: `Branch protection not configured. Fix: Settings → Branches → Add a rule for the default branch. ${CONFIGURE_HINT}`,
+    requires: GITHUB_REQUIREMENTS,
+    run: context => {
+      const branch = defaultBranch(context);
+      const protection = branchProtection(context);
+      if (!protection) {
+        context.warn('Branch protection NOT configured - auto-merge will FAIL without it!');
+      }
+      return {
+        pass: protection !== null,
+        name: protection ? `Branch Protection on ${branch} (${protection.sources.join(', ')})` : `Branch Protection on ${branch}`,
+        remediation: `Branch protection not configured. Fix: Settings → Branches → Add rule for '${branch}', or add a ruleset. ${CONFIGURE_HINT}`,
+        ...(protection ? { protection } : {}),
+      };
+    },
+    fix: context => ({ setting: 'branch_protection', value: true, before: false, branch: defaultBranch(context) }),
+  },
+  {
+    id: 'github/required-status-checks',
+    name: 'Required Status Checks',
+    category: 'github',
+    severity: 'error',
+    remediation: 'Require the test and policy workflows to pass in branch protection or a ruleset.',
+    requires: ['github/branch-protection'],
+    run: context => {
+      const { statusChecks } = branchProtection(context);
+      const expected = expectedStatusChecks(context);
+      // "test" matches a required check named "test (20.x)" or "CI / Tests"
+      const missing = expected.filter(name => !statusChecks.some(check => check.toLowerCase().includes(name.toLowerCase())));
+      const pass = statusChecks.length > 0 && missing.length === 0;
+      return {
+        pass,
+        name: `Required Status Checks (${statusChecks.length > 0 ? statusChecks.join(', ') : 'none'})`,
+        ...(!pass ? {
+          remediation: statusChecks.length === 0
+            ? 'No status checks are required, so agent PRs merge without tests. Require the test and policy workflows in branch protection or a ruleset.'
+            : `Required status checks do not include: ${missing.join(', ')}. Add them to branch protection or a ruleset, or list the right names under verify.required_status_checks in ${CONFIG_PATH}.`,
+        } : {}),
+        statusChecks,
+      };
+    },
+  },
+  {
+    id: 'github/required-reviews',
+    name: 'Required Reviews',
+    category: 'github',
+    severity: 'warning',
+    remediation: 'Require at least one approving review in branch protection or a ruleset, so protected-path PRs wait for a human.',
+    requires: ['github/branch-protection'],
+    run: context => {
+      const { requiredReviews } = branchProtection(context);
+      return { pass: requiredReviews >= 1, name: `Required Reviews: ${requiredReviews}`, requiredReviews };
+    },
+  },
+  {
+    id: 'github/enforce-admins',
+    name: 'Protection Applies to Admins',
+    category: 'github',
+    severity: 'warning',
+    remediation: 'Admins can bypass branch protection. Enable "Do not allow bypassing the above settings", or remove bypass actors from the ruleset.',
+    requires: ['github/branch-protection'],
+    run: context => {
+      const { enforceAdmins, bypassActors } = branchProtection(context);
+      return { pass: enforceAdmins, ...(bypassActors.length > 0 ? { bypassActors } : {}) };
+    },
+  },
+  {
+    id: 'github/force-push-blocked',
+    name: 'Force Pushes Blocked',
+    category: 'github',
+    severity: 'error',
+    remediation: 'Force pushes to the default branch are allowed and can rewrite merged history. Disable "Allow force pushes", or add a "Block force pushes" ruleset rule.',
+    requires: ['github/branch-protection'],
+    run: context => !branchProtection(context).allowForcePushes,
+  },
+  {
+    id: 'github/deletion-blocked',
+    name: 'Branch Deletion Blocked',
+    category: 'github',
+    severity: 'error',
+    remediation: 'The default branch can be deleted. Disable "Allow deletions", or add a "Restrict deletions" ruleset rule.',
+    requires: ['github/branch-protection'],
+    run: context => !branchProtection(context).allowDeletions,
+  },
+  {
+    id: 'github/agent-token',
+    name: `PAT Secret (${AGENT_TOKEN_SECRET})`,
+    category: 'github',
+    severity: 'error',
+    remediation: `Add a fine-grained PAT as the ${AGENT_TOKEN_SECRET} repository secret: MAYOR_WEST_TOKEN=<token> npx github:shyamsridhar123/MayorWest configure`,
+    requires: GITHUB_REQUIREMENTS,
+    run: context => {
+      const pass = hasAgentToken(context);
+      if (!pass) {
+        context.warn(`${AGENT_TOKEN_SECRET} secret not found - Copilot auto-assignment won't work`);
+      }
+      return pass;
+    },
+    fix: () => ({ setting: 'agent_token_secret', value: true, before: false }),
+  },
+  {
+    id: 'github/actions-enabled',
+    name: 'GitHub Actions Enabled',
+    category: 'github',
+    severity: 'error',
+    remediation: 'Enable GitHub Actions under Settings → Actions → General.',
+    requires: GITHUB_REQUIREMENTS,
+    // If we can query permissions at all, actions are enabled
+    run: context => {
+      const { owner, repo } = context.gitHubInfo;
+      try {
+        context.ghApi(`repos/${owner}/${repo}/actions/permissions`);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    },
+  },
+  {
+    id: 'github/workflow-permissions',
+    name: 'Workflow Permissions: Read & Write',
+    category: 'github',
+    severity: 'error',
+    remediation: `Set Settings → Actions → General → Workflow permissions to "Read and write". ${CONFIGURE_HINT}`,
+    requires: GITHUB_REQUIREMENTS,
+    run: context => {
+      const pass = workflowPermissions(context).default_workflow_permissions === 'write';
+      if (!pass) {
+        context.warn('Workflow permissions should be "Read and write" for auto-merge to work');
+      }
+      return pass;
+    },
+    fix: context => ({
+      setting: 'default_workflow_permissions',
+      value: 'write',
+      before: workflowPermissions(context).default_workflow_permissions,
+    }),
+  },
+  {
+    id: 'github/workflows-approve-prs',
+    name: 'Workflows Can Approve PRs',
+    category: 'github',
+    severity: 'warning',
+    remediation: `Enable "Allow GitHub Actions to create and approve pull requests" in Settings → Actions. ${CONFIGURE_HINT}`,
+    requires: GITHUB_REQUIREMENTS,
+    run: context => workflowPermissions(context).can_approve_pull_request_reviews === true,
+    fix: context => ({
+      setting: 'can_approve_pull_request_reviews',
+      value: true,
+      before: workflowPermissions(context).can_approve_pull_request_reviews === true,
+    }),
+  },
+];
+
+// Only run when verify is given the token (MAYOR_WEST_TOKEN in the CLI)
+export const TOKEN_CHECKS = [
+  {
+    id: 'github/agent-token-capabilities',
+    name: 'Agent Token Capabilities',
+    category: 'github',
+    severity: 'error',
+    remediation: `Give the ${AGENT_TOKEN_SECRET} token Read and write access to Contents, Issues and Pull requests, and Read access to Actions`,
+    requires: ['core/github-remote'],
+    run: context => {
+      const token = context.token();
+      const expiry = token.expiresAt ? `expires ${token.expiresAt.slice(0, 10)}` : 'no expiry';
+      if (token.expiring) {
+        context.warn(`The agent token expires in ${token.daysLeft} day(s), on ${token.expiresAt.slice(0, 10)}. Create a new one and update ${AGENT_TOKEN_SECRET}.`);
+      }
+      token.capabilities.filter(capability => capability.status === 'unverified').forEach(capability => {
+        context.warn(`Could not confirm the agent token can ${capability.label.charAt(0).toLowerCase()}${capability.label.slice(1)}: write access is not visible to read-only requests`);
+      });
+
+      const failing = token.capabilities.filter(capability => capability.status === 'fail');
+      let remediation;
+      if (!token.valid) {
+        remediation = `The token in MAYOR_WEST_TOKEN is invalid or revoked. Create a new one and update ${AGENT_TOKEN_SECRET}.`;
+      } else if (token.expired) {
+        remediation = `The agent token expired on ${token.expiresAt.slice(0, 10)}. Create a new one and update ${AGENT_TOKEN_SECRET}.`;
+      } else if (failing.length > 0) {
+        remediation = `These will fail: ${failing.map(capability => `${capability.label} (needs ${capability.missing.join(', ')})`).join('; ')}`;
+      }
+
+      return {
+        pass: token.pass,
+        name: `Agent Token Capabilities (${token.label}, ${expiry})`,
+        ...(remediation ? { remediation } : {}),
+        token,
+      };
+    },
+  },
+];
+
+/**
+ * The checks `verify --drift` adds, one per installed workflow.
+ *
+ * @param {Object} installed - Resolved template options of the install
+ * @returns {CheckDefinition[]}
+ */
+export const driftChecks = installed => DRIFT_FILES.filter(file => isInstalledFile(file, installed)).map(file => ({
+  id: `drift/${file}`,
+  name: `${file} matches the template`,
+  category: 'drift',
+  severity: 'warning',
+  remediation: `Re-run setup to restore ${file}, or accept the differences with: verify --drift --accept`,
+  requires: [`files/${file}`],
+  run: context => {
+    const drift = context.drift().find(entry => entry.file === file);
+    const differences = drift.differences.filter(diff => !diff.accepted);
+    const accepted = drift.differences.length - differences.length;
+    return {
+      pass: differences.length === 0,
+      ...(accepted > 0 ? { name: `${file} matches the template (${accepted} accepted difference(s))` } : {}),
+      file,
+      differences,
+    };
+  },
+}));
+
+/**
+ * The built-in checks for an install, in display order within each
+ * category. The file, workflow and GitHub checks follow the options setup
+ * recorded: no auto-merge workflow or setting when auto-merge was disabled,
+ * and the merge method that was chosen.
+ *
+ * @param {Object} [installed] - Resolved template options, see detectInstalledOptions()
+ * @returns {CheckDefinition[]}
+ */
+export function builtinChecks(installed = resolveTemplateOptions()) {
+  return [
+    ...fileChecks(installed),
+    ...workflowChecks(installed),
+    ...coreChecks,
+    ...securityChecks,
+    ...copilotChecks,
+    ...githubChecks(installed),
+  ];
+}
+
+/**
+ * The built-in checks for the default setup (auto-merge, squash merging).
+ *
+ * @type {CheckDefinition[]}
+ */
+export const BUILTIN_CHECKS = builtinChecks();
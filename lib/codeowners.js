@@ -0,0 +1,218 @@
+/**
+ * Mayor West Mode - CODEOWNERS
+ *
+ * Parses `.github/CODEOWNERS` the way GitHub reads it: gitignore-style
+ * patterns, and for any path only the last matching rule counts. Used by
+ * verify to check the Layer 1 actor allowlist.
+ *
+ * @module codeowners
+ */
+
+export const CODEOWNERS_PATH = '.github/CODEOWNERS';
+
+// @user (GitHub username rules), @org/team, or an email address
+const USER_PATTERN = /^@[A-Za-z0-9](?:[A-Za-z0-9]|-(?=[A-Za-z0-9])){0,38}$/;
+const TEAM_PATTERN = /^@[A-Za-z0-9](?:[A-Za-z0-9-]*)\/[A-Za-z0-9._-]+$/;
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+// Accounts that are not people; a protected path owned by one of these is
+// effectively unowned
+const AGENT_OWNERS = ['@copilot', '@copilot-swe-agent'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+function hasWildcard(text) {
+  return /[*?]/.test(text.replace(/\\./g, ''));
+}
+
+/**
+ * A CODEOWNERS pattern as a regular expression over repository-relative
+ * paths. Patterns with a `/` (other than a trailing one) are anchored to the
+ * root, others match at any depth; a directory matches everything below it.
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function codeownersPatternRegExp(pattern) {
+  const directory = pattern.endsWith('/');
+  const body = directory ? pattern.slice(0, -1) : pattern;
+  const anchored = body.includes('/');
+  const segments = body.replace(/^\//, '');
+
+  let source = '';
+  for (let i = 0; i < segments.length; i++) {
+    const char = segments[i];
+    if (char === '*' && segments[i + 1] === '*') {
+      // `**/` is any number of directories, a final `**` anything at all
+      if (segments[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '\\' && i + 1 < segments.length) {
+      source += escapeRegExp(segments[++i]);
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  // `docs/*` covers the files in docs, not its subdirectories
+  const lastSegment = segments.split('/').pop();
+  const suffix = directory ? '/.*' : hasWildcard(lastSegment) ? '' : '(?:/.*)?';
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}${suffix}$`);
+}
+
+/**
+ * Why an owner is not a valid CODEOWNERS owner, or null when it is.
+ */
+export function validateOwner(owner) {
+  if (USER_PATTERN.test(owner) || TEAM_PATTERN.test(owner) || EMAIL_PATTERN.test(owner)) {
+    return null;
+  }
+  return `Invalid owner "${owner}": expected @user, @org/team or an email address`;
+}
+
+/**
+ * Whether an owner is an agent or bot account rather than a person or team.
+ */
+export function isAgentOwner(owner) {
+  const handle = owner.toLowerCase();
+  return AGENT_OWNERS.includes(handle) || handle.endsWith('[bot]');
+}
+
+/**
+ * Parse CODEOWNERS content.
+ *
+ * @param {string} source
+ * @returns {{rules: Array<{pattern: string, owners: string[], line: number}>,
+ *   errors: Array<{line: number, message: string}>}} Rules in file order; a
+ *   line with errors is left out of the rules
+ */
+export function parseCodeowners(source) {
+  const rules = [];
+  const errors = [];
+
+  source.split('\n').forEach((text, index) => {
+    const line = index + 1;
+    // `#` starts a comment unless escaped
+    const content = text.replace(/(^|[^\\])#.*$/, '$1').trim();
+    if (!content) return;
+
+    const [pattern, ...owners] = content.split(/\s+/);
+    const problems = [];
+    if (pattern.startsWith('!')) {
+      problems.push(`Negated pattern "${pattern}": CODEOWNERS does not support !`);
+    }
+    if (/\[|\]/.test(pattern.replace(/\\./g, ''))) {
+      problems.push(`Character range in "${pattern}": CODEOWNERS does not support [ ]`);
+    }
+    owners.forEach(owner => {
+      const problem = validateOwner(owner);
+      if (problem) problems.push(problem);
+    });
+
+    if (problems.length > 0) {
+      problems.forEach(message => errors.push({ line, message }));
+      return;
+    }
+    rules.push({ pattern, owners, line });
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * The rule that decides who owns a path: the last one that matches.
+ *
+ * @param {Array<Object>} rules - From parseCodeowners()
+ * @param {string} filePath - Repository-relative path
+ * @returns {{pattern: string, owners: string[], line: number}|null} null when no rule matches
+ */
+export function ownersFor(rules, filePath) {
+  const relative = filePath.replace(/^\//, '');
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (codeownersPatternRegExp(rules[i].pattern).test(relative)) {
+      return rules[i];
+    }
+  }
+  return null;
+}
+
+// Paths an earlier rule can match, when they can be listed: a pattern
+// without wildcards names one path (or a directory)
+function literalPaths(pattern) {
+  if (hasWildcard(pattern)) return null;
+  const directory = pattern.endsWith('/');
+  const body = pattern.replace(/^\//, '').replace(/\/$/, '').replace(/\\(.)/g, '$1');
+  const paths = [directory ? `${body}/file` : body];
+  if (!pattern.replace(/\/$/, '').includes('/')) {
+    paths.push(`nested/${paths[0]}`);
+  }
+  return paths;
+}
+
+// Whether `later` matches every path `earlier` does
+function covers(later, earlier) {
+  if (['*', '**', '/**'].includes(later.pattern) || later.pattern === earlier.pattern) {
+    return true;
+  }
+  const regExp = codeownersPatternRegExp(later.pattern);
+  const paths = literalPaths(earlier.pattern);
+  if (paths) {
+    return paths.every(filePath => regExp.test(filePath));
+  }
+
+  // A wildcard pattern inside a directory a later rule owns outright
+  const directory = later.pattern.replace(/\/\*\*$/, '/').match(/^\/?([^*?]+)\/$/)?.[1];
+  const anchored = earlier.pattern.replace(/\/$/, '').includes('/');
+  return Boolean(directory && anchored && earlier.pattern.replace(/^\//, '').startsWith(`${directory}/`));
+}
+
+/**
+ * Rules that never decide ownership because a later rule matches every path
+ * they match.
+ *
+ * @param {Array<Object>} rules - From parseCodeowners()
+ * @returns {Array<{rule: Object, by: Object, message: string}>}
+ */
+export function shadowedRules(rules) {
+  return rules.flatMap((rule, index) => {
+    const by = rules.slice(index + 1).reverse().find(later => covers(later, rule));
+    if (!by) return [];
+    const describe = r => `"${[r.pattern, ...r.owners].join(' ')}"`;
+    return [{
+      rule,
+      by,
+      message: `Line ${rule.line} ${describe(rule)} has no effect: line ${by.line} ${describe(by)} matches every path it does, and the last matching rule wins`,
+    }];
+  });
+}
+
+/**
+ * Paths standing in for a protected_paths glob from mayor-west.yml, to look
+ * up their owners: `.github/workflows/**` → `.github/workflows/file`. A glob
+ * starting with `**` stands for a path at the root and a nested one.
+ *
+ * @param {string} glob
+ * @returns {string[]}
+ */
+export function representativePaths(glob) {
+  const fill = pattern => pattern
+    .replace(/\/\*\*$/, '/file')
+    .replace(/\*\*/g, 'nested')
+    .replace(/(^|\/)\*(?=\/|$)/g, '$1file')
+    .replace(/[*?]/g, '');
+  if (glob.startsWith('**/')) {
+    const rest = glob.slice(3);
+    return [fill(rest), `nested/${fill(rest)}`];
+  }
+  return [fill(glob)];
+}
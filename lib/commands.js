@@ -0,0 +1,69 @@
+/**
+ * Mayor West Mode - Command Policy
+ *
+ * Which terminal commands the agent may run without asking. One list of
+ * regex rules (`policies.commands` in the policy file) becomes the VS Code
+ * `chat.tools.terminal.autoApprove` map and the command lists in the agent
+ * instructions.
+ *
+ * @module commands
+ */
+
+/**
+ * The rules setup uses when the policy file has no commands section; they
+ * compile to the auto-approve map earlier versions wrote by hand, key for
+ * key, so existing installs are not reported as outdated.
+ */
+export const DEFAULT_COMMAND_POLICY = {
+  allowed: [
+    { pattern: '^git\\s+(commit|push)\\b', description: 'Commit and push the task branch' },
+    { pattern: '^(npm|pnpm|yarn)\\s+(test|lint|build)\\b', description: 'Run the tests, linter and build' },
+    { pattern: '^(npm|pnpm|yarn)\\s+run\\s+(test|lint|format)\\b', description: 'Run the test, lint and format scripts' },
+  ],
+  blocked: [
+    { pattern: '^rm\\b', reason: 'Deletes files' },
+    { pattern: '^kill\\b', reason: 'Terminates processes' },
+    { pattern: '^git reset --hard\\b', reason: 'Discards commits and local changes' },
+    { pattern: '^rm -rf\\b', reason: 'Destructive deletion' },
+  ],
+};
+
+// `^git reset --hard\b`: anchored plain text, optionally ending at a word
+const LITERAL_PATTERN = /^\^([^\\^$.|?*+()[\]{}]+?)(?:\\b)?$/;
+
+/**
+ * The command a pattern stands for when it is anchored plain text, else null.
+ * VS Code matches a plain key against the start of the command line.
+ *
+ * @param {string} pattern
+ * @returns {string|null}
+ */
+export function literalCommand(pattern) {
+  return pattern.match(LITERAL_PATTERN)?.[1].trim() || null;
+}
+
+/**
+ * How a rule is written for people: the command itself, or the regex.
+ */
+export function commandPatternLabel(pattern) {
+  return literalCommand(pattern) ?? `/${pattern}/`;
+}
+
+/**
+ * The `chat.tools.terminal.autoApprove` map for a commands policy: allowed
+ * rules map to true and blocked ones to false (VS Code lets a false rule win
+ * over a true one). Plain-text patterns become plain keys, the rest /regex/.
+ *
+ * @param {Object} commandPolicy - policies.commands
+ * @returns {Object<string, boolean>}
+ */
+export function compileAutoApprove(commandPolicy = DEFAULT_COMMAND_POLICY) {
+  const map = {};
+  (commandPolicy.allowed || []).forEach(rule => {
+    map[commandPatternLabel(rule.pattern)] = true;
+  });
+  (commandPolicy.blocked || []).forEach(rule => {
+    map[commandPatternLabel(rule.pattern)] = false;
+  });
+  return map;
+}
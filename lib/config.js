@@ -0,0 +1,256 @@
+/**
+ * Mayor West Mode - Security Configuration
+ *
+ * Loads `.github/mayor-west.yml` and checks it against its schema. Errors
+ * carry the line they were found on so verify can point at them.
+ *
+ * @module config
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { MERGE_METHODS } from './templates.js';
+import { matchesPattern } from './policy-system.js';
+
+export const CONFIG_PATH = '.github/mayor-west.yml';
+
+// Status checks branch protection must require when the config does not
+// list its own under verify.required_status_checks; matched as substrings
+export const DEFAULT_REQUIRED_STATUS_CHECKS = ['test', 'policy'];
+
+/**
+ * Every key the config may have. `type` is one of boolean, string, enum
+ * (with `values`), globs, strings or object (with `properties`).
+ */
+export const CONFIG_SCHEMA = {
+  enabled: { type: 'boolean' },
+  protected_paths: { type: 'globs' },
+  merge: {
+    type: 'object',
+    properties: {
+      method: { type: 'enum', values: Object.values(MERGE_METHODS).map(m => m.method) },
+      delete_branch_after_merge: { type: 'boolean' },
+    },
+  },
+  audit: {
+    type: 'object',
+    properties: {
+      comment_on_pr: { type: 'boolean' },
+      log_to_file: { type: 'boolean' },
+    },
+  },
+  verify: {
+    type: 'object',
+    properties: {
+      plugins: { type: 'strings' },
+      required_status_checks: { type: 'strings' },
+    },
+  },
+};
+
+/**
+ * Why a protected path pattern is not a usable glob, or null when it is.
+ * Patterns are matched against repository-relative paths with `*` and `**`.
+ *
+ * @param {string} pattern
+ * @returns {string|null}
+ */
+export function validateGlob(pattern) {
+  if (typeof pattern !== 'string' || pattern.trim() === '') {
+    return 'must be a non-empty string';
+  }
+  if (pattern.startsWith('/') || /^[A-Za-z]:/.test(pattern)) {
+    return 'must be relative to the repository root';
+  }
+  if (pattern.includes('\\')) {
+    return 'must use / as the path separator';
+  }
+  if (pattern.split('/').includes('..')) {
+    return 'must not contain ..';
+  }
+  if (/\*{3,}/.test(pattern)) {
+    return 'has more than two * in a row';
+  }
+  const brackets = (pattern.match(/\[/g) || []).length === (pattern.match(/]/g) || []).length;
+  const braces = (pattern.match(/{/g) || []).length === (pattern.match(/}/g) || []).length;
+  if (!brackets || !braces) {
+    return 'has unbalanced [ ] or { }';
+  }
+  try {
+    matchesPattern('', pattern);
+  } catch (e) {
+    return 'cannot be matched';
+  }
+  return null;
+}
+
+/**
+ * The paths no valid protected_paths pattern matches.
+ *
+ * @param {Object|null} config - From loadConfig()
+ * @param {string[]} paths - Repository-relative paths
+ * @returns {string[]}
+ */
+export function unprotectedPaths(config, paths) {
+  const patterns = Array.isArray(config?.protected_paths)
+    ? config.protected_paths.filter(pattern => !validateGlob(pattern))
+    : [];
+  return paths.filter(file => !patterns.some(pattern => matchesPattern(file, pattern)));
+}
+
+// The 1-based line a key path (['merge', 'method'] or ['protected_paths', 2])
+// is on, for block-style YAML. Falls back to the closest parent found.
+function findLine(lines, keyPath) {
+  let line;
+  let start = 0;
+  let parentIndent = -1;
+
+  for (const key of keyPath) {
+    let found = -1;
+    let levelIndent = null;
+    let index = -1;
+
+    for (let i = start; i < lines.length; i++) {
+      const text = lines[i];
+      if (!text.trim() || text.trim().startsWith('#')) continue;
+      const indent = text.length - text.trimStart().length;
+      const isItem = /^-(\s|$)/.test(text.trimStart());
+
+      // List items may sit at the same indent as their key
+      if (indent < parentIndent || (indent === parentIndent && !(typeof key === 'number' && isItem))) break;
+      if (levelIndent === null) levelIndent = indent;
+      if (indent !== levelIndent) continue;
+
+      if (typeof key === 'number') {
+        if (isItem && ++index === key) {
+          found = i;
+          break;
+        }
+      } else {
+        const match = text.trimStart().match(/^(["']?)([^"':]+)\1\s*:/);
+        if (match && match[2] === key) {
+          found = i;
+          break;
+        }
+      }
+    }
+
+    if (found === -1) break;
+    line = found + 1;
+    start = found + 1;
+    parentIndent = lines[found].length - lines[found].trimStart().length;
+  }
+
+  return line;
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'a list';
+  return typeof value === 'string' ? `"${value}"` : String(value);
+}
+
+function validateValue(value, schema, keyPath, error) {
+  const name = keyPath.join('.');
+
+  switch (schema.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') error(keyPath, `${name} must be true or false (got ${describe(value)})`);
+      break;
+    case 'string':
+      if (typeof value !== 'string') error(keyPath, `${name} must be a string (got ${describe(value)})`);
+      break;
+    case 'enum':
+      if (!schema.values.includes(value)) {
+        error(keyPath, `${name} must be one of ${schema.values.join(', ')} (got ${describe(value)})`);
+      }
+      break;
+    case 'strings':
+    case 'globs':
+      if (!Array.isArray(value)) {
+        error(keyPath, `${name} must be a list (got ${describe(value)})`);
+        break;
+      }
+      value.forEach((item, i) => {
+        if (schema.type === 'strings') {
+          if (typeof item !== 'string') error([...keyPath, i], `${name}[${i}] must be a string (got ${describe(item)})`);
+          return;
+        }
+        const problem = validateGlob(item);
+        if (problem) error([...keyPath, i], `${name}[${i}] is not a valid glob: ${describe(item)} ${problem}`);
+      });
+      break;
+    case 'object':
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        error(keyPath, `${name} must be a mapping (got ${describe(value)})`);
+        break;
+      }
+      Object.entries(value).forEach(([key, child]) => {
+        if (!schema.properties[key]) {
+          error([...keyPath, key], `Unknown key: ${[...keyPath, key].join('.')}`);
+          return;
+        }
+        validateValue(child, schema.properties[key], [...keyPath, key], error);
+      });
+      break;
+  }
+}
+
+/**
+ * Parse and validate the content of a mayor-west.yml file.
+ *
+ * @param {string} source - YAML content
+ * @returns {{config: Object|null, errors: Array<{path: string, line: number|undefined, message: string}>}}
+ *   config is null only when the YAML cannot be parsed
+ */
+export function parseConfig(source) {
+  let config;
+  try {
+    config = yaml.load(source);
+  } catch (e) {
+    return {
+      config: null,
+      errors: [{ path: '', line: e.mark ? e.mark.line + 1 : undefined, message: `Invalid YAML: ${e.reason || e.message}` }],
+    };
+  }
+
+  // An empty file is an empty config
+  config = config ?? {};
+  const lines = source.split('\n');
+  const errors = [];
+  const error = (keyPath, message) => {
+    errors.push({ path: keyPath.join('.'), line: findLine(lines, keyPath), message });
+  };
+
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    error([], `The config must be a mapping of keys (got ${describe(config)})`);
+    return { config: {}, errors };
+  }
+
+  validateValue(config, { type: 'object', properties: CONFIG_SCHEMA }, [], error);
+  return { config, errors };
+}
+
+/**
+ * Load the repository's mayor-west.yml.
+ *
+ * @param {string} [cwd] - Repository root
+ * @returns {{exists: boolean, config: Object|null, errors: Array<Object>}}
+ */
+export function loadConfig(cwd = process.cwd()) {
+  let source;
+  try {
+    source = fs.readFileSync(path.join(cwd, CONFIG_PATH), 'utf-8');
+  } catch (e) {
+    return { exists: false, config: null, errors: [] };
+  }
+  return { exists: true, ...parseConfig(source) };
+}
+
+/**
+ * "line 12: message", or the message alone when the line is unknown.
+ */
+export function formatConfigError({ line, message }) {
+  return line ? `line ${line}: ${message}` : message;
+}
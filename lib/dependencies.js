@@ -0,0 +1,301 @@
+/**
+ * Mayor West Mode - Dependency Changes
+ *
+ * Reads the packages a repository depends on from its manifests and
+ * lockfiles (package.json and package-lock.json; requirements.txt and
+ * pyproject.toml) and lists what a change adds, removes, upgrades or
+ * downgrades, directly or transitively. `policies.dependencies` is checked
+ * against that list.
+ *
+ * @module dependencies
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { compareVersions } from './upgrade.js';
+
+/** Manifests read at the repository root, and the ecosystem of each */
+export const DEPENDENCY_FILES = {
+  'package.json': 'npm',
+  'package-lock.json': 'npm',
+  'requirements.txt': 'pip',
+  'pyproject.toml': 'pip',
+};
+
+export const ECOSYSTEMS = ['npm', 'pip'];
+
+// package.json fields, and whether they are development dependencies
+const NPM_FIELDS = [
+  ['dependencies', false],
+  ['optionalDependencies', false],
+  ['peerDependencies', false],
+  ['devDependencies', true],
+];
+
+// The version a spec like ^1.2.0, ~=2.1 or ==3.0.0 pins or starts from
+function specVersion(spec) {
+  return String(spec || '').match(/\d+(?:\.\d+){0,2}/)?.[0] || null;
+}
+
+function majorOf(version) {
+  return Number(String(version).split('.')[0]);
+}
+
+function highest(versions) {
+  return versions.reduce((top, version) => (top === null || compareVersions(version, top) > 0 ? version : top), null);
+}
+
+// Packages by name: {name, versions, direct, dev}
+function packageMap() {
+  const packages = new Map();
+  packages.add = (name, { version, direct = false, dev = false } = {}) => {
+    const entry = packages.get(name) || { name, versions: [], direct: false, dev };
+    if (version && !entry.versions.includes(version)) entry.versions.push(version);
+    entry.direct = entry.direct || direct;
+    // A development dependency only if nothing else needs it
+    entry.dev = entry.dev && dev;
+    packages.set(name, entry);
+  };
+  return packages;
+}
+
+/**
+ * npm packages from package.json and package-lock.json (lockfileVersion 1
+ * to 3). Direct dependencies take their version from the lockfile, else
+ * from the spec in package.json.
+ *
+ * @param {string|null} manifestSource - package.json
+ * @param {string|null} lockSource - package-lock.json
+ * @returns {Map<string, {name: string, versions: string[], direct: boolean, dev: boolean}>}
+ * @throws {SyntaxError} On invalid JSON
+ */
+export function npmDependencies(manifestSource, lockSource) {
+  const packages = packageMap();
+  const manifest = manifestSource ? JSON.parse(manifestSource) : {};
+  const lock = lockSource ? JSON.parse(lockSource) : null;
+
+  if (lock?.packages) {
+    Object.entries(lock.packages).forEach(([key, info]) => {
+      // "" is the project itself; links point at workspace folders
+      if (!key || info.link) return;
+      const name = info.name || key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length);
+      packages.add(name, { version: info.version, dev: Boolean(info.dev) });
+    });
+  } else if (lock?.dependencies) {
+    const walk = dependencies => Object.entries(dependencies).forEach(([name, info]) => {
+      packages.add(name, { version: info.version, dev: Boolean(info.dev) });
+      if (info.dependencies) walk(info.dependencies);
+    });
+    walk(lock.dependencies);
+  }
+
+  NPM_FIELDS.forEach(([field, dev]) => {
+    Object.entries(manifest[field] || {}).forEach(([name, spec]) => {
+      const locked = packages.get(name)?.versions.length > 0;
+      packages.add(name, { version: locked ? null : specVersion(spec), direct: true, dev });
+    });
+  });
+  return packages;
+}
+
+/**
+ * A Python package name as PyPI compares it: lower case, runs of `-`, `_`
+ * and `.` as one `-`.
+ */
+export function normalizePythonName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+// `requests[socks]>=2.31 ; python_version >= "3.8"` → name and version
+function parseRequirement(line, packages, dev = false) {
+  const match = line.trim().match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*([^;]*)/);
+  if (!match) return;
+  const spec = match[2].trim();
+  const pinned = spec.match(/^===?\s*([^\s,]+)/)?.[1];
+  packages.add(normalizePythonName(match[1]), { version: pinned || specVersion(spec), direct: true, dev });
+}
+
+/**
+ * Python packages from requirements.txt and pyproject.toml: PEP 621
+ * `[project] dependencies`, `[project.optional-dependencies]` and Poetry's
+ * dependency tables. Only direct dependencies; neither file locks the rest.
+ *
+ * @param {string|null} requirementsSource - requirements.txt
+ * @param {string|null} pyprojectSource - pyproject.toml
+ * @returns {Map<string, {name: string, versions: string[], direct: boolean, dev: boolean}>}
+ */
+export function pythonDependencies(requirementsSource, pyprojectSource) {
+  const packages = packageMap();
+
+  (requirementsSource || '').split('\n').forEach(line => {
+    const requirement = line.replace(/(^|\s)#.*$/, '').trim();
+    // Options (-r other.txt, -e ., --index-url) and URLs name no package here
+    if (!requirement || requirement.startsWith('-') || /^[a-z+]+:\/\//.test(requirement)) return;
+    parseRequirement(requirement, packages);
+  });
+
+  let table = null;
+  // A `dependencies = [` array, read up to its closing ]
+  let array = null;
+  const readArray = line => {
+    array.text += ` ${line}`;
+    if (!line.replace(/"[^"]*"|'[^']*'/g, '').includes(']')) return;
+    [...array.text.matchAll(/"([^"]*)"|'([^']*)'/g)].forEach(m => parseRequirement(m[1] ?? m[2], packages, array.dev));
+    array = null;
+  };
+
+  (pyprojectSource || '').split('\n').forEach(rawLine => {
+    const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+    if (array) {
+      readArray(line);
+      return;
+    }
+
+    const header = line.match(/^\[([^\]]+)\]$/);
+    if (header) {
+      table = header[1].trim();
+      return;
+    }
+
+    const isProject = table === 'project' && /^dependencies\s*=\s*\[/.test(line);
+    const isOptional = table === 'project.optional-dependencies' && /^[\w.-]+\s*=\s*\[/.test(line);
+    if (isProject || isOptional) {
+      array = { text: '', dev: isOptional };
+      readArray(line.slice(line.indexOf('[') + 1));
+      return;
+    }
+
+    const poetry = table && table.match(/^tool\.poetry\.(?:(dev-)?dependencies|group\.([\w-]+)\.dependencies)$/);
+    const entry = poetry && line.match(/^["']?([A-Za-z0-9][A-Za-z0-9._-]*)["']?\s*=\s*(.+)$/);
+    if (entry && entry[1] !== 'python') {
+      const spec = entry[2].match(/version\s*=\s*["']([^"']*)["']/)?.[1] ?? entry[2].replace(/["']/g, '');
+      packages.add(normalizePythonName(entry[1]), { version: specVersion(spec), direct: true, dev: Boolean(poetry[1] || poetry[2]) });
+    }
+  });
+  return packages;
+}
+
+/**
+ * The packages a tree depends on, per ecosystem.
+ *
+ * @param {Function} readFile - (path) => content, or null when the file does not exist
+ * @returns {{npm: Map, pip: Map}}
+ * @throws {Error} When a manifest cannot be parsed, naming the file
+ */
+export function readDependencies(readFile) {
+  const read = (file, parse) => {
+    try {
+      return parse();
+    } catch (error) {
+      throw new Error(`Could not parse ${file}: ${error.message}`);
+    }
+  };
+  return {
+    npm: read('package.json or package-lock.json', () => npmDependencies(readFile('package.json'), readFile('package-lock.json'))),
+    pip: read('requirements.txt or pyproject.toml', () => pythonDependencies(readFile('requirements.txt'), readFile('pyproject.toml'))),
+  };
+}
+
+/**
+ * What changed between two dependency trees from readDependencies().
+ * A package is direct when a manifest lists it on either side; the others
+ * come in through the lockfile. Direct changes come first.
+ *
+ * @param {{npm: Map, pip: Map}} base
+ * @param {{npm: Map, pip: Map}} head
+ * @returns {Array<{ecosystem: string, name: string, type: 'added'|'removed'|'upgraded'|'downgraded',
+ *   direct: boolean, dev: boolean, from: string|null, to: string|null, major: boolean}>}
+ */
+export function diffDependencies(base, head) {
+  const changes = [];
+  ECOSYSTEMS.forEach(ecosystem => {
+    const names = new Set([...base[ecosystem].keys(), ...head[ecosystem].keys()]);
+    names.forEach(name => {
+      const before = base[ecosystem].get(name);
+      const after = head[ecosystem].get(name);
+      const from = before ? highest(before.versions) : null;
+      const to = after ? highest(after.versions) : null;
+
+      let type;
+      if (!before) {
+        type = 'added';
+      } else if (!after) {
+        type = 'removed';
+      } else if (from && to && compareVersions(to, from) !== 0) {
+        type = compareVersions(to, from) > 0 ? 'upgraded' : 'downgraded';
+      } else {
+        return;
+      }
+
+      changes.push({
+        ecosystem,
+        name,
+        type,
+        direct: Boolean(before?.direct || after?.direct),
+        dev: (after || before).dev,
+        from,
+        to,
+        major: type === 'upgraded' && majorOf(to) > majorOf(from),
+      });
+    });
+  });
+
+  return changes.sort((a, b) => Number(b.direct) - Number(a.direct)
+    || a.ecosystem.localeCompare(b.ecosystem)
+    || a.name.localeCompare(b.name));
+}
+
+/**
+ * How a change reads in messages: `npm lodash 4.17.20 → 4.17.21 (transitive)`.
+ */
+export function describeDependencyChange(change) {
+  const versions = change.type === 'added' ? change.to
+    : change.type === 'removed' ? change.from
+      : `${change.from} → ${change.to}`;
+  return `${change.ecosystem} ${change.name}${versions ? ` ${versions}` : ''}${change.direct ? '' : ' (transitive)'}`;
+}
+
+/**
+ * Whether a package name matches a glob from the policy: `*` matches any
+ * characters, so `@types/*` and `*crypto*` work as written. Python names
+ * are compared normalized.
+ *
+ * @param {string} name
+ * @param {string} pattern
+ * @param {string} [ecosystem]
+ * @returns {boolean}
+ */
+export function matchesPackage(name, pattern, ecosystem = 'npm') {
+  const normalize = ecosystem === 'pip' ? normalizePythonName : value => value;
+  const source = normalize(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, ecosystem === 'pip' ? 'i' : '').test(normalize(name));
+}
+
+/**
+ * Dependency changes between the merge base with `base` and the working
+ * tree, through git.
+ *
+ * @param {string} base - Git ref, such as origin/main
+ * @param {string} [cwd] - Repository root
+ * @returns {Array<Object>} From diffDependencies()
+ * @throws {Error} When git fails or a manifest cannot be parsed
+ */
+export function dependencyChangesSince(base, cwd = process.cwd()) {
+  const mergeBase = execFileSync('git', ['merge-base', base, 'HEAD'], { cwd, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] }).trim();
+  const readAt = file => {
+    try {
+      return execFileSync('git', ['show', `${mergeBase}:${file}`], { cwd, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'], maxBuffer: 64 * 1024 * 1024 });
+    } catch (e) {
+      return null;
+    }
+  };
+  const readHead = file => {
+    try {
+      return fs.readFileSync(path.join(cwd, file), 'utf8');
+    } catch (e) {
+      return null;
+    }
+  };
+  return diffDependencies(readDependencies(readAt), readDependencies(readHead));
+}
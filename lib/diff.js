@@ -0,0 +1,170 @@
+/**
+ * Mayor West Mode - Line Diffs
+ *
+ * Unified diffs for previews and a three-way merge for re-running setup
+ * over files the user has edited.
+ *
+ * @module diff
+ */
+
+export function splitLines(text) {
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Line-level edit script from the longest common subsequence of a and b
+function diffLines(a, b) {
+  const lcs = Array.from({ length: a.length + 1 }, () => new Int32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i++] });
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: '-', line: a[i++] });
+    } else {
+      ops.push({ type: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: '-', line: a[i++] });
+  while (j < b.length) ops.push({ type: '+', line: b[j++] });
+
+  return ops;
+}
+
+/**
+ * Unified diff (as printed by `diff -u`) between two texts.
+ *
+ * @param {string} oldText - Current content
+ * @param {string} newText - Proposed content
+ * @param {{fromFile?: string, toFile?: string, context?: number}} options
+ * @returns {string} The diff, or '' when the texts have the same lines
+ */
+export function unifiedDiff(oldText, newText, { fromFile = 'a', toFile = 'b', context = 3 } = {}) {
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  if (ops.every(op => op.type === ' ')) return '';
+
+  let oldLine = 1;
+  let newLine = 1;
+  ops.forEach(op => {
+    op.oldLine = oldLine;
+    op.newLine = newLine;
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  });
+
+  // Group changes whose context windows touch into one hunk
+  const hunks = [];
+  ops.forEach((op, index) => {
+    if (op.type === ' ') return;
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+
+  const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+  hunks.forEach(({ start, end }) => {
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    // An empty range starts at the line before it, as in `diff -u`
+    const oldStart = oldCount > 0 ? hunk[0].oldLine : hunk[0].oldLine - 1;
+    const newStart = newCount > 0 ? hunk[0].newLine : hunk[0].newLine - 1;
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    hunk.forEach(op => lines.push(`${op.type}${op.line}`));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// base index → index in other, for every line the LCS keeps
+function matchLines(base, other) {
+  const matches = [];
+  let i = 0;
+  let j = 0;
+  diffLines(base, other).forEach(op => {
+    if (op.type === ' ') matches[i] = j;
+    if (op.type !== '+') i++;
+    if (op.type !== '-') j++;
+  });
+  return matches;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+/**
+ * Three-way merge of two edits of a common base, like `git merge-file`.
+ * Hunks changed on both sides in different ways become conflicts, marked
+ * with <<<<<<< / ======= / >>>>>>> lines.
+ *
+ * @param {string} ours - Our edit of base (the file on disk)
+ * @param {string} base - Common ancestor
+ * @param {string} theirs - Their edit of base (the template)
+ * @param {{oursLabel?: string, theirsLabel?: string}} labels
+ * @returns {{text: string, conflicts: number}}
+ */
+export function diff3Merge(ours, base, theirs, { oursLabel = 'ours', theirsLabel = 'theirs' } = {}) {
+  const o = splitLines(base);
+  const a = splitLines(ours);
+  const b = splitLines(theirs);
+  const ma = matchLines(o, a);
+  const mb = matchLines(o, b);
+
+  const merged = [];
+  let conflicts = 0;
+  let io = 0;
+  let ia = 0;
+  let ib = 0;
+
+  while (io < o.length || ia < a.length || ib < b.length) {
+    // Lines unchanged on both sides
+    while (io < o.length && ma[io] === ia && mb[io] === ib) {
+      merged.push(o[io]);
+      io++;
+      ia++;
+      ib++;
+    }
+    if (io >= o.length && ia >= a.length && ib >= b.length) break;
+
+    // Next base line both sides still share
+    let next = io;
+    while (next < o.length && (ma[next] === undefined || mb[next] === undefined)) next++;
+    const ja = next < o.length ? ma[next] : a.length;
+    const jb = next < o.length ? mb[next] : b.length;
+
+    const baseChunk = o.slice(io, next);
+    const ourChunk = a.slice(ia, ja);
+    const theirChunk = b.slice(ib, jb);
+
+    if (sameLines(ourChunk, baseChunk)) {
+      merged.push(...theirChunk);
+    } else if (sameLines(theirChunk, baseChunk) || sameLines(ourChunk, theirChunk)) {
+      merged.push(...ourChunk);
+    } else {
+      conflicts++;
+      merged.push(`<<<<<<< ${oursLabel}`, ...ourChunk, '=======', ...theirChunk, `>>>>>>> ${theirsLabel}`);
+    }
+
+    io = next;
+    ia = ja;
+    ib = jb;
+  }
+
+  return { text: merged.length > 0 ? merged.join('\n') + '\n' : '', conflicts };
+}
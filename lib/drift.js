@@ -0,0 +1,211 @@
+/**
+ * Mayor West Mode - Workflow Drift
+ *
+ * Compares the installed workflows with what this version's templates
+ * would generate, as parsed YAML rather than text: a re-indented file is
+ * not drift, a removed step or a changed schedule is. Differences can be
+ * accepted as intentional; they are recorded in the install manifest.
+ *
+ * @module drift
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { FILES_TO_CREATE, fileTemplates, resolveTemplateOptions } from './templates.js';
+import { getGitHubInfo, gitBlobHash } from './repo.js';
+import { detectInstalledOptions, readManifest } from './install.js';
+
+// The generated files drift detection compares
+export const DRIFT_FILES = Object.keys(FILES_TO_CREATE).filter(file => file.startsWith('.github/workflows/'));
+
+// `merge_method: 'squash'` (REST) and `mergeMethod: SQUASH` (GraphQL) in step scripts
+const MERGE_METHOD_PATTERN = /(?:merge_method|mergeMethod)\s*:\s*['"]?([A-Za-z]+)/;
+
+// Multi-line strings compare without trailing whitespace or blank edges
+function normalize(value) {
+  if (typeof value === 'string') {
+    return value.split('\n').map(line => line.trimEnd()).join('\n').trim();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, normalize(value[key])]));
+  }
+  return value;
+}
+
+function same(a, b) {
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+// `on: push`, `on: [push, pull_request]` and the mapping form, as a mapping
+function normalizeTriggers(on) {
+  if (typeof on === 'string') return { [on]: null };
+  if (Array.isArray(on)) return Object.fromEntries(on.map(event => [event, null]));
+  return on || {};
+}
+
+/**
+ * How a step is identified in messages and matched between files: its
+ * name, id, action or the first line of its script.
+ */
+export function stepLabel(step, index) {
+  return step.name || step.id || step.uses || (step.run ? step.run.split('\n')[0].trim() : `step ${index + 1}`);
+}
+
+function mergeMethodOf(step) {
+  const text = [step.run, step.with?.script].filter(Boolean).join('\n');
+  const match = text.match(MERGE_METHOD_PATTERN);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function difference(kind, pathName, message, actual) {
+  return {
+    kind,
+    path: pathName,
+    message,
+    key: `${kind}:${pathName}`,
+    // Part of an acceptance: a later change to the same place shows up again
+    hash: gitBlobHash(JSON.stringify(normalize(actual ?? null))),
+  };
+}
+
+function diffKeys(expected, actual) {
+  const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+  return keys.filter(key => !same(expected[key], actual[key]));
+}
+
+function diffSteps(jobId, expectedSteps, actualSteps, differences) {
+  const labelled = steps => steps.map((step, index) => ({ label: stepLabel(step, index), step }));
+  const expected = labelled(expectedSteps);
+  const actual = labelled(actualSteps);
+
+  expected.forEach(({ label, step }) => {
+    const match = actual.find(a => a.label === label);
+    const stepPath = `jobs.${jobId}.steps[${label}]`;
+    if (!match) {
+      differences.push(difference('step-removed', stepPath, `Step removed from job ${jobId}: ${label}`, null));
+      return;
+    }
+
+    const expectedMethod = mergeMethodOf(step);
+    const actualMethod = mergeMethodOf(match.step);
+    if (expectedMethod && actualMethod && expectedMethod !== actualMethod) {
+      differences.push(difference('merge-method-changed', stepPath,
+        `merge_method changed in ${jobId} / ${label}: ${expectedMethod} → ${actualMethod}`, actualMethod));
+      return;
+    }
+
+    const changed = diffKeys(step, match.step);
+    if (changed.length > 0) {
+      differences.push(difference('step-changed', stepPath,
+        `Step changed in job ${jobId}: ${label} (${changed.join(', ')})`, match.step));
+    }
+  });
+
+  actual
+    .filter(({ label }) => !expected.some(e => e.label === label))
+    .forEach(({ label, step }) => {
+      differences.push(difference('step-added', `jobs.${jobId}.steps[${label}]`, `Step added to job ${jobId}: ${label}`, step));
+    });
+}
+
+/**
+ * Semantic differences between a generated workflow and the installed one.
+ *
+ * @param {string} expectedSource - Rendered template
+ * @param {string} actualSource - Installed file
+ * @returns {Array<{kind: string, path: string, message: string, key: string, hash: string}>}
+ */
+export function workflowDrift(expectedSource, actualSource) {
+  const expected = yaml.load(expectedSource) || {};
+  let actual;
+  try {
+    actual = yaml.load(actualSource) || {};
+  } catch (e) {
+    return [difference('invalid-yaml', '', `Not valid YAML: ${e.reason || e.message}`, actualSource)];
+  }
+
+  const differences = [];
+
+  // Triggers
+  const expectedOn = normalizeTriggers(expected.on);
+  const actualOn = normalizeTriggers(actual.on);
+  const crons = on => (on.schedule || []).map(entry => entry.cron);
+  Object.keys(expectedOn).filter(event => !(event in actualOn)).forEach(event => {
+    differences.push(difference('trigger-removed', `on.${event}`, `Trigger removed: ${event}`, null));
+  });
+  Object.keys(actualOn).filter(event => !(event in expectedOn)).forEach(event => {
+    differences.push(difference('trigger-added', `on.${event}`, `Trigger added: ${event}`, actualOn[event]));
+  });
+  Object.keys(expectedOn).filter(event => event in actualOn && !same(expectedOn[event], actualOn[event])).forEach(event => {
+    if (event === 'schedule') {
+      differences.push(difference('schedule-changed', 'on.schedule',
+        `Schedule changed: ${crons(expectedOn).join(', ') || 'none'} → ${crons(actualOn).join(', ') || 'none'}`, actualOn.schedule));
+    } else {
+      differences.push(difference('trigger-changed', `on.${event}`, `Trigger changed: ${event}`, actualOn[event]));
+    }
+  });
+
+  // Workflow-level settings other than triggers and jobs
+  diffKeys({ ...expected, on: null, jobs: null }, { ...actual, on: null, jobs: null }).forEach(key => {
+    differences.push(difference('workflow-changed', key, `Workflow ${key} changed`, actual[key]));
+  });
+
+  // Jobs and their steps
+  const expectedJobs = expected.jobs || {};
+  const actualJobs = actual.jobs || {};
+  Object.keys(expectedJobs).forEach(jobId => {
+    const actualJob = actualJobs[jobId];
+    if (!actualJob) {
+      differences.push(difference('job-removed', `jobs.${jobId}`, `Job removed: ${jobId}`, null));
+      return;
+    }
+
+    const { steps: expectedSteps = [], ...expectedSettings } = expectedJobs[jobId];
+    const { steps: actualSteps = [], ...actualSettings } = actualJob;
+    diffKeys(expectedSettings, actualSettings).forEach(key => {
+      differences.push(difference('job-changed', `jobs.${jobId}.${key}`, `Job ${jobId} changed: ${key}`, actualSettings[key]));
+    });
+    diffSteps(jobId, expectedSteps, actualSteps, differences);
+  });
+  Object.keys(actualJobs).filter(jobId => !expectedJobs[jobId]).forEach(jobId => {
+    differences.push(difference('job-added', `jobs.${jobId}`, `Job added: ${jobId}`, actualJobs[jobId]));
+  });
+
+  return differences;
+}
+
+function isAccepted(accepted, file, diff) {
+  return accepted.some(entry => entry.file === file && entry.key === diff.key && entry.hash === diff.hash);
+}
+
+/**
+ * Drift of every installed workflow against the templates rendered with
+ * the repository's options.
+ *
+ * @param {string} [cwd] - Repository root
+ * @returns {Array<{file: string, differences: Array<Object>}>} Installed
+ *   workflows only; each difference has `accepted` set when it was recorded
+ *   as intentional
+ */
+export function detectDrift(cwd = process.cwd()) {
+  const templateOptions = resolveTemplateOptions({ ...getGitHubInfo(cwd), ...detectInstalledOptions(cwd) });
+  let accepted = [];
+  try {
+    accepted = readManifest(cwd)?.drift?.accepted || [];
+  } catch (e) {
+    // Unreadable manifest: nothing accepted
+  }
+
+  return DRIFT_FILES
+    .filter(file => fs.existsSync(path.join(cwd, file)))
+    .map(file => {
+      const actual = fs.readFileSync(path.join(cwd, file), 'utf-8');
+      const differences = workflowDrift(fileTemplates[file](templateOptions), actual)
+        .map(diff => ({ ...diff, accepted: isAccepted(accepted, file, diff) }));
+      return { file, differences };
+    });
+}
@@ -0,0 +1,126 @@
+/**
+ * Mayor West Mode - Verification Fixes
+ *
+ * Turn the `fix` attached to failed verify() checks into actions: render a
+ * missing file from its template, move a GitHub setting with the same gh
+ * command setup uses, or run a custom check's own fix.
+ *
+ * @module fix
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileTemplates, resolveTemplateOptions } from './templates.js';
+import { ensureDirectory, getGitHubInfo } from './repo.js';
+import { detectInstalledOptions, writeManifest, recordGitHubChanges } from './install.js';
+import { GITHUB_SETTINGS, applyGitHubSetting, formatSettingValue } from './github.js';
+import { policyTemplateOptions } from './policy-system.js';
+import { isInstalledFile } from './setup.js';
+
+function fixKey(check) {
+  if (check.fix.file) return `file:${check.fix.file}`;
+  if (check.fix.setting) return `setting:${check.fix.setting}`;
+  return `check:${check.id}`;
+}
+
+/**
+ * One action per file or setting, for every failed check that has a fix.
+ * Several checks can share a fix (a missing CODEOWNERS fails two checks).
+ *
+ * @param {Object} result - From verify()
+ * @param {Object} [options]
+ * @param {string} [options.token] - PAT for the GH_AW_AGENT_TOKEN secret; without it that fix is skipped
+ * @returns {Array<Object>} { key, checks, description, file?, setting?, value?, before?, branch?, apply?, skipped? }
+ */
+export function planFixes(result, { token } = {}) {
+  const fixes = new Map();
+
+  result.checks
+    .filter(check => !check.pass && check.fix)
+    .forEach(check => {
+      const key = fixKey(check);
+      if (fixes.has(key)) {
+        fixes.get(key).checks.push(check.id);
+        return;
+      }
+
+      const fix = { key, checks: [check.id], ...check.fix };
+      if (fix.file) {
+        fix.description = `Create ${fix.file} from the template`;
+      } else if (!fix.setting) {
+        fix.description = fix.description || `Fix ${check.name}`;
+      } else {
+        const setting = GITHUB_SETTINGS.find(s => s.key === fix.setting);
+        const label = fix.branch ? `${setting.label} (${fix.branch})` : setting.label;
+        fix.description = `${label}: ${formatSettingValue(fix.before, setting)} → ${formatSettingValue(fix.value, setting)}`;
+        if (fix.setting === 'agent_token_secret' && !token) {
+          fix.skipped = 'Set MAYOR_WEST_TOKEN to add the secret';
+        }
+      }
+      fixes.set(key, fix);
+    });
+
+  return [...fixes.values()];
+}
+
+/**
+ * Apply fixes from planFixes(). Created files are added to the install
+ * manifest and changed settings are recorded so uninstall can revert them.
+ *
+ * @param {Array<Object>} fixes
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository root, defaults to process.cwd()
+ * @param {string} [options.token] - PAT for the GH_AW_AGENT_TOKEN secret
+ * @param {Function} [options.onFix] - Called with (fix, error) after each fix
+ * @returns {{applied: Array<Object>, failed: Array<{fix: Object, error: string}>}}
+ */
+export function applyFixes(fixes, { cwd = process.cwd(), token, onFix = () => {} } = {}) {
+  const gitHubInfo = getGitHubInfo(cwd);
+  const templateOptions = resolveTemplateOptions({ ...gitHubInfo, ...detectInstalledOptions(cwd), ...policyTemplateOptions(cwd) });
+  const applied = [];
+  const failed = [];
+
+  fixes.filter(fix => !fix.skipped).forEach(fix => {
+    try {
+      if (fix.apply) {
+        fix.apply({ cwd });
+      } else if (fix.file) {
+        if (!isInstalledFile(fix.file, templateOptions)) {
+          throw new Error(`${fix.file} is not part of this install: auto-merge was disabled at setup`);
+        }
+        const fullPath = path.join(cwd, fix.file);
+        ensureDirectory(fullPath);
+        fs.writeFileSync(fullPath, fileTemplates[fix.file](templateOptions), 'utf-8');
+      } else {
+        if (!gitHubInfo) {
+          throw new Error('No GitHub remote found');
+        }
+        const setting = GITHUB_SETTINGS.find(s => s.key === fix.setting);
+        const change = { ...setting, before: fix.before, after: fix.value };
+        applyGitHubSetting({ ...gitHubInfo, branch: fix.branch }, change, { token });
+      }
+      applied.push(fix);
+      onFix(fix, null);
+    } catch (error) {
+      failed.push({ fix, error: error.message });
+      onFix(fix, error);
+    }
+  });
+
+  const files = applied.filter(fix => fix.file);
+  if (files.length > 0) {
+    writeManifest(templateOptions, files.map(fix => ({
+      path: fix.file,
+      rendered: fileTemplates[fix.file](templateOptions),
+    })), cwd);
+  }
+
+  const settings = applied.filter(fix => fix.setting);
+  recordGitHubChanges(
+    settings.map(fix => ({ key: fix.setting, before: fix.before })),
+    settings.find(fix => fix.branch)?.branch,
+    cwd
+  );
+
+  return { applied, failed };
+}
@@ -0,0 +1,289 @@
+/**
+ * Mayor West Mode - GitHub Repository Settings
+ *
+ * The repository settings Mayor West Mode depends on, read and changed
+ * through the gh CLI.
+ *
+ * @module github
+ */
+
+import { execSync } from 'child_process';
+import { MERGE_METHODS, resolveTemplateOptions } from './templates.js';
+import { getDefaultBranch } from './repo.js';
+
+export function isGhCliAuthenticated() {
+  try {
+    execSync('gh auth status', { stdio: 'pipe' });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+export function ghApiJson(endpoint) {
+  const output = execSync(`gh api ${endpoint}`, {
+    encoding: 'utf8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+  });
+  return JSON.parse(output);
+}
+
+/**
+ * A file's content at a ref, through the contents API and the gh CLI.
+ *
+ * @param {{owner: string, repo: string}} gitHubInfo
+ * @param {string} filePath - Repository-relative path
+ * @param {string} ref - Commit SHA, branch or tag
+ * @returns {string|null} null when the file does not exist at that ref
+ */
+export function ghFileContent({ owner, repo }, filePath, ref) {
+  try {
+    return execSync(`gh api -H "Accept: application/vnd.github.raw+json" "repos/${owner}/${repo}/contents/${filePath}?ref=${ref}"`, {
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      maxBuffer: 64 * 1024 * 1024,
+    });
+  } catch (error) {
+    if (/HTTP 404/.test(error.stderr || '')) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+export const AGENT_TOKEN_SECRET = 'GH_AW_AGENT_TOKEN';
+
+// Setup Step 2 (repository) and Step 3 (workflow permissions)
+export const REPOSITORY_SETTING_KEYS = [
+  'allow_auto_merge',
+  'delete_branch_on_merge',
+  'allow_squash_merge',
+  'allow_merge_commit',
+  'allow_rebase_merge',
+  'branch_protection',
+];
+export const WORKFLOW_SETTING_KEYS = ['default_workflow_permissions', 'can_approve_pull_request_reviews'];
+
+// Minimal rule with 1 required review (needed for auto-merge)
+export const BRANCH_PROTECTION_PAYLOAD = {
+  enforce_admins: false,
+  required_pull_request_reviews: {
+    dismiss_stale_reviews: false,
+    require_code_owner_reviews: false,
+    required_approving_review_count: 1,
+  },
+  required_status_checks: null,
+  restrictions: null,
+};
+
+/**
+ * Repository settings Mayor West Mode depends on. Each entry returns the
+ * gh command that moves the setting to `value`, so callers can run it or
+ * just print it. A function `desired` receives the template options; when it
+ * returns undefined the setting is left alone.
+ */
+export const GITHUB_SETTINGS = [
+  {
+    key: 'allow_auto_merge',
+    label: 'Allow auto-merge',
+    desired: (options) => (options.enableAutoMerge ? true : undefined),
+    command: ({ owner, repo }, value) =>
+      `gh api repos/${owner}/${repo} -X PATCH -F allow_auto_merge=${value} --silent`,
+  },
+  {
+    key: 'delete_branch_on_merge',
+    label: 'Automatically delete head branches',
+    desired: true,
+    command: ({ owner, repo }, value) =>
+      `gh api repos/${owner}/${repo} -X PATCH -F delete_branch_on_merge=${value} --silent`,
+  },
+  ...Object.values(MERGE_METHODS).map(({ method, setting }) => ({
+    key: setting,
+    label: `Allow ${method} merging`,
+    desired: (options) => (options.mergeMethod === method ? true : undefined),
+    command: ({ owner, repo }, value) =>
+      `gh api repos/${owner}/${repo} -X PATCH -F ${setting}=${value} --silent`,
+  })),
+  {
+    key: 'branch_protection',
+    label: 'Branch protection',
+    desired: true,
+    command: ({ owner, repo, branch }, value) => value
+      ? `echo '${JSON.stringify(BRANCH_PROTECTION_PAYLOAD)}' | gh api repos/${owner}/${repo}/branches/${branch}/protection -X PUT -H "Accept: application/vnd.github+json" --input -`
+      : `gh api repos/${owner}/${repo}/branches/${branch}/protection -X DELETE --silent`,
+  },
+  {
+    key: 'default_workflow_permissions',
+    label: 'Workflow permissions',
+    desired: 'write',
+    command: ({ owner, repo }, value) =>
+      `gh api repos/${owner}/${repo}/actions/permissions/workflow -X PUT -f default_workflow_permissions=${value} --silent`,
+  },
+  {
+    key: 'can_approve_pull_request_reviews',
+    label: 'Actions can approve pull requests',
+    desired: true,
+    command: ({ owner, repo }, value) =>
+      `gh api repos/${owner}/${repo}/actions/permissions/workflow -X PUT -F can_approve_pull_request_reviews=${value} --silent`,
+  },
+  {
+    key: 'agent_token_secret',
+    label: `${AGENT_TOKEN_SECRET} secret`,
+    desired: true,
+    format: (value) => (value ? 'present' : 'missing'),
+    // The token is piped on stdin so it never appears in the process list
+    command: ({ owner, repo }, value) => value
+      ? `gh secret set ${AGENT_TOKEN_SECRET} --repo ${owner}/${repo}`
+      : `gh secret delete ${AGENT_TOKEN_SECRET} --repo ${owner}/${repo}`,
+  },
+];
+
+/**
+ * Read the current value of every GITHUB_SETTINGS entry.
+ * Values that cannot be read (missing access, API errors) stay undefined.
+ *
+ * @param {{owner: string, repo: string}} gitHubInfo
+ * @param {string} [cwd] - Repository root, for the default branch when the API cannot tell
+ * @returns {{branch: string, settings: Object}}
+ */
+export function readGitHubSettings(gitHubInfo, cwd = process.cwd()) {
+  const { owner, repo } = gitHubInfo;
+  const settings = {};
+  let branch = getDefaultBranch(cwd);
+
+  try {
+    const repoData = ghApiJson(`repos/${owner}/${repo}`);
+    settings.allow_auto_merge = repoData.allow_auto_merge === true;
+    settings.delete_branch_on_merge = repoData.delete_branch_on_merge === true;
+    Object.values(MERGE_METHODS).forEach(({ setting }) => {
+      settings[setting] = repoData[setting] === true;
+    });
+    branch = repoData.default_branch || branch;
+  } catch (e) {
+    // Leave repository settings unknown
+  }
+
+  // A ruleset covering the branch counts; configure does not add a classic rule on top
+  try {
+    execSync(`gh api repos/${owner}/${repo}/branches/${branch}/protection`, { stdio: 'pipe' });
+    settings.branch_protection = true;
+  } catch (e) {
+    try {
+      settings.branch_protection = ghApiJson(`repos/${owner}/${repo}/rules/branches/${branch}`).length > 0;
+    } catch (rulesError) {
+      settings.branch_protection = false;
+    }
+  }
+
+  try {
+    const permissions = ghApiJson(`repos/${owner}/${repo}/actions/permissions/workflow`);
+    settings.default_workflow_permissions = permissions.default_workflow_permissions;
+    settings.can_approve_pull_request_reviews = permissions.can_approve_pull_request_reviews === true;
+  } catch (e) {
+    // Leave workflow permissions unknown
+  }
+
+  try {
+    const secrets = execSync(`gh api repos/${owner}/${repo}/actions/secrets --jq ".secrets[].name"`, {
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+    settings.agent_token_secret = secrets.split('\n').includes(AGENT_TOKEN_SECRET);
+  } catch (e) {
+    // Leave secret state unknown
+  }
+
+  return { branch, settings };
+}
+
+/**
+ * What actually protects a branch, combining classic branch protection and
+ * the repository rulesets that apply to it. GitHub enforces both, so the
+ * strictest value wins.
+ *
+ * @param {Object} sources
+ * @param {Object|null} sources.classic - `branches/{branch}/protection` response, null when unprotected
+ * @param {Array<Object>} [sources.rules] - `rules/branches/{branch}` response
+ * @param {Object} [sources.rulesets] - Ruleset responses keyed by id, for their bypass actors
+ * @returns {Object|null} { sources, statusChecks, requiredReviews, enforceAdmins,
+ *   allowForcePushes, allowDeletions, bypassActors }, or null when nothing protects the branch
+ */
+export function summarizeBranchProtection({ classic = null, rules = [], rulesets = {} }) {
+  const rulesetIds = [...new Set(rules.map(rule => rule.ruleset_id))];
+  if (!classic && rulesetIds.length === 0) {
+    return null;
+  }
+
+  const ofType = type => rules.filter(rule => rule.type === type);
+  const classicChecks = classic?.required_status_checks
+    ? [...(classic.required_status_checks.contexts || []), ...(classic.required_status_checks.checks || []).map(c => c.context)]
+    : [];
+  const rulesetChecks = ofType('required_status_checks')
+    .flatMap(rule => (rule.parameters?.required_status_checks || []).map(c => c.context));
+  const reviewCounts = [
+    classic?.required_pull_request_reviews?.required_approving_review_count ?? 0,
+    ...ofType('pull_request').map(rule => rule.parameters?.required_approving_review_count ?? 0),
+  ];
+
+  // A ruleset without bypass actors applies to admins too
+  const fetched = rulesetIds.map(id => rulesets[id]).filter(Boolean);
+  const bypassActors = fetched.flatMap(ruleset => (ruleset.bypass_actors || []).map(actor => ({ ruleset: ruleset.name, ...actor })));
+
+  return {
+    sources: [
+      ...(classic ? ['branch protection'] : []),
+      ...rulesetIds.map(id => (rulesets[id] ? `ruleset "${rulesets[id].name}"` : `ruleset ${id}`)),
+    ],
+    statusChecks: [...new Set([...classicChecks, ...rulesetChecks])],
+    requiredReviews: Math.max(...reviewCounts),
+    enforceAdmins: classic?.enforce_admins?.enabled === true
+      || fetched.some(ruleset => (ruleset.bypass_actors || []).length === 0),
+    allowForcePushes: (!classic || classic.allow_force_pushes?.enabled === true) && ofType('non_fast_forward').length === 0,
+    allowDeletions: (!classic || classic.allow_deletions?.enabled === true) && ofType('deletion').length === 0,
+    bypassActors,
+  };
+}
+
+/**
+ * Compare current settings with the desired ones.
+ *
+ * @param {Object} current - Settings from readGitHubSettings()
+ * @param {Object} options - Template options plus { keys, token }
+ * @returns {Array<Object>} One entry per setting with before/after/changed
+ */
+export function planGitHubSettings(current, options = {}) {
+  const keys = options.keys || GITHUB_SETTINGS.map(s => s.key);
+  const templateOptions = resolveTemplateOptions(options);
+
+  return GITHUB_SETTINGS
+    .filter(setting => keys.includes(setting.key))
+    .map(setting => {
+      const desired = typeof setting.desired === 'function' ? setting.desired(templateOptions) : setting.desired;
+      return { setting, desired };
+    })
+    .filter(({ desired }) => desired !== undefined)
+    .map(({ setting, desired }) => {
+      const before = current[setting.key];
+      const change = { ...setting, before, after: desired, changed: before !== desired };
+
+      // The secret can only be written when we have a token to write
+      if (setting.key === 'agent_token_secret' && change.changed && !options.token) {
+        return { ...change, after: before, changed: false, skipped: 'Set MAYOR_WEST_TOKEN to add the secret' };
+      }
+      return change;
+    });
+}
+
+export function applyGitHubSetting(target, change, options = {}) {
+  const command = change.command(target, change.after);
+  const input = change.key === 'agent_token_secret' ? options.token : undefined;
+  execSync(command, { stdio: 'pipe', shell: true, input });
+}
+
+export function formatSettingValue(value, setting = {}) {
+  if (value === undefined) return 'unknown';
+  if (setting.format) return setting.format(value);
+  if (value === true) return 'enabled';
+  if (value === false) return 'disabled';
+  return String(value);
+}
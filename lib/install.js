@@ -0,0 +1,380 @@
+/**
+ * Mayor West Mode - Install Manifest & Generated Files
+ *
+ * The install manifest records what setup wrote, so later runs can tell
+ * untouched files from edited ones and merge template changes into the
+ * latter. Paths are repository-relative and resolved against `cwd`.
+ *
+ * @module install
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import pkg from '../package.json' with { type: 'json' };
+import { FILES_TO_CREATE, MERGE_METHODS, fileTemplates, resolveTemplateOptions } from './templates.js';
+import { splitLines, diff3Merge } from './diff.js';
+import { ensureDirectory, getGitHubInfo, gitBlobHash } from './repo.js';
+
+// Written by setup: CLI version, answers and a hash of every generated file
+export const MANIFEST_PATH = '.github/mayor-west.lock.json';
+
+export const FILE_STATUS_LABELS = {
+  missing: 'missing',
+  unmodified: 'unmodified',
+  modified: 'locally modified',
+  outdated: 'generated by an older version',
+};
+
+// ============================================================================
+// INSTALL MANIFEST
+// ============================================================================
+
+/**
+ * Read the install manifest.
+ *
+ * @returns {Object|null} The manifest, or null when there is none
+ * @throws {Error} If the manifest exists but is not valid JSON
+ */
+export function readManifest(cwd = process.cwd()) {
+  const manifestPath = path.join(cwd, MANIFEST_PATH);
+  if (!fs.existsSync(manifestPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Unreadable ${MANIFEST_PATH}: ${e.message}`);
+  }
+}
+
+// An unreadable manifest is treated like a missing one; setup rewrites it
+function readManifestIfValid(cwd) {
+  try {
+    return readManifest(cwd);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Record the answers and the template output of this setup run. Entries for
+ * files not generated this time (e.g. after switching to minimal) are kept.
+ *
+ * @param {Object} templateOptions - Resolved template options
+ * @param {Array<{path: string, rendered: string}>} generatedFiles
+ * @returns {Object} The manifest written to MANIFEST_PATH
+ */
+export function writeManifest(templateOptions, generatedFiles, cwd = process.cwd()) {
+  const previous = readManifestIfValid(cwd);
+  const manifest = {
+    version: pkg.version,
+    options: {
+      mergeStrategy: templateOptions.mergeStrategy,
+      enableAutoMerge: templateOptions.enableAutoMerge,
+      iterationLimit: templateOptions.iterationLimit,
+      // From the policy file, when it has a commands section
+      ...(templateOptions.commands ? { commands: templateOptions.commands } : {}),
+    },
+    files: { ...(previous?.files || {}) },
+    ...(previous?.github ? { github: previous.github } : {}),
+    ...(previous?.drift ? { drift: previous.drift } : {}),
+  };
+
+  generatedFiles.forEach(file => {
+    const preexisting = previous?.files?.[file.path]?.preexisting || file.preexisting;
+    manifest.files[file.path] = {
+      hash: gitBlobHash(file.rendered),
+      version: pkg.version,
+      // Written merged with local edits: the template output never reaches
+      // git, and upgrade needs it as the merge base
+      ...(file.content !== undefined && file.content !== file.rendered ? { base: file.rendered } : {}),
+      // The project had this file before setup ran; uninstall leaves it alone
+      ...(preexisting ? { preexisting: true } : {}),
+    };
+  });
+
+  const manifestPath = path.join(cwd, MANIFEST_PATH);
+  ensureDirectory(manifestPath);
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
+  return manifest;
+}
+
+/**
+ * Remember the value each GitHub setting had before Mayor West changed it,
+ * so uninstall can put it back. The first recorded value wins.
+ *
+ * @param {Array<{key: string, before: *}>} changes - Applied changes
+ * @param {string} [branch] - Branch the protection rule was created on
+ */
+export function recordGitHubChanges(changes, branch, cwd = process.cwd()) {
+  const manifest = readManifestIfValid(cwd);
+  if (!manifest || changes.length === 0) return;
+
+  const previous = { ...(manifest.github?.previous || {}) };
+  changes
+    .filter(change => change.before !== undefined && !(change.key in previous))
+    .forEach(change => { previous[change.key] = change.before; });
+
+  manifest.github = { branch: branch || manifest.github?.branch || 'main', previous };
+  fs.writeFileSync(path.join(cwd, MANIFEST_PATH), JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Accept workflow differences as intentional, so `verify --drift` stops
+ * reporting them until that part of the file changes again.
+ *
+ * @param {Array<{file: string, key: string, hash: string}>} differences - From detectDrift()
+ * @throws {Error} When there is no install manifest to record them in
+ */
+export function recordAcceptedDrift(differences, cwd = process.cwd()) {
+  const manifest = readManifest(cwd);
+  if (!manifest) {
+    throw new Error(`No ${MANIFEST_PATH} to record accepted differences in. Run setup first.`);
+  }
+
+  const accepted = (manifest.drift?.accepted || [])
+    .filter(entry => !differences.some(diff => diff.file === entry.file && diff.key === entry.key));
+  differences.forEach(({ file, key, hash }) => accepted.push({ file, key, hash }));
+
+  manifest.drift = { accepted };
+  fs.writeFileSync(path.join(cwd, MANIFEST_PATH), JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Where a generated file stands compared with what setup wrote. Without a
+ * manifest entry the file is compared with the current template instead.
+ *
+ * @returns {'missing' | 'unmodified' | 'modified' | 'outdated'}
+ */
+export function getFileStatus(filePath, manifest, templateOptions, cwd = process.cwd()) {
+  const fullPath = path.join(cwd, filePath);
+  if (!fs.existsSync(fullPath)) return 'missing';
+
+  const current = fs.readFileSync(fullPath, 'utf-8');
+  const rendered = fileTemplates[filePath](templateOptions);
+  const entry = manifest?.files?.[filePath];
+
+  if (!entry) return current === rendered ? 'unmodified' : 'modified';
+  if (gitBlobHash(current) !== entry.hash) return 'modified';
+  // Untouched since setup, but this version's template renders differently
+  if (entry.version !== pkg.version && gitBlobHash(rendered) !== entry.hash) return 'outdated';
+  return 'unmodified';
+}
+
+/**
+ * Status of every file in FILES_TO_CREATE for the repository in cwd.
+ *
+ * @returns {{manifest: Object|null, files: Array<{path: string, displayName: string, status: string}>}}
+ */
+export function getInstallStatus(cwd = process.cwd()) {
+  const manifest = readManifestIfValid(cwd);
+  const templateOptions = resolveTemplateOptions({
+    ...getGitHubInfo(cwd),
+    ...detectInstalledOptions(cwd),
+  });
+
+  return {
+    manifest,
+    files: Object.entries(FILES_TO_CREATE).map(([filePath, config]) => ({
+      path: filePath,
+      displayName: config.displayName,
+      status: getFileStatus(filePath, manifest, templateOptions, cwd),
+    })),
+  };
+}
+
+// ============================================================================
+// RE-RUNNING SETUP OVER EXISTING FILES
+// ============================================================================
+
+/**
+ * The answers an earlier setup used: from the manifest when there is one,
+ * with the files it generated as `files`, otherwise recovered from the files
+ * it wrote. The template rendered with them serves as merge base.
+ */
+export function detectInstalledOptions(cwd = process.cwd()) {
+  const manifest = readManifestIfValid(cwd);
+  if (manifest?.options) {
+    return { ...manifest.options, files: Object.keys(manifest.files || {}) };
+  }
+
+  const options = {};
+  const configPath = path.join(cwd, '.github/mayor-west.yml');
+
+  try {
+    const config = yaml.load(fs.readFileSync(configPath, 'utf-8'));
+    const method = Object.values(MERGE_METHODS).find(m => m.method === config?.merge?.method);
+    if (method) {
+      options.mergeStrategy = method.method.toUpperCase();
+    }
+  } catch (e) {
+    // Missing or unreadable config - keep the default
+  }
+
+  try {
+    const settings = JSON.parse(fs.readFileSync(path.join(cwd, '.vscode/settings.json'), 'utf-8'));
+    if (settings['chat.agent.iterationLimit']) {
+      options.iterationLimit = settings['chat.agent.iterationLimit'];
+    }
+  } catch (e) {
+    // Missing or unreadable settings - keep the default
+  }
+
+  if (fs.existsSync(configPath)) {
+    options.enableAutoMerge = fs.existsSync(path.join(cwd, '.github/workflows/mayor-west-auto-merge.yml'));
+  }
+
+  return options;
+}
+
+function isCodeownersRule(line) {
+  const trimmed = line.trim();
+  return trimmed !== '' && !trimmed.startsWith('#');
+}
+
+/**
+ * Keep every CODEOWNERS rule the user added on top of the template's rules.
+ * Added rules go last, so they win over the template's (last match wins).
+ */
+function mergeCodeowners(ours, theirs) {
+  const normalize = line => line.trim().split(/\s+/).join(' ');
+  const templateRules = new Set(splitLines(theirs).filter(isCodeownersRule).map(normalize));
+  const added = splitLines(ours)
+    .filter(isCodeownersRule)
+    .filter(line => !templateRules.has(normalize(line)));
+
+  const lines = splitLines(theirs);
+  if (added.length > 0) {
+    lines.push('', '# Repository-specific owners', ...added);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Re-add protected paths from `ours` that a merge dropped from `merged`.
+ */
+function keepProtectedPaths(ours, merged) {
+  let ourPaths;
+  let mergedPaths;
+  try {
+    ourPaths = yaml.load(ours)?.protected_paths || [];
+    mergedPaths = yaml.load(merged)?.protected_paths || [];
+  } catch (e) {
+    return merged;
+  }
+
+  const missing = ourPaths.filter(protectedPath => !mergedPaths.includes(protectedPath));
+  const lines = splitLines(merged);
+  const start = lines.findIndex(line => line.startsWith('protected_paths:'));
+  if (missing.length === 0 || start === -1) return merged;
+
+  let end = start + 1;
+  while (end < lines.length && /^\s+-\s/.test(lines[end])) end++;
+  lines.splice(end, 0, ...missing.map(protectedPath => `  - ${JSON.stringify(protectedPath)}`));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Merge template changes into a generated file the user has edited.
+ *
+ * @param {string} filePath - Key of fileTemplates
+ * @param {{base: string, ours: string, theirs: string}} versions -
+ *   base: what setup wrote last time, ours: the file on disk,
+ *   theirs: what the template renders now
+ * @returns {{text: string, conflicts: number}}
+ */
+export function mergeGeneratedFile(filePath, { base, ours, theirs }) {
+  if (filePath === '.github/CODEOWNERS') {
+    return { text: mergeCodeowners(ours, theirs), conflicts: 0 };
+  }
+
+  const merged = diff3Merge(ours, base, theirs, { oursLabel: 'yours', theirsLabel: 'template' });
+  if (filePath === '.github/mayor-west.yml' && merged.conflicts === 0) {
+    merged.text = keepProtectedPaths(ours, merged.text);
+  }
+  return merged;
+}
+
+/**
+ * Decide what to write for every file setup generates. Existing files that
+ * differ from the template are merged; when the merge conflicts they are
+ * kept. `force` restores plain overwriting, and `resolve` lets a caller
+ * choose per file instead.
+ *
+ * @param {Object} filesToCreate - Subset of FILES_TO_CREATE
+ * @param {Object} templateOptions - Resolved template options
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Overwrite edited files
+ * @param {Function} [options.resolve] - async (entry, merged) => 'merge' | 'keep' | 'overwrite'
+ * @returns {Promise<Array<Object>>} One entry per file with
+ *   action ('create' | 'overwrite' | 'merge' | 'keep' | 'unchanged'),
+ *   the content to write and the content currently on disk
+ */
+export async function planFileWrites(filesToCreate, templateOptions, { force = false, resolve, cwd = process.cwd() } = {}) {
+  const previousOptions = resolveTemplateOptions({
+    owner: templateOptions.owner,
+    repo: templateOptions.repo,
+    ...detectInstalledOptions(cwd),
+  });
+  const manifest = readManifestIfValid(cwd);
+  const plan = [];
+
+  for (const [filePath, config] of Object.entries(filesToCreate)) {
+    const content = fileTemplates[filePath](templateOptions);
+    const entry = { path: filePath, displayName: config.displayName, content, rendered: content, current: null, conflicts: 0 };
+    plan.push(entry);
+
+    const fullPath = path.join(cwd, filePath);
+    if (!fs.existsSync(fullPath)) {
+      entry.action = 'create';
+      continue;
+    }
+    entry.preexisting = !manifest?.files?.[filePath];
+
+    entry.current = fs.readFileSync(fullPath, 'utf-8');
+    if (entry.current === content) {
+      entry.action = 'unchanged';
+      continue;
+    }
+    // Untouched since the last setup: nothing of the user's to lose
+    if (force || manifest?.files?.[filePath]?.hash === gitBlobHash(entry.current)) {
+      entry.action = 'overwrite';
+      continue;
+    }
+
+    const merged = mergeGeneratedFile(filePath, {
+      base: fileTemplates[filePath](previousOptions),
+      ours: entry.current,
+      theirs: content,
+    });
+
+    // Never write conflict markers without someone to resolve them
+    const action = resolve ? await resolve(entry, merged) : (merged.conflicts > 0 ? 'keep' : 'merge');
+
+    entry.conflicts = merged.conflicts;
+    if (action === 'merge') {
+      entry.content = merged.text;
+      entry.action = merged.text === entry.current ? 'keep' : 'merge';
+    } else {
+      entry.action = action;
+    }
+    if (entry.action === 'keep') {
+      entry.content = entry.current;
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Write one entry from planFileWrites() to disk. Kept and unchanged files
+ * are left alone.
+ *
+ * @returns {boolean} Whether the file was written
+ */
+export function writePlannedFile(file, cwd = process.cwd()) {
+  if (file.action === 'keep' || file.action === 'unchanged') return false;
+  const fullPath = path.join(cwd, file.path);
+  ensureDirectory(fullPath);
+  fs.writeFileSync(fullPath, file.content, 'utf-8');
+  return true;
+}
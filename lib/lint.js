@@ -0,0 +1,295 @@
+/**
+ * Mayor West Mode - Workflow Lint
+ *
+ * Static checks for the generated GitHub Actions workflows. The templates
+ * embed github-script code in template literals, where one escaping mistake
+ * produces a workflow that only fails once it runs on GitHub; this catches
+ * that locally: triggers and permissions, every `script:` body parsed as
+ * async JavaScript, and every `${{ }}` expression checked against the
+ * contexts it may use.
+ *
+ * @module lint
+ */
+
+import vm from 'vm';
+import yaml from 'js-yaml';
+import { stepLabel } from './drift.js';
+
+// Events a workflow can be triggered by
+const EVENTS = new Set([
+  'branch_protection_rule', 'check_run', 'check_suite', 'create', 'delete', 'deployment',
+  'deployment_status', 'discussion', 'discussion_comment', 'fork', 'gollum', 'issue_comment',
+  'issues', 'label', 'merge_group', 'milestone', 'page_build', 'public', 'pull_request',
+  'pull_request_review', 'pull_request_review_comment', 'pull_request_target', 'push',
+  'registry_package', 'release', 'repository_dispatch', 'schedule', 'status', 'watch',
+  'workflow_call', 'workflow_dispatch', 'workflow_run',
+]);
+
+// GITHUB_TOKEN permission scopes
+const PERMISSION_SCOPES = new Set([
+  'actions', 'attestations', 'checks', 'contents', 'deployments', 'discussions', 'id-token',
+  'issues', 'models', 'packages', 'pages', 'pull-requests', 'repository-projects',
+  'security-events', 'statuses',
+]);
+const PERMISSION_LEVELS = ['read', 'write', 'none'];
+
+/** Contexts a `${{ }}` expression may start with */
+export const EXPRESSION_CONTEXTS = [
+  'github', 'env', 'vars', 'secrets', 'steps', 'needs', 'job', 'jobs', 'runner', 'strategy', 'matrix', 'inputs',
+];
+
+// Expression functions, matched case-insensitively like GitHub does
+const EXPRESSION_FUNCTIONS = [
+  'contains', 'startswith', 'endswith', 'format', 'join', 'tojson', 'fromjson', 'hashfiles',
+  'success', 'always', 'cancelled', 'failure',
+];
+
+const EXPRESSION_LITERALS = ['true', 'false', 'null', 'NaN', 'Infinity'];
+
+// context.property chains, with an optional call: `steps.find_task.outputs.found`, `contains(`
+const REFERENCE_PATTERN = /([A-Za-z_][\w-]*)((?:\.[\w*-]+|\[[^\]]*\])*)\s*(\()?/g;
+const EXPRESSION_PATTERN = /\$\{\{([\s\S]*?)\}\}/g;
+
+function issue(pathName, message) {
+  return { path: pathName, message };
+}
+
+function properties(chain) {
+  return chain.split('.').slice(1).map(part => part.replace(/\[[^\]]*\]$/, ''));
+}
+
+/**
+ * Problems with one expression, without its `${{ }}`.
+ *
+ * @param {string} expression
+ * @param {{steps?: string[], needs?: string[]}} [scope] - Step ids that run
+ *   before the expression and the jobs its job needs; leave `steps` out
+ *   where the steps context is not available
+ * @returns {string[]}
+ */
+export function lintExpression(expression, scope = {}) {
+  // Strings cannot hold references; '' is an escaped quote
+  const code = expression.replace(/'(?:[^']|'')*'/g, "''");
+  if ((code.match(/'/g) || []).length % 2 !== 0) {
+    return [`Unterminated string in expression: ${expression.trim()}`];
+  }
+
+  const problems = [];
+  for (const [, name, chain, call] of code.matchAll(REFERENCE_PATTERN)) {
+    if (call) {
+      if (!chain && !EXPRESSION_FUNCTIONS.includes(name.toLowerCase())) problems.push(`Unknown function: ${name}()`);
+      continue;
+    }
+    if (EXPRESSION_LITERALS.includes(name)) continue;
+    if (!EXPRESSION_CONTEXTS.includes(name)) {
+      problems.push(`Unknown context: ${name}${chain}`);
+      continue;
+    }
+
+    const [first, second, third] = properties(chain);
+    const reference = `${name}${chain}`;
+    if (name === 'secrets' && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(first || '')) {
+      problems.push(`${reference} must name a secret: secrets.NAME`);
+    } else if (name === 'steps') {
+      if (!scope.steps) {
+        problems.push(`${reference}: the steps context is only available inside a job`);
+      } else if (!scope.steps.includes(first)) {
+        problems.push(`${reference} refers to step "${first}", which does not run before this point in the job`);
+      } else if (!['outputs', 'outcome', 'conclusion'].includes(second) || (second === 'outputs' && !third)) {
+        problems.push(`${reference} must be steps.<id>.outputs.<name>, .outcome or .conclusion`);
+      }
+    } else if (name === 'needs') {
+      if (!(scope.needs || []).includes(first)) {
+        problems.push(`${reference} refers to job "${first}", which this job does not need`);
+      } else if (!['outputs', 'result'].includes(second) || (second === 'outputs' && !third)) {
+        problems.push(`${reference} must be needs.<job>.outputs.<name> or .result`);
+      }
+    }
+  }
+  return problems;
+}
+
+// Every ${{ }} in the strings of a value
+function lintValue(value, pathName, scope, issues) {
+  if (typeof value === 'string') {
+    const unclosed = value.replace(EXPRESSION_PATTERN, '').includes('${{');
+    if (unclosed) issues.push(issue(pathName, 'Unclosed ${{ in expression'));
+    for (const [, expression] of value.matchAll(EXPRESSION_PATTERN)) {
+      lintExpression(expression, scope).forEach(message => issues.push(issue(pathName, message)));
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item, i) => lintValue(item, `${pathName}[${i}]`, scope, issues));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => lintValue(child, pathName ? `${pathName}.${key}` : key, scope, issues));
+  }
+}
+
+// `if:` is an expression with or without ${{ }}
+function lintCondition(condition, pathName, scope, issues) {
+  if (typeof condition !== 'string' || condition.includes('${{')) {
+    lintValue(condition, pathName, scope, issues);
+    return;
+  }
+  lintExpression(condition, scope).forEach(message => issues.push(issue(pathName, message)));
+}
+
+function lintTriggers(on, issues) {
+  if (on === undefined || on === null) {
+    issues.push(issue('on', 'No triggers: the workflow needs an on: block'));
+    return;
+  }
+  const events = typeof on === 'string' ? [on] : Array.isArray(on) ? on : Object.keys(on);
+  events.filter(event => !EVENTS.has(event)).forEach(event => {
+    issues.push(issue(`on.${event}`, `Unknown trigger: ${event}`));
+  });
+
+  if (on && typeof on === 'object' && !Array.isArray(on) && 'schedule' in on) {
+    if (!Array.isArray(on.schedule) || on.schedule.length === 0) {
+      issues.push(issue('on.schedule', 'on.schedule must be a list of - cron: entries'));
+      return;
+    }
+    on.schedule.forEach((entry, i) => {
+      const cron = entry?.cron;
+      const fields = typeof cron === 'string' ? cron.trim().split(/\s+/) : [];
+      if (fields.length !== 5 || !fields.every(field => /^[\d*/,A-Za-z-]+$/.test(field))) {
+        issues.push(issue(`on.schedule[${i}]`, `Invalid cron: ${JSON.stringify(cron ?? null)} (expected five fields)`));
+      }
+    });
+  }
+}
+
+function lintPermissions(permissions, pathName, issues) {
+  if (typeof permissions === 'string') {
+    if (!['read-all', 'write-all'].includes(permissions)) {
+      issues.push(issue(pathName, `${pathName} must be read-all, write-all or a mapping of scopes (got "${permissions}")`));
+    }
+    return;
+  }
+  if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+    issues.push(issue(pathName, `${pathName} must be read-all, write-all or a mapping of scopes`));
+    return;
+  }
+  Object.entries(permissions).forEach(([scope, level]) => {
+    if (!PERMISSION_SCOPES.has(scope)) {
+      issues.push(issue(`${pathName}.${scope}`, `Unknown permission: ${scope}`));
+    } else if (!PERMISSION_LEVELS.includes(level)) {
+      issues.push(issue(`${pathName}.${scope}`, `${pathName}.${scope} must be read, write or none (got ${JSON.stringify(level)})`));
+    }
+  });
+}
+
+// Parse a github-script body the way the action runs it: inside an async
+// function, after GitHub has replaced the ${{ }} expressions
+function lintScript(script, pathName, issues) {
+  if (typeof script !== 'string' || script.trim() === '') {
+    issues.push(issue(pathName, 'actions/github-script step without a script'));
+    return;
+  }
+  const code = script.replace(EXPRESSION_PATTERN, 'null');
+  try {
+    new vm.Script(`(async function () {\n${code}\n})`, { filename: 'script' });
+  } catch (e) {
+    const line = Number((e.stack || '').match(/^script:(\d+)/)?.[1]) - 1;
+    issues.push(issue(pathName, `Script does not parse: ${e.message}${line > 0 ? ` (line ${line} of the script)` : ''}`));
+  }
+}
+
+function lintJob(jobId, job, jobIds, hasWorkflowPermissions, issues) {
+  const jobPath = `jobs.${jobId}`;
+  if (!job || typeof job !== 'object') {
+    issues.push(issue(jobPath, `Job ${jobId} is empty`));
+    return;
+  }
+
+  const needs = job.needs === undefined ? [] : [].concat(job.needs);
+  needs.filter(need => !jobIds.includes(need)).forEach(need => {
+    issues.push(issue(`${jobPath}.needs`, `Job ${jobId} needs unknown job: ${need}`));
+  });
+  if (job.permissions !== undefined) {
+    lintPermissions(job.permissions, `${jobPath}.permissions`, issues);
+  } else if (!hasWorkflowPermissions) {
+    issues.push(issue(`${jobPath}.permissions`, `Job ${jobId} has no permissions block and gets the repository's default token permissions`));
+  }
+
+  // A reusable workflow call has no steps of its own
+  if (job.uses) {
+    lintValue(job.with, `${jobPath}.with`, { needs }, issues);
+    return;
+  }
+  if (!job['runs-on']) {
+    issues.push(issue(`${jobPath}.runs-on`, `Job ${jobId} has no runs-on`));
+  }
+  if (!Array.isArray(job.steps) || job.steps.length === 0) {
+    issues.push(issue(`${jobPath}.steps`, `Job ${jobId} has no steps`));
+    return;
+  }
+
+  const { steps, outputs, if: condition, ...settings } = job;
+  lintCondition(condition, `${jobPath}.if`, { needs }, issues);
+  lintValue(settings, jobPath, { needs }, issues);
+
+  const ids = [];
+  steps.forEach((step, index) => {
+    const label = stepLabel(step || {}, index);
+    const stepPath = `${jobPath}.steps[${label}]`;
+    if (!step || typeof step !== 'object' || (!step.uses && !step.run)) {
+      issues.push(issue(stepPath, `Step ${label} in job ${jobId} has neither uses nor run`));
+      return;
+    }
+
+    const scope = { needs, steps: [...ids] };
+    const { if: stepCondition, with: inputs, ...rest } = step;
+    lintCondition(stepCondition, `${stepPath}.if`, scope, issues);
+    lintValue(rest, stepPath, scope, issues);
+    lintValue(inputs, `${stepPath}.with`, scope, issues);
+    if (typeof step.uses === 'string' && step.uses.startsWith('actions/github-script@')) {
+      lintScript(inputs?.script, `${stepPath}.with.script`, issues);
+    }
+
+    if (step.id) {
+      if (ids.includes(step.id)) issues.push(issue(stepPath, `Duplicate step id in job ${jobId}: ${step.id}`));
+      ids.push(step.id);
+    }
+  });
+
+  lintValue(outputs, `${jobPath}.outputs`, { needs, steps: ids }, issues);
+}
+
+/**
+ * Problems with a workflow file. An empty list means it is valid as far as
+ * can be told without running it.
+ *
+ * @param {string} source - Workflow YAML
+ * @returns {Array<{path: string, message: string}>} `path` is where in the
+ *   workflow, e.g. `jobs.orchestrate.steps[Assign Copilot to Issue].with.script`
+ */
+export function lintWorkflow(source) {
+  let workflow;
+  try {
+    workflow = yaml.load(source);
+  } catch (e) {
+    return [issue('', `Not valid YAML: ${e.reason || e.message}`)];
+  }
+  if (!workflow || typeof workflow !== 'object' || Array.isArray(workflow)) {
+    return [issue('', 'A workflow must be a mapping with on: and jobs:')];
+  }
+
+  const issues = [];
+  lintTriggers(workflow.on, issues);
+  if (workflow.permissions !== undefined) {
+    lintPermissions(workflow.permissions, 'permissions', issues);
+  }
+
+  const { on, jobs, ...settings } = workflow;
+  lintValue(on, 'on', {}, issues);
+  lintValue(settings, '', {}, issues);
+
+  if (!jobs || typeof jobs !== 'object' || Object.keys(jobs).length === 0) {
+    issues.push(issue('jobs', 'No jobs'));
+    return issues;
+  }
+  Object.entries(jobs).forEach(([jobId, job]) => {
+    lintJob(jobId, job, Object.keys(jobs), workflow.permissions !== undefined, issues);
+  });
+  return issues;
+}
@@ -0,0 +1,125 @@
+/**
+ * Mayor West Mode - Task Planner
+ *
+ * Turn a goal broken down into tasks into `[MAYOR]` issues the
+ * orchestrator workflow picks up.
+ *
+ * @module plan
+ */
+
+import { execFileSync } from 'child_process';
+import { getGitHubInfo } from './repo.js';
+
+/**
+ * @typedef {Object} PlanTask
+ * @property {string} title - Issue title, without the [MAYOR] prefix
+ * @property {string} [context] - Why the task is needed
+ * @property {string[]} [criteria] - Acceptance criteria
+ */
+
+function normalizeTask(task) {
+  if (typeof task === 'string') {
+    return { title: task.trim(), context: '', criteria: [] };
+  }
+  return {
+    title: String(task.title || '').trim(),
+    context: (task.context || '').trim(),
+    criteria: (task.criteria || []).map(c => String(c).trim()).filter(c => c),
+  };
+}
+
+/**
+ * Markdown body of the issue created for a task.
+ *
+ * @param {PlanTask} task
+ * @param {string} goal - The high-level goal the task belongs to
+ * @returns {string}
+ */
+export function buildIssueBody(task, goal) {
+  const { title, context, criteria } = normalizeTask(task);
+
+  let body = `# [MAYOR] ${title}\n\n`;
+  body += `**Goal:** ${goal}\n\n`;
+
+  if (context) {
+    body += `## Context\n\n${context}\n\n`;
+  }
+
+  body += `## Acceptance Criteria\n\n`;
+  if (criteria.length > 0) {
+    criteria.forEach(c => {
+      body += `- [ ] ${c}\n`;
+    });
+  } else {
+    body += `- [ ] Implementation complete\n`;
+    body += `- [ ] Tests pass\n`;
+  }
+
+  body += `\n## Technical Notes\n\n`;
+  body += `*Add any technical details here.*\n\n`;
+  body += `---\n`;
+  body += `*Created by Mayor West Task Planner*`;
+  return body;
+}
+
+/**
+ * Create the issue for one task with the gh CLI.
+ *
+ * @param {{owner: string, repo: string}} repository
+ * @param {PlanTask} task
+ * @param {string} goal
+ * @returns {{title: string, number: string, url: string}}
+ * @throws {Error} If gh fails
+ */
+export function createTaskIssue({ owner, repo }, task, goal) {
+  const { title } = normalizeTask(task);
+  const body = buildIssueBody(task, goal);
+  // Arguments, not a shell string: titles and bodies are passed as written
+  const result = execFileSync(
+    'gh',
+    ['issue', 'create', '--repo', `${owner}/${repo}`, '--title', `[MAYOR] ${title}`, '--body', body, '--label', 'mayor-task'],
+    { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] }
+  );
+
+  const url = result.trim();
+  return { title, number: url.split('/').pop(), url };
+}
+
+/**
+ * Create one `[MAYOR]` issue per task.
+ *
+ * @param {Array<PlanTask|string>} tasks
+ * @param {Object} [options]
+ * @param {string} [options.goal] - Shown in every issue body, defaults to the first task
+ * @param {string} [options.owner] - GitHub owner, read from the origin remote when omitted
+ * @param {string} [options.repo] - GitHub repository name, read from the origin remote when omitted
+ * @param {string} [options.cwd] - Repository root used to find the remote
+ * @param {boolean} [options.dryRun=false] - Return the issues without creating them
+ * @returns {Promise<Array<Object>>} Per task { title, body } plus { number, url }
+ *   once created, or { error } when gh failed
+ * @throws {Error} When there are no tasks or no repository
+ */
+export async function plan(tasks, { goal, owner, repo, cwd = process.cwd(), dryRun = false } = {}) {
+  const normalized = (tasks || []).map(normalizeTask).filter(task => task.title);
+  if (normalized.length === 0) {
+    throw new Error('plan needs at least one task');
+  }
+
+  const repository = owner && repo ? { owner, repo } : getGitHubInfo(cwd);
+  if (!repository) {
+    throw new Error('Could not detect GitHub repository. Pass owner and repo, or add a GitHub remote.');
+  }
+
+  const planGoal = goal || normalized[0].title;
+  return normalized.map(task => {
+    const issue = { title: task.title, body: buildIssueBody(task, planGoal) };
+    if (dryRun) return issue;
+
+    try {
+      const { number, url } = createTaskIssue(repository, task, planGoal);
+      return { ...issue, number, url };
+    } catch (error) {
+      return { ...issue, error: error.message };
+    }
+  });
+}
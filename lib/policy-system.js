@@ -1,16 +1,34 @@
 /**
- * Mayor West Mode - Policy System Reference Implementation
- * 
- * This file provides starter code for implementing the custom policy system.
- * Use this as a foundation for building the policy parser and validator.
- * 
+ * Mayor West Mode - Policy System
+ *
+ * Custom policies in `.github/mayor-west-policies.yml`: parsed, validated
+ * and evaluated against a change (files, commit messages, labels). Used by
+ * `mayorwest policy` and importable from workflows through the package.
+ *
  * @module policy-system
- * @status Reference Implementation - Not Production Ready
  */
 
-const yaml = require('js-yaml');
-const fs = require('fs');
-const path = require('path');
+import yaml from 'js-yaml';
+import fs from 'fs';
+import path from 'path';
+import { ghApiJson, ghFileContent } from './github.js';
+import { DEFAULT_COMMAND_POLICY } from './commands.js';
+import {
+  DEFAULT_CHECK_TIMEOUT,
+  COVERAGE_FILES,
+  COMPLEXITY_EXTENSIONS,
+  runCheckCommand,
+  readCoverage,
+  complexityViolations,
+} from './quality.js';
+import {
+  DEPENDENCY_FILES,
+  ECOSYSTEMS,
+  readDependencies,
+  diffDependencies,
+  describeDependencyChange,
+  matchesPackage,
+} from './dependencies.js';
 
 // ============================================================================
 // CONSTANTS
@@ -20,6 +38,9 @@ const POLICY_FILE_PATH = '.github/mayor-west-policies.yml';
 
 const POLICY_SCHEMA_VERSION = '1.0';
 
+// The sections under `policies:`, in the order they are listed and evaluated
+const POLICY_CATEGORIES = ['files', 'commands', 'quality', 'dependencies', 'commits', 'pull_requests'];
+
 const DEFAULT_POLICY = {
   version: POLICY_SCHEMA_VERSION,
   enabled: true,
@@ -30,6 +51,7 @@ const DEFAULT_POLICY = {
       max_files_per_pr: 100,
       max_lines_per_file: 1000,
     },
+    commands: DEFAULT_COMMAND_POLICY,
     commits: {
       format: {
         pattern: '^\\[MAYOR\\]\\s+.{10,100}$',
@@ -77,6 +99,33 @@ function parsePolicyFile(filePath = POLICY_FILE_PATH) {
   return parsed;
 }
 
+/**
+ * Parse the policy file of a repository.
+ *
+ * @param {string} [cwd] - Repository root
+ * @returns {Object} Parsed and validated policy object
+ * @throws {Error} If the file doesn't exist or is invalid
+ */
+function loadPolicy(cwd = process.cwd()) {
+  return parsePolicyFile(path.join(cwd, POLICY_FILE_PATH));
+}
+
+/**
+ * Template options that come from the policy file: its commands policy,
+ * which the VS Code settings and agent instructions are generated from.
+ *
+ * @param {string} [cwd] - Repository root
+ * @returns {Object} {commands} or {} without a policy file or commands section
+ * @throws {Error} If the policy file is invalid
+ */
+function policyTemplateOptions(cwd = process.cwd()) {
+  if (!fs.existsSync(path.join(cwd, POLICY_FILE_PATH))) {
+    return {};
+  }
+  const commands = loadPolicy(cwd).policies.commands;
+  return commands ? { commands } : {};
+}
+
 /**
  * Validate policy object against expected schema
  * 
@@ -84,13 +133,19 @@ function parsePolicyFile(filePath = POLICY_FILE_PATH) {
  * @throws {Error} If schema validation fails
  */
 function validatePolicySchema(policy) {
+  if (!policy || typeof policy !== 'object') {
+    throw new Error('Policy file must be a YAML mapping');
+  }
+
   // Check version
   if (!policy.version) {
     throw new Error('Missing required field: version');
   }
 
-  if (policy.version !== POLICY_SCHEMA_VERSION) {
-    throw new Error(`Unsupported policy version: ${policy.version}. Expected: ${POLICY_SCHEMA_VERSION}`);
+  // `version: 1.0` unquoted is read as the number 1
+  const version = typeof policy.version === 'number' ? policy.version.toFixed(1) : String(policy.version);
+  if (version !== POLICY_SCHEMA_VERSION) {
+    throw new Error(`Unsupported policy version: ${version}. Expected: ${POLICY_SCHEMA_VERSION}`);
   }
 
   // Check enabled flag
@@ -153,15 +208,141 @@ function validateFilePolicy(filePolicy) {
 }
 
 function validateCommandPolicy(commandPolicy) {
-  // TODO: Implement command policy validation
+  // allowed rules explain themselves with a description, blocked ones a reason
+  [['allowed', 'description'], ['blocked', 'reason']].forEach(([list, explanation]) => {
+    const rules = commandPolicy[list];
+    if (rules === undefined) return;
+    if (!Array.isArray(rules)) {
+      throw new Error(`commands.${list} must be an array`);
+    }
+    rules.forEach((rule, index) => {
+      const where = `commands.${list}[${index}]`;
+      if (!rule || typeof rule.pattern !== 'string' || !rule.pattern) {
+        throw new Error(`${where}.pattern is required`);
+      }
+      try {
+        new RegExp(rule.pattern);
+      } catch (err) {
+        throw new Error(`Invalid regex in ${where}.pattern: ${err.message}`);
+      }
+      if (rule[explanation] !== undefined && typeof rule[explanation] !== 'string') {
+        throw new Error(`${where}.${explanation} must be a string`);
+      }
+    });
+  });
 }
 
+// Limits in quality.complexity, all positive whole numbers
+const COMPLEXITY_LIMITS = ['max_cyclomatic_complexity', 'max_function_length', 'max_file_length'];
+
 function validateQualityPolicy(qualityPolicy) {
-  // TODO: Implement quality policy validation
+  const checks = qualityPolicy.required_checks;
+  if (checks !== undefined) {
+    if (!Array.isArray(checks)) {
+      throw new Error('quality.required_checks must be an array');
+    }
+    const names = new Set();
+    checks.forEach((check, index) => {
+      const where = `quality.required_checks[${index}]`;
+      if (!check || typeof check.name !== 'string' || !check.name) {
+        throw new Error(`${where}.name is required`);
+      }
+      if (names.has(check.name)) {
+        throw new Error(`Duplicate check name in quality.required_checks: ${check.name}`);
+      }
+      names.add(check.name);
+      if (typeof check.command !== 'string' || !check.command.trim()) {
+        throw new Error(`${where}.command is required`);
+      }
+      if (check.must_pass !== undefined && typeof check.must_pass !== 'boolean') {
+        throw new Error(`${where}.must_pass must be true or false`);
+      }
+      if (check.min_coverage !== undefined && !(typeof check.min_coverage === 'number' && check.min_coverage >= 0 && check.min_coverage <= 100)) {
+        throw new Error(`${where}.min_coverage must be a percentage from 0 to 100`);
+      }
+      if (check.timeout !== undefined && !(typeof check.timeout === 'number' && check.timeout > 0)) {
+        throw new Error(`${where}.timeout must be a positive number of seconds`);
+      }
+      if (check.coverage_file !== undefined && typeof check.coverage_file !== 'string') {
+        throw new Error(`${where}.coverage_file must be a path`);
+      }
+    });
+  }
+
+  const complexity = qualityPolicy.complexity;
+  if (complexity !== undefined) {
+    if (!complexity || typeof complexity !== 'object' || Array.isArray(complexity)) {
+      throw new Error('quality.complexity must be a mapping');
+    }
+    COMPLEXITY_LIMITS.forEach(limit => {
+      if (complexity[limit] !== undefined && !(Number.isInteger(complexity[limit]) && complexity[limit] > 0)) {
+        throw new Error(`quality.complexity.${limit} must be a positive whole number`);
+      }
+    });
+  }
 }
 
+const DEPENDENCY_MODES = ['whitelist', 'blacklist', 'approval_required'];
+
+// When an approval_required rule applies to a dependency change
+const DEPENDENCY_CONDITIONS = {
+  new_dependency: change => change.direct && change.type === 'added',
+  removed_dependency: change => change.direct && change.type === 'removed',
+  major_version_bump: change => change.direct && change.major,
+  version_change: change => change.direct && (change.type === 'upgraded' || change.type === 'downgraded'),
+  transitive_change: change => !change.direct,
+  any_change: () => true,
+};
+
 function validateDependencyPolicy(dependencyPolicy) {
-  // TODO: Implement dependency policy validation
+  if (dependencyPolicy.mode !== undefined && !DEPENDENCY_MODES.includes(dependencyPolicy.mode)) {
+    throw new Error(`dependencies.mode must be one of ${DEPENDENCY_MODES.join(', ')}`);
+  }
+
+  ['whitelist', 'blacklist'].forEach(list => {
+    const packages = dependencyPolicy[list];
+    if (packages === undefined) return;
+    if (!packages || typeof packages !== 'object' || Array.isArray(packages)) {
+      throw new Error(`dependencies.${list} must map ecosystems (${ECOSYSTEMS.join(', ')}) to package lists`);
+    }
+    Object.entries(packages).forEach(([ecosystem, patterns]) => {
+      if (!ECOSYSTEMS.includes(ecosystem)) {
+        throw new Error(`Unknown ecosystem in dependencies.${list}: ${ecosystem}. Expected: ${ECOSYSTEMS.join(', ')}`);
+      }
+      if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string')) {
+        throw new Error(`dependencies.${list}.${ecosystem} must be a list of package names`);
+      }
+    });
+  });
+  if (dependencyPolicy.mode === 'whitelist' && !dependencyPolicy.whitelist) {
+    throw new Error('dependencies.whitelist is required in whitelist mode');
+  }
+
+  const rules = dependencyPolicy.approval_required;
+  if (dependencyPolicy.mode === 'approval_required' && !(Array.isArray(rules) && rules.length > 0)) {
+    throw new Error('dependencies.approval_required needs at least one rule in approval_required mode');
+  }
+  if (rules !== undefined) {
+    if (!Array.isArray(rules)) {
+      throw new Error('dependencies.approval_required must be an array');
+    }
+    rules.forEach((rule, index) => {
+      const where = `dependencies.approval_required[${index}]`;
+      if (!rule || !Object.hasOwn(DEPENDENCY_CONDITIONS, rule.condition)) {
+        throw new Error(`${where}.condition must be one of ${Object.keys(DEPENDENCY_CONDITIONS).join(', ')}`);
+      }
+      if (rule.label === undefined && rule.notify === undefined) {
+        throw new Error(`${where} needs a label or notify`);
+      }
+      if (rule.label !== undefined && typeof rule.label !== 'string') {
+        throw new Error(`${where}.label must be a string`);
+      }
+      const notify = [].concat(rule.notify ?? []);
+      if (notify.some(reviewer => typeof reviewer !== 'string')) {
+        throw new Error(`${where}.notify must be a @user or @org/team, or a list of them`);
+      }
+    });
+  }
 }
 
 function validateCommitPolicy(commitPolicy) {
@@ -178,8 +359,114 @@ function validateCommitPolicy(commitPolicy) {
   }
 }
 
+// Files the touches_* conditions of pull_requests look for
+const TEST_FILE_PATTERNS = ['**/*.test.*', '**/*.spec.*', '**/test/**', '**/tests/**', '**/__tests__/**'];
+const SECURITY_FILE_PATTERNS = [
+  '**/auth/**',
+  '**/security/**',
+  '**/*secret*',
+  '**/*crypto*',
+  '**/*.pem',
+  '**/*.key',
+  '.github/workflows/**',
+  '**/CODEOWNERS',
+  'SECURITY.md',
+];
+
+const touchesAny = patterns => ({ files }) => files.some(file => patterns.some(pattern => matchesPattern(file.filename, pattern)));
+
+// Conditions for pull_requests.auto_add_labels and required_reviewers, by
+// name. `dependencies` is null when the dependency changes are not known;
+// has_dependency_change then looks for a changed manifest
+const PR_CONDITIONS = {
+  has_dependency_change: ({ files, dependencies }) => (dependencies
+    ? dependencies.length > 0
+    : files.some(file => Object.hasOwn(DEPENDENCY_FILES, file.filename))),
+  dependency_added: ({ dependencies }) => (dependencies || []).some(DEPENDENCY_CONDITIONS.new_dependency),
+  dependency_removed: ({ dependencies }) => (dependencies || []).some(DEPENDENCY_CONDITIONS.removed_dependency),
+  major_version_bump: ({ dependencies }) => (dependencies || []).some(DEPENDENCY_CONDITIONS.major_version_bump),
+  touches_test_files: touchesAny(TEST_FILE_PATTERNS),
+  touches_security_files: touchesAny(SECURITY_FILE_PATTERNS),
+  touches_workflow_files: touchesAny(['.github/workflows/**']),
+};
+
+// What `files_changed > 10` and the like compare
+const PR_MEASURES = {
+  files_changed: ({ files }) => files.length,
+  lines_changed: ({ files }) => files.reduce((sum, file) => sum + (file.additions || 0) + (file.deletions || 0), 0),
+  additions: ({ files }) => files.reduce((sum, file) => sum + (file.additions || 0), 0),
+  deletions: ({ files }) => files.reduce((sum, file) => sum + (file.deletions || 0), 0),
+};
+
+const COMPARISONS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+// A condition as a test of {files, dependencies}: a name from PR_CONDITIONS,
+// `<measure> <op> <n>` or `touches <glob>`. Null when it is none of those
+function prCondition(condition) {
+  const text = String(condition ?? '').trim();
+  if (Object.hasOwn(PR_CONDITIONS, text)) {
+    return PR_CONDITIONS[text];
+  }
+  const comparison = text.match(/^(\w+)\s*(>=|<=|==|!=|>|<)\s*(\d+)$/);
+  if (comparison && Object.hasOwn(PR_MEASURES, comparison[1])) {
+    const [, measure, operator, value] = comparison;
+    return change => COMPARISONS[operator](PR_MEASURES[measure](change), Number(value));
+  }
+  const touches = text.match(/^touches\s+(\S+)$/);
+  if (touches) {
+    return touchesAny([touches[1]]);
+  }
+  return null;
+}
+
 function validatePRPolicy(prPolicy) {
-  // TODO: Implement PR policy validation
+  if (prPolicy.title !== undefined) {
+    if (!prPolicy.title?.pattern) {
+      throw new Error('pull_requests.title.pattern is required');
+    }
+    try {
+      new RegExp(prPolicy.title.pattern);
+    } catch (err) {
+      throw new Error(`Invalid regex in pull_requests.title.pattern: ${err.message}`);
+    }
+  }
+
+  const isTextList = list => Array.isArray(list) && list.every(item => typeof item === 'string' && item.trim());
+  const sections = prPolicy.description?.required_sections;
+  if (sections !== undefined && !isTextList(sections)) {
+    throw new Error('pull_requests.description.required_sections must be a list of headings');
+  }
+  if (prPolicy.required_labels !== undefined && !isTextList(prPolicy.required_labels)) {
+    throw new Error('pull_requests.required_labels must be a list of labels');
+  }
+
+  const conditions = `${Object.keys(PR_CONDITIONS).join(', ')}, "<${Object.keys(PR_MEASURES).join('|')}> <op> <n>" or "touches <glob>"`;
+  ['auto_add_labels', 'required_reviewers'].forEach(list => {
+    const rules = prPolicy[list];
+    if (rules === undefined) return;
+    if (!Array.isArray(rules)) {
+      throw new Error(`pull_requests.${list} must be an array`);
+    }
+    rules.forEach((rule, index) => {
+      const where = `pull_requests.${list}[${index}]`;
+      if (!rule || !prCondition(rule.condition)) {
+        throw new Error(`${where}.condition must be one of ${conditions}`);
+      }
+      if (list === 'auto_add_labels' && !isTextList([rule.label])) {
+        throw new Error(`${where}.label is required`);
+      }
+      if (list === 'required_reviewers' && !(isTextList([].concat(rule.reviewers ?? [])) && rule.reviewers?.length > 0)) {
+        throw new Error(`${where}.reviewers must be a @user or @org/team, or a list of them`);
+      }
+    });
+  });
 }
 
 function validateOverrides(overrides) {
@@ -222,30 +509,17 @@ function validateFiles(files, policy) {
     );
   }
 
-  // 2. Check each file against patterns
+  // 2. Check each file against patterns (a blocked pattern takes precedence)
   for (const file of files) {
-    // Check blocked patterns first (takes precedence)
-    if (filePolicy.blocked_patterns) {
-      for (const pattern of filePolicy.blocked_patterns) {
-        if (matchesPattern(file.filename, pattern)) {
-          violations.push(
-            `File ${file.filename} matches blocked pattern: ${pattern}`
-          );
-          break; // One violation per file is enough
-        }
-      }
-    }
-
-    // Check allowed patterns (if present, acts as whitelist)
-    if (filePolicy.allowed_patterns && filePolicy.allowed_patterns.length > 0) {
-      const isAllowed = filePolicy.allowed_patterns.some(pattern =>
-        matchesPattern(file.filename, pattern)
+    const decision = checkFilePatterns(file.filename, filePolicy);
+    if (decision.reason === 'blocked') {
+      violations.push(
+        `File ${file.filename} matches blocked pattern: ${decision.pattern}`
+      );
+    } else if (decision.reason === 'not allowed') {
+      violations.push(
+        `File ${file.filename} not in allowed patterns`
       );
-      if (!isAllowed) {
-        violations.push(
-          `File ${file.filename} not in allowed patterns`
-        );
-      }
     }
 
     // Check max lines per file
@@ -265,6 +539,27 @@ function validateFiles(files, policy) {
   };
 }
 
+/**
+ * Whether the file patterns allow one file, and which pattern decided it
+ *
+ * @param {string} filename - File path to check
+ * @param {Object} filePolicy - policies.files
+ * @returns {Object} {allowed: boolean, pattern: string|null, reason: 'blocked'|'not allowed'|null}
+ */
+function checkFilePatterns(filename, filePolicy = {}) {
+  const blocked = (filePolicy.blocked_patterns || []).find(pattern => matchesPattern(filename, pattern));
+  if (blocked) {
+    return { allowed: false, pattern: blocked, reason: 'blocked' };
+  }
+
+  const allowedPatterns = filePolicy.allowed_patterns || [];
+  const allowed = allowedPatterns.find(pattern => matchesPattern(filename, pattern));
+  if (allowedPatterns.length > 0 && !allowed) {
+    return { allowed: false, pattern: null, reason: 'not allowed' };
+  }
+  return { allowed: true, pattern: allowed || null, reason: null };
+}
+
 /**
  * Check if a filename matches a glob pattern
  * 
@@ -274,19 +569,148 @@ function validateFiles(files, policy) {
  */
 function matchesPattern(filename, pattern) {
   // Convert glob pattern to regex
+  // **/ → (?:.*/)? (any directories, or none: **/*.sql matches a.sql)
   // ** → .* (any characters including /)
   // * → [^/]* (any characters except /)
   // . → \. (literal dot)
   const regexPattern = pattern
     .replace(/\./g, '\\.')
-    .replace(/\*\*/g, '§§§') // Temporary placeholder
+    .replace(/\*\*\//g, '§§/§') // Temporary placeholders
+    .replace(/\*\*/g, '§§§')
     .replace(/\*/g, '[^/]*')
+    .replace(/§§\/§/g, '(?:.*/)?')
     .replace(/§§§/g, '.*');
 
   const regex = new RegExp(`^${regexPattern}$`);
   return regex.test(filename);
 }
 
+/**
+ * Validate dependency changes against the dependency policy. Blacklisted
+ * packages may not be added, directly or transitively; in whitelist mode a
+ * new direct dependency must be listed. approval_required rules name the
+ * label and reviewers a change needs; in approval_required mode a change
+ * whose label is missing is a violation.
+ *
+ * @param {Array<Object>} changes - From diffDependencies()
+ * @param {Object} policy - Parsed policy object
+ * @param {Array<string>} [labels] - Labels on the change; a rule's label approves it
+ * @returns {Object} {passed, violations, approvals: [{condition, label, notify, packages, approved}],
+ *   requiredLabels, reviewers}
+ */
+function validateDependencies(changes, policy, labels = []) {
+  const dependencyPolicy = policy.policies.dependencies || {};
+  const violations = [];
+  const listed = (list, change) => (dependencyPolicy[list]?.[change.ecosystem] || [])
+    .find(pattern => matchesPackage(change.name, pattern, change.ecosystem));
+
+  changes.filter(change => change.type === 'added').forEach(change => {
+    const blacklisted = listed('blacklist', change);
+    if (blacklisted) {
+      violations.push(`${describeDependencyChange(change)} is blacklisted (matches ${blacklisted})`);
+    } else if (dependencyPolicy.mode === 'whitelist' && change.direct && !listed('whitelist', change)) {
+      violations.push(`${describeDependencyChange(change)} is not in the whitelist`);
+    }
+  });
+
+  const approvals = (dependencyPolicy.approval_required || []).flatMap(rule => {
+    const matching = changes.filter(DEPENDENCY_CONDITIONS[rule.condition]);
+    if (matching.length === 0) return [];
+    return [{
+      condition: rule.condition,
+      label: rule.label ?? null,
+      notify: [].concat(rule.notify ?? []),
+      packages: matching.map(describeDependencyChange),
+      approved: Boolean(rule.label && labels.includes(rule.label)),
+    }];
+  });
+  if (dependencyPolicy.mode === 'approval_required') {
+    approvals.filter(approval => approval.label && !approval.approved).forEach(approval => {
+      violations.push(`Needs the "${approval.label}" label (${approval.condition}): ${approval.packages.join(', ')}`);
+    });
+  }
+
+  const pending = approvals.filter(approval => !approval.approved);
+  return {
+    passed: violations.length === 0,
+    violations,
+    approvals,
+    requiredLabels: [...new Set(pending.map(approval => approval.label).filter(Boolean))],
+    reviewers: [...new Set(pending.flatMap(approval => approval.notify))],
+  };
+}
+
+/**
+ * Validate a pull request against the pull request policy: the title
+ * pattern, the sections the description must have and the required labels.
+ * auto_add_labels and required_reviewers rules whose condition the change
+ * meets are actions to take rather than violations; a rule with an unknown
+ * condition, or an invalid title pattern, is a violation.
+ *
+ * @param {Object} pr - {title, body, labels, dependencies}; labels are names or
+ *   {name} objects, dependencies come from diffDependencies() when known
+ * @param {Array<Object>} files - {filename, additions, deletions}
+ * @param {Object} policy - Parsed policy object
+ * @returns {Object} {passed, violations, actions: [{condition, label} or {condition, reviewers}],
+ *   labelsToAdd, reviewers}. labelsToAdd leaves out labels the pull request already has
+ */
+function validatePullRequest(pr, files, policy) {
+  const result = { passed: true, violations: [], actions: [], labelsToAdd: [], reviewers: [] };
+  const prPolicy = policy.policies?.pull_requests;
+  if (!policy.enabled || !prPolicy) {
+    return result;
+  }
+
+  const labels = (pr.labels || []).map(label => label?.name ?? label);
+  const violations = result.violations;
+  if (prPolicy.title?.pattern) {
+    let titlePattern = null;
+    try {
+      titlePattern = new RegExp(prPolicy.title.pattern);
+    } catch (err) {
+      violations.push(`Invalid regex in pull_requests.title.pattern: ${err.message}`);
+    }
+    if (titlePattern && !titlePattern.test(pr.title || '')) {
+      violations.push(`Title doesn't match required format: ${prPolicy.title.example || prPolicy.title.pattern}`);
+    }
+  }
+
+  // "## Fixes #" is found on the line "## Fixes #123"
+  const lines = (pr.body || '').split('\n').map(line => line.trim());
+  (prPolicy.description?.required_sections || []).forEach(section => {
+    if (!lines.some(line => line.startsWith(section.trim()))) {
+      violations.push(`Description is missing the "${section}" section`);
+    }
+  });
+
+  (prPolicy.required_labels || []).forEach(label => {
+    if (!labels.includes(label)) {
+      violations.push(`Missing required label: ${label}`);
+    }
+  });
+
+  // The policy may not have been through validatePolicySchema()
+  const change = { files, dependencies: pr.dependencies ?? null };
+  const applies = list => rule => {
+    const condition = prCondition(rule?.condition);
+    if (!condition) {
+      violations.push(`Unknown condition in pull_requests.${list}: ${rule?.condition ?? '(none)'}`);
+      return false;
+    }
+    return condition(change);
+  };
+  result.actions = [
+    ...(prPolicy.auto_add_labels || []).filter(applies('auto_add_labels'))
+      .map(rule => ({ condition: rule.condition, label: rule.label })),
+    ...(prPolicy.required_reviewers || []).filter(applies('required_reviewers'))
+      .map(rule => ({ condition: rule.condition, reviewers: [].concat(rule.reviewers ?? []) })),
+  ];
+  result.labelsToAdd = [...new Set(result.actions.map(action => action.label).filter(label => label && !labels.includes(label)))];
+  result.reviewers = [...new Set(result.actions.flatMap(action => action.reviewers || []))];
+  result.passed = violations.length === 0;
+  return result;
+}
+
 /**
  * Validate commit message against commit policies
  * 
@@ -306,10 +730,10 @@ function validateCommitMessage(message, policy) {
     return { passed: true, violations: [] };
   }
 
-  // Check format
+  // Check format of the subject line
   if (commitPolicy.format && commitPolicy.format.pattern) {
     const regex = new RegExp(commitPolicy.format.pattern);
-    if (!regex.test(message)) {
+    if (!regex.test(message.split('\n')[0])) {
       violations.push(
         `Commit message doesn't match required format: ${commitPolicy.format.example || commitPolicy.format.pattern}`
       );
@@ -334,6 +758,33 @@ function validateCommitMessage(message, policy) {
   };
 }
 
+/**
+ * Look up a terminal command in the command policy. A blocked rule wins
+ * over an allowed one, as it does in VS Code.
+ *
+ * @param {string} command - Command line, e.g. "git push --force"
+ * @param {Object} policy - Parsed policy object
+ * @returns {Object} {status: 'allowed'|'blocked'|'unlisted', rule: Object|null, reason: string}.
+ *   Unlisted commands are neither auto-approved nor blocked: they need approval
+ */
+function validateCommand(command, policy) {
+  if (!policy.enabled) {
+    return { status: 'unlisted', rule: null, reason: 'Policies disabled' };
+  }
+
+  const commandPolicy = policy.policies?.commands || DEFAULT_COMMAND_POLICY;
+  const matches = rule => new RegExp(rule.pattern).test(command.trim());
+  const blocked = (commandPolicy.blocked || []).find(matches);
+  if (blocked) {
+    return { status: 'blocked', rule: blocked, reason: blocked.reason || `Matches blocked pattern: ${blocked.pattern}` };
+  }
+  const allowed = (commandPolicy.allowed || []).find(matches);
+  if (allowed) {
+    return { status: 'allowed', rule: allowed, reason: allowed.description || `Matches allowed pattern: ${allowed.pattern}` };
+  }
+  return { status: 'unlisted', rule: null, reason: 'No rule matches; the command needs approval' };
+}
+
 /**
  * Check if issue has bypass labels
  * 
@@ -372,6 +823,173 @@ function checkBypass(issueLabels, policy) {
   return { hasBypass: false, bypassType: null, bypasses: [] };
 }
 
+// A copy of the policy without the bypassed rules: "quality" drops a
+// category, "files.max_files_per_pr" one rule and
+// "quality.required_checks.lint" the entry named lint
+function withoutBypassed(policy, bypasses) {
+  const copy = structuredClone(policy);
+  bypasses.forEach(bypass => {
+    const keys = bypass.split('.');
+    const last = keys[keys.length - 1];
+    const parent = keys.slice(0, -1).reduce((node, key) => node?.[key], copy.policies);
+    if (Array.isArray(parent)) {
+      const index = parent.findIndex(entry => entry?.name === last);
+      if (index >= 0) parent.splice(index, 1);
+    } else if (parent && typeof parent === 'object') {
+      delete parent[last];
+    }
+  });
+  return copy;
+}
+
+/**
+ * Evaluate the policies against a change
+ *
+ * @param {Object} policy - Parsed policy object
+ * @param {Object} change
+ * @param {Array<Object>} [change.files] - {filename, additions, deletions}
+ * @param {Array<string>} [change.commits] - Commit messages
+ * @param {Array<Object>} [change.dependencies] - Dependency changes, from diffDependencies()
+ * @param {Array<string>} [change.labels] - Labels that can bypass policies or approve dependency changes
+ * @param {Object} [change.pullRequest] - {title, body} of the pull request, for the pull request policy
+ * @returns {Object} {enabled, bypass, results: [{category, passed, violations}], passed}.
+ *   Categories that are not configured, or have nothing to check, are left out;
+ *   the dependencies result also has approvals, requiredLabels and reviewers,
+ *   and the pull_requests result actions, labelsToAdd and reviewers
+ */
+function evaluatePolicy(policy, { files = [], commits = [], dependencies = [], labels = [], pullRequest = null } = {}) {
+  const bypass = checkBypass(labels, policy);
+  if (!policy.enabled || bypass.bypassType === 'full') {
+    return { enabled: policy.enabled, bypass, results: [], passed: true };
+  }
+
+  const effective = withoutBypassed(policy, bypass.bypasses);
+  const results = [];
+  if (effective.policies.files && files.length > 0) {
+    const { violations } = validateFiles(files, effective);
+    results.push({ category: 'files', passed: violations.length === 0, violations });
+  }
+  if (effective.policies.dependencies && dependencies.length > 0) {
+    results.push({ category: 'dependencies', ...validateDependencies(dependencies, effective, labels) });
+  }
+  if (effective.policies.commits && commits.length > 0) {
+    const violations = commits.flatMap(message => validateCommitMessage(message, effective).violations
+      .map(violation => `"${message.split('\n')[0]}": ${violation}`));
+    results.push({ category: 'commits', passed: violations.length === 0, violations });
+  }
+  if (effective.policies.pull_requests && pullRequest) {
+    results.push({ category: 'pull_requests', ...validatePullRequest({ labels, dependencies, ...pullRequest }, files, effective) });
+  }
+
+  return { enabled: true, bypass, results, passed: results.every(result => result.passed) };
+}
+
+/**
+ * Run the quality policy in the working copy: each required check's command,
+ * the coverage it leaves behind against min_coverage, and the complexity
+ * limits for the changed JavaScript and TypeScript files. Besides the usual
+ * bypasses, `quality.coverage` skips the min_coverage thresholds.
+ *
+ * @param {Object} policy - Parsed policy object
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository root
+ * @param {Array<Object>} [options.files] - {filename} of the changed files, for the complexity limits
+ * @param {Array<string>} [options.labels] - Labels that can bypass policies
+ * @param {number} [options.timeout] - Seconds for each check that sets no timeout
+ * @param {Function} [options.onCheck] - Called with each required check before it runs
+ * @returns {Object} Like evaluatePolicy(); the quality result also has `checks`
+ *   (each command's exit code, output tail and coverage) and `warnings`
+ *   (problems with checks that have must_pass: false)
+ */
+function runQualityGate(policy, { cwd = process.cwd(), files = [], labels = [], timeout = DEFAULT_CHECK_TIMEOUT, onCheck = () => {} } = {}) {
+  const bypass = checkBypass(labels, policy);
+  if (!policy.enabled || bypass.bypassType === 'full') {
+    return { enabled: policy.enabled, bypass, results: [], passed: true };
+  }
+  const quality = withoutBypassed(policy, bypass.bypasses).policies.quality;
+  if (!quality) {
+    return { enabled: true, bypass, results: [], passed: true };
+  }
+
+  const skipCoverage = bypass.bypasses.includes('quality.coverage');
+  const violations = [];
+  const warnings = [];
+  const checks = (quality.required_checks || []).map(check => {
+    onCheck(check);
+    const run = runCheckCommand(check, { cwd, timeout });
+    const problems = [];
+    if (run.timedOut) {
+      problems.push(`Required check "${check.name}" timed out after ${check.timeout ?? timeout}s: ${check.command}`);
+    } else if (run.exitCode !== 0) {
+      problems.push(`Required check "${check.name}" failed${run.exitCode === null ? '' : ` (exit code ${run.exitCode})`}: ${check.command}`);
+    }
+
+    let coverage = null;
+    if (check.min_coverage !== undefined && !skipCoverage) {
+      coverage = readCoverage(cwd, check.coverage_file);
+      if (!coverage) {
+        problems.push(`No coverage report after "${check.name}": looked for ${(check.coverage_file ? [check.coverage_file] : COVERAGE_FILES).join(', ')}`);
+      } else if (coverage.pct < check.min_coverage) {
+        problems.push(`Coverage ${coverage.pct}% is below the minimum of ${check.min_coverage}% (${coverage.file})`);
+      }
+    }
+
+    (check.must_pass === false ? warnings : violations).push(...problems);
+    return { ...run, mustPass: check.must_pass !== false, passed: problems.length === 0, ...(coverage ? { coverage } : {}) };
+  });
+
+  if (quality.complexity) {
+    files
+      .filter(({ filename }) => COMPLEXITY_EXTENSIONS.includes(path.extname(filename)))
+      .forEach(({ filename }) => {
+        let source;
+        try {
+          source = fs.readFileSync(path.join(cwd, filename), 'utf8');
+        } catch (e) {
+          // Deleted in this change
+          return;
+        }
+        violations.push(...complexityViolations(filename, source, quality.complexity));
+      });
+  }
+
+  const passed = violations.length === 0;
+  return { enabled: true, bypass, results: [{ category: 'quality', passed, violations, warnings, checks }], passed };
+}
+
+/**
+ * The change a pull request makes, through the gh CLI: title, description,
+ * labels, changed files and commit messages (the first 100 of each), and the
+ * dependency changes when it touches a manifest or lockfile.
+ *
+ * @param {{owner: string, repo: string}} gitHubInfo
+ * @param {number} number - Pull request number
+ * @returns {Object} {number, title, body, labels, files, commits, dependencies}, ready for
+ *   evaluatePolicy() with itself as the pullRequest
+ * @throws {Error} When gh fails or a manifest cannot be parsed
+ */
+function fetchPullRequestChange({ owner, repo }, number) {
+  const pr = ghApiJson(`repos/${owner}/${repo}/pulls/${number}`);
+  const files = ghApiJson(`repos/${owner}/${repo}/pulls/${number}/files?per_page=100`);
+  const commits = ghApiJson(`repos/${owner}/${repo}/pulls/${number}/commits?per_page=100`);
+
+  let dependencies = [];
+  if (files.some(file => Object.hasOwn(DEPENDENCY_FILES, file.filename))) {
+    const readAt = sha => filePath => ghFileContent({ owner, repo }, filePath, sha);
+    dependencies = diffDependencies(readDependencies(readAt(pr.base.sha)), readDependencies(readAt(pr.head.sha)));
+  }
+
+  return {
+    number: pr.number,
+    title: pr.title,
+    body: pr.body || '',
+    labels: (pr.labels || []).map(label => label.name),
+    files: files.map(({ filename, additions, deletions }) => ({ filename, additions, deletions })),
+    commits: commits.map(commit => commit.commit.message),
+    dependencies,
+  };
+}
+
 // ============================================================================
 // POLICY GENERATOR
 // ============================================================================
@@ -383,7 +1001,7 @@ function checkBypass(issueLabels, policy) {
  * @returns {string} YAML content
  */
 function generateDefaultPolicy(options = {}) {
-  const policy = { ...DEFAULT_POLICY };
+  const policy = structuredClone(DEFAULT_POLICY);
 
   // Customize based on options
   if (options.strict) {
@@ -419,15 +1037,24 @@ function generateDefaultPolicy(options = {}) {
 // EXPORTS
 // ============================================================================
 
-module.exports = {
+export {
   // Parser
   parsePolicyFile,
+  loadPolicy,
+  policyTemplateOptions,
   validatePolicySchema,
 
   // Validator
   validateFiles,
+  checkFilePatterns,
+  validateCommand,
+  validateDependencies,
+  validatePullRequest,
   validateCommitMessage,
   checkBypass,
+  evaluatePolicy,
+  runQualityGate,
+  fetchPullRequestChange,
 
   // Generator
   generateDefaultPolicy,
@@ -438,73 +1065,6 @@ module.exports = {
   // Constants
   POLICY_FILE_PATH,
   POLICY_SCHEMA_VERSION,
+  POLICY_CATEGORIES,
   DEFAULT_POLICY,
 };
-
-// ============================================================================
-// CLI USAGE EXAMPLE
-// ============================================================================
-
-/**
- * Example usage from CLI
- */
-if (require.main === module) {
-  const args = process.argv.slice(2);
-  const command = args[0];
-
-  switch (command) {
-    case 'validate': {
-      try {
-        const policy = parsePolicyFile();
-        console.log('✓ Policy file is valid');
-        console.log(`  Version: ${policy.version}`);
-        console.log(`  Enabled: ${policy.enabled}`);
-      } catch (err) {
-        console.error('✗ Policy validation failed:', err.message);
-        process.exit(1);
-      }
-      break;
-    }
-
-    case 'init': {
-      const policyYaml = generateDefaultPolicy();
-      fs.writeFileSync(POLICY_FILE_PATH, policyYaml, 'utf8');
-      console.log(`✓ Created default policy file: ${POLICY_FILE_PATH}`);
-      break;
-    }
-
-    case 'test': {
-      // Test hypothetical file changes
-      const testFiles = [
-        { filename: 'src/index.ts', additions: 50, deletions: 10 },
-        { filename: 'package.json', additions: 2, deletions: 0 },
-      ];
-
-      try {
-        const policy = parsePolicyFile();
-        const result = validateFiles(testFiles, policy);
-
-        console.log('\nTest Results:');
-        console.log(`  Status: ${result.passed ? '✓ PASSED' : '✗ FAILED'}`);
-
-        if (result.violations.length > 0) {
-          console.log('\nViolations:');
-          result.violations.forEach(v => console.log(`  - ${v}`));
-        }
-      } catch (err) {
-        console.error('✗ Test failed:', err.message);
-        process.exit(1);
-      }
-      break;
-    }
-
-    default: {
-      console.log('Usage: node policy-system.js <command>');
-      console.log('\nCommands:');
-      console.log('  validate   Validate policy file syntax');
-      console.log('  init       Create default policy file');
-      console.log('  test       Test policy against sample files');
-      break;
-    }
-  }
-}
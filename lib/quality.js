@@ -0,0 +1,370 @@
+/**
+ * Mayor West Mode - Quality Gate
+ *
+ * What `policies.quality` needs beyond parsing: running the required checks
+ * with a timeout, reading the coverage they leave behind (Istanbul
+ * coverage-summary.json or lcov), and measuring the cyclomatic complexity and
+ * length of the functions in changed JavaScript and TypeScript files.
+ *
+ * The complexity analysis masks comments, strings and regexes and then reads
+ * the brace structure, rather than parsing; arrow functions with an
+ * expression body count toward the function around them.
+ *
+ * @module quality
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync, execFileSync } from 'child_process';
+import { getDefaultBranch } from './repo.js';
+
+// Seconds a required check may run when it sets no timeout of its own
+export const DEFAULT_CHECK_TIMEOUT = 600;
+
+// Lines of output kept per check
+const OUTPUT_TAIL_LINES = 50;
+
+export const COVERAGE_FILES = ['coverage/coverage-summary.json', 'coverage/lcov.info'];
+
+export const COMPLEXITY_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+
+/**
+ * Run a required check's command through the shell.
+ *
+ * @param {{name: string, command: string, timeout?: number}} check
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository root
+ * @param {number} [options.timeout] - Seconds, when the check sets none
+ * @returns {{name, command, exitCode: number|null, timedOut: boolean, durationMs: number, output: string}}
+ *   output is the last lines of stdout and stderr
+ */
+export function runCheckCommand(check, { cwd = process.cwd(), timeout = DEFAULT_CHECK_TIMEOUT } = {}) {
+  const seconds = check.timeout ?? timeout;
+  const started = Date.now();
+  const result = spawnSync(check.command, {
+    cwd,
+    shell: true,
+    encoding: 'utf8',
+    timeout: seconds * 1000,
+    maxBuffer: 64 * 1024 * 1024,
+  });
+  const output = [result.stdout, result.stderr].filter(Boolean).join('\n').trimEnd();
+  return {
+    name: check.name,
+    command: check.command,
+    exitCode: result.status,
+    timedOut: result.error?.code === 'ETIMEDOUT',
+    durationMs: Date.now() - started,
+    output: output.split('\n').slice(-OUTPUT_TAIL_LINES).join('\n'),
+    ...(result.error && result.error.code !== 'ETIMEDOUT' ? { error: result.error.message } : {}),
+  };
+}
+
+/**
+ * Line coverage from an Istanbul coverage-summary.json or an lcov.info file.
+ *
+ * @param {string} [cwd] - Repository root
+ * @param {string} [file] - Report to read; defaults to the first of COVERAGE_FILES that exists
+ * @returns {{pct: number, file: string}|null} null when there is no readable report
+ */
+export function readCoverage(cwd = process.cwd(), file) {
+  const candidates = file ? [file] : COVERAGE_FILES;
+  for (const candidate of candidates) {
+    let content;
+    try {
+      content = fs.readFileSync(path.join(cwd, candidate), 'utf8');
+    } catch (e) {
+      continue;
+    }
+
+    if (candidate.endsWith('.json')) {
+      const pct = JSON.parse(content).total?.lines?.pct;
+      // Istanbul writes "Unknown" when there are no lines
+      if (typeof pct === 'number') return { pct, file: candidate };
+      continue;
+    }
+
+    let found = 0;
+    let hit = 0;
+    content.split('\n').forEach(line => {
+      const [key, value] = line.trim().split(':');
+      if (key === 'LF') found += Number(value);
+      if (key === 'LH') hit += Number(value);
+    });
+    if (found > 0) return { pct: Math.round((hit / found) * 10000) / 100, file: candidate };
+  }
+  return null;
+}
+
+// ============================================================================
+// COMPLEXITY
+// ============================================================================
+
+const REGEX_AFTER_KEYWORD = /(?:^|[^\w$])(?:return|typeof|instanceof|in|of|new|delete|void|throw|case|do|else|yield|await)\s*$/;
+
+// Whether a `/` at this point starts a regex rather than a division
+function regexAllowed(code) {
+  const previous = code.trimEnd().slice(-1);
+  return previous === '' || '(,=:[!&|?{};+-*%<>~^'.includes(previous) || REGEX_AFTER_KEYWORD.test(code.slice(-12));
+}
+
+/**
+ * The source with comments, string and template literal text and regexes
+ * blanked out, keeping newlines and positions, so that what is left is code.
+ *
+ * @param {string} source
+ * @returns {string}
+ */
+export function maskSource(source) {
+  const blank = text => text.replace(/[^\n]/g, ' ');
+  let out = '';
+  // Brace depth inside each open `${ }` of a template literal
+  const templates = [];
+  let inTemplate = false;
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    if (inTemplate) {
+      if (char === '\\') {
+        out += blank(source.slice(i, i + 2));
+        i += 2;
+      } else if (char === '`') {
+        out += '`';
+        inTemplate = false;
+        i++;
+      } else if (char === '$' && next === '{') {
+        out += '  ';
+        templates.push(0);
+        inTemplate = false;
+        i += 2;
+      } else {
+        out += blank(char);
+        i++;
+      }
+      continue;
+    }
+
+    if (char === '/' && next === '/') {
+      const end = source.indexOf('\n', i);
+      const stop = end === -1 ? source.length : end;
+      out += blank(source.slice(i, stop));
+      i = stop;
+    } else if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      out += blank(source.slice(i, stop));
+      i = stop;
+    } else if (char === '\'' || char === '"') {
+      let j = i + 1;
+      while (j < source.length && source[j] !== char && source[j] !== '\n') {
+        j += source[j] === '\\' ? 2 : 1;
+      }
+      out += char + blank(source.slice(i + 1, j)) + (source[j] === char ? char : '');
+      i = source[j] === char ? j + 1 : j;
+    } else if (char === '`') {
+      out += '`';
+      inTemplate = true;
+      i++;
+    } else if (char === '/' && regexAllowed(out)) {
+      // A regex ends at an unescaped / outside a [class], on the same line
+      let j = i + 1;
+      let inClass = false;
+      while (j < source.length && source[j] !== '\n' && (inClass || source[j] !== '/')) {
+        if (source[j] === '\\') j++;
+        else if (source[j] === '[') inClass = true;
+        else if (source[j] === ']') inClass = false;
+        j++;
+      }
+      if (source[j] === '/') {
+        let end = j + 1;
+        while (/[a-z]/.test(source[end] || '')) end++;
+        out += `/${blank(source.slice(i + 1, j))}/${source.slice(j + 1, end)}`;
+        i = end;
+      } else {
+        out += char;
+        i++;
+      }
+    } else if (char === '{' && templates.length > 0) {
+      templates[templates.length - 1]++;
+      out += char;
+      i++;
+    } else if (char === '}' && templates.length > 0 && templates[templates.length - 1] === 0) {
+      templates.pop();
+      out += ' ';
+      inTemplate = true;
+      i++;
+    } else {
+      if (char === '}' && templates.length > 0) templates[templates.length - 1]--;
+      out += char;
+      i++;
+    }
+  }
+  return out;
+}
+
+const NOT_FUNCTIONS = ['if', 'for', 'while', 'switch', 'catch', 'with', 'return', 'typeof', 'await', 'function'];
+
+// Name given by `name =`, `name:` or `const name: Type =` before a function expression
+function assignedName(code) {
+  return code.match(/([\w$]+)\s*(?::[^=;{}(),\n]*)?[:=]\s*(?:async\s+)?(?:function\s*\*?\s*)?$/)?.[1] || '(anonymous)';
+}
+
+// Index of the bracket that opens the one closing at `index`
+function openingBracket(code, index, open, close) {
+  let depth = 0;
+  for (let i = index; i >= 0; i--) {
+    if (code[i] === close) depth++;
+    else if (code[i] === open && --depth === 0) return i;
+  }
+  return -1;
+}
+
+// The function whose body the brace at `index` opens, or null for any other block
+function functionHead(code, index) {
+  const before = code.slice(0, index).trimEnd();
+
+  if (before.endsWith('=>')) {
+    const params = before.slice(0, -2).trimEnd();
+    const start = params.endsWith(')')
+      ? openingBracket(params, params.length - 1, '(', ')')
+      : params.search(/[\w$]+$/);
+    if (start < 0) return null;
+    return { name: assignedName(code.slice(0, start).replace(/async\s*$/, '')), start };
+  }
+
+  // A TypeScript return type: `(): Promise<void> {`
+  const closeParen = before.endsWith(')') ? before.length - 1 : before.search(/\)\s*:[^{};=()]*$/);
+  if (closeParen < 0) return null;
+  const open = openingBracket(before, closeParen, '(', ')');
+  if (open < 0) return null;
+
+  const head = before.slice(0, open).replace(/\s*<[^<>]*>$/, '');
+  const declaration = head.match(/\bfunction\s*\*?\s*([\w$]*)\s*$/);
+  if (declaration) {
+    const start = declaration.index + declaration[0].search(/\S/);
+    return { name: declaration[1] || assignedName(head.slice(0, declaration.index)), start };
+  }
+  const method = head.match(/([\w$]+)\s*$/);
+  if (method && !NOT_FUNCTIONS.includes(method[1])) {
+    return { name: method[1], start: method.index };
+  }
+  return null;
+}
+
+const lineAt = (code, index) => code.slice(0, index).split('\n').length;
+
+/**
+ * The functions in a JavaScript or TypeScript file with their cyclomatic
+ * complexity (1 + decision points: if, for, while, case, catch, &&, ||, ??
+ * and ?:) and length in lines.
+ *
+ * @param {string} source
+ * @returns {Array<{name: string, line: number, length: number, complexity: number}>} In source order
+ */
+export function analyzeFunctions(source) {
+  const code = maskSource(source);
+  const functions = [];
+  const open = [];
+
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === '{') {
+      const head = functionHead(code, i);
+      open.push(head ? { ...head, bodyStart: i } : null);
+    } else if (code[i] === '}') {
+      const fn = open.pop();
+      if (fn) functions.push({ ...fn, bodyEnd: i });
+    }
+  }
+  functions.sort((a, b) => a.bodyStart - b.bodyStart);
+
+  const counts = new Map(functions.map(fn => [fn, 1]));
+  const pattern = /\b(?:if|for|while|case|catch)\b|&&|\|\||\?\?|\?(?![.?:),=\]])/g;
+  let match;
+  while ((match = pattern.exec(code)) !== null) {
+    // Nested functions come later in the list, so the last match is innermost
+    const owner = functions.filter(fn => fn.bodyStart < match.index && match.index < fn.bodyEnd).pop();
+    if (owner) counts.set(owner, counts.get(owner) + 1);
+  }
+
+  return functions.map(fn => {
+    const line = lineAt(code, fn.start);
+    return {
+      name: fn.name,
+      line,
+      length: lineAt(code, fn.bodyEnd) - line + 1,
+      complexity: counts.get(fn),
+    };
+  });
+}
+
+/**
+ * Violations of the `quality.complexity` limits in one file.
+ *
+ * @param {string} filename - Repository-relative path, used in the messages
+ * @param {string} source
+ * @param {Object} limits - max_cyclomatic_complexity, max_function_length, max_file_length
+ * @returns {string[]}
+ */
+export function complexityViolations(filename, source, limits = {}) {
+  const violations = [];
+  const lines = source.replace(/\n$/, '').split('\n').length;
+  if (limits.max_file_length && lines > limits.max_file_length) {
+    violations.push(`${filename} is too long: ${lines} lines > ${limits.max_file_length}`);
+  }
+  if (!limits.max_cyclomatic_complexity && !limits.max_function_length) {
+    return violations;
+  }
+
+  analyzeFunctions(source).forEach(fn => {
+    const where = `${filename}:${fn.line} ${fn.name}`;
+    if (limits.max_cyclomatic_complexity && fn.complexity > limits.max_cyclomatic_complexity) {
+      violations.push(`${where} is too complex: cyclomatic complexity ${fn.complexity} > ${limits.max_cyclomatic_complexity}`);
+    }
+    if (limits.max_function_length && fn.length > limits.max_function_length) {
+      violations.push(`${where} is too long: ${fn.length} lines > ${limits.max_function_length}`);
+    }
+  });
+  return violations;
+}
+
+/**
+ * The ref a change is compared with: origin's default branch, or without a
+ * remote the local one (so only uncommitted changes on it count).
+ *
+ * @param {string} [cwd] - Repository root
+ * @returns {string}
+ */
+export function defaultBaseRef(cwd = process.cwd()) {
+  const branch = getDefaultBranch(cwd);
+  const exists = ref => {
+    try {
+      execFileSync('git', ['rev-parse', '--verify', '--quiet', ref], { cwd, stdio: 'ignore' });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  };
+  return [`origin/${branch}`, branch].find(exists) || 'HEAD';
+}
+
+/**
+ * Files changed since the merge base with `base`, committed or not, plus
+ * untracked files. Deleted files are left out.
+ *
+ * @param {string} base - Git ref, such as origin/main
+ * @param {string} [cwd] - Repository root
+ * @returns {string[]}
+ * @throws {Error} When git fails, e.g. on an unknown ref
+ */
+export function changedFiles(base, cwd = process.cwd()) {
+  const git = args => execFileSync('git', args, { cwd, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'pipe'] })
+    .split('\n').map(line => line.trim()).filter(Boolean);
+  const [mergeBase] = git(['merge-base', base, 'HEAD']);
+  return [...new Set([
+    ...git(['diff', '--name-only', '--diff-filter=d', mergeBase]),
+    ...git(['ls-files', '--others', '--exclude-standard']),
+  ])];
+}
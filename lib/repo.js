@@ -0,0 +1,97 @@
+/**
+ * Mayor West Mode - Git Repository Helpers
+ *
+ * Read-only git queries used by setup, verify and upgrade. Every helper
+ * works on the repository in `cwd`, which defaults to the process cwd.
+ *
+ * @module repo
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { execSync } from 'child_process';
+
+export function isGitRepository(cwd = process.cwd()) {
+  try {
+    execSync('git rev-parse --git-dir', { cwd, stdio: 'ignore' });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+export function getGitRemoteUrl(cwd = process.cwd()) {
+  try {
+    return execSync('git config --get remote.origin.url', { cwd, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+export function getGitBranch(cwd = process.cwd()) {
+  try {
+    return execSync('git rev-parse --abbrev-ref HEAD', { cwd, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
+  } catch (e) {
+    return 'main';
+  }
+}
+
+/**
+ * The default branch as git knows it: origin's HEAD, else the current
+ * branch. Prefer the repository's default_branch from the API when gh is
+ * available.
+ */
+export function getDefaultBranch(cwd = process.cwd()) {
+  try {
+    const ref = execSync('git symbolic-ref --short refs/remotes/origin/HEAD', { cwd, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'ignore'] }).trim();
+    return ref.replace(/^origin\//, '');
+  } catch (e) {
+    return getGitBranch(cwd);
+  }
+}
+
+export function parseGitHubUrl(url) {
+  // Supports both https and SSH URLs
+  const httpsMatch = url.match(/github\.com\/([^/]+)\/([^/]+?)(\.git)?$/);
+  const sshMatch = url.match(/git@github\.com:([^/]+)\/([^/]+?)(\.git)?$/);
+
+  if (httpsMatch) {
+    return { owner: httpsMatch[1], repo: httpsMatch[2] };
+  } else if (sshMatch) {
+    return { owner: sshMatch[1], repo: sshMatch[2] };
+  }
+  return null;
+}
+
+/**
+ * Owner and name of the GitHub repository `origin` points to.
+ *
+ * @returns {{owner: string, repo: string} | null}
+ */
+export function getGitHubInfo(cwd = process.cwd()) {
+  const remoteUrl = getGitRemoteUrl(cwd);
+  return remoteUrl ? parseGitHubUrl(remoteUrl) : null;
+}
+
+export function ensureDirectory(filePath) {
+  const dirname = path.dirname(filePath);
+  if (!fs.existsSync(dirname)) {
+    fs.mkdirSync(dirname, { recursive: true });
+  }
+}
+
+// Same id as `git hash-object`, so generated content can be found in git
+export function gitBlobHash(content) {
+  const buffer = Buffer.from(content, 'utf-8');
+  return crypto.createHash('sha1').update(`blob ${buffer.length}\0`).update(buffer).digest('hex');
+}
+
+// Content of a blob from the repository's object store, if git still has it
+export function readGitBlob(hash, cwd = process.cwd()) {
+  try {
+    return execSync(`git cat-file blob ${hash}`, { cwd, encoding: 'utf-8', stdio: ['pipe', 'pipe', 'ignore'] });
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Mayor West Mode - Verification Reports
+ *
+ * Machine-readable renderings of a verify() result: JSON for scripts,
+ * JUnit XML for CI test reports, SARIF for GitHub code scanning and
+ * Markdown for job summaries and pull request comments.
+ *
+ * @module report
+ */
+
+import pkg from '../package.json' with { type: 'json' };
+import { compareWithBaseline } from './verify.js';
+
+export const REPORT_FORMATS = ['text', 'json', 'junit', 'sarif', 'markdown'];
+
+const INFORMATION_URI = 'https://github.com/shyamsridhar123/MayorWest';
+
+// Code scanning needs a location for every result; checks about repository
+// settings point at the Mayor West config instead of a file of their own
+const DEFAULT_LOCATION = '.github/mayor-west.yml';
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+export function formatJson(result) {
+  return JSON.stringify({
+    version: pkg.version,
+    repository: result.repository,
+    passed: result.passed,
+    total: result.total,
+    checks: result.checks,
+    skipped: result.skipped || [],
+    warnings: result.warnings,
+  }, null, 2);
+}
+
+/**
+ * One <testsuite> per check category, one <testcase> per check. Failed
+ * checks carry their severity as the failure type and the remediation as
+ * the failure text.
+ */
+export function formatJUnit(result) {
+  const categories = [...new Set(result.checks.map(check => check.category))];
+  const failures = result.checks.filter(check => !check.pass).length;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="mayor-west-verify" tests="${result.total}" failures="${failures}">`,
+  ];
+
+  categories.forEach(category => {
+    const checks = result.checks.filter(check => check.category === category);
+    const categoryFailures = checks.filter(check => !check.pass).length;
+    lines.push(`  <testsuite name="${escapeXml(category)}" tests="${checks.length}" failures="${categoryFailures}">`);
+
+    checks.forEach(check => {
+      const attributes = `name="${escapeXml(check.name)}" classname="mayor-west.${escapeXml(category)}"`;
+      if (check.pass) {
+        lines.push(`    <testcase ${attributes}/>`);
+      } else {
+        lines.push(`    <testcase ${attributes}>`);
+        lines.push(`      <failure type="${check.severity}" message="${escapeXml(check.name)}">${escapeXml(check.remediation)}</failure>`);
+        lines.push('    </testcase>');
+      }
+    });
+
+    lines.push('  </testsuite>');
+  });
+
+  if (result.warnings.length > 0) {
+    lines.push(`  <system-out>${escapeXml(result.warnings.join('\n'))}</system-out>`);
+  }
+  lines.push('</testsuites>');
+  return lines.join('\n');
+}
+
+/**
+ * SARIF 2.1.0 log with one rule per check and one result per failed check,
+ * for upload with github/codeql-action/upload-sarif.
+ */
+export function formatSarif(result) {
+  const rules = result.checks.map(check => ({
+    id: check.id,
+    name: check.name,
+    shortDescription: { text: check.name },
+    help: { text: check.remediation },
+    defaultConfiguration: { level: check.severity },
+    properties: { category: check.category },
+  }));
+
+  const results = result.checks
+    .filter(check => !check.pass)
+    .map(check => ({
+      ruleId: check.id,
+      ruleIndex: result.checks.indexOf(check),
+      level: check.severity,
+      message: { text: `${check.name}: ${check.remediation}` },
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: { uri: check.file || DEFAULT_LOCATION },
+          },
+        },
+      ],
+    }));
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'mayor-west-mode',
+            version: pkg.version,
+            informationUri: INFORMATION_URI,
+            rules,
+          },
+        },
+        results,
+      },
+    ],
+  }, null, 2);
+}
+
+// Table cells are one line, and a | would end the cell
+function markdownCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * A summary table with one row per check, failed checks first. With a
+ * baseline, checks that newly fail or were fixed since are marked.
+ */
+export function formatMarkdown(result, { baseline } = {}) {
+  const { regressions, fixed } = baseline ? compareWithBaseline(result, baseline) : { regressions: [], fixed: [] };
+  const failed = result.checks.filter(check => !check.pass);
+  const icon = check => (check.pass ? '✅' : check.severity === 'error' ? '❌' : '⚠️');
+  const note = check => {
+    if (regressions.includes(check)) return '**New failure.** ';
+    if (fixed.includes(check)) return '**Fixed.** ';
+    return '';
+  };
+
+  const summary = [`**${result.passed}/${result.total} checks passed**`];
+  if (result.repository) summary.push(`in ${result.repository}`);
+  if (baseline) summary.push(`· ${regressions.length} new failure(s), ${fixed.length} fixed since the base branch`);
+
+  const lines = [
+    '## Mayor West Verify',
+    '',
+    summary.join(' '),
+    '',
+    '| | Check | Severity | Details |',
+    '|---|---|---|---|',
+    ...[...failed, ...result.checks.filter(check => check.pass)].map(check => {
+      const details = `${note(check)}${check.pass ? '' : check.remediation}`;
+      return `| ${icon(check)} | ${markdownCell(check.name)} | ${check.severity} | ${markdownCell(details.trim())} |`;
+    }),
+  ];
+
+  const skipped = result.skipped || [];
+  if (skipped.length > 0) {
+    lines.push('', `Skipped: ${skipped.map(s => `${markdownCell(s.name)} (needs ${s.requires.join(', ')})`).join('; ')}`);
+  }
+  if (result.warnings.length > 0) {
+    lines.push('', `<details><summary>Warnings (${result.warnings.length})</summary>`, '');
+    result.warnings.forEach(warning => lines.push(`- ${markdownCell(warning)}`));
+    lines.push('', '</details>');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render a verify() result in one of the machine-readable formats.
+ *
+ * @param {Object} result - From verify()
+ * @param {'json'|'junit'|'sarif'|'markdown'} format
+ * @param {Object} [options]
+ * @param {Object} [options.baseline] - For markdown, a result to compare with
+ * @returns {string}
+ */
+export function formatVerifyReport(result, format, { baseline } = {}) {
+  switch (format) {
+    case 'json':
+      return formatJson(result);
+    case 'junit':
+      return formatJUnit(result);
+    case 'sarif':
+      return formatSarif(result);
+    case 'markdown':
+      return formatMarkdown(result, { baseline });
+    default:
+      throw new Error(`Unknown format: ${format}. Expected: ${REPORT_FORMATS.join(', ')}`);
+  }
+}
@@ -0,0 +1,393 @@
+/**
+ * Mayor West Mode - Setup
+ *
+ * Programmatic setup: pick the files for a setup type, write them (merging
+ * into files the user has edited), record the install manifest and
+ * optionally move the GitHub repository settings into place.
+ *
+ * @module setup
+ */
+
+import { FILES_TO_CREATE, resolveTemplateOptions } from './templates.js';
+import { isGitRepository, getGitHubInfo } from './repo.js';
+import { POLICY_FILE_PATH, policyTemplateOptions } from './policy-system.js';
+import { writeManifest, recordGitHubChanges, planFileWrites, writePlannedFile, MANIFEST_PATH } from './install.js';
+import {
+  REPOSITORY_SETTING_KEYS,
+  WORKFLOW_SETTING_KEYS,
+  isGhCliAuthenticated,
+  readGitHubSettings,
+  planGitHubSettings,
+  applyGitHubSetting,
+} from './github.js';
+
+export const SETUP_TYPES = ['full', 'minimal', 'custom'];
+
+/**
+ * The files a setup type generates.
+ *
+ * @param {Object} options
+ * @param {'full'|'minimal'|'custom'} [options.setupType='full']
+ * @param {boolean} [options.enableAutoMerge=true] - Without it the auto-merge workflow is left out
+ * @param {string[]} [options.files] - Paths for a custom setup, defaults to the critical files
+ * @returns {Object} Subset of FILES_TO_CREATE
+ * @throws {Error} On an unknown setup type or file
+ */
+export function selectFiles({ setupType = 'full', enableAutoMerge = true, files } = {}) {
+  if (!SETUP_TYPES.includes(setupType)) {
+    throw new Error(`Unknown setup type: ${setupType}. Expected: ${SETUP_TYPES.join(', ')}`);
+  }
+
+  // PRs are opened but never merged automatically
+  const available = Object.entries(FILES_TO_CREATE)
+    .filter(([, config]) => enableAutoMerge || !config.requiresAutoMerge);
+
+  if (setupType === 'full') {
+    return Object.fromEntries(available);
+  }
+  if (setupType === 'minimal' || !files) {
+    return Object.fromEntries(available.filter(([, config]) => config.critical));
+  }
+
+  const unknown = files.filter(file => !FILES_TO_CREATE[file]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown file(s) in files: ${unknown.join(', ')}`);
+  }
+  return Object.fromEntries(available.filter(([filePath]) => files.includes(filePath)));
+}
+
+/**
+ * Whether setup with these options generates a file: one of `files` (the
+ * files the install manifest records), or of a full setup without them.
+ * Without auto-merge the auto-merge workflow is left out.
+ *
+ * @param {string} filePath
+ * @param {Object} options - Setup answers, e.g. from detectInstalledOptions()
+ * @returns {boolean}
+ */
+export function isInstalledFile(filePath, options = {}) {
+  const files = options.files?.filter(file => Object.hasOwn(FILES_TO_CREATE, file));
+  return Object.hasOwn(selectFiles({
+    setupType: files ? 'custom' : 'full',
+    enableAutoMerge: options.enableAutoMerge !== false,
+    files,
+  }), filePath);
+}
+
+/**
+ * The gh mutations setup would run, without running them.
+ * Without an authenticated gh CLI the current state is unknown, so every
+ * managed setting is listed.
+ */
+export function planSetupCommands(gitHubInfo, templateOptions, { ghCliAvailable, autoConfigureSettings, token }) {
+  let branch = 'main';
+  let current = {};
+  if (ghCliAvailable) {
+    ({ branch, settings: current } = readGitHubSettings(gitHubInfo));
+  }
+
+  const keys = [
+    ...(autoConfigureSettings ? REPOSITORY_SETTING_KEYS : []),
+    ...WORKFLOW_SETTING_KEYS,
+    'agent_token_secret',
+  ];
+  const changes = planGitHubSettings(current, { ...templateOptions, keys, token });
+  const target = { ...gitHubInfo, branch };
+
+  return {
+    branch,
+    changes,
+    commands: changes
+      .filter(change => change.changed)
+      .map(change => change.command(target, change.after)),
+  };
+}
+
+/**
+ * The setup wizard's questions, in inquirer's format. setup() asks the ones
+ * its options leave open.
+ */
+export const SETUP_QUESTIONS = [
+  {
+    type: 'list',
+    name: 'setupType',
+    message: 'Which setup mode would you like?',
+    choices: [
+      { name: 'Full Setup (all files + configuration)', value: 'full' },
+      { name: 'Minimal Setup (core files only)', value: 'minimal' },
+      { name: 'Custom Setup (choose files individually)', value: 'custom' },
+    ],
+  },
+  {
+    type: 'confirm',
+    name: 'enableAutoMerge',
+    message: 'Enable auto-merge on PRs?',
+    default: true,
+  },
+  {
+    type: 'list',
+    name: 'mergeStrategy',
+    message: 'How should PRs be merged?',
+    choices: [
+      { name: 'Squash (recommended)', value: 'SQUASH' },
+      { name: 'Merge (preserve commits)', value: 'MERGE' },
+      { name: 'Rebase (linear history)', value: 'REBASE' },
+    ],
+    default: 'SQUASH',
+  },
+  {
+    type: 'input',
+    name: 'iterationLimit',
+    message: 'Max Copilot iterations before stopping:',
+    default: 15,
+    validate: (input) => !isNaN(input) && input > 0 && input <= 50,
+  },
+];
+
+const CONFIGURE_SETTINGS_QUESTION = {
+  type: 'confirm',
+  name: 'autoConfigureSettings',
+  message: 'Automatically configure GitHub repository settings?',
+  default: true,
+};
+
+function fileActionQuestion(entry, merged) {
+  const conflicts = merged.conflicts > 0 ? ` (merge has ${merged.conflicts} conflict(s))` : '';
+  return {
+    type: 'list',
+    name: 'action',
+    message: `${entry.path} differs from the template${conflicts}. What should setup do with it?`,
+    choices: [
+      { name: 'Merge template changes into my version', value: 'merge' },
+      { name: 'Keep my version', value: 'keep' },
+      { name: 'Overwrite with the template', value: 'overwrite' },
+    ],
+    default: merged.conflicts > 0 ? 'keep' : 'merge',
+  };
+}
+
+function defaultAnswer(question) {
+  return question.default !== undefined ? question.default : question.choices?.[0]?.value;
+}
+
+function checkAnswer(question, value) {
+  const valid = question.validate ? question.validate(value) : true;
+  const inChoices = !question.choices || question.choices.some(choice => choice.value === value);
+  if (valid !== true || !inChoices) {
+    throw new Error(`Invalid value for ${question.name}: ${value}`);
+  }
+  return value;
+}
+
+/**
+ * Install Mayor West Mode into a repository.
+ *
+ * Answers missing from the options are asked through `prompt`, or take
+ * their defaults without one. Edited files are merged with the new
+ * templates, or kept when the merge conflicts, unless `prompt` answers
+ * otherwise or `force` is set.
+ *
+ * `report` is called, and awaited, as setup runs:
+ * `{ type: 'step', step }` when a step starts, `{ type: 'file', step, file, error? }`
+ * after each file, `{ type: 'setting', step, branch, change, error? }` after each
+ * GitHub setting and `{ type: 'done', step, ... }` when a step ends. The steps are
+ * files, repository-settings, workflow-permissions and agent-token.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository root, defaults to process.cwd()
+ * @param {string} [options.owner] - GitHub owner, read from the origin remote when omitted
+ * @param {string} [options.repo] - GitHub repository name, read from the origin remote when omitted
+ * @param {'full'|'minimal'|'custom'} [options.setupType='full']
+ * @param {string[]} [options.files] - Files for a custom setup
+ * @param {string} [options.mergeStrategy='SQUASH'] - SQUASH, MERGE or REBASE
+ * @param {boolean} [options.enableAutoMerge=true]
+ * @param {number} [options.iterationLimit=15]
+ * @param {boolean} [options.autoConfigureSettings=true] - Apply the repository settings with configureGitHub
+ * @param {boolean} [options.force=false] - Overwrite edited files
+ * @param {boolean} [options.dryRun=false] - Plan only, write nothing
+ * @param {boolean} [options.configureGitHub=false] - Apply repository and workflow settings with gh
+ * @param {string} [options.token] - PAT stored as the GH_AW_AGENT_TOKEN secret
+ * @param {function(Array<Object>): Promise<Object>} [options.prompt] - Asks inquirer-style questions, resolves to the answers
+ * @param {function(Object): (void|Promise<void>)} [options.report] - Progress callback
+ * @returns {Promise<Object>} { repository, setupType, options, dryRun, files, settings },
+ *   with `plan` instead of writes for a dry run
+ * @throws {Error} When the repository cannot be determined or an option is invalid
+ */
+export async function setup(options = {}) {
+  const {
+    cwd = process.cwd(),
+    force = false,
+    dryRun = false,
+    configureGitHub = false,
+    token,
+    prompt,
+    report = () => {},
+  } = options;
+  const given = { ...options, setupType: options.setupType ?? (options.files ? 'custom' : undefined) };
+
+  // Answers passed as options are checked like typed ones
+  const ask = async (questions) => {
+    const answers = {};
+    questions
+      .filter(question => given[question.name] !== undefined)
+      .forEach(question => { answers[question.name] = checkAnswer(question, given[question.name]); });
+
+    const open = questions.filter(question => given[question.name] === undefined);
+    if (open.length > 0) {
+      Object.assign(answers, prompt
+        ? await prompt(open)
+        : Object.fromEntries(open.map(question => [question.name, defaultAnswer(question)])));
+    }
+    return answers;
+  };
+
+  let gitHubInfo = options.owner && options.repo ? { owner: options.owner, repo: options.repo } : null;
+  if (!gitHubInfo) {
+    if (!isGitRepository(cwd)) {
+      throw new Error(`Not a git repository: ${cwd}`);
+    }
+    gitHubInfo = getGitHubInfo(cwd);
+    if (!gitHubInfo) {
+      throw new Error('No GitHub remote found. Pass owner and repo, or add a GitHub remote.');
+    }
+  }
+
+  // The commands policy shapes the editor settings and agent instructions
+  let policyOptions;
+  try {
+    policyOptions = policyTemplateOptions(cwd);
+  } catch (error) {
+    throw new Error(`Invalid ${POLICY_FILE_PATH}: ${error.message}. Fix it, or check it with: policy validate`);
+  }
+
+  const answers = await ask(SETUP_QUESTIONS);
+  const templateOptions = resolveTemplateOptions({ ...policyOptions, ...options, ...answers, ...gitHubInfo });
+
+  let files = options.files;
+  if (answers.setupType === 'custom' && !files) {
+    const candidates = selectFiles({ enableAutoMerge: templateOptions.enableAutoMerge });
+    const picked = await ask(Object.entries(candidates).map(([filePath, config]) => ({
+      type: 'confirm',
+      name: filePath,
+      message: `Create ${config.displayName}?`,
+      default: Boolean(config.critical),
+    })));
+    files = Object.keys(candidates).filter(filePath => picked[filePath]);
+  }
+
+  const filesToCreate = selectFiles({ setupType: answers.setupType, enableAutoMerge: templateOptions.enableAutoMerge, files });
+  const fileWrites = await planFileWrites(filesToCreate, templateOptions, {
+    force,
+    cwd,
+    resolve: async (entry, merged) => (await ask([fileActionQuestion(entry, merged)])).action,
+  });
+
+  const result = {
+    repository: `${gitHubInfo.owner}/${gitHubInfo.repo}`,
+    setupType: answers.setupType,
+    options: {
+      mergeStrategy: templateOptions.mergeStrategy,
+      enableAutoMerge: templateOptions.enableAutoMerge,
+      iterationLimit: templateOptions.iterationLimit,
+    },
+    dryRun,
+    files: { created: [], updated: [], kept: [], unchanged: [], failed: [] },
+    settings: { applied: [], failed: [] },
+  };
+
+  if (dryRun) {
+    const settingsPlan = configureGitHub
+      ? planSetupCommands(gitHubInfo, templateOptions, {
+        ghCliAvailable: isGhCliAuthenticated(),
+        autoConfigureSettings: (await ask([CONFIGURE_SETTINGS_QUESTION])).autoConfigureSettings,
+        token,
+      })
+      : { branch: null, changes: [], commands: [] };
+    result.plan = {
+      files: fileWrites.map(file => ({
+        path: file.path,
+        action: file.action,
+        content: file.content,
+        current: file.current,
+        conflicts: file.conflicts,
+      })),
+      branch: settingsPlan.branch,
+      changes: settingsPlan.changes,
+      commands: settingsPlan.commands,
+    };
+    return result;
+  }
+
+  await report({ type: 'step', step: 'files' });
+  for (const file of fileWrites) {
+    let error;
+    try {
+      writePlannedFile(file, cwd);
+      const bucket = { create: 'created', overwrite: 'updated', merge: 'updated', keep: 'kept', unchanged: 'unchanged' }[file.action];
+      result.files[bucket].push(file.path);
+    } catch (e) {
+      error = e.message;
+      result.files.failed.push(file.path);
+    }
+    await report({ type: 'file', step: 'files', file, ...(error ? { error } : {}) });
+  }
+
+  let manifestError;
+  try {
+    writeManifest(templateOptions, fileWrites.filter(file => !result.files.failed.includes(file.path)), cwd);
+  } catch (error) {
+    manifestError = error.message;
+    result.files.failed.push(MANIFEST_PATH);
+  }
+  await report({ type: 'done', step: 'files', files: result.files, ...(manifestError ? { manifestError } : {}) });
+
+  if (configureGitHub) {
+    if (!isGhCliAuthenticated()) {
+      throw new Error('GitHub CLI not authenticated. Run: gh auth login');
+    }
+    result.settings.skipped = [];
+
+    const applySettings = async (step, keys) => {
+      const { branch, settings } = readGitHubSettings(gitHubInfo, cwd);
+      const changes = planGitHubSettings(settings, { ...templateOptions, keys, token });
+      const applied = [];
+      const failed = [];
+
+      for (const change of changes) {
+        let error;
+        if (change.changed) {
+          try {
+            applyGitHubSetting({ ...gitHubInfo, branch }, change, { token });
+            applied.push(change);
+            result.settings.applied.push({ key: change.key, before: change.before, after: change.after });
+          } catch (e) {
+            error = e.message;
+            failed.push(change);
+            result.settings.failed.push({ key: change.key, error });
+          }
+        }
+        await report({ type: 'setting', step, branch, change, ...(error ? { error } : {}) });
+      }
+
+      recordGitHubChanges(applied, branch, cwd);
+      result.settings.skipped.push(...changes.filter(change => change.skipped).map(change => change.key));
+      await report({ type: 'done', step, branch, applied, failed });
+    };
+
+    await report({ type: 'step', step: 'repository-settings' });
+    const { autoConfigureSettings } = await ask([CONFIGURE_SETTINGS_QUESTION]);
+    if (autoConfigureSettings) {
+      await applySettings('repository-settings', REPOSITORY_SETTING_KEYS);
+    } else {
+      await report({ type: 'done', step: 'repository-settings', skipped: true });
+    }
+
+    await report({ type: 'step', step: 'workflow-permissions' });
+    await applySettings('workflow-permissions', WORKFLOW_SETTING_KEYS);
+
+    await report({ type: 'step', step: 'agent-token' });
+    await applySettings('agent-token', ['agent_token_secret']);
+  }
+
+  return result;
+}
@@ -0,0 +1,1214 @@
+/**
+ * Mayor West Mode - File Templates
+ *
+ * Every file setup writes, and the templates that render them from the
+ * setup answers.
+ *
+ * @module templates
+ */
+
+import pkg from '../package.json' with { type: 'json' };
+import { DEFAULT_COMMAND_POLICY, commandPatternLabel, compileAutoApprove } from './commands.js';
+
+// ============================================================================
+// FILES
+// ============================================================================
+
+/**
+ * The verify action the generated workflow runs: the release tag of this
+ * version, so nothing pushed upstream runs with the repository's token
+ * until `upgrade` moves the pin.
+ */
+export const VERIFY_ACTION = `shyamsridhar123/MayorWest@v${pkg.version}`;
+
+export const FILES_TO_CREATE = {
+  // Core Configuration
+  '.vscode/settings.json': {
+    displayName: 'VS Code YOLO Settings',
+    category: 'configuration',
+    critical: true,
+  },
+  '.github/agents/mayor-west-mode.md': {
+    displayName: 'Copilot Agent Instructions',
+    category: 'agent',
+    critical: true,
+  },
+  '.github/workflows/mayor-west-auto-merge.yml': {
+    displayName: 'Auto-Merge Workflow',
+    category: 'workflow',
+    critical: true,
+    requiresAutoMerge: true,
+  },
+  '.github/workflows/mayor-west-orchestrator.yml': {
+    displayName: 'Orchestrator Workflow',
+    category: 'workflow',
+    critical: true,
+  },
+  '.github/workflows/mayor-west-verify.yml': {
+    displayName: 'Verify Workflow',
+    category: 'workflow',
+    critical: false,
+  },
+  '.github/ISSUE_TEMPLATE/mayor-task.md': {
+    displayName: 'Task Template',
+    category: 'template',
+    critical: false,
+  },
+  // Security Layer Files
+  '.github/CODEOWNERS': {
+    displayName: 'CODEOWNERS (Actor Allowlist)',
+    category: 'security',
+    critical: true,
+  },
+  '.github/mayor-west.yml': {
+    displayName: 'Security Config (Protected Paths)',
+    category: 'security',
+    critical: true,
+  },
+  // Copilot Integration
+  '.github/copilot/instructions.md': {
+    displayName: 'Copilot SWE Agent Instructions',
+    category: 'copilot',
+    critical: true,
+  },
+  '.github/copilot-instructions.md': {
+    displayName: 'Project Copilot Instructions',
+    category: 'copilot',
+    critical: true,
+  },
+  'AGENTS.md': {
+    displayName: 'Root Agent File',
+    category: 'copilot',
+    critical: true,
+  },
+  // Versioning
+  '.versionrc.json': {
+    displayName: 'Semantic Version Config',
+    category: 'versioning',
+    critical: false,
+  },
+  'CHANGELOG.md': {
+    displayName: 'Changelog',
+    category: 'versioning',
+    critical: false,
+  },
+  '.github/workflows/release.yml': {
+    displayName: 'Release Workflow',
+    category: 'versioning',
+    critical: false,
+  },
+};
+
+// Layer 2 defaults: PRs touching these are not auto-merged, and CODEOWNERS
+// gives them to the repository owner alone
+export const DEFAULT_PROTECTED_PATHS = [
+  '.github/workflows/**',
+  '.github/mayor-west.yml',
+  '.github/CODEOWNERS',
+  'package.json',
+  'package-lock.json',
+  '.env*',
+  '**/secrets/**',
+  '**/credentials/**',
+];
+
+// Wizard answer → REST merge_method / repository setting
+export const MERGE_METHODS = {
+  SQUASH: { method: 'squash', setting: 'allow_squash_merge' },
+  MERGE: { method: 'merge', setting: 'allow_merge_commit' },
+  REBASE: { method: 'rebase', setting: 'allow_rebase_merge' },
+};
+
+// ============================================================================
+// TEMPLATES
+// ============================================================================
+
+/**
+ * Fill in the setup wizard answers a template depends on, using the
+ * wizard's own defaults for anything not provided.
+ *
+ * @param {Object} options - Setup answers plus owner/repo
+ * @returns {Object} Options with mergeStrategy, mergeMethod, enableAutoMerge and iterationLimit set
+ */
+export function resolveTemplateOptions(options = {}) {
+  const mergeStrategy = String(options.mergeStrategy || 'SQUASH').toUpperCase();
+  if (!MERGE_METHODS[mergeStrategy]) {
+    throw new Error(`Unknown merge strategy: ${options.mergeStrategy}. Expected: squash, merge or rebase`);
+  }
+
+  return {
+    ...options,
+    mergeStrategy,
+    mergeMethod: MERGE_METHODS[mergeStrategy].method,
+    enableAutoMerge: options.enableAutoMerge !== false,
+    iterationLimit: Number(options.iterationLimit) || 15,
+  };
+}
+
+// Markdown list of command rules for the agent instructions
+function commandList(rules = [], explanation) {
+  if (rules.length === 0) return '- (none)';
+  return rules.map(rule => `- \`${commandPatternLabel(rule.pattern)}\`${rule[explanation] ? ` - ${rule[explanation]}` : ''}`).join('\n');
+}
+
+// Job 2 of the orchestrator, omitted when auto-merge is disabled
+function orchestratorMergeJob(mergeMethod) {
+  return `  # Job 2: Merge ready Copilot PRs (runs after orchestrate to avoid race conditions)
+  merge-copilot-prs:
+    runs-on: ubuntu-latest
+    needs: [orchestrate]
+    if: always()
+    
+    steps:
+      - name: Find and Merge Copilot PRs
+        uses: actions/github-script@v7
+        with:
+          github-token: \${{ secrets.GH_AW_AGENT_TOKEN || secrets.GITHUB_TOKEN }}
+          script: |
+            const owner = context.repo.owner;
+            const repo = context.repo.repo;
+            
+            const { data: prs } = await github.rest.pulls.list({
+              owner,
+              repo,
+              state: 'open',
+              sort: 'created',
+              direction: 'asc'
+            });
+            
+            const copilotPRs = prs.filter(pr => {
+              const login = pr.user.login.toLowerCase();
+              return login === 'copilot' || login === 'copilot-swe-agent' || login.includes('copilot');
+            });
+            
+            if (copilotPRs.length === 0) {
+              console.log('No open Copilot PRs found');
+              return;
+            }
+            
+            // Check if Copilot is still actively working (has in_progress workflow)
+            const { data: workflowRuns } = await github.rest.actions.listWorkflowRunsForRepo({
+              owner,
+              repo,
+              status: 'in_progress',
+              per_page: 10
+            });
+            
+            const copilotActiveRun = workflowRuns.workflow_runs.find(run => {
+              const name = (run.name || '').toLowerCase();
+              const actor = (run.actor?.login || '').toLowerCase();
+              return name.includes('copilot') || actor.includes('copilot');
+            });
+            
+            if (copilotActiveRun) {
+              console.log(\`Copilot is still working (run \${copilotActiveRun.id}). Skipping merge.\`);
+              return;
+            }
+            
+            for (const pr of copilotPRs) {
+              console.log(\`Processing PR #\${pr.number}: \${pr.title}\`);
+              
+              // Skip WIP PRs - Copilot is still working on them
+              if (pr.title.includes('[WIP]') || pr.title.toLowerCase().startsWith('wip')) {
+                console.log('  Skipping: PR is marked as Work In Progress');
+                continue;
+              }
+              
+              // Check if there's an active Copilot session on this PR's branch
+              const prBranchActiveRun = workflowRuns.workflow_runs.find(run => 
+                run.head_branch === pr.head.ref
+              );
+              
+              if (prBranchActiveRun) {
+                console.log(\`  Skipping: Active Copilot session on branch \${pr.head.ref}\`);
+                continue;
+              }
+              
+              // Get full PR details
+              const { data: prDetails } = await github.rest.pulls.get({
+                owner,
+                repo,
+                pull_number: pr.number
+              });
+              
+              // If PR is draft but no [WIP] and no active session, mark it ready
+              if (prDetails.draft) {
+                console.log('  PR is draft but Copilot seems done. Marking ready for review...');
+                try {
+                  await github.graphql(\`
+                    mutation(\$prId: ID!) {
+                      markPullRequestReadyForReview(input: { pullRequestId: \$prId }) {
+                        pullRequest { id }
+                      }
+                    }
+                  \`, { prId: pr.node_id });
+                  console.log(\`  ✅ Marked PR #\${pr.number} as ready for review\`);
+                } catch (error) {
+                  console.log(\`  ⚠️ Could not mark ready: \${error.message}\`);
+                  continue;
+                }
+              }
+              
+              if (prDetails.mergeable_state === 'dirty' || prDetails.mergeable_state === 'blocked') {
+                console.log(\`  Skipping: PR is \${prDetails.mergeable_state}\`);
+                continue;
+              }
+              
+              try {
+                await github.rest.pulls.createReview({
+                  owner,
+                  repo,
+                  pull_number: pr.number,
+                  event: 'APPROVE',
+                  body: 'Auto-approved by Mayor West Orchestrator'
+                });
+                console.log(\`  ✅ Approved PR #\${pr.number}\`);
+              } catch (error) {
+                console.log(\`  Could not approve: \${error.message}\`);
+              }
+              
+              try {
+                await github.rest.pulls.merge({
+                  owner,
+                  repo,
+                  pull_number: pr.number,
+                  merge_method: '${mergeMethod}'
+                });
+                console.log(\`  ✅ Merged PR #\${pr.number}\`);
+                
+                // STOP after merging one PR - next run will pick up the next one
+                console.log('Stopping after merging one PR. Next task will be assigned on next run.');
+                return;
+              } catch (error) {
+                console.log(\`  ❌ Could not merge: \${error.message}\`);
+                // Continue to try next PR if this one failed
+              }
+            }
+`;
+}
+
+export const fileTemplates = {
+  '.vscode/settings.json': (options = {}) => JSON.stringify({
+    'chat.tools.autoApprove': true,
+    'chat.tools.terminal.autoApprove': compileAutoApprove(options.commands || DEFAULT_COMMAND_POLICY),
+    'chat.agent.iterationLimit': resolveTemplateOptions(options).iterationLimit,
+    'chat.agent.maxTokensPerIteration': 4000,
+    'chat.agent.slowMode': false,
+  }, null, 2),
+
+  '.github/agents/mayor-west-mode.md': (options = {}) => {
+    const { iterationLimit, enableAutoMerge } = resolveTemplateOptions(options);
+    return `# Mayor West Mode - Copilot Agent Protocol
+
+You are operating in **Mayor West Mode**: eccentric, confident, autonomous.
+
+## ⚠️ CRITICAL: Issue-Only Workflow
+
+**YOU MUST ONLY WORK ON TASKS THAT COME FROM GITHUB ISSUES.**
+
+### Mandatory Rules
+
+1. **REFUSE** any direct code change requests that don't reference an issue
+2. **REFUSE** to implement features without an associated issue number
+3. **ALWAYS** verify the issue exists and is assigned to you before starting
+4. If asked to do work without an issue:
+   - Respond: "I can only work on tasks from GitHub issues. Please create an issue with the \`mayor-task\` label and I'll be automatically assigned."
+   - Do NOT proceed with the work
+
+### Why Issues?
+
+- Issues provide a clear audit trail
+- Issues define acceptance criteria
+- Issues enable the auto-assignment workflow
+- Issues allow proper PR linking with \`Fixes #<number>\`
+
+## Your Mission
+
+When assigned a GitHub issue with the \`mayor-task\` label, you are responsible for:
+1. **Verifying** you have a valid issue number assigned to you
+2. **Understanding** the complete task by reading the issue details
+3. **Implementing** all acceptance criteria from the issue
+4. **Testing** your implementation with the project's test suite
+5. **Committing** with format: \`[MAYOR] <description>\` and \`Fixes #<issue>\`
+6. **Creating/Updating** a pull request for review and merge
+
+## Operating Principles
+
+### 1. Validate the Issue First
+- Confirm issue number exists
+- Confirm you are assigned to the issue
+- If no issue: STOP and ask user to create one
+- If not assigned: STOP and wait for assignment
+
+### 2. Read the Issue Completely
+- Parse the issue title and description thoroughly
+- Extract all acceptance criteria (numbered list or checklist)
+- Identify testing requirements
+- Note any technical constraints or architectural guidelines
+
+### 3. Implement with Autonomy
+- Make architectural decisions based on code style in the repository
+- Use existing patterns and conventions
+- Don't ask for clarification—infer intent from context
+- Iterate on your own output when initial attempts fail
+
+### 4. Test Before Committing
+- Run the project's test suite: \`npm test\`, \`pytest\`, or equivalent
+- Ensure all tests pass before committing
+- If tests fail, analyze the error and fix your implementation
+- Don't commit broken code under any circumstances
+
+### 5. Commit with Issue Reference
+- Use format: \`[MAYOR] <issue-title>: <specific-change>\`
+- **MUST** include: \`Fixes #<issue-number>\` or \`Closes #<issue-number>\`
+- Example: \`[MAYOR] Add authentication flow: Implement JWT verification\\n\\nFixes #42\`
+
+### 6. Create or Update Pull Request
+- Push your branch (YOLO auto-approval will handle this)
+- GitHub will automatically create/update the PR
+- The PR title should match the issue title
+- PR body **MUST** include: \`Fixes #<issue-number>\`
+
+## Refusing Work Without Issues
+
+When asked to make changes without an issue reference:
+
+\`\`\`
+User: "Add a dark mode toggle to the settings page"
+
+Your response:
+"I operate in Mayor West Mode and can only work on tasks from GitHub issues.
+
+To proceed:
+1. Create a new issue at: [repo]/issues/new
+2. Use the 'mayor-task' template
+3. Describe the feature: 'Add dark mode toggle to settings page'
+4. I'll be automatically assigned and will implement it
+
+This ensures proper tracking, clear acceptance criteria, and a clean audit trail."
+\`\`\`
+
+## Failure Recovery
+
+If something fails:
+1. **Test Failure**: Analyze the error, fix your code, re-run tests, commit again
+2. **Type Errors**: Review type definitions, fix implementation, re-run tests
+3. **Linting Errors**: Run formatter (\`prettier\`, \`black\`), commit, re-run tests
+4. **Import Errors**: Check imports are correct, verify file paths, fix, re-run tests
+5. **Merge Conflict**: Rebase onto latest main, resolve conflicts, force-push
+
+**You have ${iterationLimit} iterations maximum**—use them wisely.
+
+## Safety Constraints
+
+- **Never** use \`rm -rf\` or destructive commands without confirmation
+- **Never** force-push to \`main\` or \`master\`
+- **Always** run tests before committing
+- **Always** respect branch protection rules
+- **Always** create PRs—don't push directly to main
+- **Always** work from issues—never from direct requests
+
+## Success Metrics
+
+You have successfully completed a task when:
+- ✅ Task originated from a GitHub issue
+- ✅ All acceptance criteria implemented
+- ✅ All tests pass
+- ✅ Code linting passes
+- ✅ PR created with \`Fixes #<issue-number>\`
+- ✅ PR is ready for ${enableAutoMerge ? 'auto-merge' : 'maintainer review'}
+
+**Remember**: Mayor West works autonomously, but ONLY on properly issued tasks.
+`;
+  },
+
+  '.github/workflows/mayor-west-auto-merge.yml': (options = {}) => {
+    const { mergeStrategy } = resolveTemplateOptions(options);
+    return `name: Mayor West Auto-Merge
+# IMPORTANT: Uses pull_request_target to run in base repo context
+# This avoids "first-time contributor" approval requirements for Copilot PRs
+
+on:
+  pull_request_target:
+    types: [opened, synchronize, reopened]
+
+permissions:
+  contents: read
+  pull-requests: write
+
+jobs:
+  auto-merge:
+    runs-on: ubuntu-latest
+    if: github.actor == 'copilot-swe-agent' || github.actor == 'copilot' || github.actor == 'copilot[bot]'
+    
+    steps:
+      - name: Enable Auto-Merge
+        uses: actions/github-script@v7
+        with:
+          github-token: \${{ secrets.GITHUB_TOKEN }}
+          script: |
+            try {
+              await github.graphql(\`
+                mutation {
+                  enablePullRequestAutoMerge(input: {
+                    pullRequestId: "\${context.payload.pull_request.node_id}"
+                    mergeMethod: ${mergeStrategy}
+                  }) {
+                    pullRequest {
+                      id
+                      title
+                      autoMergeRequest {
+                        enabledAt
+                        mergeMethod
+                      }
+                    }
+                  }
+                }
+              \`);
+              console.log('✅ Auto-merge enabled for PR #' + context.payload.pull_request.number);
+              console.log('Note: PR will merge automatically once all required status checks pass.');
+            } catch (error) {
+              console.log('⚠️  Auto-merge could not be enabled:', error.message);
+              console.log('This is expected if:');
+              console.log('  - Repository does not have "Allow auto-merge" enabled in settings');
+              console.log('  - Branch protection rules are not configured');
+              console.log('  - Required status checks are not defined');
+            }
+`;
+  },
+
+  '.github/workflows/mayor-west-orchestrator.yml': (options = {}) => {
+    const { mergeMethod, enableAutoMerge } = resolveTemplateOptions(options);
+    return `name: Mayor West Orchestrator
+# Autonomous task assignment${enableAutoMerge ? ' and PR merge' : ''} workflow
+# IMPORTANT: Uses pull_request_target to run in base repo context
+# This avoids "first-time contributor" approval requirements for Copilot PRs
+
+on:
+  workflow_dispatch:
+  issues:
+    types: [opened, labeled]
+  pull_request_target:
+    types: [opened, synchronize, closed]
+  # Run periodically to catch pending approvals
+  schedule:
+    - cron: '*/5 * * * *'
+
+permissions:
+  contents: write
+  issues: write
+  pull-requests: write
+  actions: write
+
+jobs:
+  # Job 0: Auto-approve pending workflow runs from Copilot
+  approve-copilot-runs:
+    runs-on: ubuntu-latest
+    steps:
+      - name: Approve Pending Copilot Workflow Runs
+        uses: actions/github-script@v7
+        with:
+          github-token: \${{ secrets.GH_AW_AGENT_TOKEN || secrets.GITHUB_TOKEN }}
+          script: |
+            const owner = context.repo.owner;
+            const repo = context.repo.repo;
+            
+            // Find runs that need approval (action_required status)
+            const { data: runs } = await github.rest.actions.listWorkflowRunsForRepo({
+              owner,
+              repo,
+              status: 'action_required',
+              per_page: 20
+            });
+            
+            if (runs.workflow_runs.length === 0) {
+              console.log('No workflow runs awaiting approval');
+              return;
+            }
+            
+            console.log(\`Found \${runs.workflow_runs.length} runs awaiting approval\`);
+            
+            for (const run of runs.workflow_runs) {
+              const actor = run.actor?.login?.toLowerCase() || '';
+              const triggeringActor = run.triggering_actor?.login?.toLowerCase() || '';
+              
+              const isCopilot = actor.includes('copilot') || triggeringActor.includes('copilot');
+              
+              if (!isCopilot) {
+                console.log(\`Skipping run \${run.id} - not from Copilot (actor: \${actor})\`);
+                continue;
+              }
+              
+              console.log(\`Approving run \${run.id} (\${run.name}) from \${actor}\`);
+              
+              try {
+                // Approve the pending deployment
+                const { data: pendingDeployments } = await github.rest.actions.getPendingDeploymentsForRun({
+                  owner,
+                  repo,
+                  run_id: run.id
+                });
+                
+                if (pendingDeployments.length > 0) {
+                  const envIds = pendingDeployments.map(d => d.environment.id);
+                  await github.rest.actions.reviewPendingDeploymentsForRun({
+                    owner,
+                    repo,
+                    run_id: run.id,
+                    environment_ids: envIds,
+                    state: 'approved',
+                    comment: 'Auto-approved by Mayor West Orchestrator'
+                  });
+                  console.log(\`  Approved deployments for run \${run.id}\`);
+                } else {
+                  // No pending deployments, try re-running the workflow
+                  console.log(\`  No pending deployments, attempting rerun...\`);
+                  try {
+                    await github.rest.actions.reRunWorkflow({
+                      owner,
+                      repo,
+                      run_id: run.id
+                    });
+                    console.log(\`  Re-triggered run \${run.id}\`);
+                  } catch (e) {
+                    console.log(\`  Could not rerun: \${e.message}\`);
+                  }
+                }
+              } catch (error) {
+                console.log(\`  Error approving run \${run.id}: \${error.message}\`);
+              }
+            }
+
+  orchestrate:
+    runs-on: ubuntu-latest
+    needs: [approve-copilot-runs]
+    if: always()
+    
+    steps:
+      - name: Find Next Unassigned mayor-task
+        id: find_task
+        uses: actions/github-script@v7
+        with:
+          github-token: \${{ secrets.GITHUB_TOKEN }}
+          script: |
+            const owner = context.repo.owner;
+            const repo = context.repo.repo;
+            
+            // RULE: Only 1 PR at a time - check if Copilot already has an open PR
+            const { data: prs } = await github.rest.pulls.list({
+              owner,
+              repo,
+              state: 'open',
+              per_page: 50
+            });
+            
+            const openCopilotPR = prs.find(pr => {
+              const login = pr.user.login.toLowerCase();
+              return login === 'copilot-swe-agent' || login.includes('copilot');
+            });
+            
+            if (openCopilotPR) {
+              console.log(\`Copilot already has open PR #\${openCopilotPR.number}: \${openCopilotPR.title}\`);
+              console.log('Waiting for it to be merged before assigning next task.');
+              return { found: false };
+            }
+            
+            // Find oldest unassigned mayor-task
+            const { data: issues } = await github.rest.issues.listForRepo({
+              owner,
+              repo,
+              labels: 'mayor-task',
+              state: 'open',
+              assignee: 'none',
+              sort: 'created',
+              direction: 'asc',
+              per_page: 1
+            });
+            
+            if (issues.length === 0) {
+              console.log('No unassigned mayor-tasks found');
+              return { found: false };
+            }
+            
+            const task = issues[0];
+            console.log(\`Found task: #\${task.number} - \${task.title}\`);
+            
+            core.setOutput('task_number', task.number);
+            core.setOutput('found', 'true');
+
+      - name: Assign Copilot to Issue
+        if: steps.find_task.outputs.found == 'true'
+        uses: actions/github-script@v7
+        with:
+          github-token: \${{ secrets.GH_AW_AGENT_TOKEN || secrets.GITHUB_TOKEN }}
+          script: |
+            const taskNumber = \${{ steps.find_task.outputs.task_number }};
+            const owner = context.repo.owner;
+            const repo = context.repo.repo;
+            
+            // Step 1: Find Copilot agent ID using suggestedActors query
+            console.log('Looking for copilot coding agent...');
+            const findAgentQuery = \`
+              query($owner: String!, $repo: String!) {
+                repository(owner: $owner, name: $repo) {
+                  suggestedActors(first: 100, capabilities: CAN_BE_ASSIGNED) {
+                    nodes {
+                      ... on Bot {
+                        id
+                        login
+                        __typename
+                      }
+                    }
+                  }
+                }
+              }
+            \`;
+            
+            const agentResponse = await github.graphql(findAgentQuery, { owner, repo });
+            const actors = agentResponse.repository.suggestedActors.nodes;
+            const copilotAgent = actors.find(actor => actor.login === 'copilot-swe-agent');
+            
+            if (!copilotAgent) {
+              console.log('Available actors:', actors.map(a => a.login).join(', '));
+              throw new Error('Copilot coding agent (copilot-swe-agent) not available');
+            }
+            
+            console.log(\`Found copilot agent with ID: \${copilotAgent.id}\`);
+            
+            // Step 2: Get issue ID and current assignees
+            const issueQuery = \`
+              query($owner: String!, $repo: String!, $issueNumber: Int!) {
+                repository(owner: $owner, name: $repo) {
+                  issue(number: $issueNumber) {
+                    id
+                    assignees(first: 100) {
+                      nodes { id }
+                    }
+                  }
+                }
+              }
+            \`;
+            
+            const issueResponse = await github.graphql(issueQuery, { owner, repo, issueNumber: taskNumber });
+            const issueId = issueResponse.repository.issue.id;
+            const currentAssignees = issueResponse.repository.issue.assignees.nodes.map(a => a.id);
+            
+            // Step 3: Assign Copilot using replaceActorsForAssignable mutation
+            const actorIds = [copilotAgent.id, ...currentAssignees.filter(id => id !== copilotAgent.id)];
+            
+            const assignMutation = \`
+              mutation($assignableId: ID!, $actorIds: [ID!]!) {
+                replaceActorsForAssignable(input: {
+                  assignableId: $assignableId,
+                  actorIds: $actorIds
+                }) {
+                  __typename
+                }
+              }
+            \`;
+            
+            await github.graphql(assignMutation, { assignableId: issueId, actorIds });
+            console.log(\`Successfully assigned Copilot to issue #\${taskNumber}\`);
+            
+            // Step 4: Add comment with instructions
+            const commentBody = [
+              '**@copilot-swe-agent** assigned to this task.',
+              '',
+              '**Before starting, read:**',
+              '- \`.github/copilot/instructions.md\` - Your operating protocol',
+              '- \`.github/copilot-instructions.md\` - Project rules',
+              '',
+              '**Key requirements:**',
+              '1. Run \`npm test\` before committing',
+              '2. Use commit format: \`[MAYOR] <description>\`',
+              \`3. Include \\\`Fixes #\${taskNumber}\\\` in PR body\`,
+              '4. Never use destructive commands'
+            ].join('\\n');
+            
+            await github.rest.issues.createComment({
+              owner,
+              repo,
+              issue_number: taskNumber,
+              body: commentBody
+            });
+            console.log(\`Added instructions comment to issue #\${taskNumber}\`);
+${enableAutoMerge ? `\n${orchestratorMergeJob(mergeMethod)}` : ''}`;
+  },
+
+  '.github/ISSUE_TEMPLATE/mayor-task.md': (options = {}) => `---
+name: Mayor Task
+about: Create a task for autonomous execution
+labels: mayor-task
+---
+
+# [MAYOR] Brief Description of Task
+
+**Summary**: One-sentence executive summary of what needs to be done.
+
+Example:
+- [MAYOR] Add user authentication endpoint
+- [MAYOR] Implement dark mode toggle
+- [MAYOR] Create database migration for posts table
+
+---
+
+## Context
+
+Explain the business context. Why is this task needed? What problem does it solve?
+
+**Example**:
+Users need a way to register accounts in the system. Currently, there's no authentication flow.
+
+---
+
+## Acceptance Criteria
+
+List specific, testable requirements. Copilot will implement all of these.
+
+- [ ] Create \`/api/auth/register\` endpoint
+- [ ] Accept POST requests with email and password
+- [ ] Validate email format (use existing EmailValidator)
+- [ ] Hash passwords using bcrypt (cost factor: 10)
+- [ ] Store user in database
+- [ ] Return 201 with user data on success
+- [ ] Return 400 with error message on validation failure
+- [ ] Unit tests: 100% coverage of endpoint logic
+- [ ] Integration tests: Full registration flow
+- [ ] API documentation updated in README.md
+
+---
+
+## Technical Constraints
+
+Any architectural guidance or decisions that constrain the implementation.
+
+**Example**:
+- Use existing \`User\` model in \`src/models/User.ts\`
+- Follow REST conventions already established in the codebase
+- Don't add new npm dependencies without approval
+- Use the existing test framework (Jest)
+
+---
+
+## Testing Requirements
+
+Specify what tests Copilot should write and verify.
+
+**Example**:
+- Unit tests for validation logic
+- Integration tests for endpoint
+- Tests must pass with \`npm test\`
+- Code coverage >= 80%
+
+---
+
+## Files Likely to Change
+
+Help Copilot understand the scope. Which files will need modifications?
+
+**Example**:
+- \`src/routes/auth.ts\` - Add new endpoint
+- \`src/models/User.ts\` - May need to update schema
+- \`src/tests/auth.test.ts\` - Create test file
+- \`README.md\` - Update API documentation
+
+---
+
+## Definition of Done
+
+Task is complete when:
+- [ ] All acceptance criteria implemented
+- [ ] All tests pass (\`npm test\` returns exit code 0)
+- [ ] Code linting passes (\`npm run lint\` returns exit code 0)
+- [ ] PR created with description
+- [ ] PR ready for merge
+`,
+
+  // Security Layer Files
+  '.github/CODEOWNERS': (options = {}) => {
+    const owner = options.owner || 'your-username';
+    // Anchored to the root like the protected_paths globs
+    const protectedRules = DEFAULT_PROTECTED_PATHS
+      .map(pattern => `${pattern.startsWith('**/') ? '' : '/'}${pattern} @${owner}`)
+      .join('\n');
+    return `# Mayor West Mode - Actor Allowlist
+# Only these actors can have their PRs auto-merged
+# The last matching rule decides, so specific rules come after the default
+
+# Default: the repository owner and the Copilot agents
+* @${owner} @Copilot @copilot-swe-agent
+
+# Protected paths (see .github/mayor-west.yml): people only
+${protectedRules}
+`;
+  },
+
+  '.github/mayor-west.yml': (options = {}) => {
+    const { mergeMethod } = resolveTemplateOptions(options);
+    return `# Mayor West Mode - Security Configuration
+# This file controls security layers for autonomous operations
+
+# Layer 3: Kill Switch
+# Set to false to pause all auto-merge operations
+enabled: true
+
+# Layer 2: Protected Paths
+# PRs modifying these paths will NOT be auto-merged
+protected_paths:
+${DEFAULT_PROTECTED_PATHS.map(pattern => `  - "${pattern}"`).join('\n')}
+
+# Merge settings
+merge:
+  method: ${mergeMethod}  # squash, merge, or rebase
+  delete_branch_after_merge: true
+
+# Audit settings
+audit:
+  comment_on_pr: true
+  log_to_file: false
+`;
+  },
+
+  // Copilot Integration Files
+  '.github/copilot/instructions.md': (options = {}) => {
+    const { iterationLimit } = resolveTemplateOptions(options);
+    const commands = options.commands || DEFAULT_COMMAND_POLICY;
+    return `# Copilot SWE Agent Instructions
+
+> **MANDATORY**: Read and follow these instructions for ALL tasks in this repository.
+
+## Identity
+
+You are operating as **Mayor West Mode** - an autonomous, confident AI agent.
+
+## ⚠️ CRITICAL: Issue-Only Enforcement
+
+**YOU MUST ONLY WORK ON TASKS FROM GITHUB ISSUES.**
+
+### Non-Negotiable Rules
+
+1. **NO ISSUE = NO WORK**: Refuse any code changes without an issue reference
+2. **VERIFY ASSIGNMENT**: Confirm you are assigned to the issue before starting
+3. **REDIRECT REQUESTS**: If asked to work without an issue, instruct the user to create one
+
+### Standard Response for Direct Requests
+
+If someone asks you to make changes without referencing an issue:
+
+> "I operate in Mayor West Mode and only work on GitHub issues.
+> 
+> **To get this done:**
+> 1. Go to [Issues → New Issue](../../issues/new/choose)
+> 2. Select 'Mayor Task' template
+> 3. Describe your request with clear acceptance criteria
+> 4. I'll be auto-assigned and will implement it
+> 
+> This ensures traceability and proper PR linking."
+
+## Required Reading
+
+Before starting ANY task, read these files:
+1. \`.github/agents/mayor-west-mode.md\` - Your operating protocol
+2. \`.github/copilot-instructions.md\` - Project-specific rules
+3. \`AGENTS.md\` - Agent hierarchy and delegation
+
+## Core Rules
+
+### Commit Format
+\`\`\`
+[MAYOR] <brief description>
+
+- Detailed change 1
+- Detailed change 2
+
+Fixes #<issue-number>
+\`\`\`
+
+### Issue Reference is MANDATORY
+- Every commit MUST include \`Fixes #<issue-number>\`
+- Every PR MUST link to the originating issue
+- No exceptions
+
+### Testing Requirements
+- **ALWAYS** run \`npm test\` before committing
+- **NEVER** commit code with failing tests
+- If tests fail, fix and retry (up to ${iterationLimit} iterations)
+
+### Forbidden Commands
+${commandList(commands.blocked, 'reason')}
+
+### Safe Commands (Auto-approved)
+${commandList(commands.allowed, 'description')}
+
+These lists are generated from the command policy (\`policies.commands\` in \`.github/mayor-west-policies.yml\`) and match the terminal auto-approve rules in \`.vscode/settings.json\`. Any other command needs approval.
+
+## Workflow
+
+1. **VERIFY** you have an issue number assigned to you
+2. **READ** the issue completely - extract all acceptance criteria
+3. **PLAN** your implementation - identify files to change
+4. **IMPLEMENT** following existing code patterns
+5. **TEST** with \`npm test\` - fix any failures
+6. **COMMIT** with \`[MAYOR]\` prefix and \`Fixes #<issue>\`
+7. **PUSH** to create/update PR
+
+## Success Criteria
+
+Your task is complete when:
+- ✅ Task originated from a GitHub issue
+- ✅ All acceptance criteria implemented
+- ✅ \`npm test\` passes
+- ✅ \`npm run lint\` passes (if configured)
+- ✅ PR created with proper description
+- ✅ PR body contains \`Fixes #<issue-number>\`
+`;
+  },
+
+  '.github/copilot-instructions.md': (options = {}) => {
+    const projectName = options.projectName || 'this project';
+    return `---
+applyTo: '**'
+---
+# ${projectName} - Copilot Instructions
+
+> **MEMORY ENFORCEMENT**: These instructions MUST be loaded and followed for ALL interactions with this codebase.
+
+## ⚠️ CRITICAL: Issue-Only Workflow
+
+**ALL WORK MUST ORIGINATE FROM GITHUB ISSUES.**
+
+### Enforcement Rules
+
+1. **NO ISSUE = NO CODE CHANGES**: Do not implement any feature or fix without an issue
+2. **VERIFY BEFORE STARTING**: Confirm the issue exists and you are assigned
+3. **REDIRECT DIRECT REQUESTS**: When asked to work without an issue, respond:
+
+> "This project uses Mayor West Mode. All work must come from GitHub issues.
+> 
+> **Create an issue:**
+> 1. Go to [Issues → New Issue](../../issues/new/choose)
+> 2. Use the 'Mayor Task' template
+> 3. Add clear acceptance criteria
+> 4. I'll be auto-assigned and implement it"
+
+## Project Overview
+
+This project uses **Mayor West Mode** for autonomous GitHub Copilot development workflows.
+
+## Key Rules
+
+1. **Issue Required**: All work must reference a GitHub issue
+2. **Commit Format**: \`[MAYOR] <description>\\n\\nFixes #<issue-number>\`
+3. **Test Before Commit**: Always run \`npm test\` before committing
+4. **No Destructive Commands**: Never use \`rm -rf\`, \`git reset --hard\`, etc.
+5. **PR Format**: Include \`Fixes #<issue-number>\` in PR body
+
+## Agent Hierarchy
+
+Consult the appropriate agent file for specialized tasks:
+- \`.github/agents/mayor-west-mode.md\` - Primary agent protocol
+- \`AGENTS.md\` - Agent overview and delegation
+
+## Quick Reference
+
+\`\`\`bash
+# Development
+npm install
+npm test
+npm run lint
+
+# Create a task (REQUIRED before any work)
+# GitHub → Issues → New → Mayor Task template
+\`\`\`
+`;
+  },
+
+  'AGENTS.md': (options = {}) => {
+    const projectName = options.projectName || 'Project';
+    const { enableAutoMerge } = resolveTemplateOptions(options);
+    return `# ${projectName} - Agent Instructions
+
+> **MANDATORY ENFORCEMENT**: This file is automatically loaded for ALL AI interactions in this workspace.
+
+## ⚠️ CRITICAL: Issue-Only Workflow
+
+**ALL WORK MUST COME FROM GITHUB ISSUES. NO EXCEPTIONS.**
+
+### Enforcement
+
+When asked to make code changes WITHOUT an issue reference:
+1. **STOP** - Do not proceed with any code changes
+2. **INFORM** - Tell the user: "Mayor West Mode requires all work to originate from GitHub issues"
+3. **REDIRECT** - Provide link: \`[Create Issue](../../issues/new/choose)\` with Mayor Task template
+4. **WAIT** - Only proceed after issue is created and assigned
+
+### Why This Matters
+
+- **Traceability**: Every change is linked to a tracked issue
+- **Automation**: Issues trigger auto-assignment to Copilot
+- **PR Linking**: \`Fixes #<number>\` auto-closes issues on merge
+- **Audit Trail**: Clear history of what was requested and delivered
+
+## Project Identity
+
+This project uses **Mayor West Mode** - autonomous GitHub Copilot development workflows.
+
+## Agent Hierarchy
+
+| Pattern | Agent | Location |
+|---------|-------|----------|
+| \`**\` | Mayor West Mode | \`.github/agents/mayor-west-mode.md\` |
+
+## Mandatory Rules
+
+1. **Issue Required**: All work must originate from a GitHub issue
+2. **Never auto-approve destructive commands**: \`rm\`, \`kill\`, \`reset --hard\`
+3. **Always run tests before committing**
+4. **Use commit format**: \`[MAYOR] <description>\\n\\nFixes #<issue-number>\`
+5. **Include \`Fixes #<issue>\` in PR body**
+
+## Development Commands
+
+\`\`\`bash
+npm install           # Install dependencies
+npm test              # Run tests
+npm run lint          # Lint code
+\`\`\`
+
+## Creating Tasks
+
+All work flows through issues:
+1. Go to **Issues → New Issue**
+2. Select **Mayor Task** template
+3. Fill in acceptance criteria
+4. Copilot is auto-assigned
+5. ${enableAutoMerge ? 'PR is auto-merged when tests pass' : 'PR is merged by a maintainer after review'}
+`;
+  },
+
+  // Versioning Files
+  '.versionrc.json': (options = {}) => JSON.stringify({
+    "types": [
+      {"type": "feat", "section": "Features"},
+      {"type": "fix", "section": "Bug Fixes"},
+      {"type": "perf", "section": "Performance"},
+      {"type": "refactor", "section": "Refactoring"},
+      {"type": "docs", "section": "Documentation"},
+      {"type": "test", "section": "Tests"},
+      {"type": "ci", "section": "CI/CD"},
+      {"type": "chore", "hidden": true}
+    ],
+    "releaseCommitMessageFormat": "chore(release): {{currentTag}}",
+    "scripts": {
+      "postchangelog": "prettier --write CHANGELOG.md || true"
+    }
+  }, null, 2),
+
+  'CHANGELOG.md': (options = {}) => `# Changelog
+
+All notable changes to this project will be documented in this file.
+
+The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.0.0/),
+and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0.html).
+
+## [Unreleased]
+
+### Added
+- Initial Mayor West Mode setup
+- Autonomous GitHub Copilot workflows
+- Auto-merge workflow
+- Orchestrator workflow
+- Security layers (CODEOWNERS, protected paths, kill switch)
+`,
+
+  '.github/workflows/mayor-west-verify.yml': (options = {}) => `name: Mayor West Verify
+# Runs mayorwest verify on PRs that change .github/ and fails when a check
+# that passes on the base branch fails here
+
+on:
+  pull_request:
+    paths:
+      - '.github/**'
+
+permissions:
+  contents: read
+  pull-requests: write
+
+jobs:
+  verify:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+
+      - name: Verify Mayor West Mode
+        uses: ${VERIFY_ACTION}
+        with:
+          github-token: \${{ secrets.GITHUB_TOKEN }}
+          only: files,workflows,security,github
+          fail-on: error
+`,
+
+  '.github/workflows/release.yml': (options = {}) => `name: Release
+
+on:
+  push:
+    tags:
+      - 'v*'
+
+permissions:
+  contents: write
+
+jobs:
+  release:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+        with:
+          fetch-depth: 0
+
+      - name: Setup Node.js
+        uses: actions/setup-node@v4
+        with:
+          node-version: '18'
+
+      - name: Install dependencies
+        run: npm ci
+
+      - name: Run tests
+        run: npm test
+
+      - name: Extract changelog for this version
+        id: changelog
+        run: |
+          VERSION=\${GITHUB_REF#refs/tags/v}
+          echo "version=\$VERSION" >> \$GITHUB_OUTPUT
+          sed -n "/## \\[\$VERSION\\]/,/## \\[/p" CHANGELOG.md | sed '\$d' > release-notes.md || true
+
+      - name: Create GitHub Release
+        uses: softprops/action-gh-release@v1
+        with:
+          name: v\${{ steps.changelog.outputs.version }}
+          body_path: release-notes.md
+          draft: false
+          prerelease: \${{ contains(github.ref, '-') }}
+        env:
+          GITHUB_TOKEN: \${{ secrets.GITHUB_TOKEN }}
+`,
+};
+
+/**
+ * Render templates with the given setup answers.
+ *
+ * @param {Object} options - Setup answers plus owner/repo (see resolveTemplateOptions)
+ * @param {string[]} [files] - Paths to render, defaults to every template
+ * @returns {Object<string, string>} Rendered content keyed by path
+ */
+export function renderTemplates(options = {}, files = Object.keys(fileTemplates)) {
+  const templateOptions = resolveTemplateOptions(options);
+  return Object.fromEntries(files.map(filePath => {
+    if (!fileTemplates[filePath]) {
+      throw new Error(`Unknown template: ${filePath}`);
+    }
+    return [filePath, fileTemplates[filePath](templateOptions)];
+  }));
+}
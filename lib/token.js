@@ -0,0 +1,198 @@
+/**
+ * Mayor West Mode - Agent Token Check
+ *
+ * What the token behind GH_AW_AGENT_TOKEN can do. The secret itself cannot
+ * be read back, so the token is taken from MAYOR_WEST_TOKEN and probed with
+ * read-only API calls through the gh CLI.
+ *
+ * @module token
+ */
+
+import { execFileSync } from 'child_process';
+
+// Warn when the token expires within this many days
+export const DEFAULT_EXPIRY_WARNING_DAYS = 14;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Token prefixes, see https://github.blog/2021-04-05-behind-githubs-new-authentication-token-formats/
+const TOKEN_TYPES = [
+  { prefix: 'github_pat_', type: 'fine-grained', label: 'fine-grained personal access token' },
+  { prefix: 'ghp_', type: 'classic', label: 'classic personal access token' },
+  { prefix: 'gho_', type: 'oauth', label: 'OAuth token' },
+  { prefix: 'ghu_', type: 'github-app', label: 'GitHub App user token' },
+  { prefix: 'ghs_', type: 'github-app', label: 'GitHub App installation token' },
+];
+
+/**
+ * The repository permissions the setup instructions ask for, each with a
+ * read-only request that needs it.
+ */
+export const TOKEN_PERMISSIONS = [
+  { key: 'metadata', label: 'Metadata', level: 'read', probe: ({ owner, repo }) => `repos/${owner}/${repo}` },
+  { key: 'actions', label: 'Actions', level: 'read', probe: ({ owner, repo }) => `repos/${owner}/${repo}/actions/runs?per_page=1` },
+  { key: 'contents', label: 'Contents', level: 'write', probe: ({ owner, repo }) => `repos/${owner}/${repo}/commits?per_page=1` },
+  { key: 'issues', label: 'Issues', level: 'write', probe: ({ owner, repo }) => `repos/${owner}/${repo}/issues?per_page=1` },
+  { key: 'pull_requests', label: 'Pull requests', level: 'write', probe: ({ owner, repo }) => `repos/${owner}/${repo}/pulls?per_page=1` },
+];
+
+// What the orchestrator does with GH_AW_AGENT_TOKEN
+export const TOKEN_CAPABILITIES = [
+  { id: 'approve-runs', label: 'Approve pending Copilot workflow runs', needs: ['metadata', 'actions'] },
+  { id: 'assign-copilot', label: 'Assign Copilot to mayor-task issues', needs: ['metadata', 'issues'] },
+  { id: 'merge-prs', label: 'Merge ready Copilot PRs', needs: ['metadata', 'contents', 'pull_requests'] },
+];
+
+/**
+ * The token to check: MAYOR_WEST_TOKEN, else GH_AW_AGENT_TOKEN.
+ *
+ * @param {Object} [env]
+ * @returns {string|undefined}
+ */
+export function tokenFromEnv(env = process.env) {
+  return env.MAYOR_WEST_TOKEN || env.GH_AW_AGENT_TOKEN || undefined;
+}
+
+/**
+ * @param {string} token
+ * @returns {{type: string, label: string}} type is classic, fine-grained,
+ *   oauth, github-app or unknown
+ */
+export function tokenType(token) {
+  const match = TOKEN_TYPES.find(({ prefix }) => token.startsWith(prefix));
+  return match ? { type: match.type, label: match.label } : { type: 'unknown', label: 'token of unknown type' };
+}
+
+/**
+ * The date in a GitHub-Authentication-Token-Expiration header
+ * ("2026-11-01 12:00:00 UTC" or "2026-11-01 12:00:00 -0700"), or null.
+ */
+export function parseTokenExpiration(header) {
+  const match = String(header || '').match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}:\d{2})\s*(UTC|[+-]\d{2}:?\d{2})?/);
+  if (!match) return null;
+  const zone = !match[3] || match[3] === 'UTC' ? 'Z' : match[3].replace(/^([+-]\d{2})(\d{2})$/, '$1:$2');
+  const date = new Date(`${match[1]}T${match[2]}${zone}`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * One API request with the token, through `gh api --include`. The token is
+ * passed in GH_TOKEN so it never appears in the process list.
+ *
+ * @param {string} endpoint
+ * @param {string} token
+ * @returns {{status: number, headers: Object<string, string>, body: *}}
+ * @throws {Error} When gh cannot be run or returns no HTTP response
+ */
+export function tokenRequest(endpoint, token) {
+  let output;
+  try {
+    output = execFileSync('gh', ['api', '--include', endpoint], {
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: { ...process.env, GH_TOKEN: token },
+    });
+  } catch (e) {
+    // Non-2xx responses exit non-zero but still print the response
+    output = e.stdout || '';
+    if (!/^HTTP\/[\d.]+ \d{3}/.test(output)) {
+      throw new Error(`Could not call the GitHub API: ${(e.stderr || e.message).toString().trim()}`);
+    }
+  }
+
+  const [head, ...rest] = output.split(/\r?\n\r?\n/);
+  const [statusLine, ...headerLines] = head.split(/\r?\n/);
+  const headers = {};
+  headerLines.forEach(line => {
+    const index = line.indexOf(':');
+    if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+  });
+  let body = rest.join('\n\n');
+  try {
+    body = JSON.parse(body);
+  } catch (e) {
+    // Not JSON; keep the text
+  }
+  return { status: Number(statusLine.split(' ')[1]), headers, body };
+}
+
+// Whether read access proves the permission the token needs
+function permissionStatus(permission, response, { type, scopes, repository }) {
+  if (response.status === 401) {
+    return { status: 'missing', detail: 'the token is invalid or expired' };
+  }
+  if (response.status !== 200) {
+    return { status: 'missing', detail: `no ${permission.label.toLowerCase()} access (HTTP ${response.status})` };
+  }
+  if (permission.level === 'read') {
+    return { status: 'granted' };
+  }
+  if (repository?.permissions && repository.permissions.push === false) {
+    return { status: 'missing', detail: 'the token\'s user cannot push to the repository' };
+  }
+  if (type === 'classic') {
+    const covered = scopes.includes('repo') || (scopes.includes('public_repo') && repository?.private === false);
+    return covered ? { status: 'granted' } : { status: 'missing', detail: 'needs the repo scope' };
+  }
+  // Fine-grained tokens do not report their permissions, and proving write
+  // access would take a write
+  return { status: 'unverified', detail: 'read access works; write access cannot be confirmed without writing' };
+}
+
+/**
+ * Probe what a token can do in a repository.
+ *
+ * @param {string} token
+ * @param {{owner: string, repo: string}} gitHubInfo
+ * @param {Object} [options]
+ * @param {number} [options.warnDays] - Flag expiry within this many days
+ * @param {Date} [options.now]
+ * @param {Function} [options.request] - (endpoint, token) => { status, headers, body }, defaults to tokenRequest
+ * @returns {Object} { type, label, valid, scopes, expiresAt, daysLeft, expired, expiring,
+ *   permissions: [{ key, label, level, status, detail? }],
+ *   capabilities: [{ id, label, status, missing }], pass }. A permission or
+ *   capability status is granted/ok, missing/fail or unverified
+ */
+export function checkToken(token, gitHubInfo, { warnDays = DEFAULT_EXPIRY_WARNING_DAYS, now = new Date(), request = tokenRequest } = {}) {
+  const { type, label } = tokenType(token);
+  const responses = new Map(TOKEN_PERMISSIONS.map(permission => [permission.key, request(permission.probe(gitHubInfo), token)]));
+  const metadata = responses.get('metadata');
+
+  const valid = metadata.status !== 401;
+  const scopesHeader = metadata.headers['x-oauth-scopes'];
+  const scopes = scopesHeader === undefined ? null : scopesHeader.split(',').map(scope => scope.trim()).filter(Boolean);
+  const repository = metadata.status === 200 ? metadata.body : null;
+
+  const expiresAt = parseTokenExpiration(metadata.headers['github-authentication-token-expiration']);
+  const daysLeft = expiresAt ? Math.floor((expiresAt.getTime() - now.getTime()) / DAY) : null;
+  const expired = expiresAt !== null && expiresAt <= now;
+  const expiring = !expired && daysLeft !== null && daysLeft <= warnDays;
+
+  const permissions = TOKEN_PERMISSIONS.map(permission => ({
+    key: permission.key,
+    label: permission.label,
+    level: permission.level,
+    ...permissionStatus(permission, responses.get(permission.key), { type, scopes: scopes || [], repository }),
+  }));
+
+  const capabilities = TOKEN_CAPABILITIES.map(capability => {
+    const needed = permissions.filter(permission => capability.needs.includes(permission.key));
+    const missing = needed.filter(permission => permission.status === 'missing').map(permission => `${permission.label} (${permission.level})`);
+    const status = missing.length > 0 ? 'fail' : needed.some(permission => permission.status === 'unverified') ? 'unverified' : 'ok';
+    return { id: capability.id, label: capability.label, status, missing };
+  });
+
+  return {
+    type,
+    label,
+    valid,
+    scopes,
+    expiresAt: expiresAt ? expiresAt.toISOString() : null,
+    daysLeft,
+    expired,
+    expiring,
+    permissions,
+    capabilities,
+    pass: valid && !expired && capabilities.every(capability => capability.status !== 'fail'),
+  };
+}
@@ -0,0 +1,99 @@
+/**
+ * Mayor West Mode - Upgrades
+ *
+ * Bring files an older version generated up to the current templates,
+ * merging template changes into files the user has edited.
+ *
+ * @module upgrade
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import pkg from '../package.json' with { type: 'json' };
+import { fileTemplates } from './templates.js';
+import { gitBlobHash, readGitBlob } from './repo.js';
+import { mergeGeneratedFile } from './install.js';
+
+/**
+ * Changes the templates cannot express as a plain diff, applied to locally
+ * modified files (and their merge base) when upgrading from a version older
+ * than `version`. Unmodified files are simply re-rendered.
+ */
+export const MIGRATIONS = [
+  {
+    version: '1.1.0',
+    file: '.github/mayor-west.yml',
+    description: 'Add the merge section (the merge method now follows the setup answer)',
+    migrate: (content, options) => {
+      if (yaml.load(content)?.merge) return content;
+      return `${content.replace(/\n*$/, '\n')}
+# Merge settings
+merge:
+  method: ${options.mergeMethod}  # squash, merge, or rebase
+  delete_branch_after_merge: true
+`;
+    },
+  },
+];
+
+export function compareVersions(a, b) {
+  const pa = String(a).split('-')[0].split('.').map(Number);
+  const pb = String(b).split('-')[0].split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return Math.sign(diff);
+  }
+  return 0;
+}
+
+export function migrationsFor(filePath, fromVersion) {
+  return MIGRATIONS.filter(migration =>
+    migration.file === filePath &&
+    compareVersions(migration.version, fromVersion) > 0 &&
+    compareVersions(migration.version, pkg.version) <= 0
+  );
+}
+
+/**
+ * Work out what upgrading each installed file means.
+ *
+ * @param {Object} manifest - Install manifest
+ * @param {Object} templateOptions - The options recorded at install time
+ * @returns {Array<Object>} Entries with action 'update' (unmodified, new
+ *   template), 'merge' (local edits kept), 'conflict', 'kept' (no merge base
+ *   in the manifest or git), 'current' or 'missing'
+ */
+export function planUpgrade(manifest, templateOptions, cwd = process.cwd()) {
+  return Object.entries(manifest.files || {})
+    .filter(([filePath]) => fileTemplates[filePath])
+    .map(([filePath, entry]) => {
+      const rendered = fileTemplates[filePath](templateOptions);
+      const file = { path: filePath, from: entry.version, rendered, content: rendered, current: null, conflicts: 0, migrations: [] };
+      const fullPath = path.join(cwd, filePath);
+
+      if (!fs.existsSync(fullPath)) {
+        return { ...file, action: 'missing' };
+      }
+
+      file.current = fs.readFileSync(fullPath, 'utf-8');
+      if (gitBlobHash(file.current) === entry.hash) {
+        return { ...file, action: file.current === rendered ? 'current' : 'update' };
+      }
+
+      // Locally modified: merge the template changes into the user's version
+      const base = entry.base ?? readGitBlob(entry.hash, cwd);
+      if (base === null) {
+        return { ...file, action: 'kept', content: file.current };
+      }
+
+      const migrations = migrationsFor(filePath, entry.version);
+      const migrate = content => migrations.reduce((text, migration) => migration.migrate(text, templateOptions), content);
+      const merged = mergeGeneratedFile(filePath, { base: migrate(base), ours: migrate(file.current), theirs: rendered });
+
+      if (merged.conflicts > 0) {
+        return { ...file, action: 'conflict', content: merged.text, conflicts: merged.conflicts, migrations };
+      }
+      return { ...file, action: merged.text === file.current ? 'current' : 'merge', content: merged.text, migrations };
+    });
+}
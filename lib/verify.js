@@ -0,0 +1,400 @@
+/**
+ * Mayor West Mode - Verification
+ *
+ * Checks that a repository has everything Mayor West Mode needs: the
+ * generated files, the security layers and, through the gh CLI, the
+ * GitHub settings. Results are returned as data; the CLI prints them.
+ *
+ * @module verify
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { execSync } from 'child_process';
+import { getGitHubInfo } from './repo.js';
+import { getInstallStatus, detectInstalledOptions } from './install.js';
+import { resolveTemplateOptions } from './templates.js';
+import { ghApiJson } from './github.js';
+import { loadConfig } from './config.js';
+import { builtinChecks, driftChecks, TOKEN_CHECKS, GH_AUTH_CHECK } from './checks.js';
+import { detectDrift } from './drift.js';
+import { checkToken } from './token.js';
+
+// Display order of the check categories; categories added by custom checks
+// follow these
+export const CHECK_CATEGORIES = ['files', 'workflows', 'core', 'security', 'copilot', 'github', 'drift'];
+
+// A failed 'error' check means Mayor West Mode will not work; a failed
+// 'warning' check means a feature is missing or degraded
+export const CHECK_SEVERITIES = ['warning', 'error'];
+
+// `--fail-on` thresholds; 'none' never fails
+export const FAIL_ON_LEVELS = [...CHECK_SEVERITIES, 'none'];
+
+// Repository-local checks, loaded on every verify
+export const CUSTOM_CHECKS_PATH = '.github/mayor-west-checks.js';
+
+/**
+ * @typedef {Object} Check
+ * @property {string} id - Stable identifier, e.g. `security/kill-switch`
+ * @property {string} name - Display name
+ * @property {string} category - One of CHECK_CATEGORIES, or a custom check's category
+ * @property {boolean} pass
+ * @property {'error'|'warning'} severity - How bad a failure is
+ * @property {string} remediation - How to fix a failure
+ * @property {string} [file] - Repository file the check is about
+ * @property {string} [source] - Where a custom check came from
+ * @property {Object} [fix] - What `verify --fix` can do about a failure:
+ *   { file } to render a template, { setting, value, before, branch? }
+ *   to change a GITHUB_SETTINGS entry, or { description, apply } from a
+ *   custom check (see lib/fix.js)
+ */
+
+function validateCheckDefinition(definition, source) {
+  const where = definition && typeof definition.id === 'string' ? `${definition.id} (${source})` : source;
+  if (!definition || typeof definition.id !== 'string' || !definition.id.includes('/')) {
+    throw new Error(`Invalid check in ${source}: id must be "<category>/<name>"`);
+  }
+  ['name', 'category', 'remediation'].forEach(field => {
+    if (typeof definition[field] !== 'string' || !definition[field]) {
+      throw new Error(`Invalid check ${where}: ${field} must be a non-empty string`);
+    }
+  });
+  if (!CHECK_SEVERITIES.includes(definition.severity)) {
+    throw new Error(`Invalid check ${where}: severity must be one of ${CHECK_SEVERITIES.join(', ')}`);
+  }
+  if (typeof definition.run !== 'function') {
+    throw new Error(`Invalid check ${where}: run must be a function`);
+  }
+  if (definition.fix !== undefined && typeof definition.fix !== 'function') {
+    throw new Error(`Invalid check ${where}: fix must be a function`);
+  }
+  if (definition.requires !== undefined && !Array.isArray(definition.requires)) {
+    throw new Error(`Invalid check ${where}: requires must be a list of check ids`);
+  }
+}
+
+// A module's checks: `export default [...]`, `export const checks = [...]`
+// or `module.exports = [...]`
+function checksFromModule(module, source) {
+  const definitions = Array.isArray(module.checks) ? module.checks : module.default;
+  if (!Array.isArray(definitions)) {
+    throw new Error(`${source} must export a list of checks`);
+  }
+  return definitions.map(definition => ({ ...definition, source }));
+}
+
+/**
+ * Checks from the repository: `.github/mayor-west-checks.js` and the npm
+ * packages listed under `verify.plugins` in `.github/mayor-west.yml`.
+ * Packages are resolved from the repository's node_modules.
+ *
+ * @param {string} [cwd] - Repository root
+ * @returns {Promise<Array<CheckDefinition>>}
+ * @throws {Error} When a file or package cannot be loaded
+ */
+export async function loadCustomChecks(cwd = process.cwd()) {
+  const definitions = [];
+
+  const localPath = path.join(cwd, CUSTOM_CHECKS_PATH);
+  if (fs.existsSync(localPath)) {
+    let module;
+    try {
+      module = await import(pathToFileURL(localPath).href);
+    } catch (error) {
+      throw new Error(`Could not load ${CUSTOM_CHECKS_PATH}: ${error.message}`);
+    }
+    definitions.push(...checksFromModule(module, CUSTOM_CHECKS_PATH));
+  }
+
+  // Schema errors are reported by the security/config-schema check
+  const plugins = loadConfig(cwd).config?.verify?.plugins;
+
+  const require = createRequire(path.join(cwd, 'package.json'));
+  for (const name of Array.isArray(plugins) ? plugins : []) {
+    if (typeof name !== 'string') continue;
+    let module;
+    try {
+      module = await import(pathToFileURL(require.resolve(name)).href);
+    } catch (error) {
+      throw new Error(`Could not load check plugin ${name}: ${error.message}`);
+    }
+    definitions.push(...checksFromModule(module, name));
+  }
+
+  return definitions;
+}
+
+function selectorMatches(selector, definition) {
+  return selector === definition.category || selector === definition.id || definition.id.startsWith(`${selector}/`);
+}
+
+/**
+ * The checks picked by `--only` and `--skip`. A selector is a category
+ * (`security`), a check id (`github/auto-merge`) or an id prefix
+ * (`files/.github`). Checks a selected check requires are kept, so
+ * `--only github/auto-merge` still checks gh authentication, unless they
+ * are skipped too; then the check that needs them is reported as skipped.
+ *
+ * @param {Array<CheckDefinition>} definitions
+ * @param {Object} [options]
+ * @param {string[]} [options.only] - Run only matching checks
+ * @param {string[]} [options.skip] - Leave out matching checks
+ * @returns {Array<CheckDefinition>}
+ * @throws {Error} When a selector matches no check
+ */
+export function selectChecks(definitions, { only = [], skip = [] } = {}) {
+  [...only, ...skip].forEach(selector => {
+    if (!definitions.some(definition => selectorMatches(selector, definition))) {
+      throw new Error(`Unknown check or category: ${selector}`);
+    }
+  });
+
+  const byId = new Map(definitions.map(definition => [definition.id, definition]));
+  const selected = new Set(definitions
+    .filter(definition => only.length === 0 || only.some(selector => selectorMatches(selector, definition)))
+    .filter(definition => !skip.some(selector => selectorMatches(selector, definition)))
+    .map(definition => definition.id));
+
+  const isSkipped = id => skip.some(selector => byId.has(id) && selectorMatches(selector, byId.get(id)));
+  const addRequirements = id => {
+    (byId.get(id)?.requires || []).forEach(required => {
+      if (!selected.has(required) && !isSkipped(required)) {
+        selected.add(required);
+        addRequirements(required);
+      }
+    });
+  };
+  [...selected].forEach(addRequirements);
+
+  return definitions.filter(definition => selected.has(definition.id));
+}
+
+// What every run() and fix() receives. API calls are cached for the run,
+// so checks reading the same endpoint make one request.
+function createCheckContext(cwd, warnings, { token, tokenWarnDays } = {}) {
+  const cache = new Map();
+  const cached = (key, load) => {
+    if (!cache.has(key)) {
+      try {
+        cache.set(key, { value: load() });
+      } catch (error) {
+        cache.set(key, { error });
+      }
+    }
+    const entry = cache.get(key);
+    if (entry.error) throw entry.error;
+    return entry.value;
+  };
+
+  const gitHubInfo = getGitHubInfo(cwd);
+
+  return {
+    cwd,
+    gitHubInfo,
+    readFile: filePath => {
+      try {
+        return fs.readFileSync(path.join(cwd, filePath), 'utf8');
+      } catch (e) {
+        return null;
+      }
+    },
+    installStatus: () => cached('install-status', () => getInstallStatus(cwd)),
+    // The setup answers, from the manifest or the installed files
+    installedOptions: () => cached('installed-options', () => resolveTemplateOptions(detectInstalledOptions(cwd))),
+    config: () => cached('config', () => loadConfig(cwd)),
+    drift: () => cached('drift', () => detectDrift(cwd)),
+    token: () => cached('token', () => checkToken(token, gitHubInfo, { warnDays: tokenWarnDays })),
+    ghApi: endpoint => cached(`api ${endpoint}`, () => ghApiJson(endpoint)),
+    gh: args => cached(args, () => execSync(`gh ${args}`, { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] })),
+    warn: message => {
+      if (!warnings.includes(message)) warnings.push(message);
+    },
+  };
+}
+
+function runCheck(definition, context) {
+  const outcome = definition.run(context);
+  const { pass, ...extra } = typeof outcome === 'object' && outcome !== null ? outcome : { pass: outcome };
+  const result = {
+    id: definition.id,
+    name: definition.name,
+    category: definition.category,
+    pass: pass === true,
+    severity: definition.severity,
+    remediation: definition.remediation,
+    ...(definition.source ? { source: definition.source } : {}),
+    ...extra,
+  };
+
+  if (!result.pass && definition.fix) {
+    try {
+      const fix = definition.fix(context);
+      if (fix) result.fix = fix;
+    } catch (e) {
+      // No fix without the data it needs
+    }
+  }
+  return result;
+}
+
+/**
+ * Run the verification checks against a repository: the built-in checks
+ * for the options it was set up with (see builtinChecks()), then the
+ * repository's custom checks (see loadCustomChecks()).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Repository root, defaults to process.cwd()
+ * @param {boolean} [options.github=true] - Also check GitHub settings (needs an authenticated gh CLI)
+ * @param {string[]} [options.only] - Check ids or categories to run, see selectChecks()
+ * @param {string[]} [options.skip] - Check ids or categories to leave out
+ * @param {boolean} [options.drift=false] - Also compare the installed workflows with the templates
+ * @param {string} [options.token] - The agent token (MAYOR_WEST_TOKEN), to check what it can do
+ * @param {number} [options.tokenWarnDays] - Warn when the token expires within this many days
+ * @param {Array<CheckDefinition>} [options.checks] - Extra checks to run
+ * @param {boolean} [options.customChecks=true] - Load the repository's custom checks
+ * @returns {Promise<Object>} { repository, private, checks, skipped, warnings, passed, total },
+ *   see Check for the shape of each check. skipped lists { id, name, requires }
+ *   for checks whose requirements failed
+ * @throws {Error} On an invalid or duplicate check definition, or an unknown selector
+ */
+export async function verify({
+  cwd = process.cwd(),
+  github = true,
+  only,
+  skip,
+  drift = false,
+  token,
+  tokenWarnDays,
+  checks: extraChecks = [],
+  customChecks = true,
+} = {}) {
+  const warnings = [];
+  const context = createCheckContext(cwd, warnings, { token, tokenWarnDays });
+  const installed = context.installedOptions();
+
+  const definitions = [
+    ...builtinChecks(installed),
+    ...(github && token ? TOKEN_CHECKS : []),
+    ...(drift ? driftChecks(installed) : []),
+    ...(customChecks ? await loadCustomChecks(cwd) : []),
+    ...extraChecks.map(definition => ({ source: 'verify()', ...definition })),
+  ];
+
+  const ids = new Set();
+  definitions.forEach(definition => {
+    validateCheckDefinition(definition, definition.source || 'built-in checks');
+    if (ids.has(definition.id)) {
+      throw new Error(`Duplicate check id: ${definition.id}`);
+    }
+    ids.add(definition.id);
+  });
+  definitions.forEach(definition => {
+    (definition.requires || []).forEach(required => {
+      if (!ids.has(required)) {
+        throw new Error(`Check ${definition.id} requires unknown check ${required}`);
+      }
+    });
+  });
+
+  // Without GitHub, leave out everything that needs the gh CLI
+  const available = github
+    ? definitions
+    : definitions.filter(definition => definition.id !== GH_AUTH_CHECK && !(definition.requires || []).includes(GH_AUTH_CHECK));
+
+  const results = new Map();
+  const skipped = [];
+
+  const evaluate = definition => {
+    if (results.has(definition.id)) return results.get(definition.id);
+    results.set(definition.id, null);
+
+    const failedRequirements = (definition.requires || []).filter(required => {
+      const requirement = available.find(d => d.id === required);
+      return !requirement || !evaluate(requirement)?.pass;
+    });
+    if (failedRequirements.length > 0) {
+      skipped.push({ id: definition.id, name: definition.name, requires: failedRequirements });
+      return null;
+    }
+
+    let result = null;
+    try {
+      result = runCheck(definition, context);
+    } catch (error) {
+      // A check that cannot run has not passed
+      result = {
+        id: definition.id,
+        name: definition.name,
+        category: definition.category,
+        pass: false,
+        severity: definition.severity,
+        remediation: error.message,
+        ...(definition.source ? { source: definition.source } : {}),
+      };
+    }
+    results.set(definition.id, result);
+    return result;
+  };
+
+  const selected = selectChecks(available, { only, skip });
+  selected.forEach(evaluate);
+
+  const ran = selected.map(definition => results.get(definition.id)).filter(Boolean);
+  const categories = [...CHECK_CATEGORIES, ...new Set(ran.map(c => c.category).filter(c => !CHECK_CATEGORIES.includes(c)))];
+  const ordered = categories.flatMap(category => ran.filter(c => c.category === category));
+
+  let isPrivate = false;
+  if (context.gitHubInfo && results.get(GH_AUTH_CHECK)?.pass) {
+    try {
+      isPrivate = context.ghApi(`repos/${context.gitHubInfo.owner}/${context.gitHubInfo.repo}`).private === true;
+    } catch (e) {
+      // Reported by the checks that need it
+    }
+  }
+
+  return {
+    repository: context.gitHubInfo ? `${context.gitHubInfo.owner}/${context.gitHubInfo.repo}` : null,
+    private: isPrivate,
+    checks: ordered,
+    skipped: skipped.filter(s => selected.some(definition => definition.id === s.id)),
+    warnings,
+    passed: ordered.filter(c => c.pass).length,
+    total: ordered.length,
+  };
+}
+
+/**
+ * The failed checks at or above a severity threshold.
+ *
+ * @param {Object} result - From verify()
+ * @param {'error'|'warning'|'none'} failOn - 'warning' fails on every failed check
+ * @returns {Array<Check>}
+ */
+export function failingChecks(result, failOn = 'error') {
+  if (!FAIL_ON_LEVELS.includes(failOn)) {
+    throw new Error(`Invalid --fail-on value: ${failOn}. Expected: ${FAIL_ON_LEVELS.join(', ')}`);
+  }
+  if (failOn === 'none') return [];
+  const threshold = CHECK_SEVERITIES.indexOf(failOn);
+  return result.checks.filter(c => !c.pass && CHECK_SEVERITIES.indexOf(c.severity) >= threshold);
+}
+
+/**
+ * How a result differs from an earlier one, such as the base branch of a
+ * pull request. A failed check the baseline did not run counts as a
+ * regression.
+ *
+ * @param {Object} result - From verify()
+ * @param {Object} baseline - An earlier verify() result or its `--format json` report
+ * @returns {{regressions: Array<Check>, fixed: Array<Check>}}
+ */
+export function compareWithBaseline(result, baseline) {
+  const before = new Map((baseline.checks || []).map(check => [check.id, check]));
+  return {
+    regressions: result.checks.filter(check => !check.pass && before.get(check.id)?.pass !== false),
+    fixed: result.checks.filter(check => check.pass && before.get(check.id)?.pass === false),
+  };
+}